@@ -3,71 +3,50 @@
 import 'dotenv/config';
 import Fastify from 'fastify';
 
-// Core System Imports
-import { CoreContainer } from './core/container/Container.js';
-import { createErrorSystem } from './core/errors/ErrorSystem.js';
-import { setupErrorHandler } from './core/errors/integrations/fastify/handler.js';
-import { createModuleSystem } from './core/module/ModuleSystem.js';
-import { createEventBusSystem } from './core/event/EventBusSystem.js';
+import { createApplication } from './core/application/Application.js';
+import { FastifyAdapter } from './core/router/integrations/fastify/FastifyAdapter.js';
 
-export async function buildApp() {
-  // Create the core container
-  const container = new CoreContainer();
+export { Application, createApplication } from './core/application/Application.js';
 
-  // Register core systems in proper order
-  container.register('errorSystem', createErrorSystem);
-  container.register('config', () => ({}));
-  container.register('eventBusSystem', createEventBusSystem);
-  container.register('moduleSystem', createModuleSystem);
-
-  // Create Fastify instance with error serialization
+/**
+ * Build the default Fastify application
+ * @param {object} [options={}] - createApplication options (modules, config, ...)
+ * @returns {Promise<object>} Fastify instance with the application's routes
+ */
+export async function buildApp(options = {}) {
   const fastify = Fastify({
-    logger: {
-      level: process.env.LOG_LEVEL || 'info',
-      serializers: {
-        error: (error) => {
-          const errorSystem = container.resolve('errorSystem');
-          return errorSystem.serializeError(error);
-        }
-      }
-    }
+    logger: { level: process.env.LOG_LEVEL || 'info' }
   });
 
-  // Setup Fastify error handling - THIS LINE IS PRESENT
-  setupErrorHandler(fastify);
-
-  // Initialize the container
-  try {
-    await container.initialize();
-  } catch (error) {
-    console.error('Container initialization error:', error);
-    throw error;
-  }
-
   // Basic route as a health check
-  fastify.get('/', async (request, reply) => {
-    return { 
-      status: 'ok', 
-      timestamp: new Date().toISOString() 
+  fastify.get('/', async () => {
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString()
     };
   });
 
-  // Graceful shutdown handling
-  const closeHandler = async () => {
-    try {
-      await fastify.close();
-      await container.shutdown();
-    } catch (error) {
-      console.error('Shutdown error:', error);
-    }
-  };
+  const application = await createApplication({
+    config: { directory: 'config' },
+    logger: {
+      level: process.env.LOG_LEVEL || 'info',
+      format: process.env.LOG_FORMAT || 'json'
+    },
+    // SIGINT and SIGTERM close the server, drain and exit; shut down
+    // programmatically with fastify.application.shutdown() or fastify.close()
+    handleSignals: true,
+    // Uncaught exceptions and unhandled rejections are reported through the
+    // ErrorSystem, then take the same shutdown path before exit(1)
+    handleCrashes: true,
+    ...options,
+    adapters: [FastifyAdapter],
+    server: fastify
+  });
 
-  // Handle shutdown signals
-  process.on('SIGINT', closeHandler);
-  process.on('SIGTERM', closeHandler);
   fastify.addHook('onClose', async () => {
-    await container.shutdown();
+    await application.handleServerClose();
   });
 
+  fastify.decorate('application', application);
   return fastify;
-}
\ No newline at end of file
+}
@@ -0,0 +1,343 @@
+// src/core/application/Application.js
+
+import { EventEmitter } from 'events';
+import { CoreContainer, Hook } from '../container/Container.js';
+import { ConfigError, ServiceError } from '../errors/index.js';
+import { ErrorSystem, createErrorSystem } from '../errors/ErrorSystem.js';
+import { ConfigSystem, createConfigSystem } from '../config/ConfigSystem.js';
+import { EventBusSystem } from '../event/EventBusSystem.js';
+import { ModuleSystem } from '../module/ModuleSystem.js';
+import { RouterSystem } from '../router/RouterSystem.js';
+import { Logger, createLogger } from '../logger/Logger.js';
+import { ShutdownManager } from './ShutdownManager.js';
+
+/**
+ * Adapters whose error integration is installed after the routes: Express
+ * runs middleware in registration order, so its error middleware comes last
+ */
+const integrateAfterRoutes = new Set(['express']);
+
+/**
+ * Give an inline factory the dependency declarations of the class it builds
+ * @private
+ */
+function withDependencies(factory, Component) {
+  factory.dependencies = Component.dependencies;
+  return factory;
+}
+
+/**
+ * Application bootstrap.
+ * Wires the core systems into a container, registers modules with the
+ * ModuleSystem and, when a server is given, installs the error integration
+ * and applies the RouterSystem's routes to it with the chosen adapter.
+ */
+export class Application extends EventEmitter {
+  static version = '1.0.0';
+
+  /**
+   * @param {object} [options={}]
+   * @param {Object<string, Function|{module: Function, config: object}>} [options.modules={}] - Modules by name
+   * @param {Array<Function|object>} [options.adapters=[]] - Router adapter classes or instances
+   * @param {string} [options.adapter] - Adapter applying routes to the server; defaults to the only adapter
+   * @param {object} [options.server] - HTTP framework instance, e.g. a Fastify instance
+   * @param {object} [options.config={}] - ConfigSystem options
+   * @param {object} [options.logger={}] - Logger options
+   * @param {object} [options.errors={}] - ErrorSystem options (deduplication, maxFingerprints)
+   * @param {object} [options.shutdown={}] - ShutdownManager options (timeout, signals, exit)
+   * @param {boolean} [options.handleSignals=false] - Shut down and exit on SIGINT and SIGTERM
+   * @param {boolean|object} [options.handleCrashes=false] - Report uncaught exceptions and unhandled
+   *   rejections through the ErrorSystem, then shut down and exit(1); an object holds
+   *   ProcessIntegration options and an optional `target` in place of process
+   * @param {CoreContainer} [options.container] - Container to wire, a new one by default
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      modules: {},
+      adapters: [],
+      config: {},
+      logger: {},
+      errors: {},
+      shutdown: {},
+      handleSignals: false,
+      handleCrashes: false,
+      ...options
+    };
+    this.container = options.container || new CoreContainer();
+    this.server = options.server || null;
+    this.adapters = this.options.adapters.map(adapter =>
+      typeof adapter === 'function' ? new adapter() : adapter
+    );
+    this.adapterName = this.selectAdapter();
+    this.shutdownManager = null;
+
+    this.state = {
+      status: 'created',
+      startTime: null,
+      errors: []
+    };
+
+    this.registerCoreSystems();
+    this.registerAdapters();
+    this.registerModules();
+  }
+
+  /**
+   * Name of the adapter applying routes to the server
+   * @private
+   */
+  selectAdapter() {
+    for (const adapter of this.adapters) {
+      if (!adapter || typeof adapter.name !== 'string' || typeof adapter.applyRoutes !== 'function') {
+        throw new ConfigError(
+          'INVALID_ADAPTER',
+          'Router adapters must have a name and an applyRoutes method'
+        );
+      }
+    }
+
+    const names = this.adapters.map(adapter => adapter.name);
+    const name = this.options.adapter ?? (names.length === 1 ? names[0] : undefined);
+
+    if (this.server && name === undefined) {
+      throw new ConfigError(
+        'ADAPTER_REQUIRED',
+        'Choose the adapter applying routes to the server',
+        { adapters: names }
+      );
+    }
+    if (name !== undefined && !names.includes(name)) {
+      throw new ConfigError(
+        'UNKNOWN_ADAPTER',
+        `Adapter ${name} is not among the application's adapters`,
+        { adapter: name, adapters: names }
+      );
+    }
+    return name;
+  }
+
+  /**
+   * Register the core systems
+   * @private
+   */
+  registerCoreSystems() {
+    const { container, options } = this;
+
+    container.register('logger', withDependencies(
+      (deps) => createLogger(deps, options.logger),
+      Logger
+    ));
+    container.register('errorSystem', withDependencies(
+      (deps) => createErrorSystem(deps, options.errors),
+      ErrorSystem
+    ));
+    container.register('config', withDependencies(
+      (deps) => createConfigSystem(deps, options.config),
+      ConfigSystem
+    ));
+    container.register('eventBusSystem', EventBusSystem);
+    container.register('routerSystem', RouterSystem);
+    container.register('moduleSystem', ModuleSystem);
+  }
+
+  /**
+   * Register the adapters for the RouterSystem to collect
+   * @private
+   */
+  registerAdapters() {
+    for (const adapter of this.adapters) {
+      this.container.register(`${adapter.name}Adapter`, adapter, { tags: ['routerAdapter'] });
+    }
+  }
+
+  /**
+   * Register the modules with the ModuleSystem before it initializes them
+   * @private
+   */
+  registerModules() {
+    this.container.addHook(Hook.BEFORE_INITIALIZE, async (name, moduleSystem) => {
+      if (name !== 'moduleSystem') return;
+
+      for (const [moduleName, entry] of Object.entries(this.options.modules)) {
+        const { module: ModuleClass, config = {} } =
+          typeof entry === 'function' ? { module: entry } : entry;
+        await moduleSystem.register(moduleName, ModuleClass, config);
+      }
+    });
+  }
+
+  /**
+   * Initialize the container, then install the error integration and
+   * apply the routes to the server
+   * @returns {Promise<Application>}
+   * @throws {ServiceError} START_FAILED
+   */
+  async start() {
+    if (this.state.status !== 'created') {
+      throw new ServiceError(
+        'ALREADY_STARTED',
+        'Application is already started',
+        { state: this.state.status }
+      );
+    }
+
+    this.state.status = 'starting';
+    let initialized = false;
+
+    try {
+      await this.container.initialize();
+      initialized = true;
+
+      if (this.server) {
+        await this.attachServer();
+      }
+      this.setupShutdown(await this.container.resolve('logger'));
+      if (this.options.handleCrashes) {
+        await this.setupCrashHandling();
+      }
+
+      this.state.status = 'running';
+      this.state.startTime = Date.now();
+      this.emit('application:started', {
+        modules: Object.keys(this.options.modules),
+        adapter: this.adapterName,
+        timestamp: new Date().toISOString()
+      });
+      return this;
+    } catch (error) {
+      this.state.status = 'error';
+      this.state.errors.push({
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        context: { phase: 'start' }
+      });
+
+      // The container rolls back its own failures; later ones leave it running
+      if (initialized) {
+        await this.container.shutdown();
+      }
+
+      throw new ServiceError(
+        'START_FAILED',
+        `Failed to start application: ${error.message}`,
+        { adapter: this.adapterName },
+        { cause: error }
+      );
+    }
+  }
+
+  /**
+   * Install the error integration and apply the routes to the server
+   * @private
+   */
+  async attachServer() {
+    const errorSystem = await this.container.resolve('errorSystem');
+    const logger = await this.container.resolve('logger');
+    const integrated = errorSystem.hasIntegrationType(this.adapterName);
+    const afterRoutes = integrateAfterRoutes.has(this.adapterName);
+    const integrate = () => errorSystem.registerIntegration(this.server, { type: this.adapterName });
+
+    if (!integrated) {
+      logger.warn('No error integration for adapter', { adapter: this.adapterName });
+    } else if (!afterRoutes) {
+      await integrate();
+    }
+
+    const routerSystem = await this.container.resolve('routerSystem');
+    await routerSystem.applyRoutes(this.server, this.adapterName);
+
+    if (integrated && afterRoutes) {
+      await integrate();
+    }
+  }
+
+  /**
+   * Create the shutdown manager for the running application
+   * @private
+   */
+  setupShutdown(logger) {
+    this.shutdownManager = new ShutdownManager(
+      { container: this.container, server: this.server, logger },
+      this.options.shutdown
+    );
+
+    this.shutdownManager.on('shutdown:started', () => {
+      this.state.status = 'stopping';
+    });
+    this.shutdownManager.on('shutdown:completed', (report) => {
+      this.state.status = 'stopped';
+      this.emit('application:stopped', {
+        status: report.status,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    if (this.options.handleSignals) {
+      this.shutdownManager.installSignalHandlers();
+    }
+  }
+
+  /**
+   * Route process crashes through the ErrorSystem into the graceful shutdown
+   * @private
+   */
+  async setupCrashHandling() {
+    const errorSystem = await this.container.resolve('errorSystem');
+    const { target = process, ...options } =
+      this.options.handleCrashes === true ? {} : this.options.handleCrashes;
+
+    errorSystem.registerProcessIntegration(target, {
+      exit: this.shutdownManager.options.exit,
+      ...options,
+      onFatal: (error, context) => this.shutdown(context.event)
+    });
+  }
+
+  /**
+   * Resolve a component from the application's container
+   * @param {string|symbol} name - Component name
+   * @returns {Promise<*>}
+   */
+  async resolve(name) {
+    return this.container.resolve(name);
+  }
+
+  /**
+   * Close the server, drain the event queues and shut down the container.
+   * Runs once; later calls return the same report.
+   * @param {string} [reason='shutdown'] - Reason recorded in the report
+   * @param {object} [options={}] - { closeServer }, see ShutdownManager#shutdown
+   * @returns {Promise<object|undefined>} Shutdown report, undefined when never started
+   */
+  async shutdown(reason = 'shutdown', options = {}) {
+    if (!this.shutdownManager) return undefined;
+    return this.shutdownManager.shutdown(reason, options);
+  }
+
+  /**
+   * Shut down from the server's close hook, e.g. Fastify's onClose. The server
+   * is closing already, so it is not closed again; during a shutdown the hook
+   * comes from that shutdown closing the server and does nothing.
+   * @returns {Promise<object|undefined>} Shutdown report, undefined when there is none to wait for
+   */
+  async handleServerClose() {
+    if (!this.shutdownManager || this.shutdownManager.shuttingDown) return undefined;
+    return this.shutdown('close', { closeServer: false });
+  }
+}
+
+/**
+ * Create and start an application
+ * @param {object} [options={}] - See Application
+ * @returns {Promise<Application>} Started application
+ */
+export async function createApplication(options = {}) {
+  const application = new Application(options);
+  return application.start();
+}
+
+export default {
+  Application,
+  createApplication
+};
@@ -0,0 +1,221 @@
+// src/core/application/ShutdownManager.js
+
+import { EventEmitter } from 'events';
+import { ServiceError } from '../errors/index.js';
+import { LifecycleStatus, withTimeout } from '../container/lifecycle.js';
+import { childLogger } from '../logger/Logger.js';
+
+/**
+ * Close an HTTP server: a Fastify instance or a Node.js http.Server.
+ * Both stop accepting connections and call back once in-flight requests end.
+ * @private
+ */
+function closeServer(server) {
+  return new Promise((resolve, reject) => {
+    // Keep-alive connections without a request would hold close() open
+    server.closeIdleConnections?.();
+    server.close(error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Graceful shutdown coordinator.
+ * Shutdown runs once, however often it is requested: the HTTP server stops
+ * accepting traffic and drains in-flight requests, event bus queues are
+ * processed, then the container shuts components down in reverse
+ * dependency order. Draining stops at a deadline; the container is shut
+ * down either way.
+ */
+export class ShutdownManager extends EventEmitter {
+  static version = '1.0.0';
+
+  /**
+   * @param {object} deps
+   * @param {CoreContainer} deps.container - Container to shut down
+   * @param {object} [deps.server] - HTTP server to close first
+   * @param {object} [deps.logger] - Logger for the shutdown report
+   * @param {object} [options={}]
+   * @param {number} [options.timeout=10000] - Deadline for draining the server and event queues in ms
+   * @param {number} [options.containerTimeout] - Timeout for the container shutdown in ms
+   * @param {Array<string>} [options.signals=['SIGINT', 'SIGTERM']] - Signals handled by installSignalHandlers()
+   * @param {Function} [options.exit] - Called with the exit code after a signal, process.exit by default
+   * @param {EventEmitter} [options.signalTarget=process] - Emitter of the signals
+   */
+  constructor(deps = {}, options = {}) {
+    super();
+    this.deps = deps;
+    this.logger = childLogger(deps.logger, { component: 'ShutdownManager' });
+    this.options = {
+      timeout: 10000,
+      signals: ['SIGINT', 'SIGTERM'],
+      exit: (code) => process.exit(code),
+      signalTarget: process,
+      ...options
+    };
+    this.signalHandlers = new Map();
+    this.shutdownPromise = null;
+  }
+
+  /**
+   * Whether shutdown has started
+   * @returns {boolean}
+   */
+  get shuttingDown() {
+    return this.shutdownPromise !== null;
+  }
+
+  /**
+   * Shut down on the configured signals, then exit with the report's code.
+   * Handlers are registered once: a second signal gets Node's default
+   * behavior and ends the process at once.
+   * @returns {ShutdownManager}
+   */
+  installSignalHandlers() {
+    for (const signal of this.options.signals) {
+      if (this.signalHandlers.has(signal)) continue;
+
+      const handler = async () => {
+        this.signalHandlers.delete(signal);
+        const report = await this.shutdown(signal);
+        this.options.exit(report.exitCode);
+      };
+      this.signalHandlers.set(signal, handler);
+      this.options.signalTarget.once(signal, handler);
+    }
+    return this;
+  }
+
+  /**
+   * Remove the signal handlers that have not fired
+   */
+  removeSignalHandlers() {
+    for (const [signal, handler] of this.signalHandlers) {
+      this.options.signalTarget.removeListener(signal, handler);
+    }
+    this.signalHandlers.clear();
+  }
+
+  /**
+   * Shut down, once. Later calls return the first call's report.
+   * @param {string} [reason='shutdown'] - Signal name or other reason, for the report
+   * @param {object} [options={}]
+   * @param {boolean} [options.closeServer=true] - Close the server first; false when the
+   *   server is closing already, e.g. shutdown from its close hook
+   * @returns {Promise<object>} Shutdown report with exitCode 0 when every step completed
+   */
+  shutdown(reason = 'shutdown', { closeServer = true } = {}) {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.runShutdown(reason, { closeServer });
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Run the shutdown steps
+   * @private
+   */
+  async runShutdown(reason, options) {
+    const startedAt = Date.now();
+    const deadline = startedAt + this.options.timeout;
+    const steps = [];
+    let containerReport = null;
+
+    this.logger.info('Shutdown started', { reason, timeout: this.options.timeout });
+    this.emit('shutdown:started', { reason, timestamp: new Date(startedAt).toISOString() });
+
+    const step = async (name, work, timeout) => {
+      const entry = { name, status: LifecycleStatus.RUNNING, duration: null, error: null };
+      steps.push(entry);
+      const stepStart = Date.now();
+
+      try {
+        if (timeout <= 0) {
+          entry.status = LifecycleStatus.SKIPPED;
+          return;
+        }
+        await withTimeout(Promise.resolve().then(work), timeout, () =>
+          new ServiceError(
+            'SHUTDOWN_TIMEOUT',
+            `Shutdown step ${name} did not finish within ${timeout}ms`,
+            { step: name, timeout }
+          )
+        );
+        entry.status = LifecycleStatus.COMPLETED;
+      } catch (error) {
+        entry.status = error.code === 'SERVICE_SHUTDOWN_TIMEOUT'
+          ? LifecycleStatus.TIMED_OUT
+          : LifecycleStatus.FAILED;
+        entry.error = { code: error.code, message: error.message };
+      } finally {
+        entry.duration = Date.now() - stepStart;
+      }
+    };
+
+    const { server, container } = this.deps;
+
+    if (options.closeServer && typeof server?.close === 'function') {
+      await step('server', () => closeServer(server), deadline - Date.now());
+    }
+
+    if (container?.initialized && container.getRegistration('eventBusSystem')) {
+      await step('eventQueues', async () => {
+        const eventBusSystem = await container.resolve('eventBusSystem');
+        await eventBusSystem.getEventBus().processAllQueues();
+      }, deadline - Date.now());
+    }
+
+    if (container) {
+      const { containerTimeout } = this.options;
+      await step('container', async () => {
+        containerReport = await container.shutdown({ timeout: containerTimeout });
+        if (containerReport.status !== LifecycleStatus.COMPLETED) {
+          throw new ServiceError(
+            'CONTAINER_SHUTDOWN_FAILED',
+            `Container shutdown ${containerReport.status}`,
+            { status: containerReport.status }
+          );
+        }
+      }, Infinity);
+    }
+
+    const failed = steps.find(entry => entry.status !== LifecycleStatus.COMPLETED);
+    const report = {
+      phase: 'shutdown',
+      reason,
+      status: failed
+        ? (failed.status === LifecycleStatus.TIMED_OUT ? LifecycleStatus.TIMED_OUT : LifecycleStatus.FAILED)
+        : LifecycleStatus.COMPLETED,
+      startedAt: new Date(startedAt).toISOString(),
+      duration: Date.now() - startedAt,
+      steps,
+      container: containerReport,
+      exitCode: failed ? 1 : 0
+    };
+
+    this.removeSignalHandlers();
+
+    if (failed) {
+      this.logger.error('Shutdown finished with errors', { report });
+    } else {
+      this.logger.info('Shutdown completed', { report });
+    }
+    this.emit('shutdown:completed', report);
+
+    return report;
+  }
+}
+
+/**
+ * Factory function for container
+ * @param {Object} [deps={}] - Dependencies (container, server, logger)
+ * @param {Object} [options={}] - Shutdown options (see ShutdownManager)
+ * @returns {ShutdownManager}
+ */
+export function createShutdownManager(deps = {}, options = {}) {
+  return new ShutdownManager(deps, options);
+}
+
+export default {
+  ShutdownManager,
+  createShutdownManager
+};
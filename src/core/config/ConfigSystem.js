@@ -0,0 +1,686 @@
+// src/core/config/ConfigSystem.js
+
+import { EventEmitter } from 'events';
+import { watch } from 'fs';
+import { readFile } from 'fs/promises';
+import { basename, dirname, join, resolve } from 'path';
+import { ConfigError } from '../errors/index.js';
+import {
+  FILE_EXTENSIONS,
+  fileExists,
+  deepMerge,
+  diffConfig,
+  loadConfigFile,
+  parseEnvFile,
+  mapEnvironment
+} from './sources.js';
+import { assertSchema } from './schema.js';
+import { createEnvSecretProvider, resolveSecrets } from './secrets.js';
+import { redact } from './redaction.js';
+import { childLogger } from '../logger/Logger.js';
+
+/**
+ * Split a dotted key path
+ * @private
+ */
+function toPath(path) {
+  if (Array.isArray(path)) return path;
+  if (path === undefined || path === null || path === '') return [];
+  return String(path).split('.');
+}
+
+/**
+ * Read a value from a config component: a ConfigSystem or a plain object
+ * @param {ConfigSystem|object} config - Config component
+ * @param {string|Array<string>} path - Dotted key path
+ * @param {*} [fallback] - Returned when the path is not set
+ * @returns {*}
+ */
+export function getConfigValue(config, path, fallback) {
+  if (config && typeof config.get === 'function') {
+    return config.get(path, fallback);
+  }
+
+  let current = config;
+  for (const key of toPath(path)) {
+    if (current === null || typeof current !== 'object' || !(key in current)) {
+      return fallback;
+    }
+    current = current[key];
+  }
+  return current === undefined ? fallback : current;
+}
+
+/**
+ * Configuration system.
+ * Merges, in increasing precedence: defaults, `default` and `<environment>`
+ * files from the config directory, explicit files, the .env file and
+ * environment variables; then resolves `secret://` references and
+ * validates the result against the schema.
+ * reload() re-reads the sources and announces changed key paths as
+ * `config:changed`, locally and through the EventBusSystem.
+ * @extends EventEmitter
+ */
+export class ConfigSystem extends EventEmitter {
+  // The event bus depends on config, so it is only resolved when a change is announced
+  static dependencies = [
+    { name: 'errorSystem', optional: true },
+    { name: 'eventBusSystem', optional: true, lazy: true },
+    { name: 'logger', optional: true }
+  ];
+  static version = '1.0.0';
+
+  /**
+   * @param {object} [deps={}] - Dependencies
+   * @param {object} [options={}] - Configuration sources
+   * @param {object} [options.defaults={}] - Default values
+   * @param {object} [options.schema] - Schema to validate against (see schema.js)
+   * @param {string} [options.directory] - Directory with default.{json,yaml,yml} and <environment>.{json,yaml,yml}
+   * @param {Array<string>} [options.files=[]] - Additional files, each required to exist
+   * @param {string} [options.environment] - Environment name, defaults to NODE_ENV or development
+   * @param {string|false} [options.envFile='.env'] - .env file, false to skip
+   * @param {string} [options.envPrefix='TSMIS_'] - Prefix of environment variables to map
+   * @param {Object<string, string>} [options.envMap={}] - Environment variable to key path mapping
+   * @param {Object<string, string>} [options.env=process.env] - Environment variables
+   * @param {string} [options.cwd=process.cwd()] - Base for relative paths
+   * @param {boolean} [options.watch=false] - Reload when a source file changes
+   * @param {number} [options.watchDebounce=100] - Milliseconds to wait for further file changes before reloading
+   * @param {object} [options.secrets] - Secret resolution (see secrets.js)
+   * @param {Object<string, object>} [options.secrets.providers] - Providers by name, added to the `env` provider
+   * @param {string} [options.secrets.defaultProvider='env'] - Provider for references without one
+   */
+  constructor(deps = {}, options = {}) {
+    super();
+    this.deps = deps;
+    this.logger = childLogger(deps.logger, { component: 'ConfigSystem' }, console);
+    this.options = {
+      defaults: {},
+      files: [],
+      envFile: '.env',
+      envPrefix: 'TSMIS_',
+      envMap: {},
+      env: process.env,
+      cwd: process.cwd(),
+      watch: false,
+      watchDebounce: 100,
+      ...options
+    };
+    this.environment = this.options.environment ||
+      this.options.env.NODE_ENV ||
+      'development';
+    this.values = deepMerge(this.options.defaults);
+    this.sources = [];
+    this.secretProviders = {
+      env: createEnvSecretProvider({ env: this.options.env }),
+      ...this.options.secrets?.providers
+    };
+    this.defaultSecretProvider = this.options.secrets?.defaultProvider || 'env';
+    this.secretReferences = [];
+    this.watchers = [];
+    this.reloadTimer = null;
+    this.reloading = Promise.resolve();
+    this.initialized = false;
+
+    this.state = {
+      status: 'created',
+      startTime: null,
+      errors: [],
+      metrics: new Map(),
+      healthChecks: new Map()
+    };
+
+    this.setupDefaultHealthChecks();
+  }
+
+  /**
+   * Set up default health checks
+   * @private
+   */
+  setupDefaultHealthChecks() {
+    this.registerHealthCheck('state', async () => {
+      return {
+        status: this.initialized ? 'healthy' : 'unhealthy',
+        uptime: this.state.startTime ? Date.now() - this.state.startTime : 0,
+        errorCount: this.state.errors.length
+      };
+    });
+
+    this.registerHealthCheck('sources', async () => {
+      return {
+        status: this.sources.length > 0 ? 'healthy' : 'unhealthy',
+        environment: this.environment,
+        sources: this.sources.map(source => source.path || source.type),
+        watching: this.watchers.length > 0
+      };
+    });
+
+    this.registerHealthCheck('secrets', async () => {
+      let status = 'healthy';
+      const providers = {};
+
+      for (const [name, provider] of Object.entries(this.secretProviders)) {
+        try {
+          providers[name] = typeof provider.checkHealth === 'function'
+            ? await provider.checkHealth()
+            : { status: 'healthy' };
+        } catch (error) {
+          providers[name] = { status: 'error', error: error.message };
+        }
+        if (providers[name].status !== 'healthy') {
+          status = 'unhealthy';
+        }
+      }
+
+      return {
+        status,
+        references: this.secretReferences.length,
+        providers
+      };
+    });
+  }
+
+  /**
+   * Register a health check function
+   * @param {string} name - Health check name
+   * @param {Function} checkFn - Health check function
+   */
+  registerHealthCheck(name, checkFn) {
+    if (typeof checkFn !== 'function') {
+      throw new ConfigError(
+        'INVALID_HEALTH_CHECK',
+        `Health check ${name} must be a function`,
+        { checkName: name }
+      );
+    }
+    this.state.healthChecks.set(name, checkFn);
+  }
+
+  /**
+   * Perform health checks
+   * @returns {Promise<Object>} Health check results
+   */
+  async checkHealth() {
+    const results = {};
+    let overallStatus = 'healthy';
+
+    for (const [name, checkFn] of this.state.healthChecks) {
+      try {
+        results[name] = await checkFn();
+        if (results[name].status !== 'healthy') {
+          overallStatus = 'unhealthy';
+        }
+      } catch (error) {
+        results[name] = {
+          status: 'error',
+          error: error.message
+        };
+        overallStatus = 'unhealthy';
+      }
+    }
+
+    return redact({
+      name: 'ConfigSystem',
+      version: ConfigSystem.version,
+      status: overallStatus,
+      timestamp: new Date().toISOString(),
+      checks: results
+    });
+  }
+
+  /**
+   * Record a metric
+   * @param {string} name - Metric name
+   * @param {*} value - Metric value
+   * @param {Object} tags - Metric tags
+   */
+  recordMetric(name, value, tags = {}) {
+    this.state.metrics.set(name, {
+      value,
+      timestamp: Date.now(),
+      tags
+    });
+  }
+
+  /**
+   * Get all recorded metrics
+   * @returns {Object} All metrics
+   */
+  getMetrics() {
+    const metrics = {};
+    for (const [name, data] of this.state.metrics) {
+      metrics[name] = data;
+    }
+    return metrics;
+  }
+
+  /**
+   * Get system status
+   * @returns {Object} System status
+   */
+  getStatus() {
+    return {
+      name: 'ConfigSystem',
+      version: ConfigSystem.version,
+      status: this.state.status,
+      environment: this.environment,
+      uptime: this.state.startTime ? Date.now() - this.state.startTime : 0,
+      initialized: this.initialized,
+      errorCount: this.state.errors.length,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Handle errors, forwarding them to the error system when available
+   * @private
+   */
+  async handleError(error, context = {}) {
+    this.state.errors.push({
+      timestamp: new Date().toISOString(),
+      error: redact(error.message),
+      context: redact(context)
+    });
+
+    if (this.state.errors.length > 100) {
+      this.state.errors.shift();
+    }
+
+    if (this.deps.errorSystem) {
+      try {
+        await this.deps.errorSystem.handleError(error, {
+          source: 'ConfigSystem',
+          ...context
+        });
+      } catch (handlerError) {
+        this.logger.error('Error in error handling:', handlerError);
+      }
+    }
+  }
+
+  /**
+   * Resolve a path against options.cwd
+   * @private
+   */
+  resolvePath(path) {
+    return resolve(this.options.cwd, path);
+  }
+
+  /**
+   * Read the configuration files of the config directory
+   * @private
+   * @returns {Promise<Array<{path: string, values: object}>>}
+   */
+  async readDirectoryFiles() {
+    const layers = [];
+    if (!this.options.directory) return layers;
+
+    const directory = this.resolvePath(this.options.directory);
+
+    for (const base of ['default', this.environment]) {
+      for (const extension of FILE_EXTENSIONS) {
+        const path = join(directory, `${base}${extension}`);
+        if (await fileExists(path)) {
+          layers.push({ path, values: await loadConfigFile(path) });
+        }
+      }
+    }
+
+    return layers;
+  }
+
+  /**
+   * Read the .env file, if any
+   * @private
+   * @returns {Promise<Object<string, string>|null>}
+   */
+  async readEnvFile() {
+    if (!this.options.envFile) return null;
+
+    const path = this.resolvePath(this.options.envFile);
+    if (!await fileExists(path)) return null;
+
+    return { path, values: parseEnvFile(await readFile(path, 'utf8')) };
+  }
+
+  /**
+   * Read and merge all sources, resolve secrets and validate the result
+   * @private
+   * @returns {Promise<{values: object, sources: Array<object>, references: Array<object>}>}
+   */
+  async readSources() {
+    const sources = [{ type: 'defaults' }];
+    const layers = [this.options.defaults];
+
+    for (const layer of await this.readDirectoryFiles()) {
+      sources.push({ type: 'file', path: layer.path });
+      layers.push(layer.values);
+    }
+
+    for (const file of this.options.files) {
+      const path = this.resolvePath(file);
+      if (!await fileExists(path)) {
+        throw new ConfigError(
+          'MISSING_CONFIG_FILE',
+          `Configuration file ${path} does not exist`,
+          { path }
+        );
+      }
+      sources.push({ type: 'file', path });
+      layers.push(await loadConfigFile(path));
+    }
+
+    // Like dotenv, variables already set in the environment win over .env
+    const envFile = await this.readEnvFile();
+    const env = { ...envFile?.values, ...this.options.env };
+    if (envFile) {
+      sources.push({ type: 'envFile', path: envFile.path });
+    }
+    sources.push({ type: 'env' });
+    layers.push(mapEnvironment(env, {
+      prefix: this.options.envPrefix,
+      envMap: this.options.envMap
+    }));
+
+    let { values, references } = await resolveSecrets(deepMerge(...layers), {
+      providers: this.secretProviders,
+      defaultProvider: this.defaultSecretProvider
+    });
+    if (this.options.schema) {
+      values = assertSchema(values, this.options.schema);
+    }
+
+    return { values, sources, references };
+  }
+
+  /**
+   * Load configuration from all sources.
+   * The current values are kept when loading fails.
+   * @returns {Promise<object>} Loaded configuration
+   * @throws {ConfigError} VALIDATION_FAILED with details.validationErrors, or a source error
+   */
+  async load() {
+    try {
+      const { values, sources, references } = await this.readSources();
+      this.values = values;
+      this.sources = sources;
+      this.secretReferences = references;
+
+      this.recordMetric('config.loaded', 1, {
+        environment: this.environment,
+        sources: sources.length
+      });
+      this.emit('config:loaded', {
+        environment: this.environment,
+        sources,
+        timestamp: new Date().toISOString()
+      });
+
+      return this.values;
+    } catch (error) {
+      this.recordMetric('config.load.failed', 1, {
+        errorMessage: error.message
+      });
+      await this.handleError(error, { method: 'load' });
+
+      if (error instanceof ConfigError) {
+        throw error;
+      }
+      throw new ConfigError(
+        'LOAD_FAILED',
+        'Failed to load configuration',
+        { originalError: error.message },
+        { cause: error }
+      );
+    }
+  }
+
+  /**
+   * Reload configuration and announce what changed.
+   * Emits `config:changed` with the changed key paths, locally and through
+   * the EventBusSystem, when any value changed. Reloads run one at a time.
+   * @returns {Promise<{changes: Array<string>}>} Changed key paths
+   * @throws {ConfigError} When loading fails; the current values are kept
+   */
+  async reload() {
+    const reload = this.reloading.then(() => this.reloadSources());
+    this.reloading = reload.catch(() => {});
+    return reload;
+  }
+
+  /**
+   * Load, diff and announce changes
+   * @private
+   */
+  async reloadSources() {
+    const previous = this.values;
+    await this.load();
+
+    const changes = diffConfig(previous, this.values);
+    this.recordMetric('config.reloaded', 1, { changes: changes.length });
+
+    if (changes.length > 0) {
+      await this.announceChanges(changes);
+    }
+
+    return { changes };
+  }
+
+  /**
+   * Emit `config:changed` locally and through the event bus
+   * @private
+   */
+  async announceChanges(changes) {
+    const data = {
+      changes,
+      environment: this.environment,
+      timestamp: new Date().toISOString()
+    };
+
+    this.emit('config:changed', data);
+
+    try {
+      const eventBusSystem = await this.resolveEventBusSystem();
+      await eventBusSystem?.getEventBus()?.emit('config:changed', data);
+    } catch (error) {
+      await this.handleError(error, { method: 'announceChanges', changes });
+    }
+  }
+
+  /**
+   * Get the EventBusSystem, resolving the lazy dependency
+   * @private
+   */
+  async resolveEventBusSystem() {
+    const eventBusSystem = this.deps.eventBusSystem;
+    return typeof eventBusSystem === 'function' ? eventBusSystem() : eventBusSystem;
+  }
+
+  /**
+   * The directories to watch and, for each, the file names that are sources
+   * @private
+   * @returns {Map<string, Set<string>>}
+   */
+  getWatchTargets() {
+    const targets = new Map();
+    const add = (path) => {
+      const directory = dirname(path);
+      if (!targets.has(directory)) targets.set(directory, new Set());
+      targets.get(directory).add(basename(path));
+    };
+
+    // Directories rather than files, so files created or replaced by editors are seen
+    if (this.options.directory) {
+      const directory = this.resolvePath(this.options.directory);
+      for (const base of ['default', this.environment]) {
+        for (const extension of FILE_EXTENSIONS) {
+          add(join(directory, `${base}${extension}`));
+        }
+      }
+    }
+    for (const file of this.options.files) {
+      add(this.resolvePath(file));
+    }
+    if (this.options.envFile) {
+      add(this.resolvePath(this.options.envFile));
+    }
+
+    return targets;
+  }
+
+  /**
+   * Watch the source files and reload when they change
+   * @private
+   */
+  async startWatching() {
+    for (const [directory, names] of this.getWatchTargets()) {
+      if (!await fileExists(directory)) continue;
+
+      const watcher = watch(directory, (eventType, filename) => {
+        if (!filename || names.has(String(filename))) {
+          this.scheduleReload();
+        }
+      });
+      watcher.on('error', (error) => {
+        this.handleError(error, { method: 'watch', directory });
+      });
+      this.watchers.push(watcher);
+    }
+  }
+
+  /**
+   * Reload after file changes settle
+   * @private
+   */
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      // Failures are already recorded and forwarded by load()
+      this.reload().catch(() => {});
+    }, this.options.watchDebounce);
+  }
+
+  /**
+   * Stop watching source files
+   * @private
+   */
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+
+  /**
+   * Get a configuration value
+   * @param {string|Array<string>} [path] - Dotted key path, omit for all values
+   * @param {*} [fallback] - Returned when the path is not set
+   * @returns {*}
+   */
+  get(path, fallback) {
+    return getConfigValue(this.values, path, fallback);
+  }
+
+  /**
+   * Check whether a configuration value is set
+   * @param {string|Array<string>} path - Dotted key path
+   * @returns {boolean}
+   */
+  has(path) {
+    const missing = Symbol('missing');
+    return getConfigValue(this.values, path, missing) !== missing;
+  }
+
+  /**
+   * Get a copy of all configuration values
+   * @returns {object}
+   */
+  getAll() {
+    return structuredClone(this.values);
+  }
+
+  /**
+   * Get the sources the configuration was loaded from
+   * @returns {Array<{type: string, path?: string}>}
+   */
+  getSources() {
+    return this.sources.map(source => ({ ...source }));
+  }
+
+  /**
+   * Get the secret references resolved by the last load, without their values
+   * @returns {Array<{path: string, provider: string, name: string}>}
+   */
+  getSecretReferences() {
+    return this.secretReferences.map(reference => ({ ...reference }));
+  }
+
+  /**
+   * Initialize the config system by loading all sources
+   * @returns {Promise<ConfigSystem>}
+   */
+  async initialize() {
+    if (this.initialized) {
+      throw new ConfigError(
+        'ALREADY_INITIALIZED',
+        'ConfigSystem is already initialized'
+      );
+    }
+
+    this.state.status = 'initializing';
+    this.state.startTime = Date.now();
+
+    try {
+      await this.load();
+      if (this.options.watch) {
+        await this.startWatching();
+      }
+    } catch (error) {
+      this.stopWatching();
+      this.state.status = 'error';
+      throw error;
+    }
+
+    this.initialized = true;
+    this.state.status = 'running';
+    this.emit('system:initialized', {
+      timestamp: new Date().toISOString()
+    });
+
+    return this;
+  }
+
+  /**
+   * Shut down the config system
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    if (!this.initialized) return;
+
+    this.stopWatching();
+    await this.reloading;
+    this.initialized = false;
+    this.state.status = 'shutdown';
+    this.emit('system:shutdown', {
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Factory function for container
+ * @param {Object} [deps={}] - Dependencies
+ * @param {Object} [options={}] - Configuration sources (see ConfigSystem)
+ * @returns {ConfigSystem}
+ */
+export function createConfigSystem(deps = {}, options = {}) {
+  return new ConfigSystem(deps, options);
+}
+
+export default {
+  ConfigSystem,
+  createConfigSystem,
+  getConfigValue
+};
@@ -0,0 +1,113 @@
+// src/core/config/redaction.js
+
+/**
+ * Redaction of resolved secret values.
+ * The ConfigSystem registers every secret it resolves; serializers
+ * (CoreError.toJSON, health checks, error state) pass their output
+ * through redact() so the values never leave the process.
+ *
+ * Kept free of Node.js imports: CoreError runs in the browser too.
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Shorter secrets are only redacted where they are a whole value,
+// so a secret such as "1" does not mangle every number in the output
+const MIN_SUBSTRING_LENGTH = 4;
+
+const secrets = new Set();
+
+/**
+ * Register a secret value for redaction
+ * @param {string} value - Resolved secret
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length > 0) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Forget all registered secrets
+ */
+export function clearSecrets() {
+  secrets.clear();
+}
+
+/**
+ * Whether a value is a registered secret
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isSecret(value) {
+  return secrets.has(value);
+}
+
+/**
+ * Replace registered secrets in a string
+ * @private
+ */
+function redactString(value) {
+  if (secrets.has(value)) return REDACTED;
+
+  let result = value;
+  // Longest first, so a secret containing another is replaced whole
+  const candidates = [...secrets]
+    .filter(secret => secret.length >= MIN_SUBSTRING_LENGTH)
+    .sort((a, b) => b.length - a.length);
+  for (const secret of candidates) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+  return result;
+}
+
+/**
+ * Copy a value with registered secrets replaced by [REDACTED].
+ * Strings, arrays and plain objects are redacted; other objects
+ * (errors, dates, class instances) are returned unchanged. Values are
+ * returned as they are while no secret is registered.
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted copy
+ */
+export function redact(value) {
+  if (secrets.size === 0) return value;
+
+  const seen = new WeakMap();
+
+  const visit = (current) => {
+    if (typeof current === 'string') return redactString(current);
+    if (current === null || typeof current !== 'object') return current;
+    if (seen.has(current)) return seen.get(current);
+
+    if (Array.isArray(current)) {
+      const copy = [];
+      seen.set(current, copy);
+      for (const item of current) copy.push(visit(item));
+      return copy;
+    }
+
+    const prototype = Object.getPrototypeOf(current);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return current;
+    }
+
+    const copy = {};
+    seen.set(current, copy);
+    for (const [key, item] of Object.entries(current)) {
+      copy[key] = visit(item);
+    }
+    return copy;
+  };
+
+  return visit(value);
+}
+
+export default {
+  REDACTED,
+  registerSecret,
+  clearSecrets,
+  isSecret,
+  redact
+};
@@ -0,0 +1,222 @@
+// src/core/config/schema.js
+
+import { ConfigError } from '../errors/index.js';
+import { isPlainObject } from './sources.js';
+
+/**
+ * Configuration schema validation.
+ * Supports a JSON-schema subset: type (or a list of types), enum,
+ * required, properties, additionalProperties: false, items, default,
+ * minimum, maximum, minLength, maxLength and pattern.
+ *
+ * String values are coerced to the declared type, so environment
+ * variables can configure numbers, booleans, arrays and objects.
+ */
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Convert a string to a declared type, or return it unchanged
+ * @private
+ */
+function coerce(value, types) {
+  if (typeof value !== 'string' || types.includes('string')) {
+    return value;
+  }
+
+  for (const type of types) {
+    switch (type) {
+      case 'number':
+      case 'integer': {
+        const number = value.trim() === '' ? NaN : Number(value);
+        if (matchesType(number, type)) return number;
+        break;
+      }
+      case 'boolean':
+        if (['true', '1', 'yes', 'on'].includes(value.toLowerCase())) return true;
+        if (['false', '0', 'no', 'off'].includes(value.toLowerCase())) return false;
+        break;
+      case 'array':
+      case 'object':
+        try {
+          const parsed = JSON.parse(value);
+          if (matchesType(parsed, type)) return parsed;
+        } catch {
+          // Not JSON, left for the type check to report
+        }
+        break;
+      case 'null':
+        if (value === '' || value === 'null') return null;
+        break;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Default value for a missing field: its own default, or an object of
+ * its properties' defaults when it has any
+ * @private
+ */
+function collectDefaults(rules) {
+  if (rules.default !== undefined) {
+    return structuredClone(rules.default);
+  }
+  if (!rules.properties) {
+    return undefined;
+  }
+
+  const defaults = {};
+  for (const [key, propertyRules] of Object.entries(rules.properties)) {
+    const value = collectDefaults(propertyRules);
+    if (value !== undefined) {
+      defaults[key] = value;
+    }
+  }
+  return Object.keys(defaults).length > 0 ? defaults : undefined;
+}
+
+/**
+ * Validate configuration against a schema
+ * @param {*} value - Configuration to validate
+ * @param {object} schema - Schema
+ * @returns {{value: *, errors: Array<{field: string, message: string}>}}
+ *   The value with defaults applied and strings coerced, and the errors found
+ */
+export function validateSchema(value, schema = {}) {
+  const errors = [];
+
+  const visit = (current, rules, path) => {
+    const field = path.join('.');
+    const label = field || 'configuration';
+
+    if (current === undefined) {
+      current = collectDefaults(rules);
+    }
+    if (current === undefined) {
+      return current;
+    }
+
+    const types = rules.type === undefined
+      ? []
+      : (Array.isArray(rules.type) ? rules.type : [rules.type]);
+
+    if (types.length > 0) {
+      current = coerce(current, types);
+      if (!types.some(type => matchesType(current, type))) {
+        errors.push({ field, message: `${label} must be of type ${types.join(' or ')}` });
+        return current;
+      }
+    }
+
+    if (Array.isArray(rules.enum) && !rules.enum.includes(current)) {
+      errors.push({ field, message: `${label} must be one of: ${rules.enum.join(', ')}` });
+    }
+
+    if (typeof current === 'number') {
+      if (rules.minimum !== undefined && current < rules.minimum) {
+        errors.push({ field, message: `${label} must be at least ${rules.minimum}` });
+      }
+      if (rules.maximum !== undefined && current > rules.maximum) {
+        errors.push({ field, message: `${label} must be at most ${rules.maximum}` });
+      }
+    }
+
+    if (typeof current === 'string') {
+      if (rules.minLength !== undefined && current.length < rules.minLength) {
+        errors.push({ field, message: `${label} must be at least ${rules.minLength} characters` });
+      }
+      if (rules.maxLength !== undefined && current.length > rules.maxLength) {
+        errors.push({ field, message: `${label} must be at most ${rules.maxLength} characters` });
+      }
+      if (rules.pattern && !new RegExp(rules.pattern).test(current)) {
+        errors.push({ field, message: `${label} must match pattern ${rules.pattern}` });
+      }
+    }
+
+    if (isPlainObject(current) && (rules.properties || rules.required || rules.additionalProperties === false)) {
+      const result = { ...current };
+      const properties = rules.properties || {};
+      const required = rules.required || [];
+
+      for (const [key, propertyRules] of Object.entries(properties)) {
+        // A missing required object is reported, not built from nested defaults
+        if (result[key] === undefined && required.includes(key) && propertyRules.default === undefined) {
+          continue;
+        }
+        const propertyValue = visit(result[key], propertyRules, [...path, key]);
+        if (propertyValue !== undefined) {
+          result[key] = propertyValue;
+        }
+      }
+
+      for (const key of required) {
+        if (result[key] === undefined) {
+          const requiredField = [...path, key].join('.');
+          errors.push({ field: requiredField, message: `${requiredField} is required` });
+        }
+      }
+
+      if (rules.additionalProperties === false) {
+        for (const key of Object.keys(result)) {
+          if (!(key in properties)) {
+            const extraField = [...path, key].join('.');
+            errors.push({ field: extraField, message: `${extraField} is not allowed` });
+          }
+        }
+      }
+
+      current = result;
+    }
+
+    if (Array.isArray(current) && rules.items) {
+      current = current.map((item, index) => visit(item, rules.items, [...path, String(index)]));
+    }
+
+    return current;
+  };
+
+  return { value: visit(value, schema, []), errors };
+}
+
+/**
+ * Validate configuration and throw on errors
+ * @param {*} value - Configuration to validate
+ * @param {object} schema - Schema
+ * @returns {*} The value with defaults applied and strings coerced
+ * @throws {ConfigError} VALIDATION_FAILED with details.validationErrors
+ */
+export function assertSchema(value, schema) {
+  const result = validateSchema(value, schema);
+
+  if (result.errors.length > 0) {
+    throw new ConfigError(
+      'VALIDATION_FAILED',
+      `Invalid configuration: ${result.errors.map(error => error.message).join('; ')}`,
+      { validationErrors: result.errors }
+    );
+  }
+
+  return result.value;
+}
+
+export default {
+  validateSchema,
+  assertSchema
+};
@@ -0,0 +1,315 @@
+// src/core/config/secrets.js
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { readFile, stat, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { ConfigError } from '../errors/index.js';
+import { isPlainObject } from './sources.js';
+import { registerSecret } from './redaction.js';
+
+/**
+ * Secret references and providers.
+ * A configuration value `secret://<name>` is replaced by the secret from
+ * the default provider; `secret://<provider>/<name>` picks a provider.
+ * A provider is an object with `async get(name)` returning the secret,
+ * or undefined when it has none, and optionally `async checkHealth()`.
+ */
+
+export const SECRET_PREFIX = 'secret://';
+
+const VAULT_VERSION = 1;
+const VAULT_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Whether a value references a secret
+ * @param {*} value - Configuration value
+ * @returns {boolean}
+ */
+export function isSecretReference(value) {
+  return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
+
+/**
+ * Split a reference into provider and secret name
+ * @param {string} reference - `secret://[provider/]name`
+ * @param {Object<string, object>} providers - Providers by name
+ * @param {string} defaultProvider - Provider for references without one
+ * @returns {{provider: string, name: string}}
+ */
+export function parseSecretReference(reference, providers, defaultProvider) {
+  const path = reference.slice(SECRET_PREFIX.length);
+  const separator = path.indexOf('/');
+
+  if (separator > 0 && providers[path.slice(0, separator)]) {
+    return { provider: path.slice(0, separator), name: path.slice(separator + 1) };
+  }
+  return { provider: defaultProvider, name: path };
+}
+
+/**
+ * Replace secret references in configuration values.
+ * Resolved secrets are registered for redaction.
+ * @param {*} values - Configuration values
+ * @param {object} options
+ * @param {Object<string, object>} options.providers - Providers by name
+ * @param {string} options.defaultProvider - Provider for references without one
+ * @returns {Promise<{values: *, references: Array<{path: string, provider: string, name: string}>}>}
+ * @throws {ConfigError} UNKNOWN_SECRET_PROVIDER, SECRET_NOT_FOUND or SECRET_PROVIDER_FAILED
+ */
+export async function resolveSecrets(values, { providers, defaultProvider }) {
+  const references = [];
+
+  const visit = async (current, path) => {
+    if (isSecretReference(current)) {
+      const field = path.join('.');
+      const reference = parseSecretReference(current, providers, defaultProvider);
+      const provider = providers[reference.provider];
+
+      if (!provider) {
+        throw new ConfigError(
+          'UNKNOWN_SECRET_PROVIDER',
+          `No secret provider ${reference.provider} for ${field}`,
+          { field, provider: reference.provider }
+        );
+      }
+
+      let secret;
+      try {
+        secret = await provider.get(reference.name);
+      } catch (error) {
+        throw new ConfigError(
+          'SECRET_PROVIDER_FAILED',
+          `Secret provider ${reference.provider} failed to read ${reference.name}`,
+          { field, ...reference },
+          { cause: error }
+        );
+      }
+
+      if (secret === undefined || secret === null) {
+        throw new ConfigError(
+          'SECRET_NOT_FOUND',
+          `Secret ${reference.name} for ${field} not found in provider ${reference.provider}`,
+          { field, ...reference }
+        );
+      }
+
+      registerSecret(String(secret));
+      references.push({ path: field, ...reference });
+      return String(secret);
+    }
+
+    if (Array.isArray(current)) {
+      return Promise.all(current.map((item, index) => visit(item, [...path, String(index)])));
+    }
+
+    if (isPlainObject(current)) {
+      const result = {};
+      for (const [key, item] of Object.entries(current)) {
+        result[key] = await visit(item, [...path, key]);
+      }
+      return result;
+    }
+
+    return current;
+  };
+
+  return { values: await visit(values, []), references };
+}
+
+/**
+ * Provider reading secrets from environment variables
+ * @param {object} [options={}]
+ * @param {Object<string, string>} [options.env=process.env] - Environment variables
+ * @param {string} [options.prefix=''] - Prefix added to secret names
+ * @returns {object} Secret provider
+ */
+export function createEnvSecretProvider({ env = process.env, prefix = '' } = {}) {
+  return {
+    name: 'env',
+    async get(name) {
+      return env[`${prefix}${name}`];
+    }
+  };
+}
+
+/**
+ * Provider reading one secret per file, as mounted by Docker or Kubernetes.
+ * A trailing newline is removed.
+ * @param {object} options
+ * @param {string} options.directory - Directory holding one file per secret
+ * @returns {object} Secret provider
+ */
+export function createFileSecretProvider({ directory }) {
+  return {
+    name: 'file',
+    async get(name) {
+      if (!/^[\w.-]+$/.test(name) || name === '.' || name === '..') {
+        throw new ConfigError(
+          'INVALID_SECRET_NAME',
+          `Invalid secret file name: ${name}`,
+          { name }
+        );
+      }
+
+      try {
+        const content = await readFile(join(directory, name), 'utf8');
+        return content.replace(/\r?\n$/, '');
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+    },
+    async checkHealth() {
+      try {
+        const stats = await stat(directory);
+        return { status: stats.isDirectory() ? 'healthy' : 'unhealthy' };
+      } catch (error) {
+        return { status: 'unhealthy', error: error.message };
+      }
+    }
+  };
+}
+
+/**
+ * Derive the vault key from a passphrase
+ * @private
+ */
+function deriveVaultKey(passphrase, salt) {
+  return scryptSync(String(passphrase), salt, 32);
+}
+
+/**
+ * Encrypt secrets into a vault document
+ * @param {Object<string, string>} secrets - Secrets by name
+ * @param {string} passphrase - Vault passphrase
+ * @returns {object} Vault document, to be stored as JSON
+ */
+export function encryptVault(secrets, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(VAULT_ALGORITHM, deriveVaultKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  return {
+    version: VAULT_VERSION,
+    algorithm: VAULT_ALGORITHM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a vault document
+ * @param {object} vault - Vault document
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Object<string, string>} Secrets by name
+ * @throws {ConfigError} INVALID_VAULT or VAULT_DECRYPTION_FAILED
+ */
+export function decryptVault(vault, passphrase) {
+  if (!isPlainObject(vault) || vault.version !== VAULT_VERSION || vault.algorithm !== VAULT_ALGORITHM) {
+    throw new ConfigError(
+      'INVALID_VAULT',
+      `Unsupported vault format, expected version ${VAULT_VERSION} with ${VAULT_ALGORITHM}`
+    );
+  }
+
+  try {
+    const salt = Buffer.from(vault.salt, 'base64');
+    const decipher = createDecipheriv(
+      VAULT_ALGORITHM,
+      deriveVaultKey(passphrase, salt),
+      Buffer.from(vault.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+    const data = Buffer.concat([
+      decipher.update(Buffer.from(vault.data, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    // Deliberately vague: the cause could reveal whether the passphrase was close
+    throw new ConfigError(
+      'VAULT_DECRYPTION_FAILED',
+      'Failed to decrypt the vault: wrong passphrase or corrupted file'
+    );
+  }
+}
+
+/**
+ * Write secrets to an encrypted vault file
+ * @param {string} path - Vault file
+ * @param {Object<string, string>} secrets - Secrets by name
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<void>}
+ */
+export async function writeVaultFile(path, secrets, passphrase) {
+  await writeFile(path, JSON.stringify(encryptVault(secrets, passphrase), null, 2), {
+    mode: 0o600
+  });
+}
+
+/**
+ * Provider reading secrets from a local vault file encrypted with
+ * AES-256-GCM under a passphrase. The file is decrypted again when it
+ * changes, so configuration reloads pick up new secrets.
+ * @param {object} options
+ * @param {string} options.path - Vault file
+ * @param {string} options.passphrase - Vault passphrase
+ * @returns {object} Secret provider
+ */
+export function createVaultSecretProvider({ path, passphrase }) {
+  let cache = null;
+
+  const load = async () => {
+    if (!passphrase) {
+      throw new ConfigError(
+        'MISSING_VAULT_PASSPHRASE',
+        `No passphrase configured for vault ${path}`,
+        { path }
+      );
+    }
+
+    const { mtimeMs } = await stat(path);
+    if (!cache || cache.mtimeMs !== mtimeMs) {
+      let vault;
+      try {
+        vault = JSON.parse(await readFile(path, 'utf8'));
+      } catch (error) {
+        throw new ConfigError('INVALID_VAULT', `Vault ${path} is not valid JSON`, { path });
+      }
+      cache = { mtimeMs, secrets: decryptVault(vault, passphrase) };
+    }
+    return cache.secrets;
+  };
+
+  return {
+    name: 'vault',
+    async get(name) {
+      const secrets = await load();
+      return Object.hasOwn(secrets, name) ? secrets[name] : undefined;
+    },
+    async checkHealth() {
+      try {
+        const secrets = await load();
+        return { status: 'healthy', secretCount: Object.keys(secrets).length };
+      } catch (error) {
+        return { status: 'unhealthy', error: error.message };
+      }
+    }
+  };
+}
+
+export default {
+  SECRET_PREFIX,
+  isSecretReference,
+  parseSecretReference,
+  resolveSecrets,
+  createEnvSecretProvider,
+  createFileSecretProvider,
+  createVaultSecretProvider,
+  encryptVault,
+  decryptVault,
+  writeVaultFile
+};
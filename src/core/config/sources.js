@@ -0,0 +1,258 @@
+// src/core/config/sources.js
+
+import { readFile, access } from 'fs/promises';
+import { extname } from 'path';
+import { parse } from 'yaml';
+import { ConfigError } from '../errors/index.js';
+
+/**
+ * Configuration sources: file parsers, .env parsing and environment mapping.
+ * YAML files are parsed with the yaml package.
+ */
+
+export const FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Check whether a file exists
+ * @param {string} path - File path
+ * @returns {Promise<boolean>}
+ */
+export async function fileExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge configuration layers. Objects are merged, everything else
+ * (including arrays) is replaced by the later layer.
+ * @param {...object} layers - Layers, lowest precedence first
+ * @returns {object} New merged object
+ */
+export function deepMerge(...layers) {
+  const result = {};
+
+  for (const layer of layers) {
+    if (!isPlainObject(layer)) continue;
+
+    for (const [key, value] of Object.entries(layer)) {
+      if (value === undefined) continue;
+      result[key] = isPlainObject(value) && isPlainObject(result[key])
+        ? deepMerge(result[key], value)
+        : cloneValue(value);
+    }
+  }
+
+  return result;
+}
+
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) return deepMerge(value);
+  return value;
+}
+
+/**
+ * List the key paths whose values differ between two configurations.
+ * Objects are compared key by key; a key missing on one side counts as
+ * an empty object when the other side is an object, so added and removed
+ * sections report their leaf paths. Other values, arrays included, are
+ * compared as a whole.
+ * @param {*} previous - Previous configuration
+ * @param {*} next - New configuration
+ * @param {Array<string>} [path=[]] - Key path of the compared values
+ * @returns {Array<string>} Dotted key paths of changed values
+ */
+export function diffConfig(previous, next, path = []) {
+  if (isPlainObject(previous) || isPlainObject(next)) {
+    if ((previous !== undefined && !isPlainObject(previous)) ||
+        (next !== undefined && !isPlainObject(next))) {
+      return [path.join('.')];
+    }
+
+    const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+    return [...keys].flatMap(key =>
+      diffConfig(previous?.[key], next?.[key], [...path, key])
+    );
+  }
+
+  if (Array.isArray(previous) && Array.isArray(next)) {
+    return JSON.stringify(previous) === JSON.stringify(next) ? [] : [path.join('.')];
+  }
+
+  return Object.is(previous, next) ? [] : [path.join('.')];
+}
+
+/**
+ * Load a JSON or YAML configuration file
+ * @param {string} path - File path
+ * @returns {Promise<object>} Parsed configuration
+ * @throws {ConfigError} PARSE_FAILED or INVALID_CONFIG_FILE
+ */
+export async function loadConfigFile(path) {
+  const extension = extname(path).toLowerCase();
+
+  if (!FILE_EXTENSIONS.includes(extension)) {
+    throw new ConfigError(
+      'INVALID_CONFIG_FILE',
+      `Unsupported configuration file type: ${path}`,
+      { path, supported: FILE_EXTENSIONS }
+    );
+  }
+
+  const content = await readFile(path, 'utf8');
+  let parsed;
+
+  try {
+    parsed = extension === '.json' ? JSON.parse(content) : parseYaml(content);
+  } catch (error) {
+    throw new ConfigError(
+      'PARSE_FAILED',
+      `Failed to parse configuration file ${path}: ${error.message}`,
+      { path },
+      { cause: error }
+    );
+  }
+
+  // An empty YAML document is an empty configuration
+  if (parsed === null) return {};
+
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(
+      'INVALID_CONFIG_FILE',
+      `Configuration file ${path} must contain an object`,
+      { path }
+    );
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse a .env file. Supports comments, `export` prefixes, single and
+ * double quotes (with \n escapes in double quotes) and inline comments.
+ * @param {string} content - File content
+ * @returns {Object<string, string>}
+ */
+export function parseEnvFile(content) {
+  const values = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    const [, key, rawValue] = match;
+    let value = rawValue.trim();
+
+    if (value.startsWith('"') && value.lastIndexOf('"') > 0) {
+      value = value
+        .slice(1, value.lastIndexOf('"'))
+        .replace(/\\n/g, '\n')
+        .replace(/\\"/g, '"');
+    } else if (value.startsWith("'") && value.lastIndexOf("'") > 0) {
+      value = value.slice(1, value.lastIndexOf("'"));
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+
+    values[key] = value;
+  }
+
+  return values;
+}
+
+/**
+ * Convert an environment variable segment to a config key:
+ * DATABASE_HOST -> databaseHost
+ * @private
+ */
+function toConfigKey(segment) {
+  return segment
+    .toLowerCase()
+    .replace(/_+([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Map environment variables to a configuration object.
+ * With prefix APP_, APP_DATABASE__HOST_NAME becomes database.hostName:
+ * "__" separates nesting levels and single underscores become camelCase.
+ * envMap maps variable names to explicit key paths ({ PORT: 'server.port' }).
+ * Values stay strings; schema validation coerces them to the declared type.
+ * @param {Object<string, string>} env - Environment variables
+ * @param {object} [options={}] - Mapping options
+ * @param {string} [options.prefix] - Only variables with this prefix are mapped
+ * @param {Object<string, string>} [options.envMap={}] - Explicit variable to key path mapping
+ * @returns {object}
+ */
+export function mapEnvironment(env, options = {}) {
+  const { prefix, envMap = {} } = options;
+  const config = {};
+
+  const assign = (path, value) => {
+    let target = config;
+    for (const key of path.slice(0, -1)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    target[path[path.length - 1]] = value;
+  };
+
+  if (prefix) {
+    for (const [name, value] of Object.entries(env)) {
+      if (!name.startsWith(prefix) || name.length === prefix.length || value === undefined) {
+        continue;
+      }
+      const path = name.slice(prefix.length).split('__').filter(Boolean).map(toConfigKey);
+      if (path.length > 0) {
+        assign(path, value);
+      }
+    }
+  }
+
+  for (const [name, path] of Object.entries(envMap)) {
+    if (env[name] !== undefined) {
+      assign(path.split('.'), env[name]);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Parse a YAML document; `<<` merge keys are applied
+ * @param {string} content - YAML text
+ * @returns {*} Parsed document, null when empty
+ * @throws {Error} With the offending line number
+ */
+export function parseYaml(content) {
+  return parse(content, { merge: true });
+}
+
+export default {
+  FILE_EXTENSIONS,
+  fileExists,
+  isPlainObject,
+  deepMerge,
+  diffConfig,
+  loadConfigFile,
+  parseEnvFile,
+  mapEnvironment,
+  parseYaml
+};
@@ -1,19 +1,223 @@
 // src/core/container/Container.js
 
 import { EventEmitter } from 'events';
+import { readdir, readFile } from 'fs/promises';
+import { join, basename } from 'path';
+import { pathToFileURL } from 'url';
 import { CoreError, ConfigError, ServiceError } from '../errors/index.js';
+import { ContainerScope } from './ContainerScope.js';
+import { toJSON, toDot, toMermaid } from './DependencyGraph.js';
+import { isToken, normalizeDependencies, createLazyDependency } from './dependencies.js';
+import { runLifecycle, LifecycleStatus } from './lifecycle.js';
+import { fileExists } from '../config/sources.js';
+import { validateSchema } from '../config/schema.js';
 // import { ValidationService } from '../validation/ValidationService.js';
 
+/**
+ * Component lifetimes
+ * - singleton: one instance per container
+ * - transient: a new instance on every resolve
+ * - scoped: one instance per scope created with createScope()
+ */
+export const Lifetime = Object.freeze({
+  SINGLETON: 'singleton',
+  TRANSIENT: 'transient',
+  SCOPED: 'scoped'
+});
+
+/**
+ * Container hooks, registered with addHook().
+ * Hooks run in registration order, ancestors' hooks first, and are awaited.
+ * - onResolve(name, instance, context): after an instance is created and
+ *   decorated; a returned value replaces the instance
+ * - beforeInitialize(name, instance, context): before a component is initialized
+ * - afterInitialize(name, instance, context): after a component is initialized
+ * - beforeShutdown(name, instance, context): before a component is shut down
+ */
+export const Hook = Object.freeze({
+  ON_RESOLVE: 'onResolve',
+  BEFORE_INITIALIZE: 'beforeInitialize',
+  AFTER_INITIALIZE: 'afterInitialize',
+  BEFORE_SHUTDOWN: 'beforeShutdown'
+});
+
+const graphExporters = {
+  json: toJSON,
+  dot: toDot,
+  mermaid: toMermaid
+};
+
+// Core systems are initialized before any component that does not depend on them
+const CORE_SYSTEMS = [
+  'errorSystem',
+  'config',
+  'eventBusSystem',
+  'moduleSystem'
+];
+
+const CONFIG_FILES = ['config.json', 'config.js'];
+const IMPLEMENTATION_FILES = ['index.js', 'index.mjs'];
+
+function circularDependencyError(path) {
+  return new ConfigError(
+    'CIRCULAR_DEPENDENCY',
+    `Circular dependency detected: ${path.map(String).join(' -> ')}`,
+    { path }
+  );
+}
+
+function missingDependencyError(path) {
+  const dependency = path[path.length - 1];
+  const dependent = path[path.length - 2];
+  return new ConfigError(
+    'MISSING_DEPENDENCY',
+    `Dependency ${String(dependency)} required by ${String(dependent)} is not registered`,
+    { dependency, path }
+  );
+}
+
 export class CoreContainer extends EventEmitter {
-  constructor() {
+  /**
+   * @param {CoreContainer|null} [parent=null] - Parent container to fall back to
+   */
+  constructor(parent = null) {
     super();
+    this.parent = parent;
     this.components = new Map();
     this.instances = new Map();
+    this.pending = new Map();
     this.dependencies = new Map();
     this.manifests = new Map();
+    this.hooks = new Map(Object.values(Hook).map(hook => [hook, []]));
+    this.decorators = new Map();
     this.initialized = false;
   }
 
+  /**
+   * Register a container hook
+   * @param {string} hook - One of Hook
+   * @param {Function} fn - Hook function
+   * @returns {CoreContainer}
+   */
+  addHook(hook, fn) {
+    if (!this.hooks.has(hook)) {
+      throw new ConfigError(
+        'INVALID_HOOK',
+        `Unknown container hook: ${hook}`,
+        { allowed: Object.values(Hook) }
+      );
+    }
+    if (typeof fn !== 'function') {
+      throw new ConfigError(
+        'INVALID_HOOK',
+        `Hook ${hook} must be a function`
+      );
+    }
+
+    this.hooks.get(hook).push(fn);
+    return this;
+  }
+
+  /**
+   * Wrap instances of a component when they are created.
+   * fn(instance, context) returns the instance to use instead, e.g. a
+   * proxy; returning undefined keeps the instance. Decorators run in
+   * registration order, ancestors' decorators first, before onResolve hooks.
+   * @param {string|symbol} name - Component name or token
+   * @param {Function} fn - Decorator
+   * @returns {CoreContainer}
+   */
+  decorate(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new ConfigError(
+        'INVALID_DECORATOR',
+        `Decorator for component ${String(name)} must be a function`
+      );
+    }
+    // A cached singleton would never see the decorator
+    if (this.instances.has(name)) {
+      throw new ConfigError(
+        'ALREADY_RESOLVED',
+        `Component ${String(name)} is already resolved and cannot be decorated`
+      );
+    }
+
+    if (!this.decorators.has(name)) {
+      this.decorators.set(name, []);
+    }
+    this.decorators.get(name).push(fn);
+    return this;
+  }
+
+  /**
+   * Containers from the root ancestor down to this one
+   * @private
+   */
+  getContainerChain() {
+    const chain = [];
+    for (let container = this; container; container = container.parent) {
+      chain.unshift(container);
+    }
+    return chain;
+  }
+
+  /**
+   * Run a hook's functions in order
+   * @private
+   */
+  async runHooks(hook, name, instance, scope = null) {
+    let result = instance;
+    for (const container of this.getContainerChain()) {
+      for (const fn of container.hooks.get(hook)) {
+        const replacement = await fn(name, result, { container: this, scope });
+        if (hook === Hook.ON_RESOLVE && replacement !== undefined) {
+          result = replacement;
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Apply decorators and onResolve hooks to a new instance
+   * @private
+   */
+  async decorateInstance(name, instance, scope) {
+    let decorated = instance;
+    for (const container of this.getContainerChain()) {
+      for (const fn of container.decorators.get(name) || []) {
+        const replacement = await fn(decorated, { name, container: this, scope });
+        if (replacement !== undefined) {
+          decorated = replacement;
+        }
+      }
+    }
+    return this.runHooks(Hook.ON_RESOLVE, name, decorated, scope);
+  }
+
+  /**
+   * Initialize a component instance, running the initialize hooks around it
+   * @private
+   */
+  async initializeInstance(name, instance, scope = null) {
+    await this.runHooks(Hook.BEFORE_INITIALIZE, name, instance, scope);
+    if (typeof instance.initialize === 'function') {
+      await instance.initialize();
+    }
+    await this.runHooks(Hook.AFTER_INITIALIZE, name, instance, scope);
+  }
+
+  /**
+   * Shut down a component instance after running the beforeShutdown hooks
+   * @private
+   */
+  async shutdownInstance(name, instance, scope = null) {
+    await this.runHooks(Hook.BEFORE_SHUTDOWN, name, instance, scope);
+    if (typeof instance.shutdown === 'function') {
+      await instance.shutdown();
+    }
+  }
+
   /**
    * Register a component manifest
    * @param {string} type - Component type
@@ -32,40 +236,178 @@ export class CoreContainer extends EventEmitter {
 
   /**
    * Register a component with the container
-   * @param {string} name - Component name
+   * Component.dependencies lists names or declarations of the form
+   * { name, as, optional, lazy } or { tag, as, lazy } (see dependencies.js).
+   * @param {string|symbol} name - Component name or token
    * @param {Class} Component - Component constructor
    * @param {object} options - Registration options
+   * @param {string} [options.lifetime='singleton'] - One of Lifetime
+   * @param {boolean} [options.singleton] - Legacy flag, false means transient
+   * @param {Array<string|symbol>} [options.tags=[]] - Tags to resolve the component by with resolveAll()
+   * @param {number} [options.initializeTimeout] - Timeout for the component's initialize() in ms
+   * @param {number} [options.shutdownTimeout] - Timeout for the component's shutdown() in ms
    */
   register(name, Component, options = {}) {
     if (this.components.has(name)) {
       throw new ConfigError(
         'DUPLICATE_COMPONENT',
-        `Component ${name} is already registered`
+        `Component ${String(name)} is already registered`
+      );
+    }
+
+    const tags = options.tags || [];
+    if (!Array.isArray(tags) || !tags.every(isToken)) {
+      throw new ConfigError(
+        'INVALID_TAGS',
+        `Tags for component ${String(name)} must be an array of names`
+      );
+    }
+
+    const lifetime = options.lifetime ||
+      (options.singleton === false ? Lifetime.TRANSIENT : Lifetime.SINGLETON);
+
+    if (!Object.values(Lifetime).includes(lifetime)) {
+      throw new ConfigError(
+        'INVALID_LIFETIME',
+        `Invalid lifetime ${lifetime} for component ${String(name)}`,
+        { allowed: Object.values(Lifetime) }
       );
     }
 
+    // Reject malformed dependency declarations before storing anything
+    const dependencies = Component.dependencies || [];
+    normalizeDependencies(dependencies);
+
     // Store component definition
     this.components.set(name, {
       Component,
       options: {
-        singleton: true,
-        ...options
+        ...options,
+        lifetime,
+        singleton: lifetime === Lifetime.SINGLETON,
+        tags: [...new Set(tags)]
       }
     });
 
-    // Store dependencies
-    this.dependencies.set(name, Component.dependencies || []);
+    this.dependencies.set(name, dependencies);
 
     this.emit('component:registered', { name, Component });
     return this;
   }
 
+  /**
+   * Create a child container.
+   * Names not registered in the child resolve from the parent; a child
+   * registration overrides the parent's. Parent components that depend on
+   * an overridden component are instantiated again inside the child.
+   * @returns {CoreContainer}
+   */
+  createChild() {
+    const child = new this.constructor(this);
+    this.emit('child:created', { child });
+    return child;
+  }
+
+  /**
+   * Find a component registration in this container or its ancestors
+   * @private
+   * @param {string} name - Component name
+   * @returns {{owner: CoreContainer, Component: *, options: object, dependencies: Array}|null}
+   */
+  getRegistration(name) {
+    for (let container = this; container; container = container.parent) {
+      if (container.components.has(name)) {
+        return {
+          owner: container,
+          ...container.components.get(name),
+          dependencies: normalizeDependencies(container.dependencies.get(name))
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether this container creates its own instance of a component:
+   * it is registered here, or it is inherited but depends on a
+   * component this container creates.
+   * @private
+   */
+  ownsComponent(name, visiting = new Set()) {
+    if (this.components.has(name)) return true;
+    if (!this.parent || visiting.has(name)) return false;
+
+    const registration = this.parent.getRegistration(name);
+    if (!registration) return false;
+
+    visiting.add(name);
+    return registration.dependencies.some(dep =>
+      this.getDependencyTargets(dep).some(target => this.ownsComponent(target, visiting))
+    );
+  }
+
+  /**
+   * Names of the components a declaration refers to: the named component,
+   * or every component with the declared tag
+   * @private
+   */
+  getDependencyTargets(dep) {
+    return dep.tag ? this.getTaggedNames(dep.tag) : [dep.name];
+  }
+
+  /**
+   * Names of the components registered with a tag, visible from this
+   * container, in registration order (ancestors first)
+   * @param {string|symbol} tag - Tag
+   * @returns {Array<string|symbol>}
+   */
+  getTaggedNames(tag) {
+    const names = [];
+    for (const container of this.getContainerChain()) {
+      for (const name of container.components.keys()) {
+        // A child registration replaces the parent's, including its tags
+        if (!names.includes(name) && this.getRegistration(name).options.tags.includes(tag)) {
+          names.push(name);
+        }
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Names of all components visible from this container
+   * @private
+   */
+  getComponentNames() {
+    const names = new Set(this.components.keys());
+    if (this.parent) {
+      for (const name of this.parent.getComponentNames()) {
+        names.add(name);
+      }
+    }
+    return Array.from(names);
+  }
+
+  /**
+   * Create a scope for scoped components.
+   * Scoped instances live until scope.dispose() is called.
+   * @param {object} options - Scope options
+   * @returns {ContainerScope}
+   */
+  createScope(options = {}) {
+    const scope = new ContainerScope(this, options);
+    this.emit('scope:created', { scope: scope.id });
+    return scope;
+  }
+
   /**
    * Discover components in a directory
    * @param {string} type - Component type
    * @param {string} basePath - Base directory path
+   * @param {object} options - Discovery options
+   * @param {boolean} [options.register=false] - Register discovered components with the container
    */
-  async discover(type, basePath) {
+  async discover(type, basePath, options = {}) {
     if (!this.manifests.has(type)) {
       throw new ConfigError(
         'INVALID_TYPE',
@@ -89,6 +431,21 @@ export class CoreContainer extends EventEmitter {
         }
       }
 
+      if (options.register) {
+        // A component that cannot be registered, e.g. a duplicate or one with
+        // invalid tags, is reported and the others are still registered
+        for (const [name, component] of discoveredComponents) {
+          try {
+            this.register(name, component.implementation, {
+              config: component.config,
+              tags: component.config.tags
+            });
+          } catch (error) {
+            this.emit('discovery:error', { name, error });
+          }
+        }
+      }
+
       this.emit('discovery:completed', { type, components: discoveredComponents });
       return discoveredComponents;
     } catch (error) {
@@ -100,17 +457,140 @@ export class CoreContainer extends EventEmitter {
     }
   }
 
+  /**
+   * Recursively find component directories below a base path.
+   * A directory is a component when it contains one of CONFIG_FILES.
+   * @private
+   */
+  async scanDirectory(basePath) {
+    const componentPaths = [];
+    const entries = await readdir(basePath, { withFileTypes: true });
+
+    if (entries.some(entry => entry.isFile() && CONFIG_FILES.includes(entry.name))) {
+      componentPaths.push(basePath);
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name === 'node_modules') {
+        continue;
+      }
+      componentPaths.push(...await this.scanDirectory(join(basePath, entry.name)));
+    }
+
+    return componentPaths;
+  }
+
+  /**
+   * Load a component configuration file (JSON or JS)
+   * @private
+   */
+  async loadConfig(path) {
+    for (const file of CONFIG_FILES) {
+      const configPath = join(path, file);
+      if (!await fileExists(configPath)) continue;
+
+      let config;
+      if (file.endsWith('.json')) {
+        config = JSON.parse(await readFile(configPath, 'utf8'));
+      } else {
+        const exported = await import(pathToFileURL(configPath).href);
+        config = exported.default ?? exported.config;
+        if (typeof config === 'function') {
+          config = await config();
+        }
+      }
+
+      if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ConfigError(
+          'INVALID_CONFIG',
+          `Component config ${configPath} must export an object`
+        );
+      }
+
+      return {
+        name: basename(path),
+        ...config
+      };
+    }
+
+    throw new ConfigError(
+      'MISSING_CONFIG',
+      `No component config found in ${path}`,
+      { expected: CONFIG_FILES }
+    );
+  }
+
+  /**
+   * Validate a component configuration against a manifest schema,
+   * with the schema subset of the configuration system (see config/schema.js)
+   * @private
+   * @returns {Promise<object>} The configuration with defaults applied and strings coerced
+   */
+  async validateConfig(config, schema = {}) {
+    if (!schema) return config;
+
+    const { value, errors } = validateSchema(config, schema);
+
+    if (errors.length > 0) {
+      throw new ConfigError(
+        'VALIDATION_FAILED',
+        `Invalid configuration for component ${config.name}`,
+        { validationErrors: errors }
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Import a component implementation.
+   * Uses config.main when set, otherwise the first of IMPLEMENTATION_FILES.
+   * @private
+   */
+  async loadImplementation(path, config = {}) {
+    const candidates = config.main ? [config.main] : IMPLEMENTATION_FILES;
+
+    for (const file of candidates) {
+      const implementationPath = join(path, file);
+      if (!await fileExists(implementationPath)) continue;
+
+      const exported = await import(pathToFileURL(implementationPath).href);
+      const implementation = config.export
+        ? exported[config.export]
+        : exported.default;
+
+      if (implementation === undefined) {
+        throw new ConfigError(
+          'INVALID_IMPLEMENTATION',
+          `${implementationPath} does not export ${config.export || 'a default'} implementation`
+        );
+      }
+
+      return implementation;
+    }
+
+    throw new ConfigError(
+      'MISSING_IMPLEMENTATION',
+      `No component implementation found in ${path}`,
+      { expected: candidates }
+    );
+  }
+
   /**
    * Load a component from a path
    * @private
    */
   async loadComponent(path, manifest) {
     try {
-      const config = await this.loadConfig(path);
-      if (config.enabled === false) return null;
+      const loaded = await this.loadConfig(path);
+      if (loaded.enabled === false) return null;
+
+      const config = await this.validateConfig(loaded, manifest.configSchema);
+      const implementation = await this.loadImplementation(path, config);
 
-      await this.validateConfig(config, manifest.configSchema);
-      const implementation = await this.loadImplementation(path);
+      if (typeof manifest.validateComponent === 'function') {
+        await manifest.validateComponent(implementation, config);
+      }
 
       return {
         name: config.name,
@@ -128,31 +608,135 @@ export class CoreContainer extends EventEmitter {
 
   /**
    * Get an instance of a component
-   * @param {string} name - Component name
+   * @param {string|symbol} name - Component name or token
    */
   async resolve(name) {
-    if (!this.components.has(name)) {
+    return this.resolveComponent(name, null);
+  }
+
+  /**
+   * Get instances of every component registered with a tag
+   * @param {string|symbol} tag - Tag
+   * @returns {Promise<Array>} Instances in registration order
+   */
+  async resolveAll(tag) {
+    return this.resolveTagged(tag, null);
+  }
+
+  /**
+   * Resolve every component with a tag, one after another
+   * @private
+   * @param {string|symbol} tag - Tag
+   * @param {ContainerScope|null} scope - Active scope, if any
+   */
+  async resolveTagged(tag, scope) {
+    const instances = [];
+    for (const name of this.getTaggedNames(tag)) {
+      instances.push(await this.resolveComponent(name, scope));
+    }
+    return instances;
+  }
+
+  /**
+   * Resolve a component, caching it according to its lifetime
+   * @private
+   * @param {string} name - Component name
+   * @param {ContainerScope|null} scope - Active scope, if any
+   */
+  async resolveComponent(name, scope) {
+    const registration = this.getRegistration(name);
+    if (!registration) {
       throw new ServiceError(
         'UNKNOWN_COMPONENT',
-        `Component ${name} is not registered`
+        `Component ${String(name)} is not registered`
       );
     }
-  
-    const { Component, options } = this.components.get(name);
-  
-    // Return existing instance for singletons
-    if (options.singleton && this.instances.has(name)) {
-      return this.instances.get(name);
+
+    // Share the parent's instance unless this container overrides part of it
+    if (!this.ownsComponent(name)) {
+      return this.parent.resolveComponent(name, scope);
     }
-  
+
+    const { options } = registration;
+    const store = this.getInstanceStore(name, options.lifetime, scope);
+
+    // Return existing instance for singletons and scoped components
+    if (store && store.instances.has(name)) {
+      return store.instances.get(name);
+    }
+
+    // Join a creation already in flight instead of creating a second instance
+    if (store && store.pending.has(name)) {
+      return store.pending.get(name);
+    }
+
+    // A cycle would make concurrent resolutions wait on each other forever
+    this.assertResolvable(name);
+
+    if (!store) {
+      const instance = await this.createInstance(name, registration, scope);
+      this.emit('component:resolved', { name, instance, scope: scope?.id });
+      return instance;
+    }
+
+    const creation = this.createInstance(name, registration, scope);
+    store.pending.set(name, creation);
+
+    try {
+      const instance = await creation;
+      store.instances.set(name, instance);
+      this.emit('component:resolved', { name, instance, scope: scope?.id });
+      return instance;
+    } finally {
+      // A rollback may have discarded this creation already
+      if (store.pending.get(name) === creation) {
+        store.pending.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Build and, if the container is running, initialize a component instance
+   * @private
+   */
+  async createInstance(name, registration, scope) {
+    const { Component, options, dependencies: deps } = registration;
+
+    // Singletons outlive any scope, so their dependencies resolve without one
+    const dependencyScope = options.lifetime === Lifetime.SINGLETON ? null : scope;
+
     // Resolve dependencies first
-    const deps = this.dependencies.get(name) || [];
     const resolvedDeps = {};
-  
+
     for (const dep of deps) {
-      resolvedDeps[dep] = await this.resolve(dep);
+      const targets = this.getDependencyTargets(dep);
+
+      if (!dep.tag && !this.getRegistration(dep.name) && dep.optional) {
+        resolvedDeps[dep.key] = undefined;
+        continue;
+      }
+
+      if (options.lifetime === Lifetime.SINGLETON) {
+        const scoped = targets.find(target =>
+          this.getRegistration(target)?.options.lifetime === Lifetime.SCOPED
+        );
+        if (scoped !== undefined) {
+          throw new ConfigError(
+            'SCOPE_MISMATCH',
+            `Singleton ${String(name)} cannot depend on scoped component ${String(scoped)}`
+          );
+        }
+      }
+
+      const resolveDependency = dep.tag
+        ? () => this.resolveTagged(dep.tag, dependencyScope)
+        : () => this.resolveComponent(dep.name, dependencyScope);
+
+      resolvedDeps[dep.key] = dep.lazy
+        ? createLazyDependency(resolveDependency)
+        : await resolveDependency();
     }
-  
+
     // Handle different component types
     let instance;
     if (typeof Component === 'function') {
@@ -166,46 +750,333 @@ export class CoreContainer extends EventEmitter {
     } else {
       instance = Component;
     }
-  
+
+    instance = await this.decorateInstance(name, instance, scope);
+
     // Initialize if container is initialized
-    if (this.initialized && typeof instance.initialize === 'function') {
-      await instance.initialize();
-    }
-  
-    // Cache singleton instance
-    if (options.singleton) {
-      this.instances.set(name, instance);
+    if (this.initialized) {
+      await this.initializeInstance(name, instance, scope);
     }
-  
-    this.emit('component:resolved', { name, instance });
+
     return instance;
   }
+
   /**
-   * Initialize all registered components
+   * Check the dependency graph reachable from a component for
+   * missing dependencies and cycles
+   * @private
+   * @param {string} name - Component name
+   * @throws {ConfigError} MISSING_DEPENDENCY or CIRCULAR_DEPENDENCY with details.path
    */
-  async initialize() {
+  assertResolvable(name) {
+    const done = new Set();
+    const path = [];
+
+    const visit = (current) => {
+      if (path.includes(current)) {
+        throw circularDependencyError([...path.slice(path.indexOf(current)), current]);
+      }
+      if (done.has(current)) return;
+
+      path.push(current);
+      for (const dep of this.getRegistration(current)?.dependencies || []) {
+        if (!dep.tag && !this.getRegistration(dep.name)) {
+          if (dep.optional) continue;
+          throw missingDependencyError([...path, dep.name]);
+        }
+        // Lazy dependencies resolve after construction, so they cannot deadlock
+        if (!dep.lazy) {
+          this.getDependencyTargets(dep).forEach(visit);
+        }
+      }
+      path.pop();
+      done.add(current);
+    };
+
+    visit(name);
+  }
+
+  /**
+   * Describe the dependency graph visible from this container
+   * @returns {{nodes: Array<object>, edges: Array<object>, initializationOrder: Array<string>|null, error: object|null}}
+   */
+  getDependencyGraph() {
+    let initializationOrder = null;
+    let error = null;
+
+    try {
+      initializationOrder = this.resolveDependencyOrder();
+    } catch (orderError) {
+      error = {
+        code: orderError.code,
+        message: orderError.message,
+        path: orderError.details?.path || []
+      };
+    }
+
+    const nodes = [];
+    const edges = [];
+    const missing = new Set();
+
+    for (const name of this.getComponentNames()) {
+      const registration = this.getRegistration(name);
+      const owned = this.ownsComponent(name);
+
+      nodes.push({
+        name,
+        lifetime: registration.options.lifetime,
+        dependencies: registration.dependencies.flatMap(dep => this.getDependencyTargets(dep)),
+        inherited: !this.components.has(name),
+        resolved: owned
+          ? this.instances.has(name)
+          : registration.owner.instances.has(name),
+        initializationIndex: initializationOrder
+          ? (initializationOrder.indexOf(name) === -1 ? null : initializationOrder.indexOf(name))
+          : null,
+        ...(registration.options.tags.length > 0 && { tags: registration.options.tags })
+      });
+
+      for (const dep of registration.dependencies) {
+        if (dep.tag) {
+          for (const target of this.getTaggedNames(dep.tag)) {
+            edges.push({ from: name, to: target, optional: false, lazy: dep.lazy, tag: dep.tag });
+          }
+          continue;
+        }
+
+        edges.push({
+          from: name,
+          to: dep.name,
+          optional: dep.optional,
+          lazy: dep.lazy
+        });
+        if (!this.getRegistration(dep.name)) {
+          missing.add(dep.name);
+        }
+      }
+    }
+
+    for (const name of missing) {
+      nodes.push({
+        name,
+        lifetime: null,
+        dependencies: [],
+        inherited: false,
+        resolved: false,
+        initializationIndex: null,
+        missing: true
+      });
+    }
+
+    return { nodes, edges, initializationOrder, error };
+  }
+
+  /**
+   * Export the dependency graph
+   * @param {string} [format='json'] - One of: json, dot, mermaid
+   * @returns {string}
+   */
+  exportDependencyGraph(format = 'json') {
+    const exporter = graphExporters[format];
+    if (!exporter) {
+      throw new ConfigError(
+        'INVALID_GRAPH_FORMAT',
+        `Unsupported dependency graph format: ${format}`,
+        { supported: Object.keys(graphExporters) }
+      );
+    }
+    return exporter(this.getDependencyGraph());
+  }
+
+  /**
+   * Get the instance store (instances and pending creations) for a lifetime
+   * @private
+   */
+  getInstanceStore(name, lifetime, scope) {
+    switch (lifetime) {
+      case Lifetime.SINGLETON:
+        return this;
+      case Lifetime.SCOPED:
+        if (!scope) {
+          throw new ServiceError(
+            'SCOPE_REQUIRED',
+            `Scoped component ${String(name)} must be resolved from a scope`
+          );
+        }
+        return scope;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Initialize all registered components.
+   * A component starts once its dependencies are initialized, so
+   * independent branches of the dependency graph initialize in parallel.
+   * If a component fails, the components already initialized are shut
+   * down again (dependents first) and all instances are discarded, so
+   * initialize() can be retried.
+   * @param {object} [options={}] - Initialization options
+   * @param {number} [options.timeout] - Timeout for the whole initialization in ms
+   * @param {number} [options.componentTimeout] - Default timeout per component in ms;
+   *   a registration's initializeTimeout (or shutdownTimeout, on rollback) takes precedence
+   * @param {number} [options.rollbackTimeout] - Timeout for the whole rollback in ms
+   * @returns {Promise<object>} Lifecycle report
+   * @throws {ServiceError} INITIALIZATION_FAILED with the failing component, the
+   *   report and the rollback report in details
+   */
+  async initialize(options = {}) {
     if (this.initialized) {
       throw new ServiceError(
         'ALREADY_INITIALIZED',
         'Container is already initialized'
       );
     }
-    //console.log('Initializing Container...');
+
     const order = this.resolveDependencyOrder();
+    // Scoped components are created per scope, not at startup
+    const scoped = this.getScopeBoundComponents(order);
+    const names = order.filter(name => !scoped.has(name));
 
-    for (const name of order) {
-      //console.log(`Resolving component: ${name}`);
-      const instance = await this.resolve(name);
-      if (typeof instance.initialize === 'function') {
-        //console.log(`Initializing component: ${name}`);
-        await instance.initialize();
-      }
+    // Instances this initialization started; transient ones are not cached
+    const started = new Map();
+    // Starts still running, such as a timed-out initialize()
+    const running = new Map();
+
+    const { report, errors } = await runLifecycle('initialize', names, {
+      waitFor: name => this.getStartupDependencies(name, order),
+      run: (name) => {
+        const starting = (async () => {
+          const instance = await this.resolve(name);
+          await this.initializeInstance(name, instance);
+          return instance;
+        })();
+        running.set(name, starting);
+        return starting
+          .then(instance => { started.set(name, instance); })
+          .finally(() => running.delete(name));
+      },
+      timeoutFor: name =>
+        this.getRegistration(name).options.initializeTimeout ?? options.componentTimeout,
+      timeout: options.timeout
+    });
+
+    if (errors.size > 0) {
+      const [component, cause] = errors.entries().next().value;
+      const rollback = await this.rollback(report, order, options, started, running);
+      const outcome = rollback.status === LifecycleStatus.COMPLETED
+        ? `rolled back ${rollback.components.length} component(s)`
+        : 'rollback failed';
+
+      throw new ServiceError(
+        'INITIALIZATION_FAILED',
+        `Failed to initialize component ${String(component)}: ${cause.message} (${outcome})`,
+        { component: String(component), report, rollback },
+        { cause }
+      );
     }
 
     this.initialized = true;
-    this.emit('initialized');
+    this.emit('initialized', report);
+    return report;
+  }
+
+  /**
+   * Shut down the components a failed initialize() started and discard
+   * every instance it created
+   * @private
+   * @param {object} report - Report of the failed initialization
+   * @param {Array<string|symbol>} order - Result of resolveDependencyOrder()
+   * @param {object} options - Initialization options
+   * @param {Map} started - Instances initialized by name
+   * @param {Map} [running=new Map()] - Starts still running by name, resolving to the instance
+   * @returns {Promise<object>} Rollback report, `late` listing the still running starts
+   */
+  async rollback(report, order, options, started, running = new Map()) {
+    const { report: shutdown, errors } = await this.shutdownComponents([...started.keys()], order, {
+      componentTimeout: options.componentTimeout,
+      timeout: options.rollbackTimeout
+    }, started);
+    const rollback = { ...shutdown, phase: 'rollback', late: [...running.keys()] };
 
-    
+    for (const [component, error] of errors) {
+      this.emit('rollback:error', { component, error });
+    }
+
+    // A start cannot be cancelled: shut the instance down once it is started
+    for (const [component, starting] of running) {
+      starting.then(
+        async (instance) => {
+          if (this.instances.get(component) === instance) {
+            this.instances.delete(component);
+          }
+          try {
+            await this.shutdownInstance(component, instance);
+            this.emit('rollback:late', { component });
+          } catch (error) {
+            this.emit('rollback:error', { component, error });
+          }
+        },
+        // A failed start left nothing to shut down
+        () => {}
+      );
+    }
+
+    this.instances.clear();
+    this.pending.clear();
+    this.emit('rollback', { report, rollback });
+    return rollback;
+  }
+
+  /**
+   * Components that must be started before a component: its eager
+   * dependencies, and the core systems that precede it in the order
+   * @private
+   * @param {string|symbol} name - Component name
+   * @param {Array<string|symbol>} order - Result of resolveDependencyOrder()
+   */
+  getStartupDependencies(name, order) {
+    const waits = new Set();
+
+    for (const dep of this.getRegistration(name)?.dependencies || []) {
+      if (!dep.lazy) {
+        this.getDependencyTargets(dep).forEach(target => waits.add(target));
+      }
+    }
+
+    // A core system listed before a component cannot depend on it
+    const position = order.indexOf(name);
+    for (const system of CORE_SYSTEMS) {
+      const systemPosition = order.indexOf(system);
+      if (systemPosition !== -1 && systemPosition < position) {
+        waits.add(system);
+      }
+    }
+
+    return Array.from(waits);
+  }
+
+  /**
+   * Components that can only be created in a scope: scoped ones and the
+   * transient ones depending on them, directly or through other transients
+   * @private
+   * @param {Array<string|symbol>} order - Result of resolveDependencyOrder()
+   * @returns {Set<string|symbol>}
+   */
+  getScopeBoundComponents(order) {
+    const bound = new Set();
+
+    for (const name of order) {
+      const { options, dependencies } = this.getRegistration(name);
+      const needsScope = options.lifetime === Lifetime.SCOPED ||
+        (options.lifetime === Lifetime.TRANSIENT && dependencies.some(dep =>
+          !dep.lazy && this.getDependencyTargets(dep).some(target => bound.has(target))
+        ));
+      if (needsScope) {
+        bound.add(name);
+      }
+    }
+    return bound;
   }
 
   /**
@@ -214,54 +1085,47 @@ export class CoreContainer extends EventEmitter {
    */
   resolveDependencyOrder() {
     const visited = new Set();
-    const visiting = new Set();
+    const visiting = [];
     const order = [];
 
     const visit = (name) => {
       if (visited.has(name)) return;
-      if (visiting.has(name)) {
-        throw new ConfigError(
-          'CIRCULAR_DEPENDENCY',
-          `Circular dependency detected: ${name}`
-        );
+      if (visiting.includes(name)) {
+        throw circularDependencyError([...visiting.slice(visiting.indexOf(name)), name]);
       }
 
-      visiting.add(name);
+      visiting.push(name);
       
-      const component = this.components.get(name);
-      const deps = this.dependencies.get(name) || [];
+      const deps = this.getRegistration(name)?.dependencies || [];
       
       for (const dep of deps) {
-        if (!this.components.has(dep)) {
-          throw new ConfigError(
-            'MISSING_DEPENDENCY',
-            `Dependency ${dep} required by ${name} is not registered`
-          );
+        if (!dep.tag && !this.getRegistration(dep.name)) {
+          if (dep.optional) continue;
+          throw missingDependencyError([...visiting, dep.name]);
+        }
+        // Lazy dependencies do not constrain initialization order
+        if (!dep.lazy) {
+          this.getDependencyTargets(dep).forEach(visit);
         }
-        visit(dep);
       }
       
-      visiting.delete(name);
+      visiting.pop();
       visited.add(name);
-      order.push(name);
+      // Inherited components are initialized by the container that owns them
+      if (this.ownsComponent(name)) {
+        order.push(name);
+      }
     };
 
     // Ensure core systems are initialized first
-    const initOrder = [
-      'errorSystem',
-      'config',
-      'eventBusSystem',
-      'moduleSystem'
-    ];
-
-    for (const name of initOrder) {
-      if (this.components.has(name)) {
+    for (const name of CORE_SYSTEMS) {
+      if (this.ownsComponent(name)) {
         visit(name);
       }
     }
 
     // Then handle any remaining components
-    for (const name of this.components.keys()) {
+    for (const name of this.getComponentNames()) {
       if (!order.includes(name)) {
         visit(name);
       }
@@ -270,27 +1134,59 @@ export class CoreContainer extends EventEmitter {
     return order;
   }
 
-async shutdown() {
-    // Shutdown in reverse dependency order
-    const order = this.resolveDependencyOrder().reverse();
-  
-    for (const name of order) {
-      const instance = this.instances.get(name);
-      if (instance && typeof instance.shutdown === 'function') {
-        try {
-          await instance.shutdown();
-        } catch (error) {
-          // Log error but continue shutdown process
-          this.emit('shutdown:error', { 
-            component: name, 
-            error 
-          });
-        }
-      }
+  /**
+   * Shut down all resolved components.
+   * A component shuts down once every component depending on it has,
+   * so independent branches shut down in parallel. Failures are reported
+   * as shutdown:error events and do not stop the shutdown.
+   * @param {object} [options={}] - Shutdown options
+   * @param {number} [options.timeout] - Timeout for the whole shutdown in ms
+   * @param {number} [options.componentTimeout] - Default timeout per component in ms;
+   *   a registration's shutdownTimeout takes precedence
+   * @returns {Promise<object>} Lifecycle report
+   */
+  async shutdown(options = {}) {
+    const order = this.resolveDependencyOrder();
+    const names = order.filter(name => this.instances.has(name));
+    const { report, errors } = await this.shutdownComponents(names, order, options);
+
+    for (const [component, error] of errors) {
+      this.emit('shutdown:error', { component, error });
     }
-  
+
     this.instances.clear();
     this.initialized = false;
-    this.emit('shutdown');
+    this.emit('shutdown', report);
+    return report;
+  }
+
+  /**
+   * Shut down components, each after the components that depend on it
+   * @private
+   * @param {Array<string|symbol>} names - Components to shut down
+   * @param {Array<string|symbol>} order - Result of resolveDependencyOrder()
+   * @param {object} options - timeout and componentTimeout
+   * @param {Map} [instances=this.instances] - Instances by name; names without one are skipped
+   * @returns {Promise<{report: object, errors: Map}>}
+   */
+  async shutdownComponents(names, order, options, instances = this.instances) {
+    names = names.filter(name => instances.has(name));
+
+    const dependents = new Map(names.map(name => [name, []]));
+    for (const name of names) {
+      for (const dependency of this.getStartupDependencies(name, order)) {
+        dependents.get(dependency)?.push(name);
+      }
+    }
+
+    return runLifecycle('shutdown', names, {
+      waitFor: name => dependents.get(name),
+      run: name => this.shutdownInstance(name, instances.get(name)),
+      timeoutFor: name =>
+        this.getRegistration(name).options.shutdownTimeout ?? options.componentTimeout,
+      timeout: options.timeout,
+      // A failed shutdown must not keep its dependencies running
+      skipOnFailure: false
+    });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,85 @@
+// src/core/container/ContainerScope.js
+
+import { randomUUID } from 'crypto';
+import { ServiceError } from '../errors/index.js';
+
+/**
+ * A resolution scope created by CoreContainer.createScope().
+ * Holds the scoped instances for one request or job and shuts them
+ * down when the scope is disposed.
+ */
+export class ContainerScope {
+  /**
+   * @param {CoreContainer} container - Container that created the scope
+   * @param {object} options - Scope options
+   * @param {string} [options.id] - Scope identifier
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.id = options.id || randomUUID();
+    this.instances = new Map();
+    this.pending = new Map();
+    this.disposed = false;
+  }
+
+  /**
+   * Resolve a component within this scope
+   * @param {string|symbol} name - Component name or token
+   */
+  async resolve(name) {
+    this.assertActive();
+    return this.container.resolveComponent(name, this);
+  }
+
+  /**
+   * Resolve every component with a tag within this scope
+   * @param {string|symbol} tag - Tag
+   * @returns {Promise<Array>}
+   */
+  async resolveAll(tag) {
+    this.assertActive();
+    return this.container.resolveTagged(tag, this);
+  }
+
+  /**
+   * @private
+   */
+  assertActive() {
+    if (this.disposed) {
+      throw new ServiceError(
+        'SCOPE_DISPOSED',
+        `Scope ${this.id} has already been disposed`
+      );
+    }
+  }
+
+  /**
+   * Shut down scoped instances in reverse creation order
+   */
+  async dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    const names = Array.from(this.instances.keys()).reverse();
+
+    for (const name of names) {
+      const instance = this.instances.get(name);
+      if (instance) {
+        try {
+          await this.container.shutdownInstance(name, instance, this);
+        } catch (error) {
+          this.container.emit('scope:error', {
+            scope: this.id,
+            component: name,
+            error
+          });
+        }
+      }
+    }
+
+    this.instances.clear();
+    this.container.emit('scope:disposed', { scope: this.id });
+  }
+}
+
+export default ContainerScope;
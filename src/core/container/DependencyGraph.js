@@ -0,0 +1,107 @@
+// src/core/container/DependencyGraph.js
+
+/**
+ * Exporters for CoreContainer.getDependencyGraph() output
+ */
+
+/**
+ * Export a dependency graph as JSON
+ * @param {object} graph - Graph from getDependencyGraph()
+ * @returns {string}
+ */
+export function toJSON(graph) {
+  // Symbol tokens are not JSON values, so they are written as their description
+  return JSON.stringify(
+    graph,
+    (key, value) => (typeof value === 'symbol' ? String(value) : value),
+    2
+  );
+}
+
+/**
+ * Export a dependency graph in Graphviz DOT format.
+ * Resolved components are filled, missing ones are dashed red;
+ * lazy and optional dependencies are dashed edges.
+ * @param {object} graph - Graph from getDependencyGraph()
+ * @returns {string}
+ */
+export function toDot(graph) {
+  const quote = (value) => `"${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')}"`;
+  const lines = ['digraph dependencies {', '  rankdir=LR;'];
+
+  for (const node of graph.nodes) {
+    const attributes = [`label=${quote(nodeLabel(node, '\n'))}`];
+    if (node.missing) {
+      attributes.push('style=dashed', 'color=red');
+    } else if (node.resolved) {
+      attributes.push('style=filled', 'fillcolor=lightgrey');
+    }
+    lines.push(`  ${quote(node.name)} [${attributes.join(', ')}];`);
+  }
+
+  for (const edge of graph.edges) {
+    const style = edge.lazy || edge.optional ? ' [style=dashed]' : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${style};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Export a dependency graph as a Mermaid flowchart
+ * @param {object} graph - Graph from getDependencyGraph()
+ * @returns {string}
+ */
+export function toMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, index) => [node.name, `n${index}`]));
+  const escape = (value) => String(value).replace(/"/g, '#quot;');
+  const lines = ['graph TD'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  ${ids.get(node.name)}["${escape(nodeLabel(node, '<br/>'))}"]`);
+  }
+
+  for (const edge of graph.edges) {
+    const arrow = edge.lazy || edge.optional ? '-.->' : '-->';
+    lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+  }
+
+  const resolved = graph.nodes.filter(node => node.resolved).map(node => ids.get(node.name));
+  const missing = graph.nodes.filter(node => node.missing).map(node => ids.get(node.name));
+
+  if (resolved.length > 0) {
+    lines.push('  classDef resolved fill:#ddd');
+    lines.push(`  class ${resolved.join(',')} resolved`);
+  }
+  if (missing.length > 0) {
+    lines.push('  classDef missing stroke:#f00,stroke-dasharray:4');
+    lines.push(`  class ${missing.join(',')} missing`);
+  }
+
+  return lines.join('\n');
+}
+
+function nodeLabel(node, separator) {
+  if (node.missing) {
+    return `${String(node.name)}${separator}(missing)`;
+  }
+
+  const parts = [node.lifetime];
+  if (node.initializationIndex !== null) {
+    parts.push(`#${node.initializationIndex + 1}`);
+  }
+  if (node.inherited) {
+    parts.push('inherited');
+  }
+  return `${String(node.name)}${separator}${parts.join(' ')}`;
+}
+
+export default {
+  toJSON,
+  toDot,
+  toMermaid
+};
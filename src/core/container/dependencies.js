@@ -0,0 +1,198 @@
+// src/core/container/dependencies.js
+
+import { ConfigError } from '../errors/index.js';
+
+/**
+ * Normalize a dependency declaration.
+ *
+ * A declaration is either a component name (string or symbol token) or an object:
+ * - name: component to inject
+ * - tag: inject every component registered with this tag, as an array
+ * - as: key to inject it under (defaults to name or tag)
+ * - optional: inject undefined instead of failing when not registered
+ * - lazy: inject an async thunk that resolves the component on first call
+ *
+ * Tagged declarations are always optional: no tagged components
+ * injects an empty array.
+ *
+ * @param {string|symbol|object} dependency - Dependency declaration
+ * @returns {{name: string|symbol|null, key: string|symbol, optional: boolean, lazy: boolean, tag?: string|symbol}}
+ */
+export function normalizeDependency(dependency) {
+  if (isToken(dependency)) {
+    return { name: dependency, key: dependency, optional: false, lazy: false };
+  }
+
+  if (dependency && typeof dependency === 'object' && isToken(dependency.tag)) {
+    return {
+      name: null,
+      tag: dependency.tag,
+      key: dependency.as || dependency.tag,
+      optional: true,
+      lazy: Boolean(dependency.lazy)
+    };
+  }
+
+  if (!dependency || typeof dependency !== 'object' || !isToken(dependency.name)) {
+    throw new ConfigError(
+      'INVALID_DEPENDENCY',
+      'Dependency must be a name or an object with a name or tag',
+      { dependency: String(dependency?.name ?? dependency) }
+    );
+  }
+
+  return {
+    name: dependency.name,
+    key: dependency.as || dependency.name,
+    optional: Boolean(dependency.optional),
+    lazy: Boolean(dependency.lazy)
+  };
+}
+
+/**
+ * Whether a value can name a component: a non-empty string or a symbol
+ * @param {*} value - Candidate name
+ * @returns {boolean}
+ */
+export function isToken(value) {
+  return (typeof value === 'string' && value.length > 0) || typeof value === 'symbol';
+}
+
+/**
+ * Normalize a list of dependency declarations
+ * @param {Array<string|object>} [dependencies=[]] - Dependency declarations
+ * @returns {Array<object>} Normalized declarations
+ */
+export function normalizeDependencies(dependencies = []) {
+  return (dependencies || []).map(normalizeDependency);
+}
+
+/**
+ * Find the declaration of a dependency by component name
+ * @param {Array<string|object>} dependencies - Dependency declarations
+ * @param {string|symbol} name - Component name
+ * @returns {object|undefined} Normalized declaration
+ */
+export function findDependency(dependencies, name) {
+  return normalizeDependencies(dependencies).find(dep => dep.name === name);
+}
+
+/**
+ * Get an injected dependency by component name, honouring `as` aliases.
+ * Lazy dependencies are returned as their thunk.
+ * @param {Array<string|object>} dependencies - Dependency declarations
+ * @param {object} deps - Injected dependencies
+ * @param {string|symbol} name - Component name
+ * @returns {*}
+ */
+export function getInjectedDependency(dependencies, deps, name) {
+  return deps[findDependency(dependencies, name)?.key ?? name];
+}
+
+/**
+ * Whether a dependency is declared lazy
+ * @param {Array<string|object>} dependencies - Dependency declarations
+ * @param {string|symbol} name - Component name
+ * @returns {boolean}
+ */
+export function isLazyDependency(dependencies, name) {
+  return Boolean(findDependency(dependencies, name)?.lazy);
+}
+
+/**
+ * Get an injected dependency, resolving it first if it is lazy
+ * @param {Array<string|object>} dependencies - Dependency declarations
+ * @param {object} deps - Injected dependencies
+ * @param {string|symbol} name - Component name
+ * @returns {Promise<*>}
+ */
+export async function resolveInjectedDependency(dependencies, deps, name) {
+  const dependency = getInjectedDependency(dependencies, deps, name);
+  if (isLazyDependency(dependencies, name) && typeof dependency === 'function') {
+    return dependency();
+  }
+  return dependency;
+}
+
+/**
+ * Keys of the required dependencies that were not injected
+ * @param {Array<string|object>} dependencies - Dependency declarations
+ * @param {object} deps - Injected dependencies
+ * @returns {Array<string|symbol>}
+ */
+export function findMissingDependencies(dependencies, deps) {
+  return normalizeDependencies(dependencies)
+    .filter(dep => !dep.optional && !deps[dep.key])
+    .map(dep => dep.key);
+}
+
+/**
+ * Mixin adding getDependency(), isLazyDependency() and resolveDependency()
+ * to a class that declares `static dependencies` and keeps the injected
+ * ones in `this.deps`
+ * @param {Function} Base - Class to extend
+ * @returns {Function} Subclass of Base
+ */
+export function withDependencyAccess(Base) {
+  return class extends Base {
+    /**
+     * Get an injected dependency by component name, honouring `as` aliases.
+     * Lazy dependencies are returned as their thunk.
+     * @param {string} name - Component name
+     */
+    getDependency(name) {
+      return getInjectedDependency(this.constructor.dependencies, this.deps, name);
+    }
+
+    /**
+     * Whether a dependency is declared lazy
+     * @param {string} name - Component name
+     */
+    isLazyDependency(name) {
+      return isLazyDependency(this.constructor.dependencies, name);
+    }
+
+    /**
+     * Get an injected dependency, resolving it first if it is lazy
+     * @param {string} name - Component name
+     */
+    async resolveDependency(name) {
+      return resolveInjectedDependency(this.constructor.dependencies, this.deps, name);
+    }
+  };
+}
+
+/**
+ * Create a thunk that resolves a dependency once, on first call.
+ * A failed resolution is retried on the next call.
+ * @param {Function} resolve - Resolves the dependency
+ * @returns {Function} Async thunk
+ */
+export function createLazyDependency(resolve) {
+  let pending = null;
+
+  return () => {
+    if (!pending) {
+      pending = Promise.resolve()
+        .then(resolve)
+        .catch(error => {
+          pending = null;
+          throw error;
+        });
+    }
+    return pending;
+  };
+}
+
+export default {
+  isToken,
+  normalizeDependency,
+  normalizeDependencies,
+  findDependency,
+  getInjectedDependency,
+  isLazyDependency,
+  resolveInjectedDependency,
+  findMissingDependencies,
+  withDependencyAccess,
+  createLazyDependency
+};
@@ -0,0 +1,169 @@
+// src/core/container/lifecycle.js
+
+import { ServiceError } from '../errors/index.js';
+
+/**
+ * Component states in a lifecycle report
+ */
+export const LifecycleStatus = Object.freeze({
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  TIMED_OUT: 'timedOut',
+  SKIPPED: 'skipped'
+});
+
+/**
+ * Race a promise against a timeout. Without a timeout the promise is returned as is.
+ * @param {Promise} promise - Work to wait for
+ * @param {number} [ms] - Timeout in milliseconds
+ * @param {Function} createError - Creates the rejection reason on timeout
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms, createError) {
+  if (!ms || ms <= 0 || ms === Infinity) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createError()), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one lifecycle phase (initialize or shutdown) over a set of components.
+ * Each component starts once every component it waits for has settled, so
+ * independent branches run in parallel.
+ *
+ * @param {string} phase - Phase name, used in error codes and the report
+ * @param {Array<string|symbol>} names - Components in a valid sequential order
+ * @param {object} options - Phase options
+ * @param {Function} options.waitFor - (name) => names that must settle first
+ * @param {Function} options.run - (name) => Promise for the component's work
+ * @param {Function} [options.timeoutFor] - (name) => per-component timeout in ms
+ * @param {number} [options.timeout] - Timeout for the whole phase in ms
+ * @param {boolean} [options.skipOnFailure=true] - Skip components whose waits did not complete
+ * @returns {Promise<{report: object, errors: Map}>} Report and the error per failed component
+ */
+export async function runLifecycle(phase, names, options) {
+  const {
+    waitFor,
+    run,
+    timeoutFor = () => undefined,
+    timeout,
+    skipOnFailure = true
+  } = options;
+
+  const code = phase.toUpperCase();
+  const startedAt = Date.now();
+  const errors = new Map();
+  const entries = new Map(names.map(name => [name, {
+    name,
+    status: LifecycleStatus.PENDING,
+    startedAt: null,
+    duration: null,
+    error: null
+  }]));
+  const tasks = new Map();
+  let aborted = false;
+
+  const fail = (entry, error) => {
+    entry.status = error.code === `SERVICE_${code}_TIMEOUT`
+      ? LifecycleStatus.TIMED_OUT
+      : LifecycleStatus.FAILED;
+    entry.error = { code: error.code, message: error.message };
+    errors.set(entry.name, error);
+  };
+
+  const task = (name) => {
+    if (!tasks.has(name)) {
+      tasks.set(name, (async () => {
+        const waits = waitFor(name).filter(dep => entries.has(dep) && dep !== name);
+        const settled = await Promise.all(waits.map(task));
+        const entry = entries.get(name);
+
+        if (aborted || (skipOnFailure && settled.includes(false))) {
+          entry.status = LifecycleStatus.SKIPPED;
+          return false;
+        }
+
+        entry.status = LifecycleStatus.RUNNING;
+        entry.startedAt = Date.now();
+        const componentTimeout = timeoutFor(name);
+
+        try {
+          await withTimeout(Promise.resolve().then(() => run(name)), componentTimeout, () =>
+            new ServiceError(
+              `${code}_TIMEOUT`,
+              `Component ${String(name)} did not ${phase} within ${componentTimeout}ms`,
+              { component: String(name), timeout: componentTimeout }
+            )
+          );
+          if (!aborted) {
+            entry.status = LifecycleStatus.COMPLETED;
+          }
+          return true;
+        } catch (error) {
+          if (!aborted) {
+            fail(entry, error);
+          }
+          return false;
+        } finally {
+          entry.duration = Date.now() - entry.startedAt;
+        }
+      })());
+    }
+    return tasks.get(name);
+  };
+
+  let status = LifecycleStatus.COMPLETED;
+
+  try {
+    await withTimeout(Promise.all(names.map(task)), timeout, () =>
+      new ServiceError(
+        `${code}_TIMEOUT`,
+        `Container did not ${phase} within ${timeout}ms`,
+        { timeout }
+      )
+    );
+    if (errors.size > 0) {
+      status = LifecycleStatus.FAILED;
+    }
+  } catch (error) {
+    // Work still running keeps running, but nothing new is started
+    aborted = true;
+    status = LifecycleStatus.TIMED_OUT;
+    for (const entry of entries.values()) {
+      if (entry.status === LifecycleStatus.RUNNING) {
+        fail(entry, error);
+        entry.duration = Date.now() - entry.startedAt;
+      } else if (entry.status === LifecycleStatus.PENDING) {
+        entry.status = LifecycleStatus.SKIPPED;
+      }
+    }
+  }
+
+  const report = {
+    phase,
+    status,
+    startedAt: new Date(startedAt).toISOString(),
+    duration: Date.now() - startedAt,
+    // Copies, so work finishing after a phase timeout does not change the report
+    components: Array.from(entries.values(), entry => ({
+      ...entry,
+      startedAt: entry.startedAt === null ? null : new Date(entry.startedAt).toISOString()
+    }))
+  };
+
+  return { report, errors };
+}
+
+export default {
+  LifecycleStatus,
+  withTimeout,
+  runLifecycle
+};
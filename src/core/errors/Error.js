@@ -1,3 +1,16 @@
+import { redact } from '../config/redaction.js';
+import { resolveStatusCode } from './statusCodes.js';
+
+/**
+ * Error severities. Fatal errors leave the process in an unknown state
+ * and should end it; warnings are reported without affecting it.
+ */
+export const ErrorSeverity = Object.freeze({
+  WARNING: 'warning',
+  ERROR: 'error',
+  FATAL: 'fatal'
+});
+
 /**
  * Universal base error class for both client and server environments
  * @extends Error
@@ -9,6 +22,9 @@ export class CoreError extends Error {
    * @param {string} message - Error message
    * @param {Object} [details={}] - Additional error details
    * @param {Object} [options={}] - Error options
+   * @param {*} [options.cause] - Underlying error
+   * @param {string} [options.severity='error'] - One of ErrorSeverity
+   * @param {number} [options.statusCode] - HTTP status code of this error, over the mapping
    */
   constructor(code, message, details = {}, options = {}) {
     super(message);
@@ -17,6 +33,8 @@ export class CoreError extends Error {
     this.name = this.constructor.name;
     this.code = code;
     this.details = this.sanitizeDetails(details);
+    this.severity = options?.severity || ErrorSeverity.ERROR;
+    this.statusCodeOverride = options?.statusCode;
     this.timestamp = new Date().toISOString();
 
       //Debug line 29
@@ -121,7 +139,22 @@ export class CoreError extends Error {
   }
 
   /**
-   * Convert error to JSON format
+   * HTTP status code: the one set on this error, else the default for its
+   * code or type (see statusCodes.js). Setting it overrides the mapping.
+   * @returns {number}
+   */
+  get statusCode() {
+    return resolveStatusCode(this);
+  }
+
+  set statusCode(value) {
+    this.statusCodeOverride = value;
+  }
+
+  /**
+   * Convert error to JSON format.
+   * Severity is included when it is not the default.
+   * Registered secret values are redacted.
    */
   toJSON() {
     const json = {
@@ -131,6 +164,10 @@ export class CoreError extends Error {
       details: this.details,
       timestamp: this.timestamp
     };
+
+    if (this.severity !== ErrorSeverity.ERROR) {
+      json.severity = this.severity;
+    }
   
     // Only include stack if it exists AND we're in dev
     if (this.isDevEnvironment() && this.stack) {
@@ -150,7 +187,7 @@ export class CoreError extends Error {
       }
     }
   
-    return json;
+    return redact(json);
   }
 
   /**
@@ -159,6 +196,10 @@ export class CoreError extends Error {
    */
   static fromJSON(data) {
     const options = {};
+
+    if (data.severity) {
+      options.severity = data.severity;
+    }
     
     if (data.cause) {
       if (typeof data.cause === 'string') {
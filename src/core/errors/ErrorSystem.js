@@ -1,24 +1,139 @@
 // src/core/errors/ErrorSystem.js
 
 import { EventEmitter } from 'events';
-import { CoreError } from './Error.js';
+import http from 'http';
+import https from 'https';
+import { CoreError, ErrorSeverity } from './Error.js';
 import { ErrorTypes } from './types/index.js';
+import { resolveStatusCode, validateStatusCodes } from './statusCodes.js';
+import { fingerprintError } from './fingerprint.js';
+import { redact } from '../config/redaction.js';
+import { childLogger } from '../logger/Logger.js';
 import { FastifyIntegration } from './integrations/fastify/FastifyIntegration.js';
+import { ExpressIntegration } from './integrations/express/ExpressIntegration.js';
+import { HttpIntegration } from './integrations/http/HttpIntegration.js';
+import { ProcessIntegration } from './integrations/process/ProcessIntegration.js';
+
+/**
+ * Built-in integration types, in detection order
+ */
+export const IntegrationTypes = {
+  process: {
+    integration: ProcessIntegration,
+    detect: (framework) => framework === process
+  },
+  fastify: {
+    integration: FastifyIntegration,
+    detect: (framework) =>
+      typeof framework.addHook === 'function' && typeof framework.setErrorHandler === 'function'
+  },
+  express: {
+    integration: ExpressIntegration,
+    detect: (framework) =>
+      typeof framework.use === 'function' && typeof framework.handle === 'function'
+  },
+  http: {
+    integration: HttpIntegration,
+    detect: (framework) => framework instanceof http.Server || framework instanceof https.Server
+  }
+};
+
+// Logger methods by error severity; other severities log as errors
+const severityLevels = {
+  [ErrorSeverity.WARNING]: 'warn',
+  [ErrorSeverity.FATAL]: 'fatal'
+};
+
+/**
+ * Default deduplication: one report per fingerprint every five minutes,
+ * longer than the health check intervals that repeat the same error
+ */
+export const DefaultDeduplication = Object.freeze({
+  window: 300000,
+  maxReports: 1
+});
+
+/**
+ * Validate ErrorSystem options
+ * @private
+ */
+function normalizeOptions(options) {
+  const {
+    deduplication = DefaultDeduplication,
+    maxFingerprints = 1000,
+    fingerprint = fingerprintError,
+    now = Date.now,
+    reporters = []
+  } = options;
+
+  const invalid = (message) => new CoreError('INVALID_ERROR_SYSTEM_OPTIONS', message, { options });
+
+  if (deduplication !== false) {
+    if (!deduplication || typeof deduplication !== 'object') {
+      throw invalid('deduplication must be an object or false');
+    }
+    const { window = DefaultDeduplication.window, maxReports = DefaultDeduplication.maxReports } = deduplication;
+    if (!Number.isInteger(window) || window < 0) {
+      throw invalid('deduplication.window must be a non-negative integer of milliseconds');
+    }
+    if (!Number.isInteger(maxReports) || maxReports < 1) {
+      throw invalid('deduplication.maxReports must be a positive integer');
+    }
+  }
+  if (!Number.isInteger(maxFingerprints) || maxFingerprints < 1) {
+    throw invalid('maxFingerprints must be a positive integer');
+  }
+  if (typeof fingerprint !== 'function' || typeof now !== 'function') {
+    throw invalid('fingerprint and now must be functions');
+  }
+  if (!Array.isArray(reporters)) {
+    throw invalid('reporters must be an array');
+  }
+
+  return {
+    deduplication: deduplication && { ...DefaultDeduplication, ...deduplication },
+    maxFingerprints,
+    fingerprint,
+    now,
+    reporters
+  };
+}
 
 export class ErrorSystem extends EventEmitter {
-  static dependencies = ['logger'];
+  static dependencies = [{ name: 'logger', optional: true }];
 
-  constructor(deps = {}) {
+  /**
+   * @param {Object} [deps={}] - Dependencies (logger)
+   * @param {Object} [options={}]
+   * @param {Object|false} [options.deduplication] - { window, maxReports }: pass each
+   *   fingerprint to the default handler and the reporters at most maxReports times per
+   *   window of ms; registered handlers see every error; false reports every error
+   * @param {number} [options.maxFingerprints=1000] - Fingerprints kept in the stats;
+   *   the least recently seen are dropped first
+   * @param {Function} [options.fingerprint] - (error, context) => string, fingerprintError by default
+   * @param {Function} [options.now=Date.now] - Clock in ms
+   * @param {Array<ErrorReporter>} [options.reporters=[]] - Reporters of handled errors
+   */
+  constructor(deps = {}, options = {}) {
     super();
     this.deps = deps;
-    this.logger = deps.logger || console;
+    this.options = normalizeOptions(options);
+    this.logger = childLogger(deps.logger, { component: 'ErrorSystem' }, console);
     this.integrations = new Map();
+    this.integrationTypes = new Map(Object.entries(IntegrationTypes));
+    this.statusCodes = { codes: {}, types: {} };
     this.handlers = new Map();
     this.errorTypes = new Map(Object.entries(ErrorTypes));
+    this.errorStats = new Map();
+    this.reporters = new Set();
     this.initialized = false;
 
+    for (const reporter of this.options.reporters) {
+      this.registerReporter(reporter);
+    }
+
       // Ensure a default handler is always present
-  this.registerHandler('*', this.defaultErrorHandler.bind(this));
+  this.registerDefaultHandler();
   }
 
   async initialize() {
@@ -26,8 +141,10 @@ export class ErrorSystem extends EventEmitter {
       throw new Error('Already initialized');
     }
 
-    // Register default handler
-    this.registerHandler('*', this.defaultErrorHandler.bind(this));
+    // Register default handler, unless '*' handlers took its place
+    if (!this.handlers.has('*')) {
+      this.registerDefaultHandler();
+    }
     
     // Validate error types
     for (const [name, ErrorType] of this.errorTypes) {
@@ -40,31 +157,317 @@ export class ErrorSystem extends EventEmitter {
     this.emit('initialized');
   }
 
+  /**
+   * Map error codes and types to HTTP status codes for every integration.
+   * Entries are merged over earlier ones and the defaults.
+   * @param {Object} mapping
+   * @param {Object<string, number>} [mapping.codes] - By error code, e.g. { AUTH_TOKEN_EXPIRED: 401 }
+   * @param {Object<string, number>} [mapping.types] - By error type name, matching subclasses too
+   */
+  setStatusCodes(mapping) {
+    const problem = validateStatusCodes(mapping);
+    if (problem) {
+      throw new CoreError('INVALID_STATUS_CODES', problem, { mapping });
+    }
+
+    this.statusCodes = {
+      codes: { ...this.statusCodes.codes, ...mapping.codes },
+      types: { ...this.statusCodes.types, ...mapping.types }
+    };
+  }
+
+  /**
+   * HTTP status code of an error under the configured mapping
+   * @param {Error} error
+   * @returns {number}
+   */
+  getStatusCode(error) {
+    return resolveStatusCode(error, this.statusCodes);
+  }
+
+  /**
+   * Register an integration type. Types registered later are detected
+   * first, so a custom type can take over frameworks of a built-in one.
+   * @param {string} name - Type name, e.g. 'koa'
+   * @param {Function} integration - IFrameworkIntegration class, or factory
+   *   returning an instance; both get the ErrorSystem
+   * @param {Object} [options={}]
+   * @param {Function} [options.detect] - Whether a framework instance is of this type
+   */
+  registerIntegrationType(name, integration, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new CoreError('INVALID_INTEGRATION_TYPE', 'Integration type name must be a non-empty string');
+    }
+    if (typeof integration !== 'function') {
+      throw new CoreError('INVALID_INTEGRATION_TYPE', `Integration type ${name} needs a class or factory`);
+    }
+    if (options.detect !== undefined && typeof options.detect !== 'function') {
+      throw new CoreError('INVALID_INTEGRATION_TYPE', `Detector of integration type ${name} must be a function`);
+    }
+
+    // Re-insert so the type moves to the front of detection
+    this.integrationTypes.delete(name);
+    this.integrationTypes = new Map([[name, { integration, detect: options.detect }], ...this.integrationTypes]);
+  }
+
+  /**
+   * Whether an integration type is registered
+   * @param {string} name - Type name
+   * @returns {boolean}
+   */
+  hasIntegrationType(name) {
+    return this.integrationTypes.has(name);
+  }
+
+  /**
+   * Detect the integration type of a framework instance
+   * @param {*} framework - Framework instance
+   * @returns {string|undefined} Type name, undefined when no detector matches
+   */
+  detectIntegrationType(framework) {
+    for (const [name, { detect }] of this.integrationTypes) {
+      if (detect?.(framework)) {
+        return name;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Install error handling on a framework instance, with the integration
+   * of the given or detected type
+   * @param {*} framework - Framework instance (Fastify, Express app, http.Server, ...)
+   * @param {Object} [options={}] - Integration options
+   * @param {string} [options.type] - Integration type, detected when left out
+   * @returns {IFrameworkIntegration} Initialized integration
+   */
   registerIntegration(framework, options = {}) {
     if (!framework) {
       throw new CoreError('INVALID_FRAMEWORK', 'Framework is required');
     }
+    if (this.integrations.has(framework)) {
+      throw new CoreError('DUPLICATE_INTEGRATION', 'An integration is already registered for this framework');
+    }
+
+    const { type = this.detectIntegrationType(framework), ...integrationOptions } = options;
+    const entry = this.integrationTypes.get(type);
+
+    if (!entry) {
+      throw new CoreError(
+        'UNKNOWN_FRAMEWORK',
+        type === undefined
+          ? 'Could not detect the framework type, pass options.type'
+          : `No integration type ${type}`,
+        { type, types: [...this.integrationTypes.keys()] }
+      );
+    }
+
+    const integration = this.createIntegration(type, entry.integration);
+    integration.initialize(framework, integrationOptions);
 
-    const integration = new FastifyIntegration();
-    integration.initialize(framework, options);
-    
     this.integrations.set(framework, integration);
     return integration;
   }
 
-  registerHandler(errorType, handler) {
+  /**
+   * Route uncaught exceptions, unhandled rejections and warnings of the
+   * process through handleError. Opt-in: the integration replaces Node's
+   * crash on uncaught exceptions with onFatal followed by exit(1).
+   * @param {EventEmitter} [target=process] - Process to listen on
+   * @param {Object} [options={}] - ProcessIntegration options (onFatal, exit, rejectionSeverity, events)
+   * @returns {ProcessIntegration}
+   */
+  registerProcessIntegration(target = process, options = {}) {
+    return this.registerIntegration(target, { ...options, type: 'process' });
+  }
+
+  /**
+   * Instantiate an integration from its class or factory
+   * @private
+   */
+  createIntegration(type, Integration) {
+    const integration = typeof Integration.prototype?.initialize === 'function'
+      ? new Integration(this)
+      : Integration(this);
+
+    if (typeof integration?.initialize !== 'function') {
+      throw new CoreError('INVALID_INTEGRATION', `Integration type ${type} did not create an integration`, { type });
+    }
+    return integration;
+  }
+
+  /**
+   * Send handled errors to an external sink. Suppressed duplicates are
+   * not reported; failed sends are logged as warnings.
+   * @param {ErrorReporter} reporter - Object with report(error, context),
+   *   and optionally flush() and close()
+   * @returns {ErrorReporter}
+   */
+  registerReporter(reporter) {
+    if (typeof reporter?.report !== 'function') {
+      throw new CoreError('INVALID_REPORTER', 'Reporter must have a report() method');
+    }
+
+    if (!this.reporters.has(reporter) && typeof reporter.on === 'function') {
+      reporter.on('report:failed', ({ error, reports, attempts }) => {
+        this.logger.warn('Error reporter failed', {
+          reporter: reporter.name,
+          error: error?.message,
+          reports: reports.length,
+          attempts
+        });
+      });
+    }
+    this.reporters.add(reporter);
+    return reporter;
+  }
+
+  /**
+   * Send the queued reports of every reporter
+   * @returns {Promise<void>}
+   */
+  async flushReporters() {
+    await Promise.all([...this.reporters].map(reporter => reporter.flush?.()));
+  }
+
+  /**
+   * @private
+   */
+  report(error, context) {
+    for (const reporter of this.reporters) {
+      try {
+        reporter.report(error, context);
+      } catch (reportError) {
+        this.logger.warn('Error reporter failed', { reporter: reporter.name, error: reportError.message });
+      }
+    }
+  }
+
+  /**
+   * Register an error handler. Several handlers can share a key; handlers
+   * registered for '*' replace the built-in default handler.
+   * @param {string} errorType - Error type name, matching subclasses too;
+   *   'Type:CODE' for one error code of the type; '*' for errors no other handler matches
+   * @param {Function} handler - (error, context, { key, stopPropagation }) => void
+   * @param {Object} [options={}]
+   * @param {number} [options.priority=0] - Higher priorities run first
+   */
+  registerHandler(errorType, handler, options = {}) {
     if (typeof handler !== 'function') {
       throw new CoreError('INVALID_HANDLER', 'Handler must be a function');
     }
-    this.handlers.set(errorType, handler);
+    if (typeof errorType !== 'string' || !errorType) {
+      throw new CoreError('INVALID_HANDLER', 'Handler key must be a non-empty string');
+    }
+
+    const { priority = 0 } = options;
+    if (!Number.isFinite(priority)) {
+      throw new CoreError('INVALID_HANDLER', 'Handler priority must be a finite number', { priority });
+    }
+
+    // Registering a handler again only updates its priority
+    const entries = (this.handlers.get(errorType) || [])
+      .filter(entry => entry.handler !== handler && !entry.builtIn);
+    this.handlers.set(errorType, [...entries, { handler, priority }]);
+  }
+
+  /**
+   * Remove a registered handler
+   * @param {string} errorType - Key it was registered with
+   * @param {Function} handler
+   * @returns {boolean} Whether the handler was registered
+   */
+  unregisterHandler(errorType, handler) {
+    const entries = this.handlers.get(errorType) || [];
+    const remaining = entries.filter(entry => entry.handler !== handler);
+
+    if (remaining.length === 0) {
+      this.handlers.delete(errorType);
+    } else {
+      this.handlers.set(errorType, remaining);
+    }
+    return remaining.length < entries.length;
+  }
+
+  /**
+   * Handlers of an error in the order they run. Every type in the error's
+   * prototype chain matches, each with its 'Type:CODE' handlers before its
+   * 'Type' handlers. Handlers run by priority, highest first, then from the
+   * most specific match. '*' handlers run only when nothing else matches.
+   * @param {Error} error
+   * @returns {Array<Object>} [{ key, handler, priority }]
+   */
+  resolveHandlers(error) {
+    const matched = [];
+    const collect = (key) => {
+      for (const { handler, priority } of this.handlers.get(key) || []) {
+        matched.push({ key, handler, priority });
+      }
+    };
+
+    for (let type = error?.constructor; type; type = Object.getPrototypeOf(type)) {
+      if (!type.name || type === Object) continue;
+      if (error.code !== undefined) collect(`${type.name}:${error.code}`);
+      collect(type.name);
+    }
+
+    if (matched.length === 0) {
+      collect('*');
+    }
+
+    // Array sort is stable, so equal priorities keep the match order
+    return matched.sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * @private
+   */
+  registerDefaultHandler() {
+    this.defaultHandler = (...args) => this.defaultErrorHandler(...args);
+    this.handlers.set('*', [{ handler: this.defaultHandler, priority: 0, builtIn: true }]);
   }
 
   async handleError(error, context = {}) {
+    const entry = this.recordError(error, context);
+    const reported = this.shouldReport(error, entry);
+
+    if (!reported) {
+      entry.suppressed++;
+      entry.pending++;
+      this.emit('error:suppressed', { error, context, fingerprint: entry.fingerprint, count: entry.count });
+    } else {
+      // The first report after suppression tells how many were left out
+      if (entry.pending > 0) {
+        context = { ...context, suppressed: entry.pending };
+        entry.pending = 0;
+      }
+
+      // Reported before handling, so a failing handler does not lose the report
+      this.report(error, context);
+    }
+
     // Ensure we always have a handler
-    const handler = this.handlers.get(error.constructor.name) || this.handlers.get('*') || this.defaultErrorHandler;
-  
+    let handlers = this.resolveHandlers(error);
+    if (handlers.length === 0) {
+      handlers.push({ key: '*', handler: this.defaultHandler });
+    }
+
+    // Deduplication only quiets the built-in default handler; registered
+    // handlers see every occurrence
+    if (!reported) {
+      handlers = handlers.filter(({ handler }) => handler !== this.defaultHandler);
+    }
+
+    let stopped = false;
+    const stopPropagation = () => {
+      stopped = true;
+    };
+
     try {
-      await handler(error, context);
+      for (const { key, handler } of handlers) {
+        await handler(error, context, { key, stopPropagation });
+        if (stopped) break;
+      }
       this.emit('error:handled', { error, context });
     } catch (handlerError) {
       this.logger.error('Error handler failed:', handlerError);
@@ -73,15 +476,111 @@ export class ErrorSystem extends EventEmitter {
     }
   }
 
+  /**
+   * Count an occurrence under the error's fingerprint
+   * @private
+   */
+  recordError(error, context) {
+    const fingerprint = this.options.fingerprint(error, context);
+    const now = this.options.now();
+    let entry = this.errorStats.get(fingerprint);
+
+    if (entry) {
+      // Re-insert so the map stays ordered by last occurrence
+      this.errorStats.delete(fingerprint);
+    } else {
+      entry = {
+        fingerprint,
+        type: error?.constructor?.name,
+        code: error?.code,
+        message: error?.message,
+        count: 0,
+        suppressed: 0,
+        pending: 0,
+        firstSeen: now,
+        windowStart: now,
+        windowReports: 0
+      };
+    }
+
+    entry.count++;
+    entry.lastSeen = now;
+    this.errorStats.set(fingerprint, entry);
+
+    if (this.errorStats.size > this.options.maxFingerprints) {
+      this.errorStats.delete(this.errorStats.keys().next().value);
+    }
+    return entry;
+  }
+
+  /**
+   * Whether an occurrence is reported; fatal errors always are
+   * @private
+   */
+  shouldReport(error, entry) {
+    const { deduplication } = this.options;
+    if (!deduplication || error?.severity === ErrorSeverity.FATAL) {
+      return true;
+    }
+
+    if (entry.lastSeen - entry.windowStart >= deduplication.window) {
+      entry.windowStart = entry.lastSeen;
+      entry.windowReports = 0;
+    }
+    if (entry.windowReports >= deduplication.maxReports) {
+      return false;
+    }
+
+    entry.windowReports++;
+    return true;
+  }
+
+  /**
+   * Occurrence counts by fingerprint, most frequent first
+   * @returns {Object} { total, suppressed, fingerprints, errors: [{ fingerprint, type, code,
+   *   message, count, suppressed, firstSeen, lastSeen }] } with ISO timestamps
+   */
+  getErrorStats() {
+    const errors = [...this.errorStats.values()]
+      .map(({ fingerprint, type, code, message, count, suppressed, firstSeen, lastSeen }) => ({
+        fingerprint,
+        type,
+        code,
+        message,
+        count,
+        suppressed,
+        firstSeen: new Date(firstSeen).toISOString(),
+        lastSeen: new Date(lastSeen).toISOString()
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    return redact({
+      total: errors.reduce((sum, entry) => sum + entry.count, 0),
+      suppressed: errors.reduce((sum, entry) => sum + entry.suppressed, 0),
+      fingerprints: errors.length,
+      errors
+    });
+  }
+
+  /**
+   * Forget all occurrences, which also ends suppression
+   */
+  resetErrorStats() {
+    this.errorStats.clear();
+  }
+
 // Ensure defaultErrorHandler is always a function
 defaultErrorHandler(error, context = {}) {
-  this.logger.error('Unhandled error:', {
+  const level = severityLevels[error.severity];
+  const log = typeof this.logger[level] === 'function' ? this.logger[level] : this.logger.error;
+
+  log.call(this.logger, 'Unhandled error:', redact({
     type: error.constructor.name,
     code: error.code,
     message: error.message,
     details: error.details,
     context
-  });
+  }));
 }
 
   createError(type, code, message, details = {}, options = {}) {
@@ -93,8 +592,14 @@ defaultErrorHandler(error, context = {}) {
     if (!this.initialized) return;
     
     this.handlers.clear();
+    for (const integration of this.integrations.values()) {
+      integration.uninstall?.();
+    }
     this.integrations.clear();
+    await Promise.all([...this.reporters].map(reporter => reporter.close?.()));
+    this.reporters.clear();
     this.errorTypes.clear();
+    this.errorStats.clear();
     this.removeAllListeners();
     this.initialized = false;
     this.emit('shutdown');
@@ -102,6 +607,6 @@ defaultErrorHandler(error, context = {}) {
 }
 
 // Factory function for container
-export function createErrorSystem(deps) {
-  return new ErrorSystem(deps);
+export function createErrorSystem(deps, options = {}) {
+  return new ErrorSystem(deps, options);
 }
\ No newline at end of file
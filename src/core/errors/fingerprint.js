@@ -0,0 +1,87 @@
+// src/core/errors/fingerprint.js
+
+import { createHash } from 'crypto';
+
+/**
+ * Context keys that differ between occurrences of the same error
+ */
+export const VolatileContextKeys = Object.freeze([
+  'timestamp',
+  'requestId',
+  'pid',
+  'uptime',
+  'memory',
+  'suppressed'
+]);
+
+// Application frames that identify where an error comes from
+const STACK_FRAMES = 3;
+
+// Runtime and dependency frames, which differ between synchronous calls
+// and calls resumed after an await
+const foreignFrame = /node_modules|\(node:|at node:|<anonymous>/;
+
+/**
+ * Replace ids and numbers, which vary between occurrences, with placeholders
+ * @private
+ */
+function normalizeValue(value) {
+  return String(value)
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+    .replace(/\b[0-9a-f]{16,}\b/gi, '<hex>')
+    .replace(/\d+/g, '<n>');
+}
+
+/**
+ * Top application frames of a stack without the message, line and column
+ * numbers or the working directory, so the same throw site matches across
+ * releases and checkouts
+ * @param {string} [stack] - Error stack
+ * @returns {Array<string>} Normalized frames
+ */
+export function normalizeStack(stack) {
+  if (typeof stack !== 'string') return [];
+
+  const cwd = process.cwd();
+  return stack
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('at ') && !foreignFrame.test(line))
+    .slice(0, STACK_FRAMES)
+    .map(frame => frame
+      .replace(/^at async /, 'at ')
+      .replace('file://', '')
+      .split(cwd).join('')
+      .replace(/:\d+:\d+(\)?)$/, '$1'));
+}
+
+/**
+ * Normalized context entries: primitive values of stable keys, in key order
+ * @param {Object} [context={}] - Error context
+ * @returns {Array<string>}
+ */
+export function normalizeContext(context = {}) {
+  return Object.keys(context || {})
+    .filter(key => !VolatileContextKeys.includes(key))
+    .filter(key => ['string', 'number', 'boolean'].includes(typeof context[key]))
+    .sort()
+    .map(key => `${key}=${normalizeValue(context[key])}`);
+}
+
+/**
+ * Fingerprint of an error: errors of the same type and code, thrown from
+ * the same place in the same context, share a fingerprint
+ * @param {Error} error - Error to fingerprint
+ * @param {Object} [context={}] - Context the error is handled in
+ * @returns {string} Hex digest
+ */
+export function fingerprintError(error, context = {}) {
+  const parts = [
+    error?.constructor?.name || typeof error,
+    error?.code ?? '',
+    ...normalizeStack(error?.stack),
+    ...normalizeContext(context)
+  ];
+
+  return createHash('sha1').update(parts.join('\n')).digest('hex');
+}
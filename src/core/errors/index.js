@@ -1,6 +1,6 @@
 // src/core/errors/index.js
 
-import { CoreError } from "./Error.js";
+import { CoreError, ErrorSeverity } from "./Error.js";
 import {
   ErrorTypes as TypedErrors,
   AccessError,
@@ -23,6 +23,7 @@ export const ErrorTypes = {
 // Export individual error classes
 export {
   CoreError,
+  ErrorSeverity,
   AccessError,
   AuthError,
   ConfigError,
@@ -133,6 +134,13 @@ export const ErrorCodes = {
     INSUFFICIENT_RIGHTS: "INSUFFICIENT_RIGHTS",
     RESOURCE_ACCESS_DENIED: "RESOURCE_ACCESS_DENIED",
   },
+
+  // Process events captured by the ProcessIntegration
+  PROCESS: {
+    UNCAUGHT_EXCEPTION: "UNCAUGHT_EXCEPTION",
+    UNHANDLED_REJECTION: "UNHANDLED_REJECTION",
+    WARNING: "PROCESS_WARNING",
+  },
 };
 
 export function createErrorFromResponse(
@@ -0,0 +1,213 @@
+// src/core/errors/integrations/HttpErrorIntegration.js
+
+import { IFrameworkIntegration } from './IFrameworkIntegration.js';
+import { CoreError, ErrorCodes } from '../index.js';
+import { NetworkError } from '../types/index.js';
+import { resolveStatusCode, validateStatusCodes } from '../statusCodes.js';
+import {
+  ProblemDetailsModes,
+  toProblemDetails,
+  useProblemDetails,
+  validateProblemDetailsOptions
+} from '../problemDetails.js';
+
+/**
+ * Detail levels of error responses
+ */
+export const DetailLevels = Object.freeze({
+  PRODUCTION: 'production',
+  DEVELOPMENT: 'development'
+});
+
+/**
+ * Base of the integrations that answer errors with HTTP responses.
+ * It maps errors to CoreErrors, resolves their status codes and builds
+ * the response body, serialized or as problem details; subclasses hook
+ * into the framework and write the response.
+ */
+export class HttpErrorIntegration extends IFrameworkIntegration {
+  /**
+   * @param {ErrorSystem} [errorSystem] - Supplies the configured status code mapping
+   */
+  constructor(errorSystem = null) {
+    super();
+    this.errorSystem = errorSystem;
+    this.initialized = false;
+    this.options = HttpErrorIntegration.normalizeOptions();
+  }
+
+  /**
+   * Validate the shared options and fill in defaults
+   * @private
+   * @param {Object} [options={}]
+   * @param {string} [options.detail] - 'production' or 'development'; from NODE_ENV when left out
+   * @param {Object} [options.statusCodes={}] - { codes, types } status codes over the ErrorSystem's mapping
+   * @param {string|boolean} [options.problemDetails=false] - 'negotiate' (or true) answers with
+   *   application/problem+json when the Accept header asks for it, 'always' does so for every error
+   * @param {string} [options.problemTypeBase] - Base URI of problem types, about:blank when left out
+   */
+  static normalizeOptions(options = {}) {
+    const { detail, statusCodes = {}, problemDetails = false, problemTypeBase } = options;
+
+    if (detail !== undefined && !Object.values(DetailLevels).includes(detail)) {
+      throw new CoreError('INVALID_INTEGRATION_OPTIONS', `Unknown detail level ${detail}`, {
+        detail,
+        levels: Object.values(DetailLevels)
+      });
+    }
+    const statusCodesProblem = validateStatusCodes(statusCodes);
+    if (statusCodesProblem) {
+      throw new CoreError('INVALID_INTEGRATION_OPTIONS', statusCodesProblem, { statusCodes });
+    }
+    const problemDetailsProblem = validateProblemDetailsOptions({ problemDetails, problemTypeBase });
+    if (problemDetailsProblem) {
+      throw new CoreError('INVALID_INTEGRATION_OPTIONS', problemDetailsProblem, { problemDetails });
+    }
+
+    return { detail, statusCodes, problemDetails, problemTypeBase };
+  }
+
+  /**
+   * Context of an error response
+   * @param {Object} request - Framework request
+   * @param {string} [url=request.url] - Request URL
+   * @returns {Object} { requestId, timestamp, url, method }
+   */
+  createErrorContext(request, url = request?.url) {
+    return {
+      requestId: request?.id,
+      timestamp: new Date().toISOString(),
+      url: url || '',
+      method: request?.method || ''
+    };
+  }
+
+  /**
+   * Map an error and build its response
+   * @param {Error} error - Error to answer
+   * @param {Object} request - Framework request, for mapping and negotiation
+   * @param {Object} context - Result of createErrorContext()
+   * @returns {Object} { error, status, body, problem, vary }: problem tells whether the
+   *   body is problem details, vary whether the response depends on the Accept header
+   */
+  createErrorResponse(error, request, context) {
+    const mappedError = this.mapError(error, request);
+    const status = this.getStatusCode(mappedError);
+    const { problemDetails, problemTypeBase } = this.options;
+    const vary = Boolean(problemDetails) && problemDetails !== ProblemDetailsModes.ALWAYS;
+
+    if (useProblemDetails(problemDetails, request?.headers?.accept)) {
+      return {
+        error: mappedError,
+        status,
+        problem: true,
+        vary,
+        body: toProblemDetails(mappedError, { status, context, typeBase: problemTypeBase })
+      };
+    }
+
+    return {
+      error: mappedError,
+      status,
+      problem: false,
+      vary,
+      body: this.serializeError(mappedError, context)
+    };
+  }
+
+  /**
+   * Status code of a mapped error: its own, else from this integration's
+   * mapping, the ErrorSystem's mapping and the defaults
+   * @param {Error} error
+   * @returns {number}
+   */
+  getStatusCode(error) {
+    return resolveStatusCode(error, this.options.statusCodes, this.errorSystem?.statusCodes);
+  }
+
+  mapError(error, request) {
+    // Already our custom error
+    if (error instanceof CoreError) {
+      return error;
+    }
+
+    const mapped = this.mapFrameworkError(error, request);
+    if (mapped instanceof CoreError) {
+      return mapped;
+    }
+
+    // Generic error
+    const genericError = new CoreError(
+      ErrorCodes.CORE.UNKNOWN,
+      error?.message || 'An unexpected error occurred',
+      {
+        originalError: this.isDevelopment() ? error : undefined
+      }
+    );
+
+    const status = error?.statusCode || error?.status;
+    if (status) {
+      genericError.statusCode = status;
+    }
+    return genericError;
+  }
+
+  /**
+   * Map errors particular to the framework; the default maps none
+   * @param {Error} error - Error that is not a CoreError
+   * @param {Object} request - Framework request
+   * @returns {CoreError|undefined}
+   */
+  mapFrameworkError(error, request) {
+    return undefined;
+  }
+
+  serializeError(error, context = {}) {
+    const safeContext = context || {};
+
+    if (error instanceof CoreError) {
+      const serialized = error.toJSON();
+
+      // toJSON follows NODE_ENV; a configured detail level wins
+      if (!this.isDevelopment()) {
+        delete serialized.stack;
+        delete serialized.cause;
+      } else if (!serialized.stack) {
+        serialized.stack = error.stack;
+      }
+
+      return {
+        ...serialized,
+        context: safeContext
+      };
+    }
+
+    return {
+      code: ErrorCodes.CORE.UNKNOWN,
+      message: error?.message || 'Unknown error occurred',
+      timestamp: new Date().toISOString(),
+      context: safeContext
+    };
+  }
+
+  /**
+   * @private
+   */
+  isDevelopment() {
+    const detail = this.options.detail ??
+      (process.env.NODE_ENV === 'development' ? DetailLevels.DEVELOPMENT : DetailLevels.PRODUCTION);
+    return detail === DetailLevels.DEVELOPMENT;
+  }
+
+  /**
+   * @private
+   */
+  createNotFoundError(method, url) {
+    return new NetworkError(
+      'ROUTE_NOT_FOUND',
+      `Route ${method || ''}:${url || ''} not found`
+    );
+  }
+}
+
+export default HttpErrorIntegration;
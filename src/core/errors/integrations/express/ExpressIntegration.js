@@ -0,0 +1,120 @@
+// src/core/errors/integrations/express/ExpressIntegration.js
+
+import { HttpErrorIntegration } from '../HttpErrorIntegration.js';
+import { ValidationError } from '../../types/index.js';
+import { PROBLEM_JSON } from '../../problemDetails.js';
+
+/**
+ * Express error integration.
+ * Installs a not-found middleware and an error-handling middleware that
+ * answer with the same serialized shape as the Fastify integration.
+ * Express runs middleware in registration order, so initialize() must be
+ * called after the routes are registered.
+ */
+export class ExpressIntegration extends HttpErrorIntegration {
+  /**
+   * Install the not-found and error middleware on an Express app
+   * @param {Object} app - Express app
+   * @param {Object} [options={}]
+   * @param {string} [options.detail] - 'production' or 'development'; from NODE_ENV when left out
+   * @param {Object} [options.statusCodes={}] - { codes, types } status codes over the ErrorSystem's mapping
+   * @param {string|boolean} [options.problemDetails=false] - 'negotiate' (or true) answers with
+   *   application/problem+json when the Accept header asks for it, 'always' does so for every error
+   * @param {string} [options.problemTypeBase] - Base URI of problem types, about:blank when left out
+   */
+  initialize(app, options = {}) {
+    if (this.initialized) {
+      return;
+    }
+
+    if (!app || typeof app.use !== 'function') {
+      throw new Error('Invalid Express app instance');
+    }
+
+    this.options = ExpressIntegration.normalizeOptions(options);
+
+    app.use(this.notFoundHandler());
+    app.use(this.errorHandler());
+
+    this.initialized = true;
+  }
+
+  /**
+   * Middleware passing a ROUTE_NOT_FOUND error for requests no route answered
+   * @returns {Function} Express middleware
+   */
+  notFoundHandler() {
+    return (req, res, next) => {
+      next(this.createNotFoundError(req?.method, req?.originalUrl || req?.url));
+    };
+  }
+
+  /**
+   * Error-handling middleware. Express recognizes it by its four parameters.
+   * @returns {Function} Express error middleware
+   */
+  errorHandler() {
+    return (error, req, res, next) => {
+      // A response already under way can only be aborted, which Express does
+      if (res.headersSent) {
+        return next(error);
+      }
+
+      const errorContext = this.createErrorContext(req, req?.originalUrl || req?.url);
+      const response = this.createErrorResponse(error, req, errorContext);
+
+      res.status(response.status);
+
+      if (response.vary) {
+        res.vary('Accept');
+      }
+      if (response.problem) {
+        // res.json() keeps a content type that is already set
+        res.type(PROBLEM_JSON);
+      }
+
+      return res.json(response.body);
+    };
+  }
+
+  mapFrameworkError(error, req) {
+    // Validation errors attached by validation middleware
+    if (error?.validation) {
+      const validationError = new ValidationError(
+        'FAILED',
+        'Request validation failed',
+        {
+          validationErrors: error.validation
+        }
+      );
+      if (error.statusCode || error.status) {
+        validationError.statusCode = error.statusCode || error.status;
+      }
+      return validationError;
+    }
+
+    // body-parser errors: malformed, oversized or unsupported bodies
+    const status = error?.statusCode || error?.status;
+    if (typeof error?.type === 'string' && status >= 400 && status < 500) {
+      const bodyError = new ValidationError(
+        'FAILED',
+        'Request body could not be parsed',
+        {
+          type: error.type,
+          validationErrors: [{ message: error.message, type: error.type }]
+        }
+      );
+      bodyError.statusCode = status;
+      return bodyError;
+    }
+
+    // Route not found
+    if (status === 404) {
+      return this.createNotFoundError(req?.method, req?.originalUrl || req?.url);
+    }
+
+    return undefined;
+  }
+}
+
+export default ExpressIntegration;
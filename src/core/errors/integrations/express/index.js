@@ -0,0 +1 @@
+export { ExpressIntegration } from './ExpressIntegration.js';
@@ -1,26 +1,77 @@
 // src/core/errors/integrations/fastify/FastifyIntegration.js
 
-import { IFrameworkIntegration } from '../IFrameworkIntegration.js';
-import { CoreError, ErrorCodes } from '../../index.js';
-import { ValidationError, NetworkError } from '../../types/index.js';
-
-export class FastifyIntegration extends IFrameworkIntegration {
-  constructor() {
-    super();
-    this.initialized = false;
+import { HttpErrorIntegration, DetailLevels } from '../HttpErrorIntegration.js';
+import { CoreError } from '../../index.js';
+import { ValidationError } from '../../types/index.js';
+import { PROBLEM_JSON, appendVary } from '../../problemDetails.js';
+
+export { DetailLevels };
+
+/**
+ * Fastify error integration.
+ * Installs a request hook recording the error context, an error handler
+ * and a not-found handler. Every instance keeps its own options, so any
+ * number of Fastify instances can be integrated.
+ */
+export class FastifyIntegration extends HttpErrorIntegration {
+  /**
+   * @param {ErrorSystem} [errorSystem] - Supplies the configured status code mapping
+   */
+  constructor(errorSystem = null) {
+    super(errorSystem);
+    this.options = FastifyIntegration.normalizeOptions();
   }
 
-  async initialize(fastify, options = {}) {
+  /**
+   * Validate integration options and fill in defaults
+   * @private
+   */
+  static normalizeOptions(options = {}) {
+    const { mappers = [], notFoundHandler, envelope } = options;
+
+    if (!Array.isArray(mappers) || mappers.some(mapper => typeof mapper !== 'function')) {
+      throw new CoreError('INVALID_INTEGRATION_OPTIONS', 'mappers must be an array of functions');
+    }
+    for (const [name, value] of Object.entries({ notFoundHandler, envelope })) {
+      if (value !== undefined && value !== false && typeof value !== 'function') {
+        throw new CoreError('INVALID_INTEGRATION_OPTIONS', `${name} must be a function`);
+      }
+    }
+
+    return { ...HttpErrorIntegration.normalizeOptions(options), mappers, notFoundHandler, envelope };
+  }
+
+  /**
+   * Install error handling on a Fastify instance
+   * @param {Object} fastify - Fastify instance
+   * @param {Object} [options={}]
+   * @param {string} [options.detail] - 'production' or 'development'; from NODE_ENV when left out
+   * @param {Array<Function>} [options.mappers=[]] - (error, request) => CoreError|undefined, tried before the built-in mapping
+   * @param {Function|false} [options.notFoundHandler] - Fastify not-found handler; false keeps Fastify's own
+   * @param {Function} [options.envelope] - (serialized, error, context) => response body
+   * @param {Object} [options.statusCodes={}] - { codes, types } status codes over the ErrorSystem's mapping
+   * @param {string|boolean} [options.problemDetails=false] - 'negotiate' (or true) answers with
+   *   application/problem+json when the Accept header asks for it, 'always' does so for every error
+   * @param {string} [options.problemTypeBase] - Base URI of problem types, about:blank when left out
+   * @returns {FastifyIntegration}
+   */
+  initialize(fastify, options = {}) {
     if (this.initialized) {
-      return;
+      return this;
+    }
+
+    if (!fastify || typeof fastify.addHook !== 'function') {
+      throw new Error('Invalid fastify instance');
     }
 
+    this.options = FastifyIntegration.normalizeOptions(options);
+
     // Add error context to request
     fastify.addHook('onRequest', async (request) => {
       if (!request) {
         return;
       }
-      
+
       request.errorContext = {
         url: request?.url || '',
         method: request?.method || '',
@@ -30,31 +81,60 @@ export class FastifyIntegration extends IFrameworkIntegration {
 
     // Set error handler
     fastify.setErrorHandler(async (error, request, reply) => {
-      const errorContext = {
-        requestId: request?.id,
-        timestamp: new Date().toISOString(),
-        url: request?.url || '',
-        method: request?.method || ''
-      };
-
-      const mappedError = this.mapError(error);
-      const serializedError = this.serializeError(mappedError, errorContext);
-
-      reply.status(mappedError.statusCode || 500);
-      return reply.send(serializedError);
+      if (!reply || typeof reply.status !== 'function') {
+        throw new Error('Invalid reply object');
+      }
+      return this.sendError(error, request, reply);
     });
 
+    // Answer unknown routes like other errors, unless told otherwise
+    const { notFoundHandler } = this.options;
+    if (notFoundHandler !== false && typeof fastify.setNotFoundHandler === 'function') {
+      fastify.setNotFoundHandler(notFoundHandler || (async (request, reply) =>
+        this.sendError(
+          this.createNotFoundError(request?.method, request?.url),
+          request,
+          reply
+        )
+      ));
+    }
+
     this.initialized = true;
+    return this;
   }
 
-  mapError(error) {
-    // Already our custom error
-    if (error instanceof CoreError) {
-      return error;
+  /**
+   * Map, serialize and send an error
+   * @private
+   */
+  sendError(error, request, reply) {
+    const errorContext = this.createErrorContext(request);
+    const response = this.createErrorResponse(error, request, errorContext);
+    const { envelope } = this.options;
+
+    reply.status(response.status);
+
+    if (response.vary) {
+      reply.header('vary', appendVary(reply.getHeader('vary'), 'Accept'));
+    }
+    if (response.problem) {
+      reply.type(PROBLEM_JSON);
+      return reply.send(response.body);
+    }
+
+    return reply.send(envelope ? envelope(response.body, response.error, errorContext) : response.body);
+  }
+
+  mapFrameworkError(error, request) {
+    // Custom mappers
+    for (const mapper of this.options.mappers) {
+      const mapped = mapper(error, request);
+      if (mapped instanceof CoreError) {
+        return mapped;
+      }
     }
 
     // Fastify validation errors
-    // TODO: Need a network error
     if (error?.validation) {
       const validationError = new ValidationError(
         'FAILED',
@@ -63,49 +143,19 @@ export class FastifyIntegration extends IFrameworkIntegration {
           validationErrors: error.validation
         }
       );
-      validationError.statusCode = error.statusCode || 400;
+      if (error.statusCode) {
+        validationError.statusCode = error.statusCode;
+      }
       return validationError;
     }
 
     // Route not found
     if (error?.statusCode === 404) {
-      const notFoundError = new NetworkError(
-        'ROUTE_NOT_FOUND',
-        `Route ${error.method || ''}:${error.url || ''} not found`
-      );
-      notFoundError.statusCode = 404;
-      return notFoundError;
+      return this.createNotFoundError(error.method, error.url);
     }
 
-    // Generic error
-    const genericError = new CoreError(
-      ErrorCodes.CORE.UNKNOWN,
-      error?.message || 'An unexpected error occurred',
-      {
-        originalError: process.env.NODE_ENV === 'development' ? error : undefined
-      }
-    );
-
-    genericError.statusCode = error?.statusCode || 500;
-    return genericError;
+    return undefined;
   }
+}
 
-  serializeError(error, context = {}) {
-    const safeContext = context || {};
-
-    if (error instanceof CoreError) {
-      const serialized = error.toJSON();
-      return {
-        ...serialized,
-        context: safeContext
-      };
-    }
-
-    return {
-      code: ErrorCodes.CORE.UNKNOWN,
-      message: error?.message || 'Unknown error occurred',
-      timestamp: new Date().toISOString(),
-      context: safeContext
-    };
-  }
-}
\ No newline at end of file
+export default FastifyIntegration;
@@ -1,2 +1,3 @@
+export { FastifyIntegration, DetailLevels } from './FastifyIntegration.js';
 export { setupErrorHandler } from './handler.js';
-export { errorSerializer } from './serializer.js';
\ No newline at end of file
+export { errorSerializer } from './serializer.js';
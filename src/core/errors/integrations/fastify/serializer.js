@@ -1,5 +1,10 @@
-import { fastifyErrorHandler } from './handler.js';
+// src/core/errors/integrations/fastify/serializer.js
+
+import { FastifyIntegration } from './FastifyIntegration.js';
+
+// Serialization only reads the options, which stay at their defaults here
+const integration = new FastifyIntegration();
 
 export const errorSerializer = {
-  serializer: (error) => fastifyErrorHandler.serializeError(error)
-};
\ No newline at end of file
+  serializer: (error) => integration.serializeError(error)
+};
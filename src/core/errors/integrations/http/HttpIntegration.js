@@ -0,0 +1,79 @@
+// src/core/errors/integrations/http/HttpIntegration.js
+
+import { HttpErrorIntegration } from '../HttpErrorIntegration.js';
+import { PROBLEM_JSON, appendVary } from '../../problemDetails.js';
+
+/**
+ * Node.js http.Server error integration.
+ * A raw server has no error hook, so the integration wraps the server's
+ * request listeners: a listener that throws or rejects gets a JSON error
+ * response with the same serialized shape as the framework integrations.
+ * Listeners added after initialize() can be wrapped with wrapHandler().
+ */
+export class HttpIntegration extends HttpErrorIntegration {
+  /**
+   * Wrap the server's request listeners
+   * @param {http.Server} server - Node.js HTTP server
+   * @param {Object} [options={}]
+   * @param {string} [options.detail] - 'production' or 'development'; from NODE_ENV when left out
+   * @param {Object} [options.statusCodes={}] - { codes, types } status codes over the ErrorSystem's mapping
+   * @param {string|boolean} [options.problemDetails=false] - 'negotiate' (or true) answers with
+   *   application/problem+json when the Accept header asks for it, 'always' does so for every error
+   * @param {string} [options.problemTypeBase] - Base URI of problem types, about:blank when left out
+   */
+  initialize(server, options = {}) {
+    if (this.initialized) {
+      return;
+    }
+
+    if (!server || typeof server.listeners !== 'function' || typeof server.on !== 'function') {
+      throw new Error('Invalid http server instance');
+    }
+
+    this.options = HttpIntegration.normalizeOptions(options);
+
+    for (const listener of server.listeners('request')) {
+      server.removeListener('request', listener);
+      server.on('request', this.wrapHandler(listener));
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * Wrap a request listener so its errors get an error response
+   * @param {Function} handler - (req, res) request listener
+   * @returns {Function} Wrapped request listener
+   */
+  wrapHandler(handler) {
+    return async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (error) {
+        this.sendError(error, req, res);
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  sendError(error, req, res) {
+    // A response already under way can only be aborted
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    const response = this.createErrorResponse(error, req, this.createErrorContext(req));
+
+    res.statusCode = response.status;
+    if (response.vary) {
+      res.setHeader('vary', appendVary(res.getHeader('vary'), 'Accept'));
+    }
+    res.setHeader('content-type', `${response.problem ? PROBLEM_JSON : 'application/json'}; charset=utf-8`);
+    res.end(JSON.stringify(response.body));
+  }
+}
+
+export default HttpIntegration;
@@ -0,0 +1 @@
+export { HttpIntegration } from './HttpIntegration.js';
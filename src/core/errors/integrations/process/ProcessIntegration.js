@@ -0,0 +1,191 @@
+// src/core/errors/integrations/process/ProcessIntegration.js
+
+import { IFrameworkIntegration } from '../IFrameworkIntegration.js';
+import { CoreError, ErrorSeverity } from '../../Error.js';
+
+/**
+ * Captured process events with the code and default severity of the
+ * CoreError they are wrapped in
+ */
+export const ProcessEvents = Object.freeze({
+  uncaughtException: { code: 'UNCAUGHT_EXCEPTION', severity: ErrorSeverity.FATAL },
+  unhandledRejection: { code: 'UNHANDLED_REJECTION', severity: ErrorSeverity.FATAL },
+  warning: { code: 'PROCESS_WARNING', severity: ErrorSeverity.WARNING }
+});
+
+/**
+ * Process integration.
+ * Routes uncaught exceptions, unhandled rejections and process warnings
+ * through ErrorSystem.handleError. Fatal errors then run onFatal (usually
+ * the graceful shutdown) and exit with code 1: a listener for
+ * uncaughtException replaces Node's own crash.
+ */
+export class ProcessIntegration extends IFrameworkIntegration {
+  /**
+   * @param {ErrorSystem} errorSystem - ErrorSystem handling the captured errors
+   */
+  constructor(errorSystem) {
+    super();
+    this.errorSystem = errorSystem;
+    this.target = null;
+    this.listeners = new Map();
+    this.fatalPromise = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Start listening for process events
+   * @param {EventEmitter} [target=process] - Process to listen on
+   * @param {Object} [options={}]
+   * @param {Function} [options.onFatal] - Called with (error, context) on the first fatal error, e.g. a shutdown
+   * @param {Function} [options.exit] - Called with exit code 1 after onFatal, process.exit by default
+   * @param {string} [options.rejectionSeverity='fatal'] - Severity of unhandled rejections
+   * @param {Array<string>} [options.events] - Events to capture, all of ProcessEvents by default
+   */
+  initialize(target = process, options = {}) {
+    if (this.initialized) {
+      return;
+    }
+
+    this.target = target;
+    this.options = {
+      onFatal: null,
+      exit: (code) => process.exit(code),
+      rejectionSeverity: ErrorSeverity.FATAL,
+      events: Object.keys(ProcessEvents),
+      ...options
+    };
+
+    const unknown = this.options.events.find(event => !ProcessEvents[event]);
+    if (unknown) {
+      throw new CoreError('INVALID_PROCESS_EVENT', `Cannot capture process event ${unknown}`, {
+        event: unknown,
+        events: Object.keys(ProcessEvents)
+      });
+    }
+
+    for (const event of this.options.events) {
+      const listener = (value, origin) => this.capture(event, value, origin);
+      this.listeners.set(event, listener);
+      target.on(event, listener);
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * Stop listening for process events
+   */
+  uninstall() {
+    for (const [event, listener] of this.listeners) {
+      this.target.removeListener(event, listener);
+    }
+    this.listeners.clear();
+    this.initialized = false;
+  }
+
+  /**
+   * Handle a captured event: report it, then end the process when fatal
+   * @private
+   */
+  async capture(event, value, origin) {
+    const error = this.mapError(value, event);
+    const context = this.createContext(event, origin);
+
+    try {
+      await this.errorSystem.handleError(error, context);
+    } catch (handlerError) {
+      // The error must not get lost while the process goes down
+      this.getLogger().error('Failed to handle process error', {
+        error: this.serializeError(error),
+        handlerError: handlerError?.message
+      });
+    }
+
+    if (error.severity === ErrorSeverity.FATAL) {
+      await this.handleFatal(error, context);
+    }
+  }
+
+  /**
+   * Run onFatal once, then exit with code 1 whatever its outcome.
+   * Later fatal errors are reported but wait for the first exit.
+   * @private
+   */
+  handleFatal(error, context) {
+    if (!this.fatalPromise) {
+      this.fatalPromise = (async () => {
+        try {
+          await this.options.onFatal?.(error, context);
+        } catch (fatalError) {
+          this.getLogger().error('Fatal error handling failed', {
+            error: fatalError?.message
+          });
+        } finally {
+          this.options.exit(1);
+        }
+      })();
+    }
+    return this.fatalPromise;
+  }
+
+  /**
+   * Wrap a process event value in a CoreError
+   * @param {*} value - Thrown error, rejection reason or warning
+   * @param {string} [event='uncaughtException'] - Process event
+   * @returns {CoreError} Error with the event's code and severity, caused by the value
+   */
+  mapError(value, event = 'uncaughtException') {
+    const { code, severity } = ProcessEvents[event];
+    const isError = value instanceof Error;
+    const details = event === 'warning'
+      ? { name: value?.name, code: value?.code }
+      : (isError ? {} : { reason: value });
+
+    return new CoreError(
+      code,
+      isError ? value.message : `Non-error value: ${String(value)}`,
+      details,
+      {
+        cause: isError ? value : undefined,
+        severity: event === 'unhandledRejection' ? this.options?.rejectionSeverity ?? severity : severity
+      }
+    );
+  }
+
+  /**
+   * Serialize a captured error for logging
+   * @param {CoreError} error
+   * @returns {Object}
+   */
+  serializeError(error) {
+    return error instanceof CoreError
+      ? error.toJSON()
+      : { message: error?.message || String(error) };
+  }
+
+  /**
+   * Process context passed to handleError
+   * @private
+   */
+  createContext(event, origin) {
+    return {
+      source: 'process',
+      event,
+      origin: event === 'uncaughtException' ? origin : undefined,
+      pid: process.pid,
+      uptime: process.uptime(),
+      memory: process.memoryUsage().rss,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * @private
+   */
+  getLogger() {
+    return this.errorSystem?.logger || console;
+  }
+}
+
+export default ProcessIntegration;
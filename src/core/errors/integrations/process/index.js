@@ -0,0 +1 @@
+export { ProcessIntegration, ProcessEvents } from './ProcessIntegration.js';
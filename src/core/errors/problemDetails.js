@@ -0,0 +1,129 @@
+// src/core/errors/problemDetails.js
+
+import { STATUS_CODES } from 'http';
+import { redact } from '../config/redaction.js';
+
+export const PROBLEM_JSON = 'application/problem+json';
+
+/**
+ * When integrations answer with RFC 7807 problem details
+ */
+export const ProblemDetailsModes = Object.freeze({
+  NEVER: false,
+  NEGOTIATE: 'negotiate',
+  ALWAYS: 'always'
+});
+
+/**
+ * Quality of each media range in an Accept header
+ * @private
+ */
+function parseAccept(header) {
+  const ranges = new Map();
+
+  for (const part of String(header).split(',')) {
+    const [range, ...params] = part.trim().toLowerCase().split(';');
+    if (!range) continue;
+
+    const q = params
+      .map(param => param.trim().split('='))
+      .find(([name]) => name === 'q');
+    ranges.set(range.trim(), q ? Number(q[1]) : 1);
+  }
+  return ranges;
+}
+
+/**
+ * Whether an Accept header asks for problem details: it must name
+ * application/problem+json, at no lower quality than application/json.
+ * Wildcards alone keep plain JSON.
+ * @param {string} [accept] - Accept header
+ * @returns {boolean}
+ */
+export function acceptsProblemJson(accept) {
+  if (!accept) return false;
+
+  const ranges = parseAccept(accept);
+  const problem = ranges.get(PROBLEM_JSON);
+  if (!(problem > 0)) return false;
+
+  return problem >= (ranges.get('application/json') ?? 0);
+}
+
+/**
+ * Vary header with a field added to the fields already listed
+ * @param {string|string[]} [vary] - Current Vary header
+ * @param {string} field - Request header the response depends on
+ * @returns {string}
+ */
+export function appendVary(vary, field) {
+  const fields = [vary].flat()
+    .flatMap(value => String(value ?? '').split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  if (fields.includes('*') || fields.some(value => value.toLowerCase() === field.toLowerCase())) {
+    return fields.join(', ');
+  }
+  return [...fields, field].join(', ');
+}
+
+/**
+ * Whether to answer a request with problem details
+ * @param {string|boolean} mode - One of ProblemDetailsModes; true means negotiate
+ * @param {string} [accept] - Accept header of the request
+ * @returns {boolean}
+ */
+export function useProblemDetails(mode, accept) {
+  if (mode === ProblemDetailsModes.ALWAYS) return true;
+  if (mode === ProblemDetailsModes.NEGOTIATE || mode === true) return acceptsProblemJson(accept);
+  return false;
+}
+
+/**
+ * Validate problem details options of an integration
+ * @param {Object} options - { problemDetails, problemTypeBase }
+ * @returns {string|null} Problem description, null when valid
+ */
+export function validateProblemDetailsOptions({ problemDetails, problemTypeBase } = {}) {
+  if (problemDetails !== undefined && problemDetails !== true &&
+      !Object.values(ProblemDetailsModes).includes(problemDetails)) {
+    return `Unknown problemDetails mode ${problemDetails}, expected false, 'negotiate' or 'always'`;
+  }
+  if (problemTypeBase !== undefined && typeof problemTypeBase !== 'string') {
+    return 'problemTypeBase must be a URI string';
+  }
+  return null;
+}
+
+/**
+ * Build an RFC 7807 problem details object for an error
+ * @param {CoreError} error - Mapped error
+ * @param {Object} options
+ * @param {number} options.status - HTTP status code of the response
+ * @param {Object} [options.context={}] - Request context (url, requestId)
+ * @param {string} [options.typeBase] - Base URI of problem types; about:blank when left out
+ * @returns {Object} Problem details with code, requestId and validationErrors extensions;
+ *   registered secret values are redacted
+ */
+export function toProblemDetails(error, { status, context = {}, typeBase } = {}) {
+  const code = error?.code;
+  const problem = {
+    type: typeBase && code
+      ? `${typeBase.replace(/\/+$/, '')}/${code.toLowerCase().replace(/_/g, '-')}`
+      : 'about:blank',
+    title: STATUS_CODES[status] || 'Error',
+    status,
+    detail: error?.message || undefined,
+    instance: context.url || undefined,
+    code,
+    requestId: context.requestId
+  };
+
+  if (error?.validationErrors?.length) {
+    problem.validationErrors = error.validationErrors;
+  }
+
+  // Leave out members without a value
+  return redact(Object.fromEntries(Object.entries(problem).filter(([, value]) => value !== undefined)));
+}
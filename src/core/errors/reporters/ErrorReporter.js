@@ -0,0 +1,242 @@
+// src/core/errors/reporters/ErrorReporter.js
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { CoreError, ErrorSeverity } from '../Error.js';
+import { redact } from '../../config/redaction.js';
+
+/**
+ * Base class of error reporters, which send handled errors to an external
+ * sink. report() queues a redacted report; queued reports are sent in
+ * batches once batchSize is reached or flushInterval has passed. A failed
+ * batch is retried with exponential backoff, then dropped with a
+ * `report:failed` event.
+ *
+ * Subclasses implement send(reports). An error thrown with
+ * `retryable: false` is not retried; `retryAfter` (ms) delays the retry.
+ */
+export class ErrorReporter extends EventEmitter {
+  /**
+   * @param {Object} [options={}]
+   * @param {Object|Function} [options.filter] - { types, codes, severities } lists the error
+   *   must match, types including subclasses; or (error, context) => boolean
+   * @param {number} [options.batchSize=10] - Reports per send
+   * @param {number} [options.flushInterval=5000] - Longest wait in ms before a partial batch is sent
+   * @param {number} [options.maxQueue=1000] - Queued reports kept, oldest dropped first
+   * @param {number} [options.retries=3] - Retries of a failed batch
+   * @param {Object} [options.backoff] - { initial: 1000, factor: 2, max: 30000 } retry delays in ms
+   */
+  constructor(options = {}) {
+    super();
+    this.options = ErrorReporter.normalizeOptions(options);
+    this.queue = [];
+    this.dropped = 0;
+    this.timer = null;
+    this.flushing = Promise.resolve();
+    this.closed = false;
+  }
+
+  /**
+   * Validate and complete reporter options
+   * @private
+   */
+  static normalizeOptions(options) {
+    const {
+      filter = {},
+      batchSize = 10,
+      flushInterval = 5000,
+      maxQueue = 1000,
+      retries = 3,
+      backoff = {},
+      ...rest
+    } = options;
+
+    const invalid = (message) => new CoreError('INVALID_REPORTER_OPTIONS', message, { options });
+
+    if (typeof filter !== 'function') {
+      if (!filter || typeof filter !== 'object') {
+        throw invalid('filter must be an object or a function');
+      }
+      for (const key of Object.keys(filter)) {
+        if (!['types', 'codes', 'severities'].includes(key)) {
+          throw invalid(`Unknown filter ${key}, expected types, codes or severities`);
+        }
+        if (!Array.isArray(filter[key])) {
+          throw invalid(`Filter ${key} must be an array`);
+        }
+      }
+    }
+    for (const [name, value, min] of [
+      ['batchSize', batchSize, 1],
+      ['flushInterval', flushInterval, 0],
+      ['maxQueue', maxQueue, 1],
+      ['retries', retries, 0]
+    ]) {
+      if (!Number.isInteger(value) || value < min) {
+        throw invalid(`${name} must be an integer of at least ${min}`);
+      }
+    }
+
+    const { initial = 1000, factor = 2, max = 30000 } = backoff || {};
+    if (![initial, factor, max].every(value => typeof value === 'number' && value >= 0)) {
+      throw invalid('backoff initial, factor and max must be non-negative numbers');
+    }
+
+    return {
+      ...rest,
+      filter,
+      batchSize,
+      flushInterval,
+      maxQueue,
+      retries,
+      backoff: { initial, factor, max }
+    };
+  }
+
+  /**
+   * Whether the filter lets an error through
+   * @param {Error} error
+   * @param {Object} [context={}]
+   * @returns {boolean}
+   */
+  accepts(error, context = {}) {
+    const { filter } = this.options;
+    if (typeof filter === 'function') {
+      return Boolean(filter(error, context));
+    }
+
+    const { types, codes, severities } = filter;
+    if (codes && !codes.includes(error?.code)) {
+      return false;
+    }
+    if (severities && !severities.includes(error?.severity || ErrorSeverity.ERROR)) {
+      return false;
+    }
+    if (types) {
+      for (let type = error?.constructor; type && type !== Object; type = Object.getPrototypeOf(type)) {
+        if (types.includes(type.name)) return true;
+      }
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Queue an error for sending
+   * @param {Error} error - Handled error
+   * @param {Object} [context={}] - Context it was handled in
+   * @returns {boolean} Whether the error was queued
+   */
+  report(error, context = {}) {
+    if (this.closed || !this.accepts(error, context)) {
+      return false;
+    }
+
+    this.queue.push(this.createReport(error, context));
+    if (this.queue.length > this.options.maxQueue) {
+      this.queue.shift();
+      this.dropped++;
+    }
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.options.flushInterval);
+      // A pending report does not keep the process alive
+      this.timer.unref?.();
+    }
+    return true;
+  }
+
+  /**
+   * Report sent to sinks; registered secret values are redacted
+   * @param {Error} error
+   * @param {Object} context
+   * @returns {Object} { id, timestamp, type, code, message, severity, details, stack, context }
+   */
+  createReport(error, context) {
+    return redact({
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      type: error?.constructor?.name || typeof error,
+      code: error?.code,
+      message: error?.message ?? String(error),
+      severity: error?.severity || ErrorSeverity.ERROR,
+      details: error?.details,
+      stack: error?.stack,
+      context
+    });
+  }
+
+  /**
+   * Send every queued report. Flushes run one after another and never reject.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    this.flushing = this.flushing.then(() => this.drain());
+    return this.flushing;
+  }
+
+  /**
+   * @private
+   */
+  async drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0) {
+      await this.sendWithRetry(this.queue.splice(0, this.options.batchSize));
+    }
+  }
+
+  /**
+   * @private
+   */
+  async sendWithRetry(reports) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.send(reports);
+        this.emit('report:sent', { reports, attempts: attempt });
+        return;
+      } catch (error) {
+        if (attempt > this.options.retries || error?.retryable === false) {
+          this.emit('report:failed', { error, reports, attempts: attempt });
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(attempt, error)));
+      }
+    }
+  }
+
+  /**
+   * Delay before a retry: exponential backoff, at least the sink's retryAfter
+   * @param {number} attempt - Failed attempts so far
+   * @param {Error} [error] - Failure of the last attempt
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempt, error) {
+    const { initial, factor, max } = this.options.backoff;
+    const delay = initial * factor ** (attempt - 1);
+    return Math.min(max, Math.max(delay, error?.retryAfter || 0));
+  }
+
+  /**
+   * Send a batch of reports to the sink
+   * @param {Array<Object>} reports - Reports from createReport()
+   * @returns {Promise<void>}
+   */
+  async send(reports) {
+    throw new Error('send() must be implemented');
+  }
+
+  /**
+   * Stop accepting reports and send the queued ones
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    await this.flush();
+  }
+}
+
+export default ErrorReporter;
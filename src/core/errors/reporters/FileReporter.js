@@ -0,0 +1,34 @@
+// src/core/errors/reporters/FileReporter.js
+
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { ErrorReporter } from './ErrorReporter.js';
+import { CoreError } from '../Error.js';
+import { formatJson } from '../../logger/transports.js';
+
+/**
+ * Reporter appending reports to a file as newline-delimited JSON,
+ * one report per line
+ */
+export class FileReporter extends ErrorReporter {
+  /**
+   * @param {Object} options - ErrorReporter options and
+   * @param {string} options.path - NDJSON file, created with its directory
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (typeof this.options.path !== 'string' || !this.options.path) {
+      throw new CoreError('INVALID_REPORTER_OPTIONS', 'FileReporter needs a path', { path: this.options.path });
+    }
+    this.name = 'file';
+  }
+
+  async send(reports) {
+    const { path } = this.options;
+    await mkdir(dirname(path), { recursive: true });
+    await appendFile(path, reports.map(report => `${formatJson(report)}\n`).join(''));
+  }
+}
+
+export default FileReporter;
@@ -0,0 +1,131 @@
+// src/core/errors/reporters/SentryReporter.js
+
+import { WebhookReporter } from './WebhookReporter.js';
+import { CoreError } from '../Error.js';
+import { formatJson } from '../../logger/transports.js';
+
+const CLIENT = 'tsmis-core/1.0.0';
+
+// `at fn (file:line:col)` or `at file:line:col`
+const framePattern = /^at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+
+/**
+ * Stack frames in Sentry's order, oldest call first
+ * @private
+ */
+function parseFrames(stack) {
+  if (typeof stack !== 'string') return [];
+
+  return stack
+    .split('\n')
+    .map(line => framePattern.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, fn, filename, lineno, colno]) => ({
+      function: fn || '<anonymous>',
+      filename,
+      lineno: Number(lineno),
+      colno: Number(colno),
+      in_app: !filename.includes('node_modules') && !filename.startsWith('node:')
+    }))
+    .reverse();
+}
+
+/**
+ * Reporter sending each report as an event envelope to a Sentry-compatible
+ * ingest endpoint (Sentry, GlitchTip and others). An envelope holds one
+ * event, so a batch is sent as one request per report; the event id is the
+ * report id, so the sink drops events that a retried batch sends again.
+ */
+export class SentryReporter extends WebhookReporter {
+  /**
+   * @param {Object} options - ErrorReporter options and
+   * @param {string} options.dsn - Project DSN, `https://<key>@<host>/<project>`
+   * @param {string} [options.environment] - Environment tag, e.g. 'production'
+   * @param {string} [options.release] - Release tag
+   * @param {string} [options.serverName] - Host name tag
+   * @param {number} [options.timeout=10000] - Request timeout in ms
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'sentry';
+  }
+
+  /**
+   * Envelope endpoint of the DSN's project
+   * @returns {URL}
+   */
+  createEndpoint() {
+    const { dsn } = this.options;
+    let url;
+    try {
+      url = new URL(dsn);
+    } catch {
+      url = null;
+    }
+
+    const segments = url?.pathname.split('/').filter(Boolean) || [];
+    const projectId = segments.pop();
+    if (!url?.username || !projectId) {
+      throw new CoreError('INVALID_REPORTER_OPTIONS', 'SentryReporter needs a DSN like https://<key>@<host>/<project>', { dsn });
+    }
+
+    this.publicKey = url.username;
+    const prefix = segments.length > 0 ? `/${segments.join('/')}` : '';
+    return new URL(`${url.protocol}//${url.host}${prefix}/api/${projectId}/envelope/`);
+  }
+
+  async send(reports) {
+    for (const report of reports) {
+      await this.post(this.createEnvelope(report), {
+        'content-type': 'application/x-sentry-envelope',
+        'x-sentry-auth': `Sentry sentry_version=7, sentry_key=${this.publicKey}, sentry_client=${CLIENT}`
+      });
+    }
+  }
+
+  /**
+   * Envelope of one event: envelope header, item header and event, one JSON per line
+   * @param {Object} report - Report from createReport()
+   * @returns {string}
+   */
+  createEnvelope(report) {
+    const event = this.createEvent(report);
+
+    return [
+      formatJson({ event_id: event.event_id, sent_at: new Date().toISOString(), dsn: this.options.dsn }),
+      formatJson({ type: 'event', content_type: 'application/json' }),
+      formatJson(event)
+    ].join('\n');
+  }
+
+  /**
+   * Sentry event of a report
+   * @param {Object} report - Report from createReport()
+   * @returns {Object}
+   */
+  createEvent(report) {
+    const frames = parseFrames(report.stack);
+    const { environment, release, serverName } = this.options;
+
+    return {
+      event_id: report.id.replace(/-/g, ''),
+      timestamp: Date.parse(report.timestamp) / 1000,
+      platform: 'node',
+      level: report.severity,
+      environment,
+      release,
+      server_name: serverName,
+      exception: {
+        values: [{
+          type: report.type,
+          value: report.message,
+          ...(frames.length > 0 && { stacktrace: { frames } })
+        }]
+      },
+      tags: report.code ? { code: report.code } : {},
+      extra: { details: report.details, context: report.context }
+    };
+  }
+}
+
+export default SentryReporter;
@@ -0,0 +1,80 @@
+// src/core/errors/reporters/WebhookReporter.js
+
+import { ErrorReporter } from './ErrorReporter.js';
+import { CoreError } from '../Error.js';
+import { NetworkError } from '../types/NetworkError.js';
+import { formatJson } from '../../logger/transports.js';
+
+// Client errors that may pass on retry
+const retryableStatuses = new Set([408, 429]);
+
+/**
+ * Reporter posting each batch to an HTTP endpoint as `{ reports: [...] }`
+ */
+export class WebhookReporter extends ErrorReporter {
+  /**
+   * @param {Object} options - ErrorReporter options and
+   * @param {string} options.url - Endpoint receiving the POST requests
+   * @param {Object} [options.headers={}] - Extra request headers, e.g. authorization
+   * @param {number} [options.timeout=10000] - Request timeout in ms
+   */
+  constructor(options = {}) {
+    super({ headers: {}, timeout: 10000, ...options });
+    this.name = 'webhook';
+    this.endpoint = this.createEndpoint();
+  }
+
+  /**
+   * URL the batches are posted to; subclasses derive it from their options
+   * @returns {URL}
+   */
+  createEndpoint() {
+    const { url } = this.options;
+    try {
+      return new URL(url);
+    } catch {
+      throw new CoreError('INVALID_REPORTER_OPTIONS', `Invalid reporter URL ${url}`, { url });
+    }
+  }
+
+  async send(reports) {
+    await this.post(formatJson({ reports }), { 'content-type': 'application/json' });
+  }
+
+  /**
+   * POST a body to the endpoint. Server errors, 408 and 429 are retryable,
+   * other failed statuses are not.
+   * @param {string} body - Request body
+   * @param {Object} headers - Request headers, before options.headers
+   * @returns {Promise<Response>} Response with its body read
+   */
+  async post(body, headers) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...headers, ...this.options.headers },
+      body,
+      signal: AbortSignal.timeout(this.options.timeout)
+    });
+
+    // Read the body to free the connection
+    await response.arrayBuffer().catch(() => {});
+
+    if (!response.ok) {
+      const error = new NetworkError(
+        'REQUEST_FAILED',
+        `${this.name} reporter got status ${response.status}`,
+        { status: response.status }
+      );
+      error.retryable = response.status >= 500 || retryableStatuses.has(response.status);
+
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (retryAfter > 0) {
+        error.retryAfter = retryAfter * 1000;
+      }
+      throw error;
+    }
+    return response;
+  }
+}
+
+export default WebhookReporter;
@@ -0,0 +1,4 @@
+export { ErrorReporter } from './ErrorReporter.js';
+export { FileReporter } from './FileReporter.js';
+export { WebhookReporter } from './WebhookReporter.js';
+export { SentryReporter } from './SentryReporter.js';
@@ -0,0 +1,93 @@
+// src/core/errors/statusCodes.js
+
+/**
+ * Default HTTP status codes by error code and by error type name.
+ * Codes are more specific and are looked up first.
+ */
+export const DefaultStatusCodes = Object.freeze({
+  codes: Object.freeze({
+    AUTH_UNAUTHORIZED: 401,
+    AUTH_TOKEN_EXPIRED: 401,
+    AUTH_INVALID_TOKEN: 401,
+    ACCESS_FORBIDDEN: 403,
+    ACCESS_INSUFFICIENT_RIGHTS: 403,
+    ACCESS_RESOURCE_ACCESS_DENIED: 403,
+    NETWORK_ROUTE_NOT_FOUND: 404,
+    NETWORK_REQUEST_TIMEOUT: 504,
+    ROUTER_ROUTE_CONFLICT: 409
+  }),
+  types: Object.freeze({
+    CoreError: 500,
+    ValidationError: 400,
+    AuthError: 401,
+    AccessError: 403,
+    NetworkError: 503,
+    ServiceError: 503,
+    ConfigError: 500,
+    ModuleError: 500,
+    EventError: 500,
+    RouterError: 500
+  })
+});
+
+const hasOwn = (object, key) => object != null && Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Validate a status code mapping
+ * @param {Object} mapping - { codes, types }
+ * @returns {string|null} Problem description, null when valid
+ */
+export function validateStatusCodes(mapping) {
+  if (!mapping || typeof mapping !== 'object') {
+    return 'Status code mapping must be an object';
+  }
+
+  for (const key of Object.keys(mapping)) {
+    if (key !== 'codes' && key !== 'types') {
+      return `Unknown status code mapping ${key}, expected codes or types`;
+    }
+    for (const [name, status] of Object.entries(mapping[key] || {})) {
+      if (!Number.isInteger(status) || status < 400 || status > 599) {
+        return `Status code for ${name} must be an integer from 400 to 599`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the HTTP status code of an error.
+ * A status code set on the error itself wins; otherwise the mappings are
+ * searched by error code, then by the nearest type in the error's
+ * prototype chain, and the defaults come last.
+ * @param {Error} error - Error to resolve
+ * @param {...Object} mappings - { codes, types } mappings, most specific first
+ * @returns {number} HTTP status code, 500 when nothing matches
+ */
+export function resolveStatusCode(error, ...mappings) {
+  // CoreErrors keep their own status code apart from the type default
+  const own = error && 'statusCodeOverride' in error
+    ? error.statusCodeOverride
+    : error?.statusCode ?? error?.status;
+  if (Number.isInteger(own)) {
+    return own;
+  }
+
+  const sources = [...mappings.filter(Boolean), DefaultStatusCodes];
+
+  for (const { codes } of sources) {
+    if (hasOwn(codes, error?.code)) {
+      return codes[error.code];
+    }
+  }
+
+  for (let type = error?.constructor; type && type !== Object; type = Object.getPrototypeOf(type)) {
+    for (const { types } of sources) {
+      if (hasOwn(types, type.name)) {
+        return types[type.name];
+      }
+    }
+  }
+
+  return 500;
+}
@@ -14,6 +14,5 @@ export class AccessError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`ACCESS_${code}`, message, details, options);
-    this.statusCode = 403;
   }
 }
\ No newline at end of file
@@ -14,6 +14,5 @@ export class AuthError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`AUTH_${code}`, message, details, options);
-    this.statusCode = 401;
   }
 }
\ No newline at end of file
@@ -14,6 +14,5 @@ export class ConfigError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`CONFIG_${code}`, message, details, options);
-    this.statusCode = 500;
   }
 }
\ No newline at end of file
@@ -16,6 +16,5 @@ export class EventError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`EVENT_${code}`, message, details, options);
-    this.statusCode = 500;
   }
 }
\ No newline at end of file
@@ -14,6 +14,5 @@ export class ModuleError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`MODULE_${code}`, message, details, options);
-    this.statusCode = 500;
   }
 }
\ No newline at end of file
@@ -14,7 +14,9 @@ export class NetworkError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`NETWORK_${code}`, message, details, options);
-    // Use provided status code or default to 503
-    this.statusCode = details.statusCode || 503;
+    // A status code in the details overrides the default
+    if (details.statusCode) {
+      this.statusCode = details.statusCode;
+    }
   }
 }
\ No newline at end of file
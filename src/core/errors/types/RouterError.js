@@ -15,7 +15,6 @@ export class RouterError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`ROUTER_${code}`, message, details, options);
-    this.statusCode = 500;
   }
 }
 
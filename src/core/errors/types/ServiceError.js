@@ -14,6 +14,5 @@ export class ServiceError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`SERVICE_${code}`, message, details, options);
-    this.statusCode = 503;
   }
 }
\ No newline at end of file
@@ -14,7 +14,6 @@ export class ValidationError extends CoreError {
    */
   constructor(code, message, details = {}, options = {}) {
     super(`VALIDATION_${code}`, message, details, options);
-    this.statusCode = 400;
     this.validationErrors = this.validationErrors = Array.isArray(details.validationErrors) ? details.validationErrors : [];
   }
 
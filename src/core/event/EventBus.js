@@ -2,18 +2,21 @@
 
 import { EventEmitter } from "events";
 import { CoreError, EventError, ErrorCodes } from "../errors/index.js";
+import { getConfigValue } from "../config/ConfigSystem.js";
+import { childLogger } from "../logger/Logger.js";
 
 export class CoreEventBus extends EventEmitter {
-  static dependencies = ["errorSystem", "config"];
+  static dependencies = ["errorSystem", "config", { name: "logger", optional: true }];
   static version = "1.0.0";
 
   constructor(deps = {}) {
     super();
     this.deps = deps;
+    this.logger = childLogger(deps.logger, { component: "EventBus" });
     this.queues = new Map();
     this.subscriptions = new Map();
     this.history = new Map();
-    this.maxHistorySize = deps.config?.eventHistory?.maxSize || 1000;
+    this.maxHistorySize = getConfigValue(deps.config, 'eventHistory.maxSize') || 1000;
     this.initialized = false;
 
     // Enhanced state tracking
@@ -276,12 +279,14 @@ export class CoreEventBus extends EventEmitter {
       errorCode: error.code,
     });
 
-    // Forward to error system if available
+    // Forward to error system if available, log otherwise
     if (this.deps.errorSystem) {
       await this.deps.errorSystem.handleError(error, {
         source: "CoreEventBus",
         ...context,
       });
+    } else {
+      this.logger.error(error.message, { error, context });
     }
   }
 
@@ -319,6 +324,12 @@ export class CoreEventBus extends EventEmitter {
         queued: Boolean(options.queue),
       });
 
+      this.logger.debug("Event emitted", {
+        event: eventName,
+        eventId: event.id,
+        queued: Boolean(options.queue),
+      });
+
       // Handle queuing if needed
       if (options.queue) {
         return this.queueEvent(event, options);
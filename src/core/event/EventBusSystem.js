@@ -3,14 +3,17 @@
 import { EventEmitter } from 'events';
 import { CoreEventBus } from './EventBus.js';
 import { CoreError, EventError, ErrorCodes, ServiceError } from '../errors/index.js';
+import { findMissingDependencies } from '../container/dependencies.js';
+import { childLogger } from '../logger/Logger.js';
 
 export class EventBusSystem extends EventEmitter {
-  static dependencies = ['errorSystem', 'config'];
+  static dependencies = ['errorSystem', 'config', { name: 'logger', optional: true }];
   static version = '1.0.0';
 
   constructor(deps) {
     super();
     this.deps = deps;
+    this.logger = childLogger(deps?.logger, { component: 'EventBusSystem' });
     this.eventBus = null;
     this.initialized = false;
     // Remove static flag and use an instance flag instead
@@ -168,9 +171,7 @@ export class EventBusSystem extends EventEmitter {
    * @private
    */
   validateDependencies() {
-    const missing = this.constructor.dependencies.filter(
-      dep => !this.deps[dep]
-    );
+    const missing = findMissingDependencies(this.constructor.dependencies, this.deps);
 
     if (missing.length > 0) {
       throw new EventError(
@@ -224,6 +225,7 @@ export class EventBusSystem extends EventEmitter {
       
       // Record metric
       this.recordMetric('eventbussystem.initialized', 1);
+      this.logger.info('EventBusSystem initialized');
       
       // Emit system initialized event
       this.emit('system:initialized', {
@@ -375,6 +377,7 @@ export class EventBusSystem extends EventEmitter {
         });
       } catch (handlerError) {
         // Special handling when error system fails
+        this.logger.error('Error in error handling', { error: handlerError, originalError: error });
         this.state.errors.push({
           timestamp: new Date().toISOString(),
           error: handlerError.message,
@@ -420,6 +423,7 @@ export class EventBusSystem extends EventEmitter {
       this.initialized = false;
       this.eventBus = null;
       this.state.status = 'shutdown';
+      this.logger.info('EventBusSystem shut down');
       
       // Emit system shutdown event
       this.emit('system:shutdown', {
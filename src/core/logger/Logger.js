@@ -0,0 +1,276 @@
+// src/core/logger/Logger.js
+
+import { CoreError, ConfigError } from '../errors/index.js';
+import { redact } from '../config/redaction.js';
+import { createStdoutTransport } from './transports.js';
+
+/**
+ * Log levels and their severities
+ */
+export const LogLevels = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+  silent: Infinity
+};
+
+// Record keys that bindings and fields cannot overwrite
+const RESERVED_KEYS = ['level', 'time', 'msg'];
+
+/**
+ * Serialize an error for a log record, including its stack and cause
+ * @param {Error} error - Error to serialize
+ * @returns {object}
+ */
+export function serializeError(error) {
+  const base = error instanceof CoreError
+    ? error.toJSON()
+    : { name: error.name, message: error.message, ...(error.code && { code: error.code }) };
+
+  return {
+    ...base,
+    stack: error.stack,
+    ...(error.cause instanceof Error && { cause: serializeError(error.cause) })
+  };
+}
+
+/**
+ * Turn the fields argument of a log call into record fields
+ * @private
+ */
+function normalizeFields(fields) {
+  if (fields === undefined || fields === null) return {};
+  if (fields instanceof Error) return { error: serializeError(fields) };
+  if (typeof fields !== 'object' || Array.isArray(fields)) return { data: fields };
+
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return result;
+}
+
+/**
+ * Structured logger.
+ * Records are plain objects `{ level, time, msg, ...bindings, ...fields }`,
+ * redacted of registered secrets and handed to every transport.
+ * Child loggers add bindings (module name, request id, ...) and share
+ * their parent's level and transports.
+ */
+export class Logger {
+  static dependencies = [];
+  static version = '1.0.0';
+
+  /**
+   * @param {object} [options={}]
+   * @param {string} [options.level='info'] - Minimum level written
+   * @param {Array<object>} [options.transports] - Transports, stdout by default
+   * @param {string} [options.format='json'] - Format of the default stdout transport
+   * @param {object} [options.bindings={}] - Fields added to every record
+   * @param {object} [shared] - Level and transports of the parent, for child loggers
+   */
+  constructor(options = {}, shared = null) {
+    if (!shared) {
+      const level = options.level || 'info';
+      Logger.assertLevel(level);
+      shared = {
+        level,
+        transports: options.transports || [createStdoutTransport({ format: options.format })]
+      };
+    }
+
+    this.shared = shared;
+    this.bindings = { ...options.bindings };
+  }
+
+  /**
+   * Throw for unknown level names
+   * @private
+   */
+  static assertLevel(level) {
+    if (!Object.hasOwn(LogLevels, level)) {
+      throw new ConfigError(
+        'INVALID_LOG_LEVEL',
+        `Invalid log level ${level}`,
+        { level, allowed: Object.keys(LogLevels) }
+      );
+    }
+  }
+
+  /**
+   * Current minimum level, shared with parent and child loggers
+   * @returns {string}
+   */
+  get level() {
+    return this.shared.level;
+  }
+
+  /**
+   * Change the minimum level of this logger, its parent and its children
+   * @param {string} level - Level name
+   */
+  setLevel(level) {
+    Logger.assertLevel(level);
+    this.shared.level = level;
+  }
+
+  /**
+   * Whether records at a level are written
+   * @param {string} level - Level name
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LogLevels[level] >= LogLevels[this.shared.level];
+  }
+
+  /**
+   * Create a logger adding bindings to every record
+   * @param {object} bindings - Fields such as `{ module: 'users' }` or `{ requestId }`
+   * @returns {Logger}
+   */
+  child(bindings = {}) {
+    return new Logger({ bindings: { ...this.bindings, ...bindings } }, this.shared);
+  }
+
+  /**
+   * Add a transport
+   * @param {object} transport - Object with write(record)
+   */
+  addTransport(transport) {
+    if (typeof transport?.write !== 'function') {
+      throw new ConfigError(
+        'INVALID_TRANSPORT',
+        'Log transport must have a write method'
+      );
+    }
+    this.shared.transports.push(transport);
+  }
+
+  /**
+   * Write a record
+   * @param {string} level - Level name
+   * @param {string|Error} message - Message, or an error whose message is used
+   * @param {object|Error} [fields] - Fields to add; errors are serialized
+   */
+  log(level, message, fields) {
+    if (level === 'silent' || !this.isLevelEnabled(level)) return;
+
+    if (message instanceof Error && fields === undefined) {
+      fields = message;
+      message = message.message;
+    }
+
+    const record = {
+      level,
+      time: new Date().toISOString(),
+      msg: String(message)
+    };
+    for (const [key, value] of Object.entries({ ...this.bindings, ...normalizeFields(fields) })) {
+      if (!RESERVED_KEYS.includes(key)) {
+        record[key] = value;
+      }
+    }
+
+    const output = redact(record);
+    for (const transport of this.shared.transports) {
+      try {
+        transport.write(output);
+      } catch (error) {
+        // A failing transport must not break the caller, nor log recursively
+        process.stderr.write(`Log transport ${transport.name || 'unknown'} failed: ${error.message}\n`);
+      }
+    }
+  }
+
+  trace(message, fields) {
+    this.log('trace', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  fatal(message, fields) {
+    this.log('fatal', message, fields);
+  }
+
+  /**
+   * Close the transports. Child loggers share them, so they stop too.
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    for (const transport of this.shared.transports) {
+      if (typeof transport.close === 'function') {
+        await transport.close();
+      }
+    }
+  }
+}
+
+/**
+ * Create a logger that discards everything, used when none is injected.
+ * Each component gets its own, so replacing a method on one does not
+ * affect the others.
+ * @returns {object}
+ */
+export function createNoopLogger() {
+  return {
+    level: 'silent',
+    trace() {},
+    debug() {},
+    info() {},
+    warn() {},
+    error() {},
+    fatal() {},
+    log() {},
+    isLevelEnabled: () => false,
+    child: () => createNoopLogger()
+  };
+}
+
+/**
+ * Bind fields to an injected logger.
+ * Loggers without child() (such as console) are used as they are.
+ * @param {object} [logger] - Injected logger
+ * @param {object} bindings - Fields to bind
+ * @param {object} [fallback] - Used when no logger is injected, a no-op logger by default
+ * @returns {object}
+ */
+export function childLogger(logger, bindings, fallback = createNoopLogger()) {
+  if (!logger) return fallback;
+  return typeof logger.child === 'function' ? logger.child(bindings) : logger;
+}
+
+/**
+ * Factory function for container
+ * @param {Object} [deps={}] - Dependencies
+ * @param {Object} [options={}] - Logger options (see Logger)
+ * @returns {Logger}
+ */
+export function createLogger(deps = {}, options = {}) {
+  return new Logger(options);
+}
+
+export default {
+  Logger,
+  LogLevels,
+  createNoopLogger,
+  childLogger,
+  serializeError,
+  createLogger
+};
@@ -0,0 +1,288 @@
+// src/core/logger/transports.js
+
+import {
+  appendFileSync,
+  createWriteStream,
+  existsSync,
+  mkdirSync,
+  renameSync,
+  statSync,
+  unlinkSync
+} from 'fs';
+import { mkdir, rename, stat, unlink } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Log transports.
+ * A transport is an object with `write(record)`, called for every record
+ * at or above the logger's level, and optionally `close()`.
+ */
+
+/**
+ * Serialize a record as one JSON line, replacing circular references
+ * @param {object} record - Log record
+ * @returns {string}
+ */
+export function formatJson(record) {
+  const seen = new WeakSet();
+  return JSON.stringify(record, (key, value) => {
+    if (typeof value === 'bigint') return value.toString();
+    if (value !== null && typeof value === 'object') {
+      if (seen.has(value)) return '[Circular]';
+      seen.add(value);
+    }
+    return value;
+  });
+}
+
+/**
+ * Format a record for reading in a terminal:
+ * `<time> <LEVEL> <msg> <other fields as JSON>`
+ * @param {object} record - Log record
+ * @returns {string}
+ */
+export function formatPretty(record) {
+  const { time, level, msg, ...fields } = record;
+  const rest = Object.keys(fields).length > 0 ? ` ${formatJson(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
+
+/**
+ * Pick the formatter for a format name
+ * @private
+ */
+function getFormatter(format) {
+  return format === 'pretty' ? formatPretty : formatJson;
+}
+
+/**
+ * Transport writing one line per record to a stream
+ * @param {object} [options={}]
+ * @param {object} [options.stream=process.stdout] - Writable stream
+ * @param {string} [options.format='json'] - 'json' or 'pretty'
+ * @returns {object} Transport
+ */
+export function createStdoutTransport({ stream = process.stdout, format = 'json' } = {}) {
+  const formatter = getFormatter(format);
+
+  return {
+    name: 'stdout',
+    write(record) {
+      stream.write(`${formatter(record)}\n`);
+    }
+  };
+}
+
+/**
+ * Rotate a log file by renaming: `app.log` becomes `app.log.1`, `app.log.1`
+ * becomes `app.log.2` and so on; files beyond maxFiles are deleted
+ * @private
+ */
+function rotateSync(path, maxFiles) {
+  const oldest = `${path}.${maxFiles}`;
+  if (existsSync(oldest)) unlinkSync(oldest);
+
+  for (let index = maxFiles - 1; index >= 1; index--) {
+    const file = `${path}.${index}`;
+    if (existsSync(file)) renameSync(file, `${path}.${index + 1}`);
+  }
+
+  if (maxFiles > 0) {
+    renameSync(path, `${path}.1`);
+  } else {
+    unlinkSync(path);
+  }
+}
+
+/**
+ * Asynchronous rotateSync()
+ * @private
+ */
+async function rotate(path, maxFiles) {
+  const ignoreMissing = error => {
+    if (error.code !== 'ENOENT') throw error;
+  };
+
+  await unlink(`${path}.${maxFiles}`).catch(ignoreMissing);
+  for (let index = maxFiles - 1; index >= 1; index--) {
+    await rename(`${path}.${index}`, `${path}.${index + 1}`).catch(ignoreMissing);
+  }
+  await (maxFiles > 0 ? rename(path, `${path}.1`) : unlink(path)).catch(ignoreMissing);
+}
+
+/**
+ * Transport appending records to a file, rotating it by size.
+ * When a write would grow the file past maxSize, `app.log` becomes
+ * `app.log.1`, `app.log.1` becomes `app.log.2` and so on; files beyond
+ * maxFiles are deleted.
+ *
+ * Records are buffered and written through a write stream without blocking
+ * the caller; flush() waits for them and close() also ends the stream.
+ * Records written after close() are appended synchronously, so the last
+ * lines before exit are kept. With `sync: true` every record is appended
+ * synchronously, so nothing is lost when the process exits right after logging.
+ * @param {object} options
+ * @param {string} options.path - Log file
+ * @param {number} [options.maxSize=10485760] - Bytes before rotating
+ * @param {number} [options.maxFiles=5] - Rotated files to keep
+ * @param {string} [options.format='json'] - 'json' or 'pretty'
+ * @param {boolean} [options.sync=false] - Append each record synchronously
+ * @returns {object} Transport with `flush()` and `close()`
+ */
+export function createFileTransport({
+  path,
+  maxSize = 10 * 1024 * 1024,
+  maxFiles = 5,
+  format = 'json',
+  sync = false
+}) {
+  const formatter = getFormatter(format);
+  let size = null;
+  let stream = null;
+  // Closed, or sync: append each record synchronously
+  let synchronous = sync;
+  let queue = [];
+  let scheduled = false;
+  let writing = Promise.resolve();
+
+  const appendSync = (line) => {
+    if (size === null) {
+      mkdirSync(dirname(path), { recursive: true });
+      size = existsSync(path) ? statSync(path).size : 0;
+    }
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxSize) {
+      rotateSync(path, maxFiles);
+      size = 0;
+    }
+    appendFileSync(path, line);
+    size += bytes;
+  };
+
+  const endStream = async () => {
+    if (!stream) return;
+    const ending = stream;
+    stream = null;
+    await new Promise((resolve, reject) => {
+      ending.once('error', reject);
+      ending.end(resolve);
+    });
+  };
+
+  const writeChunk = async (chunk) => {
+    stream ??= createWriteStream(path, { flags: 'a' });
+    const target = stream;
+    await new Promise((resolve, reject) => {
+      target.write(chunk, error => (error ? reject(error) : resolve()));
+    });
+  };
+
+  // Write the queued lines, rotating before a line that would pass maxSize
+  const drain = async () => {
+    const lines = queue;
+    queue = [];
+
+    if (size === null) {
+      await mkdir(dirname(path), { recursive: true });
+      size = await stat(path).then(stats => stats.size, () => 0);
+    }
+
+    let chunk = '';
+    for (const line of lines) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxSize) {
+        if (chunk) await writeChunk(chunk);
+        chunk = '';
+        await endStream();
+        await rotate(path, maxFiles);
+        size = 0;
+      }
+      chunk += line;
+      size += bytes;
+    }
+    if (chunk) await writeChunk(chunk);
+  };
+
+  const flush = () => {
+    if (queue.length > 0 && !scheduled) {
+      scheduled = true;
+      writing = writing
+        .then(() => {
+          scheduled = false;
+          return drain();
+        })
+        .catch((error) => {
+          // A failing transport must not break the caller, nor log recursively
+          process.stderr.write(`Log transport file failed: ${error.message}\n`);
+        });
+    }
+    return writing;
+  };
+
+  return {
+    name: 'file',
+    path,
+    write(record) {
+      const line = `${formatter(record)}\n`;
+
+      if (synchronous) {
+        appendSync(line);
+        return;
+      }
+      queue.push(line);
+      flush();
+    },
+    /**
+     * Wait until the buffered records are written
+     * @returns {Promise<void>}
+     */
+    flush,
+    /**
+     * Write the buffered records and end the stream
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (synchronous) return;
+      await flush();
+      synchronous = true;
+      // Records queued while the first flush ran
+      await flush();
+      await endStream().catch(() => {});
+    }
+  };
+}
+
+/**
+ * Transport keeping records in memory, for tests
+ * @param {object} [options={}]
+ * @param {number} [options.limit=1000] - Records to keep, oldest dropped first
+ * @returns {object} Transport with `records`, `clear()` and `find(predicate)`
+ */
+export function createMemoryTransport({ limit = 1000 } = {}) {
+  const records = [];
+
+  return {
+    name: 'memory',
+    records,
+    write(record) {
+      records.push(record);
+      if (records.length > limit) {
+        records.shift();
+      }
+    },
+    find(predicate) {
+      return records.filter(predicate);
+    },
+    clear() {
+      records.length = 0;
+    }
+  };
+}
+
+export default {
+  formatJson,
+  formatPretty,
+  createStdoutTransport,
+  createFileTransport,
+  createMemoryTransport
+};
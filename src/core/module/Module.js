@@ -2,18 +2,24 @@
 import { EventEmitter } from 'events';
 import { CoreEventBus } from '../event/EventBus.js';
 import { ModuleError, ValidationError } from '../errors/index.js';
+import { withDependencyAccess, findMissingDependencies } from '../container/dependencies.js';
+import { redact } from '../config/redaction.js';
 
-export class CoreModule extends EventEmitter {
-  static dependencies = ['errorSystem', 'eventBusSystem', 'config'];
+export class CoreModule extends withDependencyAccess(EventEmitter) {
+  static dependencies = ['errorSystem', 'eventBusSystem', 'config', { name: 'logger', optional: true }];
   static version = '1.0.0';
   
   constructor(deps = {}) {
     super();
     this.deps = deps;
-    // Get the eventBus from eventBusSystem
-    this.eventBus = deps.eventBusSystem?.getEventBus();
+    // The ModuleSystem injects a logger bound to the module's name
+    this.logger = this.getDependency('logger') || console;
+    // Get the eventBus from eventBusSystem; a lazy one is resolved in initialize()
+    this.eventBus = this.isLazyDependency('eventBusSystem')
+      ? undefined
+      : this.getDependency('eventBusSystem')?.getEventBus();
     this.initialized = false;
-    this.config = deps.config || {};
+    this.config = this.getDependency('config') || {};
     
     // Enhanced state tracking
     this.state = {
@@ -34,9 +40,7 @@ export class CoreModule extends EventEmitter {
 
   validateDependencies() {
     // Check required dependencies
-    const missing = this.constructor.dependencies.filter(
-      dep => !this.deps[dep]
-    );
+    const missing = findMissingDependencies(this.constructor.dependencies, this.deps);
 
     if (missing.length > 0) {
       throw new ModuleError(
@@ -45,15 +49,23 @@ export class CoreModule extends EventEmitter {
       );
     }
 
+    // Lazy dependencies are thunks until first use, so only eager ones are checked
+    const eventBusSystem = this.isLazyDependency('eventBusSystem')
+      ? null
+      : this.getDependency('eventBusSystem');
+    const errorSystem = this.isLazyDependency('errorSystem')
+      ? null
+      : this.getDependency('errorSystem');
+
     // Validate eventBusSystem dependency
-    if (this.deps.eventBusSystem && typeof this.deps.eventBusSystem.getEventBus !== 'function') {
+    if (eventBusSystem && typeof eventBusSystem.getEventBus !== 'function') {
       throw new ModuleError(
         'INVALID_EVENTBUS_SYSTEM',
         'EventBusSystem missing required method: getEventBus'
       );
     }
 
-    if (this.deps.errorSystem && typeof this.deps.errorSystem.handleError !== 'function') {
+    if (errorSystem && typeof errorSystem.handleError !== 'function') {
       throw new ModuleError(
         'INVALID_ERROR_SYSTEM',
         'ErrorSystem missing required methods'
@@ -84,6 +96,45 @@ export class CoreModule extends EventEmitter {
     }
   }
 
+  /**
+   * Apply a new configuration to a running module.
+   * The configuration is validated with onValidateConfig() and handed to
+   * onConfigChange(); if either fails, the previous configuration is restored.
+   * @param {object} config - New configuration
+   * @param {Array<string>} [changes=[]] - Changed key paths
+   * @returns {Promise<CoreModule>}
+   * @throws {ModuleError} CONFIG_CHANGE_FAILED
+   */
+  async updateConfig(config, changes = []) {
+    const previousConfig = this.config;
+    this.config = config;
+
+    try {
+      await this.validateConfig();
+      await this.onConfigChange(changes, previousConfig);
+    } catch (error) {
+      this.config = previousConfig;
+      this.recordMetric('module.config.rollback', 1, { changes: changes.length });
+
+      const changeError = new ModuleError(
+        'CONFIG_CHANGE_FAILED',
+        'Failed to apply configuration change',
+        { changes, originalError: error }
+      );
+      await this.handleError(changeError, { phase: 'configChange' });
+      throw changeError;
+    }
+
+    this.recordMetric('module.config.changed', 1, { changes: changes.length });
+    await this.emit('module:config:changed', {
+      name: this.constructor.name,
+      changes,
+      timestamp: new Date().toISOString()
+    });
+
+    return this;
+  }
+
   async initialize() {
     if (this.initialized) {
       throw new ModuleError(
@@ -96,6 +147,11 @@ export class CoreModule extends EventEmitter {
       this.state.startTime = Date.now();
       this.state.status = 'initializing';
 
+      if (!this.eventBus && this.isLazyDependency('eventBusSystem')) {
+        const eventBusSystem = await this.resolveDependency('eventBusSystem');
+        this.eventBus = eventBusSystem?.getEventBus();
+      }
+
       // Configuration phase
       await this.validateConfig();
       await this.onConfigure();
@@ -124,7 +180,7 @@ export class CoreModule extends EventEmitter {
       this.state.status = 'error';
       this.state.errors.push({
         timestamp: new Date().toISOString(),
-        error: error.message
+        error: redact(error.message)
       });
 
       throw new ModuleError(
@@ -198,13 +254,14 @@ export class CoreModule extends EventEmitter {
       }
     }
 
-    return {
+    // Health output leaves the process, so resolved secrets are redacted
+    return redact({
       name: this.constructor.name,
       version: this.constructor.version,
       status: overallStatus,
       timestamp: new Date().toISOString(),
       checks: results
-    };
+    });
   }
 
   async handleError(error, context = {}) {
@@ -213,8 +270,8 @@ export class CoreModule extends EventEmitter {
     // Add error to state
     this.state.errors.push({
       timestamp: new Date().toISOString(),
-      error: error.message,
-      context: safeContext
+      error: redact(error.message),
+      context: redact(safeContext)
     });
 
     // Trim error history
@@ -223,15 +280,16 @@ export class CoreModule extends EventEmitter {
     }
 
     // Forward to error system
-    if (this.deps.errorSystem) {
+    const errorSystem = await this.resolveDependency('errorSystem').catch(() => null);
+    if (errorSystem) {
       try {
-        await this.deps.errorSystem.handleError(error, {
+        await errorSystem.handleError(error, {
           module: this.constructor.name,
           ...safeContext
         });
       } catch (handlerError) {
         // Log error handling failure
-        console.error('Error in error handling:', handlerError);
+        this.logger.error('Error in error handling:', handlerError);
       }
     }
 
@@ -296,7 +354,7 @@ export class CoreModule extends EventEmitter {
       this.state.status = 'error';
       this.state.errors.push({
         timestamp: new Date().toISOString(),
-        error: error.message,
+        error: redact(error.message),
         context: { phase: 'shutdown' }
       });
 
@@ -319,6 +377,18 @@ export class CoreModule extends EventEmitter {
     return Promise.resolve();
   }
 
+  /**
+   * Called after a configuration change passed onValidateConfig();
+   * this.config already holds the new configuration. Throwing restores
+   * the previous one.
+   * @param {Array<string>} changes - Changed key paths
+   * @param {object} previousConfig - Configuration before the change
+   */
+  async onConfigChange(changes, previousConfig) {
+    // Override in derived classes
+    return Promise.resolve();
+  }
+
   async setupEventHandlers() {
     // Override in derived classes
     return Promise.resolve();
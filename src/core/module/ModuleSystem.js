@@ -2,17 +2,38 @@
 import { EventEmitter } from 'events';
 import { CoreModule } from './Module.js';
 import { ModuleError, ValidationError } from '../errors/index.js';
-
-export class ModuleSystem extends EventEmitter {
-  static dependencies = ['errorSystem', 'eventBusSystem', 'config'];
+import {
+  normalizeDependencies,
+  createLazyDependency,
+  withDependencyAccess,
+  findMissingDependencies
+} from '../container/dependencies.js';
+import { getConfigValue } from '../config/ConfigSystem.js';
+import { redact } from '../config/redaction.js';
+import { childLogger } from '../logger/Logger.js';
+
+export class ModuleSystem extends withDependencyAccess(EventEmitter) {
+  static dependencies = [
+    'errorSystem',
+    'eventBusSystem',
+    'config',
+    { name: 'logger', optional: true },
+    // Initialized first when registered, so routes modules register on initialize reach the router
+    { name: 'routerSystem', optional: true }
+  ];
 
   constructor(deps) {
     super();
     this.deps = deps;
+    this.logger = childLogger(this.getDependency('logger'), { component: 'ModuleSystem' }, console);
     this.modules = new Map();
+    this.moduleConfigs = new Map(); // Config passed to register(), which overrides the system config
+    this.configSubscription = null;
     this.initialized = false;
-    // Get eventBus from eventBusSystem
-    this.eventBus = deps.eventBusSystem?.getEventBus();
+    // Get eventBus from eventBusSystem; a lazy one is resolved in initialize()
+    this.eventBus = this.isLazyDependency('eventBusSystem')
+      ? undefined
+      : this.getDependency('eventBusSystem')?.getEventBus();
     this.state = {
       status: 'created',
       startTime: null,
@@ -27,9 +48,7 @@ export class ModuleSystem extends EventEmitter {
   }
 
   validateDependencies() {
-    const missing = this.constructor.dependencies.filter(
-      dep => !this.deps[dep]
-    );
+    const missing = findMissingDependencies(this.constructor.dependencies, this.deps);
 
     if (missing.length > 0) {
       throw new ModuleError(
@@ -38,15 +57,15 @@ export class ModuleSystem extends EventEmitter {
       );
     }
 
-    // Validate eventBusSystem
-    if (!this.deps.eventBusSystem?.getEventBus) {
+    // Lazy dependencies are thunks until first use, so only eager ones are checked
+    if (!this.isLazyDependency('eventBusSystem') && !this.getDependency('eventBusSystem')?.getEventBus) {
       throw new ModuleError(
         'INVALID_EVENTBUS_SYSTEM',
         'EventBusSystem missing required methods'
       );
     }
 
-    if (!this.deps.errorSystem?.handleError) {
+    if (!this.isLazyDependency('errorSystem') && !this.getDependency('errorSystem')?.handleError) {
       throw new ModuleError(
         'INVALID_ERROR_SYSTEM',
         'ErrorSystem missing required methods'
@@ -87,15 +106,10 @@ export class ModuleSystem extends EventEmitter {
 
     try {
       // Create module instance with dependencies
-      const module = new ModuleClass({
-        ...this.deps,
-        config: {
-          ...this.deps.config?.[name],
-          ...config
-        }
-      });
+      const module = new ModuleClass(this.createModuleDependencies(name, ModuleClass, config));
 
       this.modules.set(name, module);
+      this.moduleConfigs.set(name, config);
 
       // Setup health check listener
       module.on('module:error', async (error) => {
@@ -117,6 +131,100 @@ export class ModuleSystem extends EventEmitter {
     }
   }
 
+  /**
+   * Build the dependencies passed to a module constructor.
+   * System dependencies and other registered modules are injected
+   * according to the module's declarations (as, optional, lazy);
+   * the module's config is its slice of the system config.
+   * @private
+   */
+  createModuleDependencies(name, ModuleClass, config = {}) {
+    const moduleDeps = {
+      ...this.deps,
+      errorSystem: this.getDependency('errorSystem'),
+      eventBusSystem: this.getDependency('eventBusSystem'),
+      config: this.getModuleConfig(name, config),
+      logger: childLogger(this.getDependency('logger'), { module: name }, null)
+    };
+
+    for (const dep of normalizeDependencies(ModuleClass.dependencies)) {
+      if (dep.name === 'config' || dep.name === 'logger') {
+        moduleDeps[dep.key] = moduleDeps[dep.name];
+      } else if (dep.lazy) {
+        moduleDeps[dep.key] = createLazyDependency(() => this.resolveModuleDependency(dep.name));
+      } else if (this.getDependency(dep.name) !== undefined) {
+        moduleDeps[dep.key] = this.getDependency(dep.name);
+      } else if (this.modules.has(dep.name)) {
+        moduleDeps[dep.key] = this.modules.get(dep.name);
+      }
+    }
+
+    return moduleDeps;
+  }
+
+  /**
+   * A module's configuration: its slice of the system config,
+   * overridden by the config passed to register()
+   * @private
+   */
+  getModuleConfig(name, config = this.moduleConfigs.get(name)) {
+    return {
+      ...getConfigValue(this.getDependency('config'), name),
+      ...config
+    };
+  }
+
+  /**
+   * Hand changed configuration to the affected modules.
+   * Called for `config:changed` events; a module is affected when a changed
+   * key path is inside its slice. Running modules validate and apply the
+   * change through CoreModule.updateConfig(), which rolls back on failure.
+   * @param {Array<string>} changes - Changed key paths
+   * @returns {Promise<{updated: Array<string>, failed: Array<string>}>} Module names
+   */
+  async applyConfigChange(changes = []) {
+    const updated = [];
+    const failed = [];
+
+    for (const name of this.resolveDependencyOrder()) {
+      const moduleChanges = changes.filter(path =>
+        path === name || path.startsWith(`${name}.`)
+      );
+      if (moduleChanges.length === 0) continue;
+
+      const module = this.modules.get(name);
+      const config = this.getModuleConfig(name);
+
+      if (!module.initialized) {
+        // Validated when the module initializes
+        module.config = config;
+        updated.push(name);
+        continue;
+      }
+
+      try {
+        await module.updateConfig(config, moduleChanges);
+        updated.push(name);
+      } catch (error) {
+        // The module reports the failure through module:error
+        failed.push(name);
+      }
+    }
+
+    return { updated, failed };
+  }
+
+  /**
+   * Resolve a lazy module dependency: a system dependency or another module
+   * @private
+   */
+  async resolveModuleDependency(name) {
+    if (this.getDependency(name) !== undefined) {
+      return this.resolveDependency(name);
+    }
+    return this.resolve(name);
+  }
+
   async unregister(name) {
     const module = this.modules.get(name);
     if (!module) return;
@@ -127,6 +235,7 @@ export class ModuleSystem extends EventEmitter {
       }
       
       this.modules.delete(name);
+      this.moduleConfigs.delete(name);
       
       await this.emit('module:unregistered', {
         name,
@@ -164,6 +273,19 @@ export class ModuleSystem extends EventEmitter {
       this.state.startTime = Date.now();
       this.state.status = 'initializing';
 
+      if (!this.eventBus && this.isLazyDependency('eventBusSystem')) {
+        const eventBusSystem = await this.resolveDependency('eventBusSystem');
+        this.eventBus = eventBusSystem?.getEventBus();
+      }
+
+      if (typeof this.eventBus?.subscribe === 'function') {
+        this.configSubscription = this.eventBus.subscribe('config:changed', (event) => {
+          this.applyConfigChange(event.data?.changes).catch(error =>
+            this.handleModuleError('ModuleSystem', error)
+          );
+        });
+      }
+
       // Initialize modules in dependency order
       const initOrder = this.resolveDependencyOrder();
       
@@ -210,16 +332,21 @@ export class ModuleSystem extends EventEmitter {
       visiting.add(name);
 
       const module = this.modules.get(name);
-      const deps = module.constructor.dependencies || [];
+      const deps = normalizeDependencies(module.constructor.dependencies);
 
       for (const dep of deps) {
-        if (!this.modules.has(dep)) {
+        // Lazy dependencies and system dependencies do not order modules
+        if (dep.lazy || (!this.modules.has(dep.name) && this.getDependency(dep.name) !== undefined)) {
+          continue;
+        }
+        if (!this.modules.has(dep.name)) {
+          if (dep.optional) continue;
           throw new ModuleError(
             'MISSING_DEPENDENCY',
-            `Module ${name} requires missing module: ${dep}`
+            `Module ${name} requires missing module: ${dep.name}`
           );
         }
-        visit(dep);
+        visit(dep.name);
       }
 
       visiting.delete(name);
@@ -300,7 +427,7 @@ export class ModuleSystem extends EventEmitter {
     this.state.errors.push({
       timestamp: new Date().toISOString(),
       module: moduleName,
-      error: error.message
+      error: redact(error.message)
     });
   
     // Trim error history
@@ -309,26 +436,29 @@ export class ModuleSystem extends EventEmitter {
     }
   
     // Defensive error handling for error system
-    if (this.deps.errorSystem && typeof this.deps.errorSystem.handleError === 'function') {
+    const errorSystem = await this.resolveDependency('errorSystem').catch(() => null);
+    if (errorSystem && typeof errorSystem.handleError === 'function') {
       try {
         // Carefully forward error to error system with context
-        await this.deps.errorSystem.handleError(error, {
+        await errorSystem.handleError(error, {
           source: 'ModuleSystem',
           module: moduleName,
           timestamp: new Date().toISOString()
         });
       } catch (handlerError) {
         // Fallback logging mechanism
-        const fallbackErrorLog = {
+        const fallbackErrorLog = redact({
           timestamp: new Date().toISOString(),
           source: 'ModuleSystem',
           originalError: error.message,
           handlerError: handlerError.message,
           module: moduleName
-        };
+        });
   
-        // Use a robust logging mechanism
-        if (typeof console.error === 'function') {
+        // Use a robust logging mechanism; console gets the record pre-formatted
+        if (this.logger !== console) {
+          this.logger.error('Error System Failure', fallbackErrorLog);
+        } else if (typeof console.error === 'function') {
           console.error('Error System Failure:', JSON.stringify(fallbackErrorLog, null, 2));
         }
   
@@ -369,13 +499,13 @@ export class ModuleSystem extends EventEmitter {
       }
     }
 
-    return {
+    return redact({
       status: systemStatus,
       timestamp: new Date().toISOString(),
       uptime: Date.now() - this.state.startTime,
       modules: moduleHealth,
       errorCount: this.state.errors.length
-    };
+    });
   }
 
   async shutdown() {
@@ -390,6 +520,11 @@ export class ModuleSystem extends EventEmitter {
       }
       this.state.healthCheckIntervals.clear();
 
+      if (this.configSubscription) {
+        this.eventBus.unsubscribe(this.configSubscription);
+        this.configSubscription = null;
+      }
+
       // Shutdown modules in reverse dependency order
       const shutdownOrder = this.resolveDependencyOrder().reverse();
 
@@ -399,6 +534,7 @@ export class ModuleSystem extends EventEmitter {
       }
 
       this.modules.clear();
+      this.moduleConfigs.clear();
       this.initialized = false;
       this.state.status = 'shutdown';
 
@@ -1,13 +1,14 @@
 // src/core/router/Router.js
 import { EventEmitter } from 'events';
 import { RouterError, ErrorCodes } from '../errors/index.js';
+import { childLogger } from '../logger/Logger.js';
 
 /**
  * Core router for managing HTTP routes
  * @extends EventEmitter
  */
 export class CoreRouter extends EventEmitter {
-  static dependencies = ['errorSystem', 'eventBusSystem', 'config'];
+  static dependencies = ['errorSystem', 'eventBusSystem', 'config', { name: 'logger', optional: true }];
   static version = '1.0.0';
 
   /**
@@ -17,6 +18,7 @@ export class CoreRouter extends EventEmitter {
   constructor(deps) {
     super();
     this.deps = deps;
+    this.logger = childLogger(deps?.logger, { component: 'CoreRouter' });
     this.routes = new Map();
     this.adapters = new Map();
     this.middleware = new Map();
@@ -272,6 +274,11 @@ export class CoreRouter extends EventEmitter {
       moduleId,
       method: method.toUpperCase()
     });
+    this.logger.debug('Route registered', {
+      moduleId,
+      method: method.toUpperCase(),
+      path
+    });
 
     return this;
   }
@@ -480,6 +487,7 @@ export class CoreRouter extends EventEmitter {
       this.recordMetric('routes.applied', routes.length, {
         adapter: adapterName
       });
+      this.logger.info('Routes applied', { adapter: adapterName, count: routes.length });
 
       // Emit event
       this.emit('routes:applied', {
@@ -729,6 +737,7 @@ export class CoreRouter extends EventEmitter {
         });
       } catch (handlerError) {
         // Log error handling failure
+        this.logger.error('Error in error handling', { error: handlerError, originalError: error });
         this.state.errors.push({
           timestamp: new Date().toISOString(),
           error: handlerError.message,
@@ -2,13 +2,22 @@
 import { EventEmitter } from "events";
 import { CoreRouter } from "./Router.js";
 import { RouterError, ErrorCodes } from "../errors/index.js";
+import { findMissingDependencies } from "../container/dependencies.js";
+import { childLogger } from "../logger/Logger.js";
 
 /**
  * Router system for centralized route management
  * @extends EventEmitter
  */
 export class RouterSystem extends EventEmitter {
-  static dependencies = ["errorSystem", "eventBusSystem", "config"];
+  static dependencies = [
+    "errorSystem",
+    "eventBusSystem",
+    "config",
+    { name: "logger", optional: true },
+    // Every component registered with the routerAdapter tag, keyed by adapter.name
+    { tag: "routerAdapter", as: "routerAdapters" },
+  ];
   static version = "1.0.0";
 
   /**
@@ -18,6 +27,7 @@ export class RouterSystem extends EventEmitter {
   constructor(deps) {
     super();
     this.deps = deps;
+    this.logger = childLogger(deps?.logger, { component: "RouterSystem" });
     this.router = null;
     this.initialized = false;
 
@@ -42,9 +52,7 @@ export class RouterSystem extends EventEmitter {
    * @private
    */
   validateDependencies() {
-    const missing = this.constructor.dependencies.filter(
-      (dep) => !this.deps[dep]
-    );
+    const missing = findMissingDependencies(this.constructor.dependencies, this.deps);
 
     if (missing.length > 0) {
       throw new RouterError(
@@ -191,11 +199,19 @@ export class RouterSystem extends EventEmitter {
       // Now initialize the router
       await this.router.initialize();
 
+      // Register adapters contributed through the container
+      for (const adapter of this.deps.routerAdapters || []) {
+        this.router.registerAdapter(adapter?.name, adapter);
+      }
+
       this.initialized = true;
       this.state.status = "running";
 
       // Record metric
       this.recordMetric("routersystem.initialized", 1);
+      this.logger.info("RouterSystem initialized", {
+        adapters: Array.from(this.router.adapters.keys()),
+      });
 
       // Emit initialized event
       this.emit("system:initialized", {
@@ -309,6 +325,7 @@ export class RouterSystem extends EventEmitter {
         });
       } catch (handlerError) {
         // Log error handling failure
+        this.logger.error("Error in error handling", { error: handlerError, originalError: error });
         this.state.errors.push({
           timestamp: new Date().toISOString(),
           error: handlerError.message,
@@ -807,6 +824,7 @@ export class RouterSystem extends EventEmitter {
       this.initialized = false;
       this.router = null;
       this.state.status = "shutdown";
+      this.logger.info("RouterSystem shut down");
 
       // Emit shutdown event
       this.emit("system:shutdown", {
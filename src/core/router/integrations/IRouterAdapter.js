@@ -1,7 +1,9 @@
 // src/core/router/integrations/IRouterAdapter.js
 
 /**
- * Interface for framework adapters
+ * Interface for framework adapters.
+ * Adapters registered in the container with the routerAdapter tag are
+ * registered with the RouterSystem under their name property.
  */
 export class IRouterAdapter {
     /**
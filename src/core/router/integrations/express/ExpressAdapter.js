@@ -6,6 +6,8 @@ import { IRouterAdapter } from '../IRouterAdapter.js';
  * @extends IRouterAdapter
  */
 export class ExpressAdapter extends IRouterAdapter {
+  name = 'express';
+
   /**
    * Apply routes to Express
    * @param {Object} app - Express app instance
@@ -39,7 +41,8 @@ export class ExpressAdapter extends IRouterAdapter {
   }
 
   /**
-   * Wrap a handler for Express compatibility
+   * Wrap a handler for Express compatibility.
+   * Errors go to next(), for ExpressIntegration's error middleware to answer.
    * @param {Function} handler - Original handler
    * @returns {Function} - Wrapped handler
    */
@@ -6,6 +6,8 @@ import { IRouterAdapter } from '../IRouterAdapter.js';
  * @extends IRouterAdapter
  */
 export class FastifyAdapter extends IRouterAdapter {
+  name = 'fastify';
+
   /**
    * Apply routes to Fastify
    * @param {Object} fastify - Fastify instance
@@ -0,0 +1,282 @@
+// tests/core/application/Application.test.js
+
+/**
+ * TESTS
+ *
+ * - Options: Tests for adapter selection and validation.
+ * - Bootstrap: Tests for wiring core systems, modules, routes and error integration.
+ * - Lifecycle: Tests for start failures and shutdown.
+ */
+
+import { EventEmitter } from "events";
+import {
+  Application,
+  createApplication,
+} from "../../../src/core/application/Application.js";
+import { CoreModule } from "../../../src/core/module/Module.js";
+import { RoutableModule } from "../../../src/core/router/RoutableModule.js";
+import { FastifyAdapter } from "../../../src/core/router/integrations/fastify/FastifyAdapter.js";
+import { ExpressAdapter } from "../../../src/core/router/integrations/express/ExpressAdapter.js";
+import { createMemoryTransport } from "../../../src/core/logger/transports.js";
+import { ConfigError, ServiceError } from "../../../src/core/errors/index.js";
+
+// Minimal Fastify stand-in recording routes, hooks and the error handler
+function createFakeFastify() {
+  return {
+    routes: [],
+    hooks: [],
+    errorHandler: null,
+    route(config) {
+      this.routes.push(config);
+    },
+    addHook(name, fn) {
+      this.hooks.push({ name, fn });
+    },
+    setErrorHandler(fn) {
+      this.errorHandler = fn;
+    },
+  };
+}
+
+// Fastify stand-in whose close() runs the onClose hooks once; later calls
+// wait for the first, so closing again from a hook would never finish
+function createClosableServer() {
+  const server = createFakeFastify();
+  let closing = null;
+  server.closed = 0;
+  server.close = (callback) => {
+    closing ??= (async () => {
+      server.closed++;
+      for (const { name, fn } of server.hooks) {
+        if (name === "onClose") await fn(server);
+      }
+    })();
+    if (!callback) return closing;
+    closing.then(() => callback(), callback);
+  };
+  return server;
+}
+
+class UsersModule extends RoutableModule {
+  async onInitialize() {
+    this.registerRoute("GET", "/users", async () => ({ pageSize: this.config.pageSize }));
+    await super.onInitialize();
+  }
+}
+
+class AuditModule extends CoreModule {}
+
+describe("Application", () => {
+  let memory;
+  let application;
+
+  const baseOptions = () => ({
+    config: { envFile: false, env: {}, defaults: { users: { pageSize: 20 } } },
+    logger: { level: "debug", transports: [memory] },
+  });
+
+  beforeEach(() => {
+    memory = createMemoryTransport();
+    application = null;
+  });
+
+  afterEach(async () => {
+    if (application) {
+      await application.shutdown();
+    }
+  });
+
+  describe("Options", () => {
+    test("should default to the only adapter", () => {
+      application = new Application({
+        ...baseOptions(),
+        adapters: [FastifyAdapter],
+        server: createFakeFastify(),
+      });
+
+      expect(application.adapterName).toBe("fastify");
+      expect(application.adapters[0]).toBeInstanceOf(FastifyAdapter);
+    });
+
+    test("should require a choice between several adapters", () => {
+      const options = {
+        ...baseOptions(),
+        adapters: [FastifyAdapter, new ExpressAdapter()],
+        server: createFakeFastify(),
+      };
+
+      expect(() => new Application(options)).toThrow(
+        expect.objectContaining({ code: "CONFIG_ADAPTER_REQUIRED" })
+      );
+      expect(new Application({ ...options, adapter: "express" }).adapterName).toBe("express");
+    });
+
+    test("should reject unknown and invalid adapters", () => {
+      expect(() => new Application({ adapters: [FastifyAdapter], adapter: "koa" })).toThrow(
+        expect.objectContaining({ code: "CONFIG_UNKNOWN_ADAPTER" })
+      );
+      expect(() => new Application({ adapters: [{ name: "broken" }] })).toThrow(ConfigError);
+    });
+  });
+
+  describe("Bootstrap", () => {
+    test("should wire every core system", async () => {
+      application = await createApplication(baseOptions());
+
+      for (const name of ["logger", "errorSystem", "config", "eventBusSystem", "routerSystem", "moduleSystem"]) {
+        expect((await application.resolve(name)).initialized ?? true).toBe(true);
+      }
+      expect(application.state.status).toBe("running");
+    });
+
+    test("should register modules with their configuration", async () => {
+      application = await createApplication({
+        ...baseOptions(),
+        modules: {
+          users: UsersModule,
+          audit: { module: AuditModule, config: { retention: 30 } },
+        },
+      });
+
+      const moduleSystem = await application.resolve("moduleSystem");
+      const users = await moduleSystem.resolve("users");
+
+      expect(users.config).toEqual({ pageSize: 20 });
+      expect((await moduleSystem.resolve("audit")).config).toEqual({ retention: 30 });
+      expect(users.logger.bindings).toEqual({ module: "users" });
+    });
+
+    test("should apply module routes and install the error integration", async () => {
+      const server = createFakeFastify();
+      const started = [];
+
+      application = new Application({
+        ...baseOptions(),
+        modules: { users: UsersModule },
+        adapters: [FastifyAdapter],
+        server,
+      });
+      application.on("application:started", (event) => started.push(event));
+      await application.start();
+
+      expect(server.routes.map((route) => `${route.method} ${route.url}`)).toEqual(["GET /users"]);
+      expect(await server.routes[0].handler()).toEqual({ pageSize: 20 });
+      expect(typeof server.errorHandler).toBe("function");
+      expect(started[0]).toMatchObject({ modules: ["users"], adapter: "fastify" });
+    });
+
+    test("should install the express error middleware after the routes", async () => {
+      const order = [];
+      const app = {
+        get: (path) => order.push(`GET ${path}`),
+        post() {},
+        use: (fn) => order.push(`use/${fn.length}`),
+      };
+
+      application = await createApplication({
+        ...baseOptions(),
+        modules: { users: UsersModule },
+        adapters: [ExpressAdapter],
+        server: app,
+      });
+
+      expect(order).toEqual(["GET /users", "use/3", "use/4"]);
+    });
+
+    test("should warn when an adapter has no error integration", async () => {
+      const koa = { name: "koa", applied: null, async applyRoutes(app, routes) { this.applied = routes; } };
+
+      application = await createApplication({
+        ...baseOptions(),
+        adapters: [koa],
+        server: {},
+      });
+
+      expect(koa.applied).toEqual([]);
+      expect(memory.find((record) => record.msg === "No error integration for adapter")[0])
+        .toMatchObject({ level: "warn", adapter: "koa" });
+    });
+  });
+
+  describe("Lifecycle", () => {
+    test("should shut down the container when routes cannot be applied", async () => {
+      const app = new Application({
+        ...baseOptions(),
+        modules: { users: UsersModule },
+        adapters: [FastifyAdapter],
+        // Not a Fastify instance: the adapter rejects it
+        server: { addHook() {}, setErrorHandler() {} },
+      });
+
+      const error = await app.start().catch((e) => e);
+
+      expect(error).toBeInstanceOf(ServiceError);
+      expect(error.code).toBe("SERVICE_START_FAILED");
+      expect(app.state.status).toBe("error");
+      expect(app.container.initialized).toBe(false);
+    });
+
+    test("should shut down once and refuse to restart", async () => {
+      application = await createApplication(baseOptions());
+
+      await expect(application.start()).rejects.toMatchObject({ code: "SERVICE_ALREADY_STARTED" });
+
+      const report = await application.shutdown();
+      expect(report.status).toBe("completed");
+      expect(application.state.status).toBe("stopped");
+      expect(await application.shutdown()).toBe(report);
+      await expect(application.start()).rejects.toMatchObject({ code: "SERVICE_ALREADY_STARTED" });
+    });
+
+    test("should shut down from the server's close hook", async () => {
+      const server = createClosableServer();
+      application = await createApplication({ ...baseOptions(), adapters: [FastifyAdapter], server });
+      // As buildApp() does
+      server.addHook("onClose", () => application.handleServerClose());
+
+      await server.close();
+
+      expect(application.state.status).toBe("stopped");
+      expect(application.container.initialized).toBe(false);
+      const report = await application.shutdown();
+      expect(report.reason).toBe("close");
+      expect(report.steps.map((step) => step.name)).toEqual(["eventQueues", "container"]);
+    });
+
+    test("should close the server once when shut down", async () => {
+      const server = createClosableServer();
+      application = await createApplication({ ...baseOptions(), adapters: [FastifyAdapter], server });
+      // As buildApp() does
+      server.addHook("onClose", () => application.handleServerClose());
+
+      const report = await application.shutdown("test");
+
+      expect(report).toMatchObject({ reason: "test", status: "completed" });
+      expect(report.steps.map((step) => step.name)).toEqual(["server", "eventQueues", "container"]);
+      expect(server.closed).toBe(1);
+    });
+
+    test("should report a crash, shut down and exit with code 1", async () => {
+      const target = new EventEmitter();
+      let exited;
+      const exitCalled = new Promise((resolve) => { exited = resolve; });
+
+      application = await createApplication({
+        ...baseOptions(),
+        handleCrashes: { target },
+        shutdown: { exit: exited },
+      });
+      target.emit("uncaughtException", new Error("boom"), "uncaughtException");
+
+      expect(await exitCalled).toBe(1);
+      expect(memory.find((record) => record.msg === "Unhandled error:")[0]).toMatchObject({
+        level: "fatal",
+        code: "UNCAUGHT_EXCEPTION",
+        context: { source: "process", event: "uncaughtException" },
+      });
+      expect((await application.shutdown()).reason).toBe("uncaughtException");
+      expect(application.state.status).toBe("stopped");
+      expect(target.listenerCount("uncaughtException")).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+// tests/core/application/ShutdownManager.test.js
+
+import { EventEmitter } from "events";
+import {
+  ShutdownManager,
+  createShutdownManager,
+} from "../../../src/core/application/ShutdownManager.js";
+import { createApplication } from "../../../src/core/application/Application.js";
+import { CoreContainer } from "../../../src/core/container/Container.js";
+import { Logger } from "../../../src/core/logger/Logger.js";
+import { createMemoryTransport } from "../../../src/core/logger/transports.js";
+
+describe("ShutdownManager", () => {
+  let calls;
+  let memory;
+  let logger;
+
+  // Server closing after `delay` ms, recording when it was closed
+  const createServer = (delay = 0) => ({
+    close(callback) {
+      calls.push("server");
+      if (delay !== Infinity) setTimeout(callback, delay);
+    },
+  });
+
+  // Container with one component recording its shutdown
+  const createContainer = async (shutdown = async () => {}) => {
+    const container = new CoreContainer();
+    container.register("service", {
+      async shutdown() {
+        calls.push("service");
+        await shutdown();
+      },
+    });
+    await container.initialize();
+    return container;
+  };
+
+  beforeEach(() => {
+    calls = [];
+    memory = createMemoryTransport();
+    logger = new Logger({ transports: [memory] });
+  });
+
+  test("should close the server, then shut down the container", async () => {
+    const manager = createShutdownManager({
+      server: createServer(),
+      container: await createContainer(),
+      logger,
+    });
+
+    const report = await manager.shutdown("test");
+
+    expect(calls).toEqual(["server", "service"]);
+    expect(report).toMatchObject({
+      phase: "shutdown",
+      reason: "test",
+      status: "completed",
+      exitCode: 0,
+      container: { status: "completed" },
+    });
+    expect(report.steps.map((step) => step.name)).toEqual(["server", "container"]);
+    expect(memory.find((record) => record.msg === "Shutdown completed")[0])
+      .toMatchObject({ component: "ShutdownManager", report: { reason: "test" } });
+  });
+
+  test("should run once however often it is requested", async () => {
+    const manager = new ShutdownManager({ container: await createContainer() });
+
+    const [first, second] = await Promise.all([manager.shutdown(), manager.shutdown()]);
+
+    expect(first).toBe(second);
+    expect(await manager.shutdown()).toBe(first);
+    expect(calls).toEqual(["service"]);
+    expect(manager.shuttingDown).toBe(true);
+  });
+
+  test("should stop draining at the deadline and still shut down the container", async () => {
+    const manager = new ShutdownManager(
+      { server: createServer(Infinity), container: await createContainer(), logger },
+      { timeout: 20 }
+    );
+
+    const report = await manager.shutdown();
+
+    expect(report.status).toBe("timedOut");
+    expect(report.exitCode).toBe(1);
+    expect(report.steps.map(({ name, status }) => ({ name, status }))).toEqual([
+      { name: "server", status: "timedOut" },
+      { name: "container", status: "completed" },
+    ]);
+    expect(calls).toEqual(["server", "service"]);
+    expect(memory.find((record) => record.msg === "Shutdown finished with errors")).toHaveLength(1);
+  });
+
+  test("should report component shutdown failures", async () => {
+    const container = await createContainer(async () => {
+      throw new Error("connection reset");
+    });
+
+    const report = await new ShutdownManager({ container }).shutdown();
+
+    expect(report.status).toBe("failed");
+    expect(report.exitCode).toBe(1);
+    expect(report.container.components[0]).toMatchObject({
+      name: "service",
+      status: "failed",
+      error: { message: "connection reset" },
+    });
+  });
+
+  test("should shut down and exit once on a signal", async () => {
+    const signalTarget = new EventEmitter();
+    const exitCodes = [];
+    let exited;
+    const exitCalled = new Promise((resolve) => { exited = resolve; });
+    const manager = new ShutdownManager(
+      { container: await createContainer() },
+      { signalTarget, exit: (code) => { exitCodes.push(code); exited(); } }
+    );
+
+    manager.installSignalHandlers().installSignalHandlers();
+    expect(signalTarget.listenerCount("SIGTERM")).toBe(1);
+
+    signalTarget.emit("SIGTERM");
+    await exitCalled;
+
+    expect(exitCodes).toEqual([0]);
+    expect((await manager.shutdown()).reason).toBe("SIGTERM");
+    expect(signalTarget.listenerCount("SIGINT")).toBe(0);
+    expect(signalTarget.listenerCount("SIGTERM")).toBe(0);
+  });
+
+  test("should drain event bus queues of an application", async () => {
+    const handled = [];
+    const application = await createApplication({
+      config: { envFile: false, env: {} },
+      logger: { transports: [memory] },
+    });
+    const eventBus = (await application.resolve("eventBusSystem")).getEventBus();
+    eventBus.subscribe("audit.recorded", (event) => handled.push(event.data));
+    await eventBus.emit("audit.recorded", { id: 1 }, { queue: true });
+
+    const stopped = [];
+    application.on("application:stopped", (event) => stopped.push(event));
+    const report = await application.shutdown("test");
+
+    expect(handled).toEqual([{ id: 1 }]);
+    expect(report.steps.map((step) => step.name)).toEqual(["eventQueues", "container"]);
+    expect(application.state.status).toBe("stopped");
+    expect(stopped[0].status).toBe("completed");
+  });
+});
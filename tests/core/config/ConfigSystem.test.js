@@ -0,0 +1,465 @@
+// tests/core/config/ConfigSystem.test.js
+
+import { mkdtemp, mkdir, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  ConfigSystem,
+  createConfigSystem,
+  getConfigValue
+} from "../../../src/core/config/ConfigSystem.js";
+import { CoreContainer } from "../../../src/core/container/Container.js";
+import { ModuleSystem } from "../../../src/core/module/ModuleSystem.js";
+import { CoreModule } from "../../../src/core/module/Module.js";
+import { EventBusSystem } from "../../../src/core/event/EventBusSystem.js";
+import { createErrorSystem } from "../../../src/core/errors/ErrorSystem.js";
+import { ConfigError } from "../../../src/core/errors/index.js";
+import { createVaultSecretProvider, writeVaultFile } from "../../../src/core/config/secrets.js";
+import { clearSecrets, REDACTED } from "../../../src/core/config/redaction.js";
+
+describe("ConfigSystem", () => {
+  let dir;
+
+  const createSystem = (options = {}) => new ConfigSystem({}, {
+    cwd: dir,
+    env: {},
+    ...options
+  });
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "config-system-"));
+  });
+
+  afterEach(async () => {
+    clearSecrets();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("Layered Sources", () => {
+    beforeEach(async () => {
+      await mkdir(join(dir, "config"));
+      await writeFile(join(dir, "config", "default.json"), JSON.stringify({
+        server: { host: "0.0.0.0", port: 3000 },
+        logging: { level: "info" }
+      }));
+      await writeFile(join(dir, "config", "production.yaml"), [
+        "server:",
+        "  port: 80",
+        "logging:",
+        "  level: warn"
+      ].join("\n"));
+    });
+
+    test("should start from defaults", () => {
+      const config = createSystem({ defaults: { a: { b: 1 } } });
+      expect(config.get("a.b")).toBe(1);
+    });
+
+    test("should merge defaults and directory files", async () => {
+      const config = createSystem({
+        directory: "config",
+        defaults: { server: { timeout: 5 } }
+      });
+
+      await config.load();
+
+      expect(config.get()).toEqual({
+        server: { host: "0.0.0.0", port: 3000, timeout: 5 },
+        logging: { level: "info" }
+      });
+    });
+
+    test("should apply the environment's overrides", async () => {
+      const config = createSystem({ directory: "config", environment: "production" });
+      await config.load();
+
+      expect(config.get("server.port")).toBe(80);
+      expect(config.get("logging.level")).toBe("warn");
+      expect(config.get("server.host")).toBe("0.0.0.0");
+    });
+
+    test("should take the environment from NODE_ENV", async () => {
+      const config = createSystem({ directory: "config", env: { NODE_ENV: "production" } });
+      await config.load();
+
+      expect(config.environment).toBe("production");
+      expect(config.get("server.port")).toBe(80);
+    });
+
+    test("should apply explicit files after the directory", async () => {
+      await writeFile(join(dir, "extra.yml"), "server:\n  port: 9000\n");
+      const config = createSystem({ directory: "config", files: ["extra.yml"] });
+      await config.load();
+
+      expect(config.get("server.port")).toBe(9000);
+    });
+
+    test("should fail for a missing explicit file", async () => {
+      const config = createSystem({ files: ["missing.json"] });
+      await expect(config.load()).rejects.toMatchObject({ code: "CONFIG_MISSING_CONFIG_FILE" });
+    });
+
+    test("should apply .env and environment variables last", async () => {
+      await writeFile(join(dir, ".env"), "TSMIS_SERVER__PORT=4000\nTSMIS_LOGGING__LEVEL=debug\n");
+      const config = createSystem({
+        directory: "config",
+        env: { TSMIS_LOGGING__LEVEL: "error", LOG_FORMAT: "json" },
+        envMap: { LOG_FORMAT: "logging.format" }
+      });
+
+      await config.load();
+
+      expect(config.get("server.port")).toBe("4000");
+      expect(config.get("logging")).toEqual({ level: "error", format: "json" });
+      expect(config.getSources().map(source => source.type)).toEqual([
+        "defaults", "file", "envFile", "env"
+      ]);
+    });
+
+    test("should skip the .env file when disabled", async () => {
+      await writeFile(join(dir, ".env"), "TSMIS_A=1\n");
+      const config = createSystem({ envFile: false });
+      await config.load();
+
+      expect(config.has("a")).toBe(false);
+    });
+  });
+
+  describe("Schema Validation", () => {
+    const schema = {
+      type: "object",
+      required: ["database"],
+      properties: {
+        server: {
+          type: "object",
+          properties: {
+            port: { type: "integer", default: 3000 }
+          }
+        },
+        database: {
+          type: "object",
+          required: ["url"],
+          properties: {
+            url: { type: "string", pattern: "^postgres://" },
+            pool: { type: "integer", minimum: 1 }
+          }
+        }
+      }
+    };
+
+    test("should coerce environment variables and apply schema defaults", async () => {
+      const config = createSystem({
+        schema,
+        env: {
+          TSMIS_DATABASE__URL: "postgres://db/app",
+          TSMIS_DATABASE__POOL: "5"
+        }
+      });
+
+      await config.load();
+
+      expect(config.get("database.pool")).toBe(5);
+      expect(config.get("server.port")).toBe(3000);
+    });
+
+    test("should throw ConfigError with per-field details", async () => {
+      const config = createSystem({
+        schema,
+        defaults: { database: { url: "mysql://db", pool: 0 } }
+      });
+
+      const error = await config.load().catch(e => e);
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.code).toBe("CONFIG_VALIDATION_FAILED");
+      expect(error.details.validationErrors).toEqual([
+        { field: "database.url", message: "database.url must match pattern ^postgres://" },
+        { field: "database.pool", message: "database.pool must be at least 1" }
+      ]);
+    });
+
+    test("should keep the previous values when a reload fails", async () => {
+      const env = { TSMIS_DATABASE__URL: "postgres://db/app" };
+      const config = createSystem({ schema, env });
+      await config.load();
+
+      env.TSMIS_DATABASE__URL = "invalid";
+      await expect(config.load()).rejects.toThrow(ConfigError);
+      expect(config.get("database.url")).toBe("postgres://db/app");
+      expect(config.state.errors).toHaveLength(1);
+    });
+  });
+
+  describe("Secrets", () => {
+    test("should resolve references from the environment by default", async () => {
+      const config = createSystem({
+        defaults: { database: { password: "secret://DB_PASSWORD" } },
+        env: { DB_PASSWORD: "hunter22" }
+      });
+
+      await config.load();
+
+      expect(config.get("database.password")).toBe("hunter22");
+      expect(config.getSecretReferences()).toEqual([
+        { path: "database.password", provider: "env", name: "DB_PASSWORD" }
+      ]);
+    });
+
+    test("should resolve references from a vault before schema validation", async () => {
+      const path = join(dir, "vault.json");
+      await writeVaultFile(path, { API_KEY: "key-1234" }, "passphrase");
+      const config = createSystem({
+        defaults: { api: { key: "secret://vault/API_KEY" } },
+        schema: { properties: { api: { properties: { key: { type: "string", minLength: 8 } } } } },
+        secrets: {
+          providers: { vault: createVaultSecretProvider({ path, passphrase: "passphrase" }) }
+        }
+      });
+
+      await config.initialize();
+
+      expect(config.get("api.key")).toBe("key-1234");
+      const health = await config.checkHealth();
+      expect(health.checks.secrets).toEqual({
+        status: "healthy",
+        references: 1,
+        providers: {
+          env: { status: "healthy" },
+          vault: { status: "healthy", secretCount: 1 }
+        }
+      });
+    });
+
+    test("should fail to load when a secret is missing", async () => {
+      const config = createSystem({ defaults: { a: "secret://MISSING" } });
+
+      await expect(config.load()).rejects.toMatchObject({ code: "CONFIG_SECRET_NOT_FOUND" });
+    });
+
+    test("should redact secrets from health output and error state", async () => {
+      const config = createSystem({
+        defaults: { password: "secret://DB_PASSWORD" },
+        env: { DB_PASSWORD: "hunter22" }
+      });
+      await config.initialize();
+      config.registerHealthCheck("database", async () => ({
+        status: "healthy",
+        url: `postgres://app:${config.get("password")}@db/app`
+      }));
+
+      await config.handleError(new Error("login failed with hunter22"), { method: "test" });
+      const health = await config.checkHealth();
+
+      expect(health.checks.database.url).toBe(`postgres://app:${REDACTED}@db/app`);
+      expect(config.state.errors[0].error).toBe(`login failed with ${REDACTED}`);
+    });
+  });
+
+  describe("Hot Reload", () => {
+    test("should announce changed key paths on reload", async () => {
+      const env = { TSMIS_SERVER__PORT: "3000" };
+      const config = createSystem({ env, defaults: { name: "app" } });
+      await config.initialize();
+      const events = [];
+      config.on("config:changed", event => events.push(event));
+
+      env.TSMIS_SERVER__PORT = "4000";
+      env.TSMIS_LOGGING__LEVEL = "debug";
+      const result = await config.reload();
+
+      expect(result.changes).toEqual(["server.port", "logging.level"]);
+      expect(events).toHaveLength(1);
+      expect(events[0].changes).toEqual(["server.port", "logging.level"]);
+      expect(config.get("server.port")).toBe("4000");
+    });
+
+    test("should not announce a reload without changes", async () => {
+      const config = createSystem({ defaults: { a: 1 } });
+      await config.initialize();
+      const events = [];
+      config.on("config:changed", event => events.push(event));
+
+      expect(await config.reload()).toEqual({ changes: [] });
+      expect(events).toHaveLength(0);
+    });
+
+    test("should keep the values and announce nothing when a reload fails", async () => {
+      const env = { TSMIS_PORT: "1" };
+      const config = createSystem({
+        env,
+        schema: { type: "object", properties: { port: { type: "integer" } } }
+      });
+      await config.initialize();
+      const events = [];
+      config.on("config:changed", event => events.push(event));
+
+      env.TSMIS_PORT = "abc";
+      await expect(config.reload()).rejects.toMatchObject({ code: "CONFIG_VALIDATION_FAILED" });
+      expect(config.get("port")).toBe(1);
+      expect(events).toHaveLength(0);
+
+      env.TSMIS_PORT = "2";
+      expect(await config.reload()).toEqual({ changes: ["port"] });
+    });
+
+    test("should emit config:changed through a lazy event bus system", async () => {
+      const emitted = [];
+      const eventBusSystem = {
+        getEventBus: () => ({ emit: async (name, data) => emitted.push({ name, data }) })
+      };
+      const env = {};
+      const config = new ConfigSystem(
+        { eventBusSystem: async () => eventBusSystem },
+        { cwd: dir, env }
+      );
+      await config.initialize();
+
+      env.TSMIS_A = "1";
+      await config.reload();
+
+      expect(emitted).toEqual([
+        { name: "config:changed", data: expect.objectContaining({ changes: ["a"] }) }
+      ]);
+    });
+
+    test("should reload when a watched file changes", async () => {
+      await mkdir(join(dir, "config"));
+      await writeFile(join(dir, "config", "default.json"), JSON.stringify({ port: 1 }));
+      const config = createSystem({ directory: "config", watch: true, watchDebounce: 10 });
+      await config.initialize();
+
+      try {
+        expect(config.watchers.length).toBeGreaterThan(0);
+        const changed = new Promise(resolve => config.once("config:changed", resolve));
+
+        await writeFile(join(dir, "config", "default.json"), JSON.stringify({ port: 2 }));
+        const event = await changed;
+
+        expect(event.changes).toEqual(["port"]);
+        expect(config.get("port")).toBe(2);
+      } finally {
+        await config.shutdown();
+      }
+      expect(config.watchers).toHaveLength(0);
+    });
+  });
+
+  describe("Lifecycle", () => {
+    test("should load on initialize and report health", async () => {
+      const config = createSystem({ defaults: { a: 1 } });
+      await config.initialize();
+
+      expect(config.initialized).toBe(true);
+      expect(config.getStatus().status).toBe("running");
+      const health = await config.checkHealth();
+      expect(health.status).toBe("healthy");
+      expect(health.checks.sources.environment).toBe("development");
+
+      await expect(config.initialize()).rejects.toMatchObject({ code: "CONFIG_ALREADY_INITIALIZED" });
+      await config.shutdown();
+      expect(config.initialized).toBe(false);
+    });
+
+    test("should return copies from getAll", async () => {
+      const config = createSystem({ defaults: { a: { b: 1 } } });
+      const all = config.getAll();
+      all.a.b = 2;
+
+      expect(config.get("a.b")).toBe(1);
+    });
+
+    test("should forward load errors to the error system", async () => {
+      const handled = [];
+      const config = new ConfigSystem(
+        { errorSystem: { handleError: async (error, context) => handled.push(context) } },
+        { cwd: dir, env: {}, files: ["missing.json"] }
+      );
+
+      await expect(config.initialize()).rejects.toThrow(ConfigError);
+      expect(handled).toEqual([{ source: "ConfigSystem", method: "load" }]);
+      expect(config.getStatus().status).toBe("error");
+    });
+  });
+
+  describe("getConfigValue", () => {
+    test("should read from plain objects and config systems", () => {
+      const plain = { a: { b: 1 } };
+      expect(getConfigValue(plain, "a.b")).toBe(1);
+      expect(getConfigValue(plain, "a.c", "fallback")).toBe("fallback");
+      expect(getConfigValue(undefined, "a", 2)).toBe(2);
+      expect(getConfigValue(createSystem({ defaults: plain }), "a")).toEqual({ b: 1 });
+    });
+  });
+
+  describe("Container Integration", () => {
+    // Inline factories carry ConfigSystem's dependency declarations
+    const configFactory = (options) => Object.assign(
+      (deps) => createConfigSystem(deps, options),
+      { dependencies: ConfigSystem.dependencies }
+    );
+
+    test("should hand each module its config slice", async () => {
+      class UsersModule extends CoreModule {}
+
+      const container = new CoreContainer();
+      container.register("errorSystem", createErrorSystem);
+      container.register("config", configFactory({
+        cwd: dir,
+        env: { TSMIS_USERS__PAGE_SIZE: "25" },
+        defaults: { users: { pageSize: 10, sort: "name" }, eventHistory: { maxSize: 5 } }
+      }));
+      container.register("eventBusSystem", EventBusSystem);
+      container.register("moduleSystem", ModuleSystem);
+
+      await container.initialize();
+      const moduleSystem = await container.resolve("moduleSystem");
+      await moduleSystem.register("users", UsersModule);
+      const eventBusSystem = await container.resolve("eventBusSystem");
+
+      expect(moduleSystem.modules.get("users").config).toEqual({ pageSize: "25", sort: "name" });
+      expect(eventBusSystem.getEventBus().maxHistorySize).toBe(5);
+
+      await container.shutdown();
+    });
+
+    test("should hand reloaded config to running modules", async () => {
+      class UsersModule extends CoreModule {
+        async onValidateConfig() {
+          if (Number(this.config.pageSize) > 100) {
+            throw new Error("pageSize too large");
+          }
+        }
+      }
+
+      const env = { TSMIS_USERS__PAGE_SIZE: "25" };
+      const container = new CoreContainer();
+      container.register("errorSystem", createErrorSystem);
+      container.register("config", configFactory({ cwd: dir, env }));
+      container.register("eventBusSystem", EventBusSystem);
+      container.register("moduleSystem", ModuleSystem);
+
+      await container.initialize();
+      const config = await container.resolve("config");
+      const moduleSystem = await container.resolve("moduleSystem");
+      const users = await moduleSystem.register("users", UsersModule);
+      await users.initialize();
+
+      try {
+        let changed = new Promise(resolve => users.once("module:config:changed", resolve));
+        env.TSMIS_USERS__PAGE_SIZE = "50";
+        await config.reload();
+        await changed;
+        expect(users.config.pageSize).toBe("50");
+
+        changed = new Promise(resolve => users.once("module:error", resolve));
+        env.TSMIS_USERS__PAGE_SIZE = "500";
+        await config.reload();
+        const { error } = await changed;
+        expect(error.code).toBe("MODULE_CONFIG_CHANGE_FAILED");
+        expect(users.config.pageSize).toBe("50");
+      } finally {
+        await container.shutdown();
+      }
+    });
+  });
+});
@@ -0,0 +1,202 @@
+// tests/core/config/secrets.test.js
+
+import { mkdtemp, writeFile, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  parseSecretReference,
+  resolveSecrets,
+  createEnvSecretProvider,
+  createFileSecretProvider,
+  createVaultSecretProvider,
+  encryptVault,
+  decryptVault,
+  writeVaultFile
+} from "../../../src/core/config/secrets.js";
+import {
+  REDACTED,
+  registerSecret,
+  clearSecrets,
+  isSecret,
+  redact
+} from "../../../src/core/config/redaction.js";
+import { CoreError } from "../../../src/core/errors/Error.js";
+import { ConfigError } from "../../../src/core/errors/index.js";
+
+describe("Secrets", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "config-secrets-"));
+  });
+
+  afterEach(async () => {
+    clearSecrets();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("resolveSecrets", () => {
+    const providers = {
+      env: createEnvSecretProvider({ env: { DB_PASSWORD: "hunter22", API_KEY: "key-123" } }),
+      static: { get: async (name) => (name === "token" ? "tok-456" : undefined) }
+    };
+
+    test("should parse references with and without a provider", () => {
+      expect(parseSecretReference("secret://DB_PASSWORD", providers, "env")).toEqual({
+        provider: "env",
+        name: "DB_PASSWORD"
+      });
+      expect(parseSecretReference("secret://static/token", providers, "env")).toEqual({
+        provider: "static",
+        name: "token"
+      });
+      expect(parseSecretReference("secret://a/b", providers, "env")).toEqual({
+        provider: "env",
+        name: "a/b"
+      });
+    });
+
+    test("should replace references and register the secrets", async () => {
+      const { values, references } = await resolveSecrets({
+        database: { password: "secret://DB_PASSWORD", host: "db" },
+        keys: ["secret://env/API_KEY", "secret://static/token"]
+      }, { providers, defaultProvider: "env" });
+
+      expect(values).toEqual({
+        database: { password: "hunter22", host: "db" },
+        keys: ["key-123", "tok-456"]
+      });
+      expect(references).toEqual([
+        { path: "database.password", provider: "env", name: "DB_PASSWORD" },
+        { path: "keys.0", provider: "env", name: "API_KEY" },
+        { path: "keys.1", provider: "static", name: "token" }
+      ]);
+      expect(isSecret("hunter22")).toBe(true);
+    });
+
+    test("should fail for unknown providers and missing secrets", async () => {
+      await expect(resolveSecrets({ a: "secret://MISSING" }, { providers, defaultProvider: "env" }))
+        .rejects.toMatchObject({
+          code: "CONFIG_SECRET_NOT_FOUND",
+          details: { field: "a", provider: "env", name: "MISSING" }
+        });
+      await expect(resolveSecrets({ a: "secret://x" }, { providers, defaultProvider: "vault" }))
+        .rejects.toMatchObject({ code: "CONFIG_UNKNOWN_SECRET_PROVIDER" });
+    });
+
+    test("should wrap provider failures", async () => {
+      const failing = { get: async () => { throw new Error("connection refused"); } };
+      const error = await resolveSecrets({ a: "secret://x" }, {
+        providers: { failing },
+        defaultProvider: "failing"
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.code).toBe("CONFIG_SECRET_PROVIDER_FAILED");
+      expect(error.cause.message).toBe("connection refused");
+    });
+  });
+
+  describe("Providers", () => {
+    test("should read environment variables with a prefix", async () => {
+      const provider = createEnvSecretProvider({ env: { SECRET_A: "1" }, prefix: "SECRET_" });
+      expect(await provider.get("A")).toBe("1");
+      expect(await provider.get("B")).toBeUndefined();
+    });
+
+    test("should read secret files", async () => {
+      await writeFile(join(dir, "db_password"), "hunter22\n");
+      const provider = createFileSecretProvider({ directory: dir });
+
+      expect(await provider.get("db_password")).toBe("hunter22");
+      expect(await provider.get("missing")).toBeUndefined();
+      await expect(provider.get("../etc/passwd")).rejects.toMatchObject({
+        code: "CONFIG_INVALID_SECRET_NAME"
+      });
+      expect(await provider.checkHealth()).toEqual({ status: "healthy" });
+    });
+
+    test("should round-trip an encrypted vault", () => {
+      const vault = encryptVault({ a: "1" }, "passphrase");
+
+      expect(JSON.stringify(vault)).not.toContain("\"a\"");
+      expect(decryptVault(vault, "passphrase")).toEqual({ a: "1" });
+      expect(() => decryptVault(vault, "wrong")).toThrow(
+        expect.objectContaining({ code: "CONFIG_VAULT_DECRYPTION_FAILED" })
+      );
+      expect(() => decryptVault({ version: 2 }, "passphrase")).toThrow(
+        expect.objectContaining({ code: "CONFIG_INVALID_VAULT" })
+      );
+    });
+
+    test("should read secrets from a vault file and pick up changes", async () => {
+      const path = join(dir, "vault.json");
+      await writeVaultFile(path, { DB_PASSWORD: "hunter22" }, "passphrase");
+      const provider = createVaultSecretProvider({ path, passphrase: "passphrase" });
+
+      expect(await provider.get("DB_PASSWORD")).toBe("hunter22");
+      expect(await provider.get("toString")).toBeUndefined();
+      expect(await provider.checkHealth()).toEqual({ status: "healthy", secretCount: 1 });
+
+      // A different mtime forces the file to be decrypted again
+      const vault = encryptVault({ DB_PASSWORD: "changed" }, "passphrase");
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await writeFile(path, JSON.stringify(vault));
+      expect(await provider.get("DB_PASSWORD")).toBe("changed");
+      expect(await readFile(path, "utf8")).not.toContain("changed");
+    });
+
+    test("should report an unreadable vault as unhealthy", async () => {
+      const provider = createVaultSecretProvider({ path: join(dir, "missing.json"), passphrase: "p" });
+      expect((await provider.checkHealth()).status).toBe("unhealthy");
+
+      const noPassphrase = createVaultSecretProvider({ path: join(dir, "vault.json") });
+      await expect(noPassphrase.get("a")).rejects.toMatchObject({
+        code: "CONFIG_MISSING_VAULT_PASSPHRASE"
+      });
+    });
+  });
+
+  describe("Redaction", () => {
+    test("should return values unchanged while no secret is registered", () => {
+      const value = { a: "hunter22" };
+      expect(redact(value)).toBe(value);
+    });
+
+    test("should redact registered secrets in nested values", () => {
+      registerSecret("hunter22");
+      registerSecret("7");
+      const value = {
+        password: "hunter22",
+        url: "postgres://app:hunter22@db/app",
+        list: ["hunter22", 7, "7", "17"]
+      };
+      value.self = value;
+
+      const redacted = redact(value);
+
+      expect(redacted.password).toBe(REDACTED);
+      expect(redacted.url).toBe(`postgres://app:${REDACTED}@db/app`);
+      // Short secrets are only redacted as whole values
+      expect(redacted.list).toEqual([REDACTED, 7, REDACTED, "17"]);
+      expect(redacted.self).toBe(redacted);
+      expect(value.password).toBe("hunter22");
+    });
+
+    test("should redact CoreError serialization", () => {
+      registerSecret("hunter22");
+      const error = new CoreError(
+        "CONNECTION_FAILED",
+        "Cannot connect with password hunter22",
+        { config: { password: "hunter22", host: "db" } },
+        { cause: new Error("auth failed for hunter22") }
+      );
+
+      const json = JSON.stringify(error);
+
+      expect(json).not.toContain("hunter22");
+      expect(error.toJSON().details).toEqual({ config: { password: REDACTED, host: "db" } });
+      expect(error.details.config.password).toBe("hunter22");
+    });
+  });
+});
@@ -0,0 +1,282 @@
+// tests/core/config/sources.test.js
+
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  deepMerge,
+  diffConfig,
+  loadConfigFile,
+  parseEnvFile,
+  mapEnvironment,
+  parseYaml
+} from "../../../src/core/config/sources.js";
+import { validateSchema } from "../../../src/core/config/schema.js";
+import { ConfigError } from "../../../src/core/errors/index.js";
+
+describe("Config Sources", () => {
+  describe("parseYaml", () => {
+    test("should parse nested mappings and scalars", () => {
+      const yaml = [
+        "# server settings",
+        "server:",
+        "  host: localhost # inline comment",
+        "  port: 3000",
+        "  secure: false",
+        "  ratio: 0.5",
+        "database:",
+        "  url: 'postgres://db:5432/app'",
+        "  name: \"app # not a comment\"",
+        "  password: ~"
+      ].join("\n");
+
+      expect(parseYaml(yaml)).toEqual({
+        server: { host: "localhost", port: 3000, secure: false, ratio: 0.5 },
+        database: { url: "postgres://db:5432/app", name: "app # not a comment", password: null }
+      });
+    });
+
+    test("should parse sequences of scalars and mappings", () => {
+      const yaml = [
+        "hosts:",
+        "  - a.example.com",
+        "  - b.example.com",
+        "users:",
+        "- name: alice",
+        "  roles: [admin, user]",
+        "- name: bob",
+        "  roles: []"
+      ].join("\n");
+
+      expect(parseYaml(yaml)).toEqual({
+        hosts: ["a.example.com", "b.example.com"],
+        users: [
+          { name: "alice", roles: ["admin", "user"] },
+          { name: "bob", roles: [] }
+        ]
+      });
+    });
+
+    test("should parse flow mappings and block scalars", () => {
+      const yaml = [
+        "limits: {max: 10, names: [a, 'b, c']}",
+        "banner: |",
+        "  line one",
+        "  line two",
+        "summary: >",
+        "  folded",
+        "  text",
+        "after: done"
+      ].join("\n");
+
+      expect(parseYaml(yaml)).toEqual({
+        limits: { max: 10, names: ["a", "b, c"] },
+        banner: "line one\nline two\n",
+        summary: "folded text\n",
+        after: "done"
+      });
+    });
+
+    test("should parse nested sequences, anchors and merge keys", () => {
+      const yaml = [
+        "nested:",
+        "  - - a",
+        "    - b",
+        "defaults: &defaults",
+        "  retries: 3",
+        "worker:",
+        "  <<: *defaults",
+        "  queue: jobs"
+      ].join("\n");
+
+      expect(parseYaml(yaml)).toEqual({
+        nested: [["a", "b"]],
+        defaults: { retries: 3 },
+        worker: { retries: 3, queue: "jobs" }
+      });
+    });
+
+    test("should treat an empty document as null", () => {
+      expect(parseYaml("# nothing\n---\n")).toBeNull();
+    });
+
+    test("should report the line of invalid content", () => {
+      expect(() => parseYaml("server:\n  port: 1\n  not a pair")).toThrow("line 3");
+    });
+
+    test("should parse scalars", () => {
+      expect(parseYaml([
+        "int: 42",
+        "float: -1.5e2",
+        "hex: 0x1f",
+        "single: 'it''s'",
+        "double: \"a\\nb\"",
+        "plain: v1.2.3"
+      ].join("\n"))).toEqual({
+        int: 42,
+        float: -150,
+        hex: 31,
+        single: "it's",
+        double: "a\nb",
+        plain: "v1.2.3"
+      });
+    });
+  });
+
+  describe("parseEnvFile", () => {
+    test("should parse keys, quotes, comments and export prefixes", () => {
+      const content = [
+        "# comment",
+        "PORT=3000",
+        "export HOST=localhost",
+        "GREETING=\"hello\\nworld\"",
+        "RAW='a # b'",
+        "TRAILING=value # comment",
+        "EMPTY=",
+        "not a variable"
+      ].join("\n");
+
+      expect(parseEnvFile(content)).toEqual({
+        PORT: "3000",
+        HOST: "localhost",
+        GREETING: "hello\nworld",
+        RAW: "a # b",
+        TRAILING: "value",
+        EMPTY: ""
+      });
+    });
+  });
+
+  describe("mapEnvironment", () => {
+    test("should map prefixed variables to nested camelCase keys", () => {
+      const env = {
+        APP_SERVER__PORT: "8080",
+        APP_EVENT_HISTORY__MAX_SIZE: "50",
+        APP_DEBUG: "true",
+        OTHER: "ignored"
+      };
+
+      expect(mapEnvironment(env, { prefix: "APP_" })).toEqual({
+        server: { port: "8080" },
+        eventHistory: { maxSize: "50" },
+        debug: "true"
+      });
+    });
+
+    test("should map explicit variables", () => {
+      expect(mapEnvironment({ PORT: "80" }, { envMap: { PORT: "server.port" } })).toEqual({
+        server: { port: "80" }
+      });
+    });
+  });
+
+  describe("deepMerge", () => {
+    test("should merge objects and replace arrays", () => {
+      const base = { a: { b: 1, c: [1, 2] }, d: 1 };
+      const merged = deepMerge(base, { a: { c: [3] }, e: undefined });
+
+      expect(merged).toEqual({ a: { b: 1, c: [3] }, d: 1 });
+      merged.a.b = 2;
+      expect(base.a.b).toBe(1);
+    });
+  });
+
+  describe("diffConfig", () => {
+    test("should list changed, added and removed key paths", () => {
+      const previous = { a: { b: 1, c: [1] }, d: { e: 1 }, f: 1 };
+      const next = { a: { b: 2, c: [1] }, g: { h: 1 }, f: 1 };
+
+      expect(diffConfig(previous, next)).toEqual(["a.b", "d.e", "g.h"]);
+      expect(diffConfig(previous, structuredClone(previous))).toEqual([]);
+    });
+
+    test("should report a value replaced by an object as one path", () => {
+      expect(diffConfig({ a: "x" }, { a: { b: 1 } })).toEqual(["a"]);
+      expect(diffConfig({ a: [1] }, { a: [2] })).toEqual(["a"]);
+    });
+  });
+
+  describe("loadConfigFile", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), "config-sources-"));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test("should load JSON and YAML files", async () => {
+      await writeFile(join(dir, "a.json"), JSON.stringify({ a: 1 }));
+      await writeFile(join(dir, "b.yml"), "b: 2\n");
+
+      expect(await loadConfigFile(join(dir, "a.json"))).toEqual({ a: 1 });
+      expect(await loadConfigFile(join(dir, "b.yml"))).toEqual({ b: 2 });
+    });
+
+    test("should reject unparseable and non-object files", async () => {
+      await writeFile(join(dir, "bad.json"), "{");
+      await writeFile(join(dir, "list.yaml"), "- a\n- b\n");
+      await writeFile(join(dir, "config.toml"), "a = 1");
+
+      await expect(loadConfigFile(join(dir, "bad.json"))).rejects.toMatchObject({
+        code: "CONFIG_PARSE_FAILED"
+      });
+      await expect(loadConfigFile(join(dir, "list.yaml"))).rejects.toMatchObject({
+        code: "CONFIG_INVALID_CONFIG_FILE"
+      });
+      await expect(loadConfigFile(join(dir, "config.toml"))).rejects.toThrow(ConfigError);
+    });
+  });
+
+  describe("validateSchema", () => {
+    const schema = {
+      type: "object",
+      required: ["server"],
+      properties: {
+        server: {
+          type: "object",
+          required: ["port"],
+          properties: {
+            port: { type: "integer", minimum: 1, maximum: 65535 },
+            host: { type: "string", default: "0.0.0.0" }
+          }
+        },
+        debug: { type: "boolean", default: false },
+        level: { type: "string", enum: ["info", "debug"] },
+        tags: { type: "array", items: { type: "string", minLength: 2 } }
+      }
+    };
+
+    test("should apply defaults and coerce strings", () => {
+      const { value, errors } = validateSchema({ server: { port: "8080" }, debug: "yes" }, schema);
+
+      expect(errors).toEqual([]);
+      expect(value).toEqual({ server: { port: 8080, host: "0.0.0.0" }, debug: true });
+    });
+
+    test("should report per-field errors with key paths", () => {
+      const { errors } = validateSchema({
+        server: { port: 70000 },
+        level: "trace",
+        tags: ["ok", "x"]
+      }, schema);
+
+      expect(errors).toEqual([
+        { field: "server.port", message: "server.port must be at most 65535" },
+        { field: "level", message: "level must be one of: info, debug" },
+        { field: "tags.1", message: "tags.1 must be at least 2 characters" }
+      ]);
+    });
+
+    test("should report missing required fields and wrong types", () => {
+      expect(validateSchema({}, schema).errors).toEqual([
+        { field: "server", message: "server is required" }
+      ]);
+      expect(validateSchema({ server: { port: "abc" } }, schema).errors).toEqual([
+        { field: "server.port", message: "server.port must be of type integer" }
+      ]);
+    });
+  });
+});
@@ -15,7 +15,10 @@
  */
 
 
-import { CoreContainer } from "../../../src/core/container/Container.js";
+import { mkdtemp, mkdir, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { CoreContainer, Lifetime } from "../../../src/core/container/Container.js";
 import { ConfigError, ServiceError } from "../../../src/core/errors/index.js";
 
 describe("CoreContainer", () => {
@@ -226,6 +229,766 @@ describe("CoreContainer", () => {
     });
   });
 
+  describe("Lifetimes and Scopes", () => {
+    test("should map legacy singleton flag to a lifetime", () => {
+      container.register("single", class {});
+      container.register("transient", class {}, { singleton: false });
+
+      expect(container.components.get("single").options.lifetime).toBe(Lifetime.SINGLETON);
+      expect(container.components.get("transient").options.lifetime).toBe(Lifetime.TRANSIENT);
+      expect(container.components.get("transient").options.singleton).toBe(false);
+    });
+
+    test("should reject unknown lifetimes", () => {
+      expect(() => container.register("test", class {}, { lifetime: "forever" })).toThrow(ConfigError);
+    });
+
+    test("should require a scope for scoped components", async () => {
+      container.register("request", class {}, { lifetime: Lifetime.SCOPED });
+      await expect(container.resolve("request")).rejects.toThrow(
+        "Scoped component request must be resolved from a scope"
+      );
+    });
+
+    test("should share scoped instances within a scope only", async () => {
+      class Shared {}
+      class RequestLogger {
+        static dependencies = ["shared"];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("shared", Shared);
+      container.register("requestLogger", RequestLogger, { lifetime: Lifetime.SCOPED });
+
+      const scopeA = container.createScope();
+      const scopeB = container.createScope();
+
+      const a1 = await scopeA.resolve("requestLogger");
+      const a2 = await scopeA.resolve("requestLogger");
+      const b1 = await scopeB.resolve("requestLogger");
+
+      expect(a1).toBe(a2);
+      expect(a1).not.toBe(b1);
+      expect(a1.deps.shared).toBe(b1.deps.shared);
+      expect(a1.deps.shared).toBe(await container.resolve("shared"));
+    });
+
+    test("should create transient instances inside a scope each time", async () => {
+      container.register("transient", class {}, { lifetime: Lifetime.TRANSIENT });
+      const scope = container.createScope();
+
+      expect(await scope.resolve("transient")).not.toBe(await scope.resolve("transient"));
+    });
+
+    test("should reject singletons depending on scoped components", async () => {
+      container.register("request", class {}, { lifetime: Lifetime.SCOPED });
+      container.register("service", class {
+        static dependencies = ["request"];
+      });
+
+      await expect(container.createScope().resolve("service")).rejects.toThrow(
+        "Singleton service cannot depend on scoped component request"
+      );
+    });
+
+    test("should shut down scoped instances in reverse order on dispose", async () => {
+      const shutdown = [];
+      class Transaction {
+        async shutdown() {
+          shutdown.push("transaction");
+        }
+      }
+      class Repository {
+        static dependencies = ["transaction"];
+        async shutdown() {
+          shutdown.push("repository");
+        }
+      }
+      container.register("transaction", Transaction, { lifetime: Lifetime.SCOPED });
+      container.register("repository", Repository, { lifetime: Lifetime.SCOPED });
+
+      const disposed = createMockFn();
+      container.on("scope:disposed", disposed);
+
+      const scope = container.createScope({ id: "req-1" });
+      await scope.resolve("repository");
+      await scope.dispose();
+
+      expect(shutdown).toEqual(["repository", "transaction"]);
+      expect(scope.instances.size).toBe(0);
+      expect(disposed.mock.calls[0][0]).toEqual({ scope: "req-1" });
+      await expect(scope.resolve("repository")).rejects.toThrow("Scope req-1 has already been disposed");
+    });
+
+    test("should report scoped shutdown errors and keep disposing", async () => {
+      const shutdown = [];
+      container.register("failing", { shutdown: async () => { throw new Error("boom"); } }, { lifetime: Lifetime.SCOPED });
+      container.register("other", { shutdown: async () => shutdown.push("other") }, { lifetime: Lifetime.SCOPED });
+
+      const errors = [];
+      container.on("scope:error", event => errors.push(event));
+
+      const scope = container.createScope();
+      await scope.resolve("other");
+      await scope.resolve("failing");
+      await scope.dispose();
+
+      expect(errors[0].component).toBe("failing");
+      expect(shutdown).toEqual(["other"]);
+    });
+
+    test("should skip scoped components during container initialization", async () => {
+      const initialized = [];
+      container.register("request", class {
+        async initialize() {
+          initialized.push("request");
+        }
+      }, { lifetime: Lifetime.SCOPED });
+
+      await container.initialize();
+      expect(initialized).toEqual([]);
+
+      await container.createScope().resolve("request");
+      expect(initialized).toEqual(["request"]);
+    });
+
+    test("should skip transient components depending on scoped ones during initialization", async () => {
+      container.register("req", class {}, { lifetime: Lifetime.SCOPED });
+      container.register("handler", class {
+        static dependencies = ["req"];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }, { lifetime: Lifetime.TRANSIENT });
+      container.register("dispatcher", class {
+        static dependencies = ["handler"];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }, { lifetime: Lifetime.TRANSIENT });
+      container.register("clock", class {}, { lifetime: Lifetime.TRANSIENT });
+
+      const report = await container.initialize();
+
+      expect(report.components.map((component) => component.name)).toEqual(["clock"]);
+      const scope = container.createScope();
+      expect((await scope.resolve("dispatcher")).deps.handler.deps.req).toBe(await scope.resolve("req"));
+    });
+  });
+
+  describe("Child Containers", () => {
+    test("should fall back to the parent for unregistered names", async () => {
+      class Shared {}
+      container.register("shared", Shared);
+      const child = container.createChild();
+
+      expect(child.parent).toBe(container);
+      expect(await child.resolve("shared")).toBe(await container.resolve("shared"));
+    });
+
+    test("should see parent registrations made after creation", async () => {
+      const child = container.createChild();
+      container.register("late", { late: true });
+
+      expect(await child.resolve("late")).toEqual({ late: true });
+    });
+
+    test("should let a child override a parent registration", async () => {
+      container.register("config", { env: "production" });
+      const child = container.createChild();
+      child.register("config", { env: "test" });
+
+      expect(await child.resolve("config")).toEqual({ env: "test" });
+      expect(await container.resolve("config")).toEqual({ env: "production" });
+    });
+
+    test("should rebuild inherited components that depend on an override", async () => {
+      class Service {
+        static dependencies = ["config", "shared"];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("config", { env: "production" });
+      container.register("shared", class Shared {});
+      container.register("service", Service);
+
+      const child = container.createChild();
+      child.register("config", { env: "tenant" });
+
+      const parentService = await container.resolve("service");
+      const childService = await child.resolve("service");
+
+      expect(childService).not.toBe(parentService);
+      expect(childService.deps.config).toEqual({ env: "tenant" });
+      expect(childService.deps.shared).toBe(parentService.deps.shared);
+      expect(child.instances.has("shared")).toBe(false);
+    });
+
+    test("should delegate through several levels", async () => {
+      container.register("config", { level: "root" });
+      container.register("service", class {
+        static dependencies = ["config"];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      });
+
+      const child = container.createChild();
+      child.register("config", { level: "child" });
+      const grandchild = child.createChild();
+
+      const fromGrandchild = await grandchild.resolve("service");
+      expect(fromGrandchild).toBe(await child.resolve("service"));
+      expect(fromGrandchild.deps.config).toEqual({ level: "child" });
+    });
+
+    test("should initialize and shut down only components the child owns", async () => {
+      const events = [];
+      const tracked = (label, dependencies = []) => class {
+        static dependencies = dependencies;
+        async initialize() {
+          events.push(`init:${label}`);
+        }
+        async shutdown() {
+          events.push(`shutdown:${label}`);
+        }
+      };
+
+      container.register("config", tracked("config"));
+      container.register("shared", tracked("shared"));
+      container.register("service", tracked("service", ["config"]));
+      await container.initialize();
+      events.length = 0;
+
+      const child = container.createChild();
+      child.register("config", tracked("child-config"));
+
+      expect(child.resolveDependencyOrder()).toEqual(["config", "service"]);
+
+      await child.initialize();
+      await child.shutdown();
+
+      expect(events).toEqual([
+        "init:child-config",
+        "init:service",
+        "shutdown:service",
+        "shutdown:child-config"
+      ]);
+      expect(container.instances.size).toBe(3);
+    });
+
+    test("should accept inherited names as dependencies", () => {
+      container.register("config", {});
+      const child = container.createChild();
+      child.register("local", class {
+        static dependencies = ["config"];
+      });
+
+      expect(child.resolveDependencyOrder()).toEqual(["local"]);
+    });
+  });
+
+  describe("Concurrent Resolution", () => {
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    test("should create an async singleton once for concurrent resolves", async () => {
+      let created = 0;
+      const factory = async () => {
+        created++;
+        await delay(10);
+        return { id: created };
+      };
+      container.register("slow", factory);
+
+      const [first, second, third] = await Promise.all([
+        container.resolve("slow"),
+        container.resolve("slow"),
+        container.resolve("slow")
+      ]);
+
+      expect(created).toBe(1);
+      expect(first).toBe(second);
+      expect(second).toBe(third);
+      expect(container.pending.size).toBe(0);
+    });
+
+    test("should share in-flight dependencies between dependents", async () => {
+      let created = 0;
+      container.register("db", async () => {
+        created++;
+        await delay(10);
+        return {};
+      });
+      container.register("users", class {
+        static dependencies = ["db"];
+        constructor(deps) {
+          this.db = deps.db;
+        }
+      });
+      container.register("orders", class {
+        static dependencies = ["db"];
+        constructor(deps) {
+          this.db = deps.db;
+        }
+      });
+
+      const [users, orders] = await Promise.all([
+        container.resolve("users"),
+        container.resolve("orders")
+      ]);
+
+      expect(created).toBe(1);
+      expect(users.db).toBe(orders.db);
+    });
+
+    test("should create a scoped instance once per scope under concurrency", async () => {
+      let created = 0;
+      container.register("transaction", async () => {
+        created++;
+        await delay(5);
+        return { id: created };
+      }, { lifetime: Lifetime.SCOPED });
+
+      const scope = container.createScope();
+      const [a, b] = await Promise.all([
+        scope.resolve("transaction"),
+        scope.resolve("transaction")
+      ]);
+
+      expect(created).toBe(1);
+      expect(a).toBe(b);
+    });
+
+    test("should retry creation after a failed in-flight resolve", async () => {
+      let attempts = 0;
+      container.register("flaky", async () => {
+        attempts++;
+        await delay(5);
+        if (attempts === 1) throw new Error("first attempt failed");
+        return { ok: true };
+      });
+
+      const results = await Promise.allSettled([
+        container.resolve("flaky"),
+        container.resolve("flaky")
+      ]);
+
+      expect(results.map(r => r.status)).toEqual(["rejected", "rejected"]);
+      expect(container.pending.has("flaky")).toBe(false);
+      expect(await container.resolve("flaky")).toEqual({ ok: true });
+    });
+
+    test("should detect cycles at resolve time", async () => {
+      container.register("a", class { static dependencies = ["b"]; });
+      container.register("b", class { static dependencies = ["c"]; });
+      container.register("c", class { static dependencies = ["a"]; });
+
+      const error = await container.resolve("a").catch(e => e);
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.code).toBe("CONFIG_CIRCULAR_DEPENDENCY");
+      expect(error.message).toBe("Circular dependency detected: a -> b -> c -> a");
+      expect(error.details.path).toEqual(["a", "b", "c", "a"]);
+    });
+
+    test("should not deadlock concurrent resolves of a cycle", async () => {
+      container.register("a", async () => ({}));
+      container.register("b", class { static dependencies = ["c"]; });
+      container.register("c", class { static dependencies = ["b"]; });
+
+      const results = await Promise.allSettled([
+        container.resolve("b"),
+        container.resolve("c")
+      ]);
+
+      expect(results.every(r => r.status === "rejected")).toBe(true);
+      expect(results[1].reason.details.path).toEqual(["c", "b", "c"]);
+    });
+  });
+
+  describe("Dependency Declarations", () => {
+    test("should inject missing optional dependencies as undefined", async () => {
+      class Service {
+        static dependencies = [{ name: "cache", optional: true }];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("service", Service);
+
+      const service = await container.resolve("service");
+      expect("cache" in service.deps).toBe(true);
+      expect(service.deps.cache).toBeUndefined();
+      expect(container.resolveDependencyOrder()).toEqual(["service"]);
+    });
+
+    test("should inject registered optional dependencies", async () => {
+      container.register("cache", { hits: 0 });
+      container.register("service", class {
+        static dependencies = [{ name: "cache", optional: true }];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      });
+
+      expect((await container.resolve("service")).deps.cache).toEqual({ hits: 0 });
+    });
+
+    test("should inject dependencies under an alias", async () => {
+      container.register("eventBusSystem", { kind: "events" });
+      container.register("service", class {
+        static dependencies = [{ name: "eventBusSystem", as: "events" }];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      });
+
+      const service = await container.resolve("service");
+      expect(service.deps).toEqual({ events: { kind: "events" } });
+    });
+
+    test("should inject lazy dependencies as thunks resolved on first use", async () => {
+      let created = 0;
+      container.register("db", () => ({ id: ++created }));
+      container.register("service", class {
+        static dependencies = [{ name: "db", lazy: true }];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      });
+
+      const service = await container.resolve("service");
+      expect(created).toBe(0);
+
+      const [db1, db2] = await Promise.all([service.deps.db(), service.deps.db()]);
+      expect(created).toBe(1);
+      expect(db1).toBe(db2);
+      expect(db1).toBe(await container.resolve("db"));
+    });
+
+    test("should break cycles with lazy dependencies", async () => {
+      class A {
+        static dependencies = [{ name: "b", lazy: true }];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      class B {
+        static dependencies = ["a"];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("a", A);
+      container.register("b", B);
+
+      expect(container.resolveDependencyOrder()).toEqual(["a", "b"]);
+
+      const a = await container.resolve("a");
+      const b = await a.deps.b();
+      expect(b.deps.a).toBe(a);
+    });
+
+    test("should still require registered lazy dependencies", () => {
+      container.register("service", class {
+        static dependencies = [{ name: "missing", lazy: true }];
+      });
+
+      expect(() => container.resolveDependencyOrder()).toThrow(
+        "Dependency missing required by service is not registered"
+      );
+    });
+
+    test("should reject malformed declarations at registration", () => {
+      expect(() => container.register("bad", class {
+        static dependencies = [{ as: "nameless" }];
+      })).toThrow(ConfigError);
+    });
+
+    test("should mark lazy and optional edges in the graph", () => {
+      container.register("db", {});
+      container.register("service", class {
+        static dependencies = [{ name: "db", lazy: true }, { name: "cache", optional: true }];
+      });
+
+      const { edges } = container.getDependencyGraph();
+      expect(edges).toEqual([
+        { from: "service", to: "db", optional: false, lazy: true },
+        { from: "service", to: "cache", optional: true, lazy: false }
+      ]);
+      expect(container.exportDependencyGraph("dot")).toContain('"service" -> "db" [style=dashed];');
+    });
+  });
+
+  describe("Tags and Multi-binding", () => {
+    test("should resolve every component with a tag in registration order", async () => {
+      container.register("diskHealth", { name: "disk" }, { tags: ["healthContributor"] });
+      container.register("logger", { name: "logger" });
+      container.register("dbHealth", { name: "db" }, { tags: ["healthContributor"] });
+
+      const contributors = await container.resolveAll("healthContributor");
+      expect(contributors.map(c => c.name)).toEqual(["disk", "db"]);
+      expect(container.getTaggedNames("healthContributor")).toEqual(["diskHealth", "dbHealth"]);
+    });
+
+    test("should resolve an unknown tag to an empty array", async () => {
+      expect(await container.resolveAll("nothing")).toEqual([]);
+    });
+
+    test("should reject invalid tags", () => {
+      expect(() => container.register("a", {}, { tags: "routerAdapter" })).toThrow(ConfigError);
+      expect(() => container.register("b", {}, { tags: [""] })).toThrow(ConfigError);
+    });
+
+    test("should register and resolve symbol tokens", async () => {
+      const Clock = Symbol("Clock");
+      container.register(Clock, { now: () => 1 });
+      container.register("scheduler", class {
+        static dependencies = [{ name: Clock, as: "clock" }];
+        constructor(deps) { this.clock = deps.clock; }
+      });
+
+      const scheduler = await container.resolve("scheduler");
+      expect(scheduler.clock).toBe(await container.resolve(Clock));
+      expect(() => container.register(Clock, {})).toThrow("Component Symbol(Clock) is already registered");
+      expect(JSON.parse(container.exportDependencyGraph("json")).edges[0].to).toBe("Symbol(Clock)");
+    });
+
+    test("should inject tagged components as an array", async () => {
+      container.register("fastify", { name: "fastify" }, { tags: ["routerAdapter"] });
+      container.register("express", { name: "express" }, { tags: ["routerAdapter"] });
+      container.register("router", class {
+        static dependencies = [{ tag: "routerAdapter", as: "adapters" }];
+        constructor(deps) { this.adapters = deps.adapters; }
+      });
+
+      const router = await container.resolve("router");
+      expect(router.adapters.map(a => a.name)).toEqual(["fastify", "express"]);
+      expect(container.resolveDependencyOrder()).toEqual(["fastify", "express", "router"]);
+    });
+
+    test("should inject an empty array when nothing is tagged", async () => {
+      container.register("router", class {
+        static dependencies = [{ tag: "routerAdapter" }];
+        constructor(deps) { this.deps = deps; }
+      });
+
+      const router = await container.resolve("router");
+      expect(router.deps.routerAdapter).toEqual([]);
+    });
+
+    test("should inject lazy tagged dependencies as thunks", async () => {
+      container.register("router", class {
+        static dependencies = [{ tag: "plugin", as: "plugins", lazy: true }];
+        constructor(deps) { this.plugins = deps.plugins; }
+      });
+      const router = await container.resolve("router");
+      container.register("late", { name: "late" }, { tags: ["plugin"] });
+
+      expect((await router.plugins()).map(p => p.name)).toEqual(["late"]);
+    });
+
+    test("should include tagged components from parent and child containers", async () => {
+      container.register("core", { name: "core" }, { tags: ["plugin"] });
+      container.register("host", class {
+        static dependencies = [{ tag: "plugin", as: "plugins" }];
+        constructor(deps) { this.plugins = deps.plugins; }
+      });
+      const child = container.createChild();
+      child.register("extra", { name: "extra" }, { tags: ["plugin"] });
+
+      expect((await container.resolve("host")).plugins.map(p => p.name)).toEqual(["core"]);
+      expect((await child.resolve("host")).plugins.map(p => p.name)).toEqual(["core", "extra"]);
+    });
+
+    test("should let a child override drop a parent's tag", async () => {
+      container.register("core", { name: "core" }, { tags: ["plugin"] });
+      const child = container.createChild();
+      child.register("core", { name: "replacement" });
+
+      expect(await child.resolveAll("plugin")).toEqual([]);
+    });
+
+    test("should resolve scoped tagged components within a scope", async () => {
+      container.register("requestPlugin", class {}, { lifetime: Lifetime.SCOPED, tags: ["plugin"] });
+      const scope = container.createScope();
+
+      const [first] = await scope.resolveAll("plugin");
+      const [second] = await scope.resolveAll("plugin");
+      expect(first).toBe(second);
+      await expect(container.resolveAll("plugin")).rejects.toThrow(ServiceError);
+    });
+
+    test("should reject singletons that collect scoped tagged components", async () => {
+      container.register("requestPlugin", class {}, { lifetime: Lifetime.SCOPED, tags: ["plugin"] });
+      container.register("host", class {
+        static dependencies = [{ tag: "plugin" }];
+      });
+
+      await expect(container.resolve("host")).rejects.toThrow(
+        "Singleton host cannot depend on scoped component requestPlugin"
+      );
+    });
+
+    test("should describe tags in the dependency graph", () => {
+      container.register("fastify", {}, { tags: ["routerAdapter"] });
+      container.register("router", class {
+        static dependencies = [{ tag: "routerAdapter" }];
+      });
+
+      const graph = container.getDependencyGraph();
+      expect(graph.nodes.find(n => n.name === "fastify").tags).toEqual(["routerAdapter"]);
+      expect(graph.edges).toEqual([
+        { from: "router", to: "fastify", optional: false, lazy: false, tag: "routerAdapter" }
+      ]);
+    });
+  });
+
+  describe("Hooks and Decorators", () => {
+    test("should wrap instances with decorators in registration order", async () => {
+      container.register("service", class {
+        greet() { return "hello"; }
+      });
+      container.decorate("service", (instance) => ({ greet: () => `${instance.greet()}!` }));
+      container.decorate("service", (instance) => ({ greet: () => instance.greet().toUpperCase() }));
+
+      const service = await container.resolve("service");
+      expect(service.greet()).toBe("HELLO!");
+      expect(await container.resolve("service")).toBe(service);
+    });
+
+    test("should inject decorated instances into dependents", async () => {
+      container.register("db", { query: () => "rows" });
+      container.register("repo", class {
+        static dependencies = ["db"];
+        constructor(deps) { this.db = deps.db; }
+      });
+      container.decorate("db", async (db) => ({ ...db, cached: true }));
+
+      const repo = await container.resolve("repo");
+      expect(repo.db.cached).toBe(true);
+    });
+
+    test("should keep the instance when a decorator returns undefined", async () => {
+      const seen = [];
+      container.register("service", { name: "service" });
+      container.decorate("service", (instance, context) => {
+        seen.push(context.name);
+      });
+
+      expect((await container.resolve("service")).name).toBe("service");
+      expect(seen).toEqual(["service"]);
+    });
+
+    test("should reject decorating an already resolved singleton", async () => {
+      container.register("service", {});
+      await container.resolve("service");
+
+      expect(() => container.decorate("service", x => x)).toThrow(ConfigError);
+      expect(() => container.decorate("other", "not a function")).toThrow(ConfigError);
+    });
+
+    test("should let onResolve hooks replace instances", async () => {
+      container.register("a", { name: "a" });
+      container.register("b", { name: "b" });
+      container.addHook("onResolve", (name, instance) => ({ ...instance, traced: true }));
+      container.addHook("onResolve", (name) => {
+        resolved.push(name);
+      });
+      const resolved = [];
+
+      expect(await container.resolve("a")).toEqual({ name: "a", traced: true });
+      expect(await container.resolve("b")).toEqual({ name: "b", traced: true });
+      await container.resolve("a");
+      expect(resolved).toEqual(["a", "b"]);
+    });
+
+    test("should run onResolve for every transient instance with its scope", async () => {
+      const scopes = [];
+      container.register("request", class {}, { lifetime: Lifetime.SCOPED });
+      container.addHook("onResolve", (name, instance, context) => {
+        scopes.push(context.scope?.id);
+      });
+      const scope = container.createScope({ id: "req-1" });
+
+      await scope.resolve("request");
+      expect(scopes).toEqual(["req-1"]);
+    });
+
+    test("should run initialize and shutdown hooks around components", async () => {
+      const calls = [];
+      container.register("db", class {
+        async initialize() { calls.push("db:initialize"); }
+        async shutdown() { calls.push("db:shutdown"); }
+      });
+      container.register("cache", class {
+        static dependencies = ["db"];
+      });
+      container.addHook("beforeInitialize", (name) => calls.push(`before:${name}`));
+      container.addHook("afterInitialize", (name) => calls.push(`after:${name}`));
+      container.addHook("beforeShutdown", (name) => calls.push(`shutdown:${name}`));
+
+      await container.initialize();
+      await container.shutdown();
+
+      expect(calls).toEqual([
+        "before:db", "db:initialize", "after:db",
+        "before:cache", "after:cache",
+        "shutdown:cache",
+        "shutdown:db", "db:shutdown"
+      ]);
+    });
+
+    test("should run initialize hooks for components created after initialize", async () => {
+      const calls = [];
+      await container.initialize();
+      container.addHook("afterInitialize", (name) => calls.push(name));
+      container.register("late", { initialize: async () => {} });
+
+      await container.resolve("late");
+      expect(calls).toEqual(["late"]);
+    });
+
+    test("should report beforeShutdown failures as shutdown errors", async () => {
+      const errors = [];
+      const shutdown = createMockFn();
+      container.register("db", { shutdown });
+      container.addHook("beforeShutdown", () => {
+        throw new Error("hook failed");
+      });
+      container.on("shutdown:error", (event) => errors.push(event));
+
+      await container.initialize();
+      await container.shutdown();
+
+      expect(errors.map(e => e.component)).toEqual(["db"]);
+      expect(shutdown.mock.calls).toHaveLength(0);
+    });
+
+    test("should run parent hooks and decorators in child containers", async () => {
+      const calls = [];
+      container.addHook("onResolve", (name) => {
+        calls.push(`parent:${name}`);
+      });
+      container.decorate("service", (instance) => ({ ...instance, decorated: true }));
+      const child = container.createChild();
+      child.addHook("onResolve", (name) => {
+        calls.push(`child:${name}`);
+      });
+      child.register("service", { name: "child" });
+
+      expect(await child.resolve("service")).toEqual({ name: "child", decorated: true });
+      expect(calls).toEqual(["parent:service", "child:service"]);
+    });
+
+    test("should reject unknown hooks", () => {
+      expect(() => container.addHook("onSomething", () => {})).toThrow(ConfigError);
+      expect(() => container.addHook("onResolve", null)).toThrow(ConfigError);
+    });
+  });
+
   describe("Dependency Management", () => {
     test("should detect circular dependencies", () => {
       class A {
@@ -371,6 +1134,126 @@ describe("CoreContainer", () => {
     });
   });
 
+  describe("Dependency Graph", () => {
+    beforeEach(() => {
+      container.register("config", {});
+      container.register("db", class { static dependencies = ["config"]; });
+      container.register("users", class { static dependencies = ["db", "config"]; }, { lifetime: Lifetime.TRANSIENT });
+    });
+
+    test("should describe nodes, edges and initialization order", async () => {
+      await container.resolve("db");
+      const graph = container.getDependencyGraph();
+
+      expect(graph.initializationOrder).toEqual(["config", "db", "users"]);
+      expect(graph.error).toBeNull();
+      expect(graph.edges).toEqual([
+        { from: "db", to: "config", optional: false, lazy: false },
+        { from: "users", to: "db", optional: false, lazy: false },
+        { from: "users", to: "config", optional: false, lazy: false }
+      ]);
+      expect(graph.nodes.find(n => n.name === "db")).toEqual({
+        name: "db",
+        lifetime: "singleton",
+        dependencies: ["config"],
+        inherited: false,
+        resolved: true,
+        initializationIndex: 1
+      });
+      expect(graph.nodes.find(n => n.name === "users").resolved).toBe(false);
+    });
+
+    test("should include missing dependencies and the order error", () => {
+      container.register("reports", class { static dependencies = ["users", "cache"]; });
+      const graph = container.getDependencyGraph();
+
+      expect(graph.initializationOrder).toBeNull();
+      expect(graph.error).toEqual({
+        code: "CONFIG_MISSING_DEPENDENCY",
+        message: "Dependency cache required by reports is not registered",
+        path: ["reports", "cache"]
+      });
+      expect(graph.nodes.find(n => n.name === "cache").missing).toBe(true);
+    });
+
+    test("should mark inherited nodes in child containers", () => {
+      const child = container.createChild();
+      child.register("config", { override: true });
+      const graph = child.getDependencyGraph();
+
+      expect(graph.nodes.find(n => n.name === "config").inherited).toBe(false);
+      expect(graph.nodes.find(n => n.name === "db").inherited).toBe(true);
+      expect(graph.initializationOrder).toEqual(["config", "db", "users"]);
+    });
+
+    test("should export JSON", () => {
+      const exported = JSON.parse(container.exportDependencyGraph("json"));
+      expect(exported.initializationOrder).toEqual(["config", "db", "users"]);
+    });
+
+    test("should export DOT", () => {
+      const dot = container.exportDependencyGraph("dot");
+
+      expect(dot.startsWith("digraph dependencies {")).toBe(true);
+      expect(dot).toContain('"db" [label="db\\nsingleton #2"];');
+      expect(dot).toContain('"users" -> "db";');
+      expect(dot.endsWith("}")).toBe(true);
+    });
+
+    test("should export Mermaid", async () => {
+      await container.resolve("config");
+      const mermaid = container.exportDependencyGraph("mermaid");
+
+      expect(mermaid.split("\n")).toEqual(expect.arrayContaining([
+        "graph TD",
+        '  n0["config<br/>singleton #1"]',
+        "  n1 --> n0",
+        "  class n0 resolved"
+      ]));
+    });
+
+    test("should reject unknown export formats", () => {
+      expect(() => container.exportDependencyGraph("svg")).toThrow(
+        "Unsupported dependency graph format: svg"
+      );
+    });
+  });
+
+  describe("Dependency Error Paths", () => {
+    test("should report the full cycle path from resolveDependencyOrder", () => {
+      container.register("a", class { static dependencies = ["b"]; });
+      container.register("b", class { static dependencies = ["c"]; });
+      container.register("c", class { static dependencies = ["a"]; });
+
+      const error = (() => {
+        try {
+          container.resolveDependencyOrder();
+        } catch (e) {
+          return e;
+        }
+      })();
+
+      expect(error.code).toBe("CONFIG_CIRCULAR_DEPENDENCY");
+      expect(error.details.path).toEqual(["a", "b", "c", "a"]);
+    });
+
+    test("should report the path to a missing dependency", async () => {
+      container.register("a", class { static dependencies = ["b"]; });
+      container.register("b", class { static dependencies = ["missing"]; });
+
+      expect(() => container.resolveDependencyOrder()).toThrow(
+        expect.objectContaining({
+          code: "CONFIG_MISSING_DEPENDENCY",
+          details: { dependency: "missing", path: ["a", "b", "missing"] }
+        })
+      );
+
+      const error = await container.resolve("a").catch(e => e);
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.details.path).toEqual(["a", "b", "missing"]);
+    });
+  });
+
   describe("Lifecycle Management", () => {
     describe("Initialization", () => {
       test("should initialize components in dependency order", async () => {
@@ -492,6 +1375,290 @@ describe("CoreContainer", () => {
     });
   });
 
+  describe("Parallel Lifecycle and Timeouts", () => {
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const hang = () => new Promise(() => {});
+
+    function tracked(events, name, { dependencies = [], ms = 10 } = {}) {
+      return class {
+        static dependencies = dependencies;
+        async initialize() {
+          events.push(`start:${name}`);
+          await delay(ms);
+          events.push(`end:${name}`);
+        }
+        async shutdown() {
+          events.push(`stop:${name}`);
+          await delay(ms);
+          events.push(`stopped:${name}`);
+        }
+      };
+    }
+
+    test("should initialize independent branches in parallel", async () => {
+      const events = [];
+      container.register("a", tracked(events, "a"));
+      container.register("b", tracked(events, "b"));
+      container.register("c", tracked(events, "c", { dependencies: ["a", "b"] }));
+
+      await container.initialize();
+
+      expect(events.slice(0, 2).sort()).toEqual(["start:a", "start:b"]);
+      expect(events.indexOf("start:c")).toBeGreaterThan(events.indexOf("end:a"));
+      expect(events.indexOf("start:c")).toBeGreaterThan(events.indexOf("end:b"));
+    });
+
+    test("should initialize core systems before other components", async () => {
+      const events = [];
+      container.register("worker", tracked(events, "worker"));
+      container.register("config", tracked(events, "config"));
+
+      await container.initialize();
+      expect(events).toEqual(["start:config", "end:config", "start:worker", "end:worker"]);
+    });
+
+    test("should return a report of the initialization", async () => {
+      const initializedListener = createMockFn();
+      container.on("initialized", initializedListener);
+      container.register("a", tracked([], "a"));
+      container.register("plain", {});
+
+      const report = await container.initialize();
+
+      expect(report.phase).toBe("initialize");
+      expect(report.status).toBe("completed");
+      expect(typeof report.duration).toBe("number");
+      expect(report.components.map(c => [c.name, c.status])).toEqual([
+        ["a", "completed"],
+        ["plain", "completed"]
+      ]);
+      expect(report.components[0].duration).toBeGreaterThanOrEqual(5);
+      expect(initializedListener.mock.calls[0][0]).toBe(report);
+    });
+
+    test("should fail with the failing component and skip its dependents", async () => {
+      const events = [];
+      container.register("db", class {
+        async initialize() { throw new Error("connection refused"); }
+      });
+      container.register("repo", tracked(events, "repo", { dependencies: ["db"] }));
+      container.register("cache", tracked(events, "cache"));
+
+      const error = await container.initialize().catch(e => e);
+
+      expect(error).toBeInstanceOf(ServiceError);
+      expect(error.code).toBe("SERVICE_INITIALIZATION_FAILED");
+      expect(error.message).toBe("Failed to initialize component db: connection refused (rolled back 1 component(s))");
+      expect(error.details.component).toBe("db");
+      expect(error.cause.message).toBe("connection refused");
+
+      const statuses = Object.fromEntries(error.details.report.components.map(c => [c.name, c.status]));
+      expect(statuses).toEqual({ db: "failed", repo: "skipped", cache: "completed" });
+      expect(events).not.toContain("start:repo");
+      expect(container.initialized).toBe(false);
+    });
+
+    test("should time out a hung component with its registration timeout", async () => {
+      container.register("hung", { initialize: hang }, { initializeTimeout: 20 });
+      container.register("dependent", class { static dependencies = ["hung"]; });
+
+      const error = await container.initialize().catch(e => e);
+
+      expect(error.cause.code).toBe("SERVICE_INITIALIZE_TIMEOUT");
+      expect(error.cause.message).toBe("Component hung did not initialize within 20ms");
+      expect(error.details.report.status).toBe("failed");
+      expect(error.details.report.components.map(c => c.status)).toEqual(["timedOut", "skipped"]);
+    });
+
+    test("should apply the default component timeout", async () => {
+      container.register("hung", { initialize: hang });
+      container.register("patient", { initialize: hang }, { initializeTimeout: 1000 });
+      container.register("ok", {});
+
+      const started = Date.now();
+      const error = await container.initialize({ componentTimeout: 20, timeout: 100 }).catch(e => e);
+
+      expect(Date.now() - started).toBeLessThan(1000);
+      const statuses = Object.fromEntries(error.details.report.components.map(c => [c.name, c.status]));
+      expect(statuses).toEqual({ hung: "timedOut", patient: "timedOut", ok: "completed" });
+      expect(error.details.report.status).toBe("timedOut");
+    });
+
+    test("should time out the whole initialization", async () => {
+      container.register("slow", { initialize: hang });
+      container.register("after", class { static dependencies = ["slow"]; });
+
+      const error = await container.initialize({ timeout: 20 }).catch(e => e);
+
+      expect(error.code).toBe("SERVICE_INITIALIZATION_FAILED");
+      expect(error.cause.message).toBe("Container did not initialize within 20ms");
+      expect(error.details.report.status).toBe("timedOut");
+      expect(error.details.report.components.map(c => c.status)).toEqual(["timedOut", "skipped"]);
+    });
+
+    test("should shut down dependents before their dependencies, in parallel", async () => {
+      const events = [];
+      container.register("db", tracked(events, "db"));
+      container.register("users", tracked(events, "users", { dependencies: ["db"] }));
+      container.register("orders", tracked(events, "orders", { dependencies: ["db"] }));
+      await container.initialize();
+      events.length = 0;
+
+      const report = await container.shutdown();
+
+      expect(events.slice(0, 2).sort()).toEqual(["stop:orders", "stop:users"]);
+      expect(events.indexOf("stop:db")).toBeGreaterThan(events.indexOf("stopped:users"));
+      expect(events.indexOf("stop:db")).toBeGreaterThan(events.indexOf("stopped:orders"));
+      expect(report.phase).toBe("shutdown");
+      expect(report.status).toBe("completed");
+    });
+
+    test("should time out a hung shutdown and keep shutting down", async () => {
+      const errors = [];
+      const dbShutdown = createMockFn();
+      container.register("db", { shutdown: dbShutdown });
+      container.register("hung", class {
+        static dependencies = ["db"];
+        shutdown() { return hang(); }
+      }, { shutdownTimeout: 20 });
+      container.on("shutdown:error", (event) => errors.push(event));
+      await container.initialize();
+
+      const report = await container.shutdown();
+
+      expect(report.status).toBe("failed");
+      expect(report.components.map(c => [c.name, c.status])).toEqual([
+        ["db", "completed"],
+        ["hung", "timedOut"]
+      ]);
+      expect(dbShutdown.mock.calls).toHaveLength(1);
+      expect(errors.map(e => e.error.code)).toEqual(["SERVICE_SHUTDOWN_TIMEOUT"]);
+      expect(container.instances.size).toBe(0);
+    });
+  });
+
+  describe("Initialization Rollback", () => {
+    function component(events, name, dependencies = [], { failInitialize = false, failShutdown = false } = {}) {
+      return class {
+        static dependencies = dependencies;
+        async initialize() {
+          if (failInitialize) throw new Error(`${name} failed`);
+          events.push(`initialize:${name}`);
+        }
+        async shutdown() {
+          events.push(`shutdown:${name}`);
+          if (failShutdown) throw new Error(`${name} shutdown failed`);
+        }
+      };
+    }
+
+    test("should shut down initialized components in reverse order on failure", async () => {
+      const events = [];
+      container.register("first", component(events, "first"));
+      container.register("second", component(events, "second", ["first"]));
+      container.register("third", component(events, "third", ["second"], { failInitialize: true }));
+
+      const error = await container.initialize().catch(e => e);
+
+      expect(events).toEqual([
+        "initialize:first", "initialize:second",
+        "shutdown:second", "shutdown:first"
+      ]);
+      expect(error.message).toBe("Failed to initialize component third: third failed (rolled back 2 component(s))");
+      expect(error.details.component).toBe("third");
+      expect(error.details.rollback.phase).toBe("rollback");
+      expect(error.details.rollback.status).toBe("completed");
+      expect(error.details.rollback.components.map(c => c.name)).toEqual(["first", "second"]);
+      expect(container.initialized).toBe(false);
+      expect(container.instances.size).toBe(0);
+    });
+
+    test("should allow initialize to be retried with fresh instances", async () => {
+      let attempts = 0;
+      container.register("db", class {
+        async initialize() {
+          attempts++;
+          if (attempts === 1) throw new Error("not ready");
+        }
+      });
+      container.register("cache", class {});
+      const firstCache = await container.resolve("cache");
+
+      await expect(container.initialize()).rejects.toThrow(ServiceError);
+      await container.initialize();
+
+      expect(container.initialized).toBe(true);
+      expect(await container.resolve("cache")).not.toBe(firstCache);
+    });
+
+    test("should shut down a component once its timed-out initialize completes", async () => {
+      const events = [];
+      let finishInitialize;
+      container.register("slow", class {
+        async initialize() {
+          await new Promise((resolve) => { finishInitialize = resolve; });
+          events.push("initialize:slow");
+        }
+        async shutdown() {
+          events.push("shutdown:slow");
+        }
+      }, { initializeTimeout: 10 });
+      const late = new Promise((resolve) => container.once("rollback:late", resolve));
+
+      const error = await container.initialize().catch(e => e);
+
+      expect(error.cause.code).toBe("SERVICE_INITIALIZE_TIMEOUT");
+      expect(error.details.rollback.late).toEqual(["slow"]);
+      expect(events).toEqual([]);
+
+      finishInitialize();
+      expect(await late).toEqual({ component: "slow" });
+      expect(events).toEqual(["initialize:slow", "shutdown:slow"]);
+      expect(container.instances.size).toBe(0);
+    });
+
+    test("should report a failed rollback", async () => {
+      const events = [];
+      const rollbackErrors = [];
+      const rollbacks = [];
+      container.register("first", component(events, "first", [], { failShutdown: true }));
+      container.register("second", component(events, "second", ["first"], { failInitialize: true }));
+      container.on("rollback:error", (event) => rollbackErrors.push(event));
+      container.on("rollback", (event) => rollbacks.push(event));
+
+      const error = await container.initialize().catch(e => e);
+
+      expect(error.message).toBe("Failed to initialize component second: second failed (rollback failed)");
+      expect(error.details.rollback.status).toBe("failed");
+      expect(error.details.rollback.components[0].error.message).toBe("first shutdown failed");
+      expect(rollbackErrors.map(e => e.component)).toEqual(["first"]);
+      expect(rollbacks).toHaveLength(1);
+      expect(rollbacks[0].rollback).toEqual(error.details.rollback);
+    });
+
+    test("should shut down the transient instances it initialized", async () => {
+      const events = [];
+      container.register("transient", component(events, "transient"), { lifetime: Lifetime.TRANSIENT });
+      container.register("bad", component(events, "bad", ["transient"], { failInitialize: true }));
+
+      const error = await container.initialize().catch(e => e);
+
+      expect(error.message).toBe("Failed to initialize component bad: bad failed (rolled back 1 component(s))");
+      expect(events).toEqual(["initialize:transient", "shutdown:transient"]);
+      expect(error.details.rollback.status).toBe("completed");
+    });
+
+    test("should not shut down components that did not initialize", async () => {
+      const events = [];
+      container.register("broken", component(events, "broken", [], { failInitialize: true }));
+
+      const error = await container.initialize().catch(e => e);
+
+      expect(events).toEqual([]);
+      expect(error.details.rollback.components).toEqual([]);
+    });
+  });
+
   describe("Event Handling", () => {
     test("should emit events on component registration", (done) => {
       container.once("component:registered", ({ name }) => {
@@ -618,6 +1785,190 @@ describe("CoreContainer", () => {
     });
   });
 
+  describe("Filesystem Discovery", () => {
+    let baseDir;
+
+    async function writeComponent(dir, files) {
+      const componentDir = join(baseDir, dir);
+      await mkdir(componentDir, { recursive: true });
+      for (const [file, content] of Object.entries(files)) {
+        await writeFile(join(componentDir, file), content);
+      }
+      return componentDir;
+    }
+
+    beforeEach(async () => {
+      baseDir = await mkdtemp(join(tmpdir(), "tsmis-discovery-"));
+      // Component files are ES modules, as they are inside this project
+      await writeFile(join(baseDir, "package.json"), JSON.stringify({ type: "module" }));
+      container.registerManifest("service", {
+        configSchema: {
+          required: ["name"],
+          properties: {
+            name: { type: "string" },
+            port: { type: "integer" }
+          }
+        }
+      });
+    });
+
+    afterEach(async () => {
+      await rm(baseDir, { recursive: true, force: true });
+    });
+
+    test("should find nested component directories", async () => {
+      await writeComponent("alpha", { "config.json": "{}" });
+      await writeComponent("group/beta", { "config.js": "export default {};" });
+      await writeComponent("group/notes", { "readme.md": "" });
+
+      const paths = await container.scanDirectory(baseDir);
+      expect(paths.sort()).toEqual([
+        join(baseDir, "alpha"),
+        join(baseDir, "group/beta")
+      ]);
+    });
+
+    test("should load JSON and JS configs with directory name fallback", async () => {
+      const jsonDir = await writeComponent("alpha", {
+        "config.json": JSON.stringify({ port: 80 })
+      });
+      const jsDir = await writeComponent("beta", {
+        "config.js": "export default { name: 'custom', port: 81 };"
+      });
+
+      expect(await container.loadConfig(jsonDir)).toEqual({ name: "alpha", port: 80 });
+      expect(await container.loadConfig(jsDir)).toEqual({ name: "custom", port: 81 });
+    });
+
+    test("should report per-field validation errors", async () => {
+      const error = await container
+        .validateConfig({ name: 5, port: 1.5 }, { properties: { name: { type: "string" }, port: { type: "integer" } } })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.code).toBe("CONFIG_VALIDATION_FAILED");
+      expect(error.details.validationErrors.map(e => e.field)).toEqual(["name", "port"]);
+    });
+
+    test("should apply defaults and coerce strings like the configuration system", async () => {
+      const schema = {
+        required: ["name"],
+        properties: {
+          name: { type: "string" },
+          port: { type: "integer", default: 80 },
+          retries: { type: "integer", minimum: 0 }
+        }
+      };
+
+      expect(await container.validateConfig({ name: "alpha", retries: "3" }, schema))
+        .toEqual({ name: "alpha", port: 80, retries: 3 });
+      await expect(container.validateConfig({ name: "alpha", retries: -1 }, schema)).rejects.toMatchObject({
+        details: { validationErrors: [{ field: "retries", message: "retries must be at least 0" }] }
+      });
+    });
+
+    test("should discover, import and register components", async () => {
+      await writeComponent("alpha", {
+        "config.json": JSON.stringify({ port: 80 }),
+        "index.js": "export default class Alpha { constructor(deps) { this.deps = deps; } }"
+      });
+      await writeComponent("beta", {
+        "config.json": JSON.stringify({ main: "service.js", export: "Beta" }),
+        "service.js": "export const Beta = { kind: 'beta' };"
+      });
+      await writeComponent("disabled", {
+        "config.json": JSON.stringify({ enabled: false }),
+        "index.js": "export default {};"
+      });
+
+      const discovered = await container.discover("service", baseDir, { register: true });
+
+      expect(Array.from(discovered.keys()).sort()).toEqual(["alpha", "beta"]);
+      expect(container.components.get("alpha").options.config).toEqual({ name: "alpha", port: 80 });
+      expect((await container.resolve("alpha")).constructor.name).toBe("Alpha");
+      expect(await container.resolve("beta")).toEqual({ kind: "beta" });
+      expect(container.components.has("disabled")).toBe(false);
+    });
+
+    test("should emit discovery errors for invalid components", async () => {
+      await writeComponent("invalid", {
+        "config.json": JSON.stringify({ port: "eighty" }),
+        "index.js": "export default {};"
+      });
+      await writeComponent("missing", { "config.json": "{}" });
+
+      const errors = [];
+      container.on("discovery:error", event => errors.push(event));
+
+      const discovered = await container.discover("service", baseDir);
+
+      expect(discovered.size).toBe(0);
+      expect(errors).toHaveLength(2);
+      const codes = errors.map(e => e.error.details.originalError.code).sort();
+      expect(codes).toEqual(["CONFIG_MISSING_IMPLEMENTATION", "CONFIG_VALIDATION_FAILED"]);
+    });
+
+    test("should not overwrite existing registrations when registering", async () => {
+      await writeComponent("alpha", {
+        "config.json": "{}",
+        "index.js": "export default { discovered: true };"
+      });
+      const existing = { discovered: false };
+      container.register("alpha", existing);
+
+      const errors = [];
+      container.on("discovery:error", event => errors.push(event));
+      await container.discover("service", baseDir, { register: true });
+
+      expect(await container.resolve("alpha")).toBe(existing);
+      expect(errors[0].name).toBe("alpha");
+    });
+
+    test("should register the other components when one has invalid tags", async () => {
+      await writeComponent("alpha", {
+        "config.json": JSON.stringify({ tags: "x" }),
+        "index.js": "export default {};"
+      });
+      await writeComponent("beta", {
+        "config.json": JSON.stringify({ tags: ["plugin"] }),
+        "index.js": "export default { kind: 'beta' };"
+      });
+
+      const errors = [];
+      container.on("discovery:error", event => errors.push(event));
+      await container.discover("service", baseDir, { register: true });
+
+      expect(errors.map(e => [e.name, e.error.code])).toEqual([["alpha", "CONFIG_INVALID_TAGS"]]);
+      expect(container.components.has("alpha")).toBe(false);
+      expect(await container.resolveAll("plugin")).toEqual([{ kind: "beta" }]);
+    });
+
+    test("should register the other components when one declares malformed dependencies", async () => {
+      await writeComponent("alpha", {
+        "config.json": "{}",
+        "index.js": "export default class Alpha { static dependencies = [{ optional: true }]; }"
+      });
+      await writeComponent("beta", {
+        "config.json": "{}",
+        "index.js": "export default { kind: 'beta' };"
+      });
+
+      const errors = [];
+      container.on("discovery:error", event => errors.push(event));
+      await container.discover("service", baseDir, { register: true });
+
+      expect(errors.map(e => [e.name, e.error.code])).toEqual([["alpha", "CONFIG_INVALID_DEPENDENCY"]]);
+      expect(container.components.has("alpha")).toBe(false);
+      expect(await container.resolve("beta")).toEqual({ kind: "beta" });
+    });
+
+    test("should fail discovery for a missing directory", async () => {
+      await expect(container.discover("service", join(baseDir, "nope"))).rejects.toThrow(
+        "Failed to discover service components"
+      );
+    });
+  });
+
   describe("Error Handling", () => {
     test("should handle validation errors during component loading", async () => {
       const manifest = {
@@ -688,7 +2039,7 @@ describe("CoreContainer", () => {
         name: "test-component"
       });
 
-      container.validateConfig = async () => true; // Validation passes
+      container.validateConfig = async (config) => config; // Validation passes
 
       container.loadImplementation = async () => {
         return class TestComponent {};
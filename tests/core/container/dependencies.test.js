@@ -0,0 +1,65 @@
+// tests/core/container/dependencies.test.js
+
+import {
+  findDependency,
+  getInjectedDependency,
+  isLazyDependency,
+  resolveInjectedDependency,
+  findMissingDependencies,
+  withDependencyAccess,
+} from "../../../src/core/container/dependencies.js";
+
+describe("Dependency Helpers", () => {
+  const declarations = [
+    "config",
+    { name: "errorSystem", as: "errors" },
+    { name: "eventBusSystem", lazy: true },
+    { name: "metrics", optional: true },
+  ];
+
+  test("should find declarations by component name", () => {
+    expect(findDependency(declarations, "errorSystem")).toMatchObject({ key: "errors" });
+    expect(findDependency(declarations, "errors")).toBeUndefined();
+    expect(findDependency(undefined, "config")).toBeUndefined();
+  });
+
+  test("should get injected dependencies under their alias", () => {
+    const errorSystem = {};
+    const deps = { config: {}, errors: errorSystem };
+
+    expect(getInjectedDependency(declarations, deps, "errorSystem")).toBe(errorSystem);
+    expect(getInjectedDependency(declarations, deps, "config")).toBe(deps.config);
+    expect(getInjectedDependency(declarations, deps, "logger")).toBeUndefined();
+  });
+
+  test("should resolve lazy dependencies", async () => {
+    const eventBusSystem = {};
+    const deps = { eventBusSystem: async () => eventBusSystem };
+
+    expect(isLazyDependency(declarations, "eventBusSystem")).toBe(true);
+    expect(isLazyDependency(declarations, "config")).toBe(false);
+    expect(await resolveInjectedDependency(declarations, deps, "eventBusSystem")).toBe(eventBusSystem);
+  });
+
+  test("should give mixed-in classes access to their dependencies", async () => {
+    class Service extends withDependencyAccess(Object) {
+      static dependencies = declarations;
+
+      constructor(deps) {
+        super();
+        this.deps = deps;
+      }
+    }
+    const errorSystem = {};
+    const service = new Service({ errors: errorSystem, eventBusSystem: async () => "bus" });
+
+    expect(service.getDependency("errorSystem")).toBe(errorSystem);
+    expect(service.isLazyDependency("eventBusSystem")).toBe(true);
+    expect(await service.resolveDependency("eventBusSystem")).toBe("bus");
+  });
+
+  test("should list missing required dependencies", () => {
+    expect(findMissingDependencies(declarations, { config: {} })).toEqual(["errors", "eventBusSystem"]);
+    expect(findMissingDependencies(declarations, { config: {}, errors: {}, eventBusSystem: () => {} })).toEqual([]);
+  });
+});
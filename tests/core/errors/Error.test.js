@@ -1,4 +1,4 @@
-import { CoreError } from '../../../src/core/errors/Error.js';
+import { CoreError, ErrorSeverity } from '../../../src/core/errors/Error.js';
 
 describe('CoreError', () => {
   const originalEnv = process.env.NODE_ENV;
@@ -176,6 +176,23 @@ describe('Error Cause Serialization', () => {
     });
   });
 
+  describe('Severity', () => {
+    it('should default to error severity and leave it out of JSON', () => {
+      const error = new CoreError('TEST_ERROR', 'Test message');
+
+      expect(error.severity).toBe(ErrorSeverity.ERROR);
+      expect(error.toJSON()).not.toHaveProperty('severity');
+    });
+
+    it('should serialize and restore other severities', () => {
+      const error = new CoreError('TEST_ERROR', 'Test message', {}, { severity: ErrorSeverity.FATAL });
+      const json = error.toJSON();
+
+      expect(json.severity).toBe('fatal');
+      expect(CoreError.fromJSON(json).severity).toBe('fatal');
+    });
+  });
+
   describe('fromJSON', () => {
     it('should recreate error from complete JSON data', () => {
       const original = new CoreError('TEST_ERROR', 'Test message', { foo: 'bar' });
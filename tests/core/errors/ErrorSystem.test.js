@@ -4,7 +4,15 @@ import {
   ErrorSystem,
   createErrorSystem,
 } from "../../../src/core/errors/ErrorSystem.js";
-import { CoreError } from "../../../src/core/errors/Error.js";
+import { EventEmitter } from "events";
+import http from "http";
+import { CoreError, ErrorSeverity } from "../../../src/core/errors/Error.js";
+import { AuthError, ConfigError, ValidationError } from "../../../src/core/errors/index.js";
+import { ProcessIntegration } from "../../../src/core/errors/integrations/process/ProcessIntegration.js";
+import { ExpressIntegration } from "../../../src/core/errors/integrations/express/ExpressIntegration.js";
+import { HttpIntegration } from "../../../src/core/errors/integrations/http/HttpIntegration.js";
+import { IFrameworkIntegration } from "../../../src/core/errors/integrations/IFrameworkIntegration.js";
+import { Logger } from "../../../src/core/logger/Logger.js";
 
 describe("ErrorSystem", () => {
   let errorSystem;
@@ -46,6 +54,17 @@ describe("ErrorSystem", () => {
       expect(systemNoDeps.logger).toBe(console);
     });
 
+    test("should bind the component to an injected structured logger", () => {
+      const records = [];
+      const logger = new Logger({ transports: [{ write: record => records.push(record) }] });
+      const system = new ErrorSystem({ logger });
+
+      system.defaultErrorHandler(new CoreError("TEST", "test message"));
+
+      expect(ErrorSystem.dependencies).toEqual([{ name: "logger", optional: true }]);
+      expect(records[0]).toMatchObject({ level: "error", component: "ErrorSystem" });
+    });
+
     test("should properly initialize all maps", () => {
       const system = new ErrorSystem({});
       expect(system.integrations).toBeInstanceOf(Map);
@@ -83,6 +102,81 @@ describe("ErrorSystem", () => {
       expect(defaultHandler.mock.calls.length).toBe(1);
     });
 
+    test("should run handlers of parent types for subclasses", async () => {
+      const coreHandler = createMockFn();
+      const defaultHandler = createMockFn();
+      errorSystem.registerHandler("CoreError", coreHandler);
+      errorSystem.registerHandler("*", defaultHandler);
+
+      await errorSystem.handleError(new ConfigError("INVALID", "test"));
+      await errorSystem.handleError(new TypeError("plain"));
+
+      expect(coreHandler.mock.calls.length).toBe(1);
+      expect(defaultHandler.mock.calls.length).toBe(1);
+      expect(defaultHandler.mock.calls[0][0]).toBeInstanceOf(TypeError);
+    });
+
+    test("should run the most specific handlers first, code handlers before type handlers", async () => {
+      const order = [];
+      const record = (name) => (error, context, { key }) => order.push([name, key]);
+
+      errorSystem.registerHandler("CoreError", record("core"));
+      errorSystem.registerHandler("AuthError", record("auth"));
+      errorSystem.registerHandler("AuthError", record("audit"));
+      errorSystem.registerHandler("AuthError:AUTH_TOKEN_EXPIRED", record("expired"));
+      errorSystem.registerHandler("AuthError:AUTH_OTHER", record("other"));
+
+      await errorSystem.handleError(new AuthError("TOKEN_EXPIRED", "test"));
+
+      expect(order).toEqual([
+        ["expired", "AuthError:AUTH_TOKEN_EXPIRED"],
+        ["auth", "AuthError"],
+        ["audit", "AuthError"],
+        ["core", "CoreError"],
+      ]);
+    });
+
+    test("should order handlers by priority", () => {
+      const low = () => {};
+      const high = () => {};
+      const specific = () => {};
+      errorSystem.registerHandler("CoreError", low, { priority: -1 });
+      errorSystem.registerHandler("CoreError", high, { priority: 10 });
+      errorSystem.registerHandler("AuthError", specific);
+
+      expect(errorSystem.resolveHandlers(new AuthError("FAILED", "test")).map(entry => entry.handler))
+        .toEqual([high, specific, low]);
+
+      // Registering again updates the priority
+      errorSystem.registerHandler("CoreError", high, { priority: -5 });
+      expect(errorSystem.resolveHandlers(new AuthError("FAILED", "test")).map(entry => entry.handler))
+        .toEqual([specific, low, high]);
+    });
+
+    test("should let a handler stop propagation", async () => {
+      const coreHandler = createMockFn();
+      errorSystem.registerHandler("CoreError", coreHandler);
+      errorSystem.registerHandler("AuthError", (error, context, { stopPropagation }) => stopPropagation());
+
+      await errorSystem.handleError(new AuthError("FAILED", "test"));
+      await errorSystem.handleError(new ConfigError("FAILED", "test"));
+
+      expect(coreHandler.mock.calls.length).toBe(1);
+      expect(coreHandler.mock.calls[0][0]).toBeInstanceOf(ConfigError);
+    });
+
+    test("should unregister handlers", async () => {
+      const handler = createMockFn();
+      errorSystem.registerHandler("CoreError", handler);
+
+      expect(errorSystem.unregisterHandler("CoreError", handler)).toBe(true);
+      expect(errorSystem.unregisterHandler("CoreError", handler)).toBe(false);
+      await errorSystem.handleError(new CoreError("TEST", "test"));
+
+      expect(handler.mock.calls.length).toBe(0);
+      expect(mockLogger.error.mock.calls.length).toBe(1);
+    });
+
     test("should pass context to handler", async () => {
       const handler = createMockFn();
       const context = { requestId: "123" };
@@ -116,6 +210,19 @@ describe("ErrorSystem", () => {
       const loggedError = mockLogger.error.mock.calls[0][1];
       expect(loggedError.context).toBe(context);
     });
+
+    test('should log by severity, falling back to error', async () => {
+      errorSystem.defaultErrorHandler(
+        new CoreError('TEST', 'test warning', {}, { severity: ErrorSeverity.WARNING })
+      );
+      // mockLogger has no fatal method
+      errorSystem.defaultErrorHandler(
+        new CoreError('TEST', 'test crash', {}, { severity: ErrorSeverity.FATAL })
+      );
+
+      expect(mockLogger.warn.mock.calls[0][1].message).toBe('test warning');
+      expect(mockLogger.error.mock.calls[0][1].message).toBe('test crash');
+    });
   });
   describe("Factory Function", () => {
     test("should create new instance with dependencies", () => {
@@ -162,7 +269,14 @@ describe("ErrorSystem", () => {
       await errorSystem.initialize();
       const handler = () => {};
       errorSystem.registerHandler("TEST", handler);
-      expect(errorSystem.handlers.get("TEST")).toBe(handler);
+      expect(errorSystem.handlers.get("TEST")).toEqual([{ handler, priority: 0 }]);
+    });
+
+    test("should reject invalid keys and priorities", () => {
+      expect(() => errorSystem.registerHandler("", () => {})).toThrow("Handler key must be a non-empty string");
+      expect(() => errorSystem.registerHandler("TEST", () => {}, { priority: "high" })).toThrow(
+        expect.objectContaining({ code: "INVALID_HANDLER" })
+      );
     });
   });
 
@@ -208,6 +322,233 @@ describe("ErrorSystem", () => {
     });
   });
 
+  describe("Deduplication", () => {
+    let clock;
+
+    // Errors thrown from one place share a fingerprint
+    const healthError = () => new CoreError("HEALTH_CHECK_FAILED", "Module health check failed");
+
+    beforeEach(async () => {
+      clock = 1000;
+      errorSystem = new ErrorSystem({ logger: mockLogger }, { now: () => clock });
+      await errorSystem.initialize();
+    });
+
+    test("should report a repeated error once per window", async () => {
+      const suppressed = createMockFn();
+      errorSystem.on("error:suppressed", suppressed);
+
+      for (let i = 0; i < 3; i++) {
+        await errorSystem.handleError(healthError(), { module: "users", timestamp: String(i) });
+        clock += 30000;
+      }
+
+      expect(mockLogger.error.mock.calls.length).toBe(1);
+      expect(suppressed.mock.calls.length).toBe(2);
+      expect(suppressed.mock.calls[1][0]).toMatchObject({ count: 3 });
+
+      clock = 1000 + 300000;
+      await errorSystem.handleError(healthError(), { module: "users" });
+
+      expect(mockLogger.error.mock.calls.length).toBe(2);
+      expect(mockLogger.error.mock.calls[1][1].context).toEqual({ module: "users", suppressed: 2 });
+    });
+
+    test("should run registered handlers for every occurrence", async () => {
+      const handler = createMockFn();
+      const handled = createMockFn();
+      errorSystem.registerHandler("CoreError", handler);
+      errorSystem.registerHandler("*", () => {
+        throw new Error("a matched error never reaches the fallback");
+      });
+      errorSystem.on("error:handled", handled);
+
+      for (let i = 0; i < 3; i++) {
+        await errorSystem.handleError(healthError(), { module: "users" });
+      }
+
+      expect(handler.mock.calls.length).toBe(3);
+      expect(handled.mock.calls.length).toBe(3);
+      expect(errorSystem.getErrorStats().errors[0]).toMatchObject({ count: 3, suppressed: 2 });
+    });
+
+    test("should deduplicate the default log while custom handlers see every error", async () => {
+      const handler = createMockFn();
+      errorSystem.registerHandler("ValidationError", handler);
+      const invalid = () => new ValidationError("INVALID_INPUT", "Invalid input");
+
+      for (let i = 0; i < 3; i++) {
+        await errorSystem.handleError(invalid(), { module: "users" });
+        await errorSystem.handleError(healthError(), { module: "users" });
+      }
+
+      expect(handler.mock.calls.length).toBe(3);
+      expect(mockLogger.error.mock.calls.length).toBe(1);
+    });
+
+    test("should report different errors and contexts separately", async () => {
+      await errorSystem.handleError(healthError(), { module: "users" });
+      await errorSystem.handleError(healthError(), { module: "orders" });
+      await errorSystem.handleError(new CoreError("OTHER", "Other"), { module: "users" });
+
+      expect(mockLogger.error.mock.calls.length).toBe(3);
+    });
+
+    test("should always report fatal errors", async () => {
+      const fatal = () => new CoreError("CRASH", "Crash", {}, { severity: ErrorSeverity.FATAL });
+      mockLogger.fatal = createMockFn();
+
+      await errorSystem.handleError(fatal());
+      await errorSystem.handleError(fatal());
+
+      expect(mockLogger.fatal.mock.calls.length).toBe(2);
+    });
+
+    test("should allow several reports per window or none suppressed", async () => {
+      errorSystem = new ErrorSystem({ logger: mockLogger }, { deduplication: { maxReports: 2 } });
+      for (let i = 0; i < 3; i++) await errorSystem.handleError(healthError());
+      expect(mockLogger.error.mock.calls.length).toBe(2);
+
+      errorSystem = new ErrorSystem({ logger: mockLogger }, { deduplication: false });
+      for (let i = 0; i < 3; i++) await errorSystem.handleError(healthError());
+      expect(mockLogger.error.mock.calls.length).toBe(5);
+    });
+
+    test("should reject invalid options", () => {
+      expect(() => new ErrorSystem({}, { deduplication: { window: -1 } })).toThrow(
+        expect.objectContaining({ code: "INVALID_ERROR_SYSTEM_OPTIONS" })
+      );
+      expect(() => createErrorSystem({}, { maxFingerprints: 0 })).toThrow("maxFingerprints must be a positive integer");
+    });
+  });
+
+  describe("Error Stats", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = Date.UTC(2024, 0, 1);
+      errorSystem = new ErrorSystem({ logger: mockLogger }, { now: () => clock, maxFingerprints: 2 });
+    });
+
+    test("should count occurrences with first and last seen times", async () => {
+      const failure = () => new CoreError("FAILED", "Failed");
+
+      await errorSystem.handleError(failure());
+      clock += 60000;
+      await errorSystem.handleError(failure());
+      await errorSystem.handleError(new CoreError("ONCE", "Once"));
+
+      const stats = errorSystem.getErrorStats();
+
+      expect(stats).toMatchObject({ total: 3, suppressed: 1, fingerprints: 2 });
+      expect(stats.errors[0]).toEqual({
+        fingerprint: expect.any(String),
+        type: "CoreError",
+        code: "FAILED",
+        message: "Failed",
+        count: 2,
+        suppressed: 1,
+        firstSeen: "2024-01-01T00:00:00.000Z",
+        lastSeen: "2024-01-01T00:01:00.000Z"
+      });
+    });
+
+    test("should drop the least recently seen fingerprints", async () => {
+      for (const code of ["A", "B", "C"]) {
+        await errorSystem.handleError(new CoreError(code, code));
+      }
+
+      expect(errorSystem.getErrorStats().errors.map(entry => entry.code).sort()).toEqual(["B", "C"]);
+    });
+
+    test("should use a custom fingerprint and reset", async () => {
+      errorSystem = new ErrorSystem({ logger: mockLogger }, { fingerprint: (error) => error.code });
+
+      await errorSystem.handleError(new CoreError("SAME", "one"));
+      await errorSystem.handleError(new CoreError("SAME", "two"));
+      expect(errorSystem.getErrorStats().errors[0]).toMatchObject({ fingerprint: "SAME", count: 2 });
+
+      errorSystem.resetErrorStats();
+      await errorSystem.handleError(new CoreError("SAME", "three"));
+      expect(mockLogger.error.mock.calls.length).toBe(2);
+    });
+  });
+
+  describe("Reporters", () => {
+    // Reporter recording what it is given
+    function createReporter(accepts = () => true) {
+      const reporter = new EventEmitter();
+      reporter.name = "memory";
+      reporter.reports = [];
+      reporter.report = (error, context) => accepts(error) && reporter.reports.push({ error, context }) > 0;
+      reporter.flush = createMockFn();
+      reporter.close = createMockFn();
+      return reporter;
+    }
+
+    beforeEach(async () => {
+      await errorSystem.initialize();
+    });
+
+    test("should report handled errors but not suppressed duplicates", async () => {
+      const reporter = errorSystem.registerReporter(createReporter());
+      const failure = () => new CoreError("FAILED", "Failed");
+
+      await errorSystem.handleError(failure(), { module: "users" });
+      await errorSystem.handleError(failure(), { module: "users" });
+
+      expect(reporter.reports.length).toBe(1);
+      expect(reporter.reports[0].context).toEqual({ module: "users" });
+    });
+
+    test("should report even when the handler fails", async () => {
+      const reporter = createReporter();
+      errorSystem = new ErrorSystem({ logger: mockLogger }, { reporters: [reporter] });
+      errorSystem.registerHandler("*", () => {
+        throw new Error("handler failed");
+      });
+
+      await expect(errorSystem.handleError(new CoreError("FAILED", "Failed"))).rejects.toThrow("handler failed");
+      expect(reporter.reports.length).toBe(1);
+    });
+
+    test("should log failed reports and keep handling", async () => {
+      const reporter = errorSystem.registerReporter(createReporter());
+      errorSystem.registerReporter({
+        report() {
+          throw new Error("broken");
+        },
+      });
+
+      reporter.emit("report:failed", { error: new Error("down"), reports: [{}], attempts: 4 });
+      await errorSystem.handleError(new CoreError("FAILED", "Failed"));
+
+      expect(mockLogger.warn.mock.calls.map(call => call[1])).toEqual([
+        { reporter: "memory", error: "down", reports: 1, attempts: 4 },
+        { reporter: undefined, error: "broken" },
+      ]);
+      expect(mockLogger.error.mock.calls.length).toBe(1);
+    });
+
+    test("should flush and close reporters", async () => {
+      const reporter = errorSystem.registerReporter(createReporter());
+
+      await errorSystem.flushReporters();
+      await errorSystem.shutdown();
+
+      expect(reporter.flush.mock.calls.length).toBe(1);
+      expect(reporter.close.mock.calls.length).toBe(1);
+      expect(errorSystem.reporters.size).toBe(0);
+    });
+
+    test("should reject invalid reporters", () => {
+      expect(() => errorSystem.registerReporter({})).toThrow(
+        expect.objectContaining({ code: "INVALID_REPORTER" })
+      );
+      expect(() => new ErrorSystem({}, { reporters: {} })).toThrow("reporters must be an array");
+    });
+  });
+
   describe("Error Handler Failures", () => {
     beforeEach(async () => {
       await errorSystem.initialize();
@@ -279,6 +620,122 @@ describe("ErrorSystem", () => {
         errorSystem.registerIntegration(null);
       }).toThrow("Framework is required");
     });
+
+    test("should detect express apps and http servers", async () => {
+      const app = { use: createMockFn(), handle() {} };
+      const server = http.createServer(() => {});
+
+      expect(errorSystem.registerIntegration(app)).toBeInstanceOf(ExpressIntegration);
+      expect(app.use.mock.calls.length).toBe(2);
+      expect(errorSystem.registerIntegration(server)).toBeInstanceOf(HttpIntegration);
+      expect(errorSystem.detectIntegrationType(process)).toBe("process");
+    });
+
+    test("should use the given type over detection", async () => {
+      const app = { use: createMockFn(), addHook: createMockFn(), setErrorHandler: createMockFn() };
+
+      errorSystem.registerIntegration(app, { type: "express" });
+
+      expect(app.use.mock.calls.length).toBe(2);
+      expect(app.setErrorHandler.mock.calls.length).toBe(0);
+    });
+
+    test("should reject unknown frameworks and types", async () => {
+      expect(() => errorSystem.registerIntegration({})).toThrow(
+        expect.objectContaining({ code: "UNKNOWN_FRAMEWORK", details: expect.objectContaining({ type: undefined }) })
+      );
+      expect(() => errorSystem.registerIntegration({}, { type: "koa" })).toThrow("No integration type koa");
+    });
+
+    test("should refuse a second integration for the same framework", async () => {
+      const app = { use() {}, handle() {} };
+      errorSystem.registerIntegration(app);
+
+      expect(() => errorSystem.registerIntegration(app)).toThrow(
+        expect.objectContaining({ code: "DUPLICATE_INTEGRATION" })
+      );
+    });
+
+    test("should register custom integration types, detected first", async () => {
+      class TestIntegration extends IFrameworkIntegration {
+        constructor(system) {
+          super();
+          this.system = system;
+        }
+        initialize(framework, options) {
+          this.framework = framework;
+          this.options = options;
+        }
+      }
+      errorSystem.registerIntegrationType("test", TestIntegration, {
+        detect: (framework) => framework.isTestDouble === true,
+      });
+      const double = { isTestDouble: true, addHook() {}, setErrorHandler() {} };
+
+      const integration = errorSystem.registerIntegration(double, { strict: true });
+
+      expect(errorSystem.hasIntegrationType("test")).toBe(true);
+      expect(integration).toBeInstanceOf(TestIntegration);
+      expect(integration.system).toBe(errorSystem);
+      expect(integration.options).toEqual({ strict: true });
+    });
+
+    test("should accept factories and reject what they do not create", async () => {
+      const created = { initialize: createMockFn() };
+      errorSystem.registerIntegrationType("factory", () => created);
+      errorSystem.registerIntegrationType("broken", () => ({}));
+
+      expect(errorSystem.registerIntegration({}, { type: "factory" })).toBe(created);
+      expect(() => errorSystem.registerIntegration({}, { type: "broken" })).toThrow(
+        expect.objectContaining({ code: "INVALID_INTEGRATION" })
+      );
+      expect(() => errorSystem.registerIntegrationType("koa", {})).toThrow(
+        expect.objectContaining({ code: "INVALID_INTEGRATION_TYPE" })
+      );
+    });
+
+    test("should apply its status code mapping in integrations", async () => {
+      const app = { use: createMockFn(), handle() {} };
+      errorSystem.setStatusCodes({ codes: { AUTH_TOKEN_EXPIRED: 419 } });
+      errorSystem.setStatusCodes({ types: { ConfigError: 503 } });
+
+      const integration = errorSystem.registerIntegration(app, { statusCodes: { types: { ConfigError: 502 } } });
+
+      expect(errorSystem.statusCodes).toEqual({
+        codes: { AUTH_TOKEN_EXPIRED: 419 },
+        types: { ConfigError: 503 },
+      });
+      expect(errorSystem.getStatusCode(new ConfigError("INVALID", "test"))).toBe(503);
+      expect(integration.getStatusCode(new ConfigError("INVALID", "test"))).toBe(502);
+      expect(integration.getStatusCode(new AuthError("TOKEN_EXPIRED", "test"))).toBe(419);
+      expect(() => errorSystem.setStatusCodes({ codes: { TEST: 999 } })).toThrow(
+        expect.objectContaining({ code: "INVALID_STATUS_CODES" })
+      );
+    });
+
+    test("should register a process integration once", async () => {
+      const target = new EventEmitter();
+
+      const integration = errorSystem.registerProcessIntegration(target, { exit() {} });
+
+      expect(integration).toBeInstanceOf(ProcessIntegration);
+      expect(errorSystem.integrations.get(target)).toBe(integration);
+      expect(target.listenerCount("uncaughtException")).toBe(1);
+      expect(() => errorSystem.registerProcessIntegration(target)).toThrow(
+        "An integration is already registered for this framework"
+      );
+    });
+
+    test("should stop listening to the process on shutdown", async () => {
+      const target = new EventEmitter();
+      errorSystem.registerProcessIntegration(target, { exit() {} });
+
+      await errorSystem.shutdown();
+
+      expect(target.listenerCount("uncaughtException")).toBe(0);
+      expect(target.listenerCount("unhandledRejection")).toBe(0);
+      expect(target.listenerCount("warning")).toBe(0);
+    });
   });
 
   describe("Event Emission", () => {
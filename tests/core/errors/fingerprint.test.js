@@ -0,0 +1,56 @@
+// tests/core/errors/fingerprint.test.js
+
+import {
+  fingerprintError,
+  normalizeContext,
+  normalizeStack,
+} from "../../../src/core/errors/fingerprint.js";
+import { CoreError, ModuleError } from "../../../src/core/errors/index.js";
+
+describe("Fingerprint", () => {
+  const stack = (line) => [
+    "ModuleError: Module users is unhealthy",
+    `    at Timeout._onTimeout (file://${process.cwd()}/src/core/module/ModuleSystem.js:${line}:30)`,
+    "    at async listOnTimeout (node:internal/timers:573:17)",
+  ].join("\n");
+
+  describe("Normalization", () => {
+    test("should keep application frames without message, positions and working directory", () => {
+      expect(normalizeStack(stack(415))).toEqual([
+        "at Timeout._onTimeout (/src/core/module/ModuleSystem.js)",
+      ]);
+      expect(normalizeStack(undefined)).toEqual([]);
+    });
+
+    test("should keep stable context values with placeholders for ids", () => {
+      expect(normalizeContext({
+        url: "/users/42",
+        module: "users",
+        timestamp: "2024-01-01",
+        requestId: "req-1",
+        health: { status: "unhealthy" },
+      })).toEqual(["module=users", "url=/users/<n>"]);
+    });
+  });
+
+  describe("Fingerprinting", () => {
+    const withStack = (error, line) => Object.assign(error, { stack: stack(line) });
+
+    test("should match the same error across releases and requests", () => {
+      const first = withStack(new ModuleError("UNHEALTHY_MODULE", "Module users is unhealthy"), 415);
+      const second = withStack(new ModuleError("UNHEALTHY_MODULE", "Module users is unhealthy"), 420);
+
+      expect(fingerprintError(first, { module: "users", timestamp: "1" }))
+        .toBe(fingerprintError(second, { module: "users", timestamp: "2" }));
+    });
+
+    test("should tell apart types, codes and contexts", () => {
+      const error = (Type, code) => withStack(new Type(code, "test"), 415);
+      const base = fingerprintError(error(ModuleError, "FAILED"), { module: "users" });
+
+      expect(fingerprintError(error(CoreError, "MODULE_FAILED"), { module: "users" })).not.toBe(base);
+      expect(fingerprintError(error(ModuleError, "OTHER"), { module: "users" })).not.toBe(base);
+      expect(fingerprintError(error(ModuleError, "FAILED"), { module: "orders" })).not.toBe(base);
+    });
+  });
+});
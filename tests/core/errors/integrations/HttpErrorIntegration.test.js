@@ -0,0 +1,53 @@
+// tests/core/errors/integrations/HttpErrorIntegration.test.js
+
+import { HttpErrorIntegration } from '../../../../src/core/errors/integrations/HttpErrorIntegration.js';
+import { CoreError, ErrorSeverity } from '../../../../src/core/errors/index.js';
+import { ValidationError } from '../../../../src/core/errors/types/index.js';
+
+describe('HttpErrorIntegration', () => {
+  class TeapotIntegration extends HttpErrorIntegration {
+    mapFrameworkError(error) {
+      return error?.teapot ? new ValidationError('TEAPOT', 'Short and stout') : undefined;
+    }
+  }
+
+  let integration;
+
+  beforeEach(() => {
+    integration = new TeapotIntegration();
+    integration.options = TeapotIntegration.normalizeOptions({ detail: 'production' });
+  });
+
+  test('should map framework errors before the generic mapping', () => {
+    expect(integration.mapError({ teapot: true })).toMatchObject({ code: 'VALIDATION_TEAPOT' });
+
+    const generic = integration.mapError(Object.assign(new Error('Too large'), { status: 413 }));
+    expect(generic).toMatchObject({ code: 'UNKNOWN_ERROR', message: 'Too large' });
+    expect(integration.getStatusCode(generic)).toBe(413);
+  });
+
+  test('should build serialized and problem details responses', () => {
+    const context = integration.createErrorContext({ id: 'req-1', method: 'GET', url: '/a' });
+    const error = new CoreError('TEST', 'Test', {}, { cause: new Error('inner'), severity: ErrorSeverity.WARNING });
+
+    const serialized = integration.createErrorResponse(error, {}, context);
+    expect(serialized).toMatchObject({ status: 500, problem: false, vary: false });
+    expect(serialized.body).toMatchObject({ code: 'TEST', context: { requestId: 'req-1', url: '/a' } });
+    expect(serialized.body).not.toHaveProperty('cause');
+
+    integration.options = TeapotIntegration.normalizeOptions({ problemDetails: 'negotiate' });
+    const problem = integration.createErrorResponse(
+      error,
+      { headers: { accept: 'application/problem+json' } },
+      context
+    );
+    expect(problem).toMatchObject({ problem: true, vary: true, body: { type: 'about:blank', instance: '/a' } });
+  });
+
+  test('should reject invalid shared options', () => {
+    expect(() => TeapotIntegration.normalizeOptions({ detail: 'verbose' })).toThrow('Unknown detail level verbose');
+    expect(() => TeapotIntegration.normalizeOptions({ statusCodes: { codes: { A: 200 } } })).toThrow(
+      expect.objectContaining({ code: 'INVALID_INTEGRATION_OPTIONS' })
+    );
+  });
+});
@@ -0,0 +1,242 @@
+// tests/core/errors/integrations/express/ExpressIntegration.test.js
+
+import { ExpressIntegration } from '../../../../../src/core/errors/integrations/express/ExpressIntegration.js';
+import { CoreError, AuthError, RouterError, ServiceError, ValidationError, NetworkError } from '../../../../../src/core/errors/index.js';
+import { ExpressAdapter } from '../../../../../src/core/router/integrations/express/ExpressAdapter.js';
+
+describe('ExpressIntegration', () => {
+  let integration;
+  let app;
+  let req;
+  const originalEnv = process.env.NODE_ENV;
+
+  // Minimal Express app stand-in recording middleware in registration order
+  function createFakeApp() {
+    return {
+      middleware: [],
+      use(fn) {
+        this.middleware.push(fn);
+      }
+    };
+  }
+
+  function createFakeResponse() {
+    return {
+      statusCode: 200,
+      body: undefined,
+      headersSent: false,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        this.headersSent = true;
+        return this;
+      },
+      type(contentType) {
+        this.contentType = contentType;
+        return this;
+      },
+      vary(field) {
+        this.varied = field;
+        return this;
+      }
+    };
+  }
+
+  // Run the installed error middleware the way Express would
+  function handle(error) {
+    const res = createFakeResponse();
+    const passed = [];
+    app.middleware[1](error, req, res, (e) => passed.push(e));
+    return { res, passed };
+  }
+
+  beforeEach(() => {
+    integration = new ExpressIntegration();
+    app = createFakeApp();
+    req = { id: 'req-1', method: 'GET', url: '/users', originalUrl: '/api/users' };
+    integration.initialize(app);
+    // Keep stacks out of the serialized shape
+    process.env.NODE_ENV = 'production';
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  describe('Initialization', () => {
+    test('should install not-found and error middleware once', () => {
+      integration.initialize(app);
+
+      expect(app.middleware).toHaveLength(2);
+      expect(app.middleware[1].length).toBe(4);
+    });
+
+    test('should reject an invalid app', () => {
+      expect(() => new ExpressIntegration().initialize({})).toThrow('Invalid Express app instance');
+    });
+  });
+
+  describe('Error Middleware', () => {
+    test('should answer core errors with their status and the serialized shape', () => {
+      const { res } = handle(new ServiceError('UNAVAILABLE', 'Service down'));
+
+      expect(res.statusCode).toBe(503);
+      expect(res.body).toEqual({
+        name: 'ServiceError',
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'Service down',
+        details: {},
+        timestamp: expect.any(String),
+        context: {
+          requestId: 'req-1',
+          timestamp: expect.any(String),
+          url: '/api/users',
+          method: 'GET'
+        }
+      });
+    });
+
+    test('should answer unmatched requests with ROUTE_NOT_FOUND', () => {
+      const passed = [];
+      app.middleware[0](req, createFakeResponse(), (e) => passed.push(e));
+
+      const { res } = handle(passed[0]);
+
+      expect(passed[0]).toBeInstanceOf(NetworkError);
+      expect(res.statusCode).toBe(404);
+      expect(res.body).toMatchObject({
+        code: 'NETWORK_ROUTE_NOT_FOUND',
+        message: 'Route GET:/api/users not found'
+      });
+    });
+
+    test('should leave responses already sent to Express', () => {
+      const error = new Error('stream broke');
+      const res = createFakeResponse();
+      res.headersSent = true;
+      const passed = [];
+
+      app.middleware[1](error, req, res, (e) => passed.push(e));
+
+      expect(passed).toEqual([error]);
+      expect(res.body).toBeUndefined();
+    });
+  });
+
+  describe('Problem Details', () => {
+    test('should negotiate problem+json from the Accept header', () => {
+      app = createFakeApp();
+      new ExpressIntegration().initialize(app, { problemDetails: 'negotiate' });
+      req.headers = { accept: 'application/problem+json' };
+
+      const { res } = handle(new NetworkError('ROUTE_NOT_FOUND', 'Route GET:/api/users not found'));
+
+      expect(res.statusCode).toBe(404);
+      expect(res.contentType).toBe('application/problem+json');
+      expect(res.varied).toBe('Accept');
+      expect(res.body).toEqual({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Route GET:/api/users not found',
+        instance: '/api/users',
+        code: 'NETWORK_ROUTE_NOT_FOUND',
+        requestId: 'req-1'
+      });
+
+      req.headers = { accept: 'application/json' };
+      const plain = handle(new NetworkError('ROUTE_NOT_FOUND', 'Not found')).res;
+      expect(plain.contentType).toBeUndefined();
+      expect(plain.body.context).toBeDefined();
+    });
+
+    test('should reject invalid problem details options', () => {
+      expect(() => new ExpressIntegration().initialize(createFakeApp(), { problemTypeBase: {} }))
+        .toThrow('problemTypeBase must be a URI string');
+    });
+  });
+
+  describe('Error Mapping', () => {
+    test('should map body-parser errors to ValidationError', () => {
+      const parseError = Object.assign(new SyntaxError('Unexpected token } in JSON'), {
+        type: 'entity.parse.failed',
+        status: 400
+      });
+      const tooLarge = Object.assign(new Error('request entity too large'), {
+        type: 'entity.too.large',
+        status: 413
+      });
+
+      const mapped = integration.mapError(parseError);
+
+      expect(mapped).toBeInstanceOf(ValidationError);
+      expect(mapped).toMatchObject({
+        code: 'VALIDATION_FAILED',
+        statusCode: 400,
+        details: { type: 'entity.parse.failed' }
+      });
+      expect(mapped.validationErrors).toEqual([
+        { message: 'Unexpected token } in JSON', type: 'entity.parse.failed' }
+      ]);
+      expect(integration.mapError(tooLarge).statusCode).toBe(413);
+    });
+
+    test('should map validation errors to ValidationError', () => {
+      const error = { validation: [{ field: 'email' }], status: 422 };
+
+      const mapped = integration.mapError(error);
+
+      expect(mapped).toBeInstanceOf(ValidationError);
+      expect(mapped.statusCode).toBe(422);
+      expect(mapped.validationErrors).toEqual([{ field: 'email' }]);
+    });
+
+    test('should answer with the mapped status codes', () => {
+      const mapped = new ExpressIntegration();
+      mapped.initialize(createFakeApp(), { statusCodes: { codes: { AUTH_TOKEN_EXPIRED: 419 } } });
+
+      expect(handle(new AuthError('INVALID_TOKEN', 'Bad token')).res.statusCode).toBe(401);
+      expect(handle(new RouterError('ROUTE_CONFLICT', 'Taken')).res.statusCode).toBe(409);
+      expect(mapped.getStatusCode(new AuthError('TOKEN_EXPIRED', 'Expired'))).toBe(419);
+      expect(() => new ExpressIntegration().initialize(createFakeApp(), { statusCodes: { codes: { A: 'x' } } }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_INTEGRATION_OPTIONS' }));
+    });
+
+    test('should map 404 errors and generic errors', () => {
+      expect(integration.mapError({ status: 404 }, req).code).toBe('NETWORK_ROUTE_NOT_FOUND');
+
+      const generic = integration.mapError(new Error('boom'));
+      expect(generic).toBeInstanceOf(CoreError);
+      expect(generic).toMatchObject({ code: 'UNKNOWN_ERROR', message: 'boom', statusCode: 500 });
+    });
+  });
+
+  describe('With ExpressAdapter', () => {
+    test('should answer handler errors passed to next()', async () => {
+      const routes = {};
+      const router = {
+        get(path, handler) {
+          routes[path] = handler;
+        },
+        post() {}
+      };
+      await new ExpressAdapter().applyRoutes(router, [{
+        method: 'GET',
+        path: '/users',
+        handler: async () => {
+          throw new ValidationError('INVALID_INPUT', 'Bad input');
+        }
+      }]);
+
+      let routeError;
+      await routes['/users'](req, createFakeResponse(), (e) => { routeError = e; });
+      const { res } = handle(routeError);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toMatchObject({ code: 'VALIDATION_INVALID_INPUT', context: { url: '/api/users' } });
+    });
+  });
+});
@@ -37,10 +37,12 @@ describe('FastifyIntegration', () => {
 
     mockReply = {
       status: createMockFn(),
-      send: createMockFn()
+      send: createMockFn(),
+      getHeader: createMockFn()
     };
     mockReply.status.mockReturnValue = mockReply;
     mockReply.send.mockReturnValue = mockReply;
+    mockReply.getHeader.mockReturnValue = undefined;
 
     mockFastify = {
       addHook: createMockFn(),
@@ -200,4 +202,161 @@ describe('FastifyIntegration', () => {
       expect(withContext.context).toEqual({});
     });
   });
-});
\ No newline at end of file
+
+  describe('options', () => {
+    const originalEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    const handle = async (error, options = {}) => {
+      integration.initialize(mockFastify, options);
+      const errorHandler = mockFastify.setErrorHandler.mock.calls[0][0];
+      await errorHandler(error, mockRequest, mockReply);
+      return {
+        status: mockReply.status.mock.calls[0][0],
+        body: mockReply.send.mock.calls[0][0]
+      };
+    };
+
+    test('should leave out stacks and original errors at production detail', async () => {
+      process.env.NODE_ENV = 'development';
+
+      const { body } = await handle(new Error('Hidden'), { detail: 'production' });
+
+      expect(body.details.originalError).toBeUndefined();
+      expect(body.stack).toBeUndefined();
+    });
+
+    test('should include stacks at development detail', async () => {
+      process.env.NODE_ENV = 'production';
+
+      const { body } = await handle(new CoreError('TEST', 'Shown'), { detail: 'development' });
+
+      expect(body.stack).toContain('Shown');
+    });
+
+    test('should try custom mappers before the built-in mapping', async () => {
+      const mappers = [
+        () => undefined,
+        (error) => error.code === 'FST_ERR_CTP_BODY_TOO_LARGE'
+          ? new ValidationError('BODY_TOO_LARGE', 'Request body is too large')
+          : undefined
+      ];
+
+      const { status, body } = await handle({ code: 'FST_ERR_CTP_BODY_TOO_LARGE', statusCode: 413 }, { mappers });
+
+      expect(status).toBe(400);
+      expect(body.code).toBe('VALIDATION_BODY_TOO_LARGE');
+    });
+
+    test('should apply status codes per error type and the response envelope', async () => {
+      const { status, body } = await handle(new ValidationError('FAILED', 'Invalid'), {
+        statusCodes: { types: { ValidationError: 422 } },
+        envelope: (serialized, error) => ({ error: serialized, ok: false, type: error.name })
+      });
+
+      expect(status).toBe(422);
+      expect(body).toMatchObject({ ok: false, type: 'ValidationError', error: { code: 'VALIDATION_FAILED' } });
+    });
+
+    test('should install the default or a custom not-found handler', async () => {
+      mockFastify.setNotFoundHandler = createMockFn();
+      integration.initialize(mockFastify);
+
+      const notFound = mockFastify.setNotFoundHandler.mock.calls[0][0];
+      await notFound({ method: 'POST', url: '/missing' }, mockReply);
+      expect(mockReply.status.mock.calls[0][0]).toBe(404);
+      expect(mockReply.send.mock.calls[0][0]).toMatchObject({
+        code: 'NETWORK_ROUTE_NOT_FOUND',
+        message: 'Route POST:/missing not found'
+      });
+
+      const custom = async () => {};
+      const other = { addHook() {}, setErrorHandler() {}, setNotFoundHandler: createMockFn() };
+      new FastifyIntegration().initialize(other, { notFoundHandler: custom });
+      expect(other.setNotFoundHandler.mock.calls[0][0]).toBe(custom);
+
+      const untouched = { addHook() {}, setErrorHandler() {}, setNotFoundHandler: createMockFn() };
+      new FastifyIntegration().initialize(untouched, { notFoundHandler: false });
+      expect(untouched.setNotFoundHandler.mock.calls.length).toBe(0);
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => integration.initialize(mockFastify, { detail: 'verbose' })).toThrow(
+        expect.objectContaining({ code: 'INVALID_INTEGRATION_OPTIONS' })
+      );
+      expect(() => integration.initialize(mockFastify, { mappers: ['nope'] })).toThrow('mappers must be an array of functions');
+      expect(() => integration.initialize(mockFastify, { envelope: {} })).toThrow('envelope must be a function');
+    });
+
+    test('should answer with problem details when the client asks for them', async () => {
+      mockReply.type = createMockFn();
+      mockReply.header = createMockFn();
+      mockRequest.headers = { accept: 'application/problem+json' };
+
+      const { status, body } = await handle(new ValidationError('FAILED', 'Invalid', {
+        validationErrors: [{ field: 'name' }]
+      }), { problemDetails: 'negotiate', problemTypeBase: 'https://errors.example.com' });
+
+      expect(status).toBe(400);
+      expect(mockReply.type.mock.calls[0][0]).toBe('application/problem+json');
+      expect(mockReply.header.mock.calls[0]).toEqual(['vary', 'Accept']);
+      expect(body).toEqual({
+        type: 'https://errors.example.com/validation-failed',
+        title: 'Bad Request',
+        status: 400,
+        detail: 'Invalid',
+        instance: '/test',
+        code: 'VALIDATION_FAILED',
+        validationErrors: [{ field: 'name' }]
+      });
+    });
+
+    test('should add Accept to a Vary header set before', async () => {
+      mockReply.header = createMockFn();
+      mockReply.getHeader.mockReturnValue = 'Origin';
+
+      await handle(new CoreError('TEST', 'Test'), { problemDetails: 'negotiate' });
+
+      expect(mockReply.getHeader.mock.calls[0]).toEqual(['vary']);
+      expect(mockReply.header.mock.calls[0]).toEqual(['vary', 'Origin, Accept']);
+    });
+
+    test('should keep the usual shape for clients asking for JSON', async () => {
+      mockReply.type = createMockFn();
+      mockReply.header = createMockFn();
+      mockRequest.headers = { accept: 'application/json' };
+
+      const { body } = await handle(new CoreError('TEST', 'Test'), { problemDetails: true });
+
+      expect(mockReply.type.mock.calls.length).toBe(0);
+      expect(body).toMatchObject({ code: 'TEST', context: { url: '/test' } });
+    });
+
+    test('should always answer with problem details when configured', async () => {
+      mockReply.type = createMockFn();
+      mockReply.header = createMockFn();
+
+      const { body } = await handle(new CoreError('TEST', 'Test'), { problemDetails: 'always' });
+
+      expect(body).toMatchObject({ type: 'about:blank', status: 500, code: 'TEST' });
+      expect(mockReply.header.mock.calls.length).toBe(0);
+      expect(() => new FastifyIntegration().initialize(mockFastify, { problemDetails: 'yes' })).toThrow(
+        expect.objectContaining({ code: 'INVALID_INTEGRATION_OPTIONS' })
+      );
+    });
+
+    test('should keep separate instances independent', async () => {
+      const otherFastify = { addHook: createMockFn(), setErrorHandler: createMockFn() };
+      integration.initialize(mockFastify, { statusCodes: { types: { CoreError: 418 } } });
+      new FastifyIntegration().initialize(otherFastify);
+
+      await otherFastify.setErrorHandler.mock.calls[0][0](new CoreError('TEST', 'Test'), mockRequest, mockReply);
+
+      expect(otherFastify.setErrorHandler.mock.calls.length).toBe(1);
+      expect(mockReply.status.mock.calls[0][0]).toBe(500);
+    });
+  });
+});
@@ -215,12 +215,26 @@ describe('Fastify Error Handler', () => {
     });
   });
 
-  describe('Singleton Instance', () => {
+  describe('setupErrorHandler', () => {
     test('should properly set up error handler through setupErrorHandler', async () => {
       const { setupErrorHandler } = await import('../../../../../src/core/errors/integrations/fastify/handler.js');
       
       const result = setupErrorHandler(mockFastify);
       expect(result.initialized).toBe(true);
     });
+
+    test('should set up every fastify instance it is given', async () => {
+      const { setupErrorHandler } = await import('../../../../../src/core/errors/integrations/fastify/handler.js');
+      const secondFastify = {
+        addHook: createMockFn(),
+        setErrorHandler: createMockFn()
+      };
+
+      const first = setupErrorHandler(mockFastify);
+      const second = setupErrorHandler(secondFastify);
+
+      expect(second).not.toBe(first);
+      expect(secondFastify.setErrorHandler.mock.calls.length).toBe(1);
+    });
   });
 });
\ No newline at end of file
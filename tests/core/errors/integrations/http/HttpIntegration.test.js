@@ -0,0 +1,131 @@
+// tests/core/errors/integrations/http/HttpIntegration.test.js
+
+import http from 'http';
+import { HttpIntegration } from '../../../../../src/core/errors/integrations/http/HttpIntegration.js';
+import { AuthError } from '../../../../../src/core/errors/index.js';
+
+describe('HttpIntegration', () => {
+  const originalEnv = process.env.NODE_ENV;
+  let req;
+
+  // Minimal ServerResponse stand-in; end() resolves `finished`
+  function createFakeResponse() {
+    let finish;
+    const res = {
+      statusCode: 200,
+      headers: {},
+      headersSent: false,
+      body: undefined,
+      destroyed: null,
+      finished: new Promise((resolve) => { finish = resolve; }),
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      getHeader(name) {
+        return this.headers[name];
+      },
+      end(body) {
+        this.body = body;
+        this.headersSent = true;
+        finish();
+      },
+      destroy(error) {
+        this.destroyed = error;
+        finish();
+      }
+    };
+    return res;
+  }
+
+  beforeEach(() => {
+    req = { method: 'GET', url: '/health' };
+    // Keep stacks out of the serialized shape
+    process.env.NODE_ENV = 'production';
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  test('should answer errors of existing request listeners with JSON', async () => {
+    const error = new AuthError('UNAUTHORIZED', 'Login required');
+    error.statusCode = 401;
+    const server = http.createServer(async () => {
+      throw error;
+    });
+    new HttpIntegration().initialize(server);
+
+    const res = createFakeResponse();
+    server.emit('request', req, res);
+    await res.finished;
+
+    expect(server.listenerCount('request')).toBe(1);
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(JSON.parse(res.body)).toEqual({
+      name: 'AuthError',
+      code: 'AUTH_UNAUTHORIZED',
+      message: 'Login required',
+      details: {},
+      timestamp: expect.any(String),
+      context: { timestamp: expect.any(String), url: '/health', method: 'GET' }
+    });
+  });
+
+  test('should map other errors to UNKNOWN_ERROR', async () => {
+    const integration = new HttpIntegration();
+    const res = createFakeResponse();
+
+    await integration.wrapHandler(async () => {
+      throw Object.assign(new Error('Too many requests'), { statusCode: 429 });
+    })(req, res);
+
+    expect(res.statusCode).toBe(429);
+    expect(JSON.parse(res.body)).toMatchObject({ code: 'UNKNOWN_ERROR', message: 'Too many requests' });
+  });
+
+  test('should answer with problem details when the client asks for them', async () => {
+    const integration = new HttpIntegration();
+    integration.initialize(http.createServer(), { problemDetails: 'negotiate' });
+    const res = createFakeResponse();
+
+    await integration.wrapHandler(async () => {
+      throw new AuthError('UNAUTHORIZED', 'Login required');
+    })({ ...req, headers: { accept: 'application/problem+json' } }, res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['content-type']).toBe('application/problem+json; charset=utf-8');
+    expect(res.headers.vary).toBe('Accept');
+    expect(JSON.parse(res.body)).toMatchObject({ title: 'Unauthorized', status: 401, instance: '/health' });
+  });
+
+  test('should keep a Vary header set by the handler', async () => {
+    const integration = new HttpIntegration();
+    integration.initialize(http.createServer(), { problemDetails: 'negotiate' });
+    const res = createFakeResponse();
+
+    await integration.wrapHandler(async (request, response) => {
+      response.setHeader('vary', 'Origin');
+      throw new AuthError('UNAUTHORIZED', 'Login required');
+    })(req, res);
+
+    expect(res.headers.vary).toBe('Origin, Accept');
+  });
+
+  test('should abort responses already under way', async () => {
+    const error = new Error('stream broke');
+    const res = createFakeResponse();
+
+    await new HttpIntegration().wrapHandler((request, response) => {
+      response.headersSent = true;
+      throw error;
+    })(req, res);
+
+    expect(res.destroyed).toBe(error);
+    expect(res.body).toBeUndefined();
+  });
+
+  test('should reject an invalid server', () => {
+    expect(() => new HttpIntegration().initialize({})).toThrow('Invalid http server instance');
+  });
+});
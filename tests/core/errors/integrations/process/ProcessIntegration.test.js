@@ -0,0 +1,172 @@
+// tests/core/errors/integrations/process/ProcessIntegration.test.js
+
+import { EventEmitter } from 'events';
+import { ProcessIntegration } from '../../../../../src/core/errors/integrations/process/ProcessIntegration.js';
+import { CoreError, ErrorSeverity } from '../../../../../src/core/errors/index.js';
+
+describe('ProcessIntegration', () => {
+  let target;
+  let handled;
+  let logged;
+  let exitCodes;
+  let errorSystem;
+  let integration;
+
+  // Resolves once exit() is called
+  let exited;
+  const waitForExit = () => new Promise((resolve) => { exited = resolve; });
+
+  beforeEach(() => {
+    target = new EventEmitter();
+    handled = [];
+    logged = [];
+    exitCodes = [];
+    exited = () => {};
+    errorSystem = {
+      logger: { error: (msg, fields) => logged.push({ msg, ...fields }) },
+      async handleError(error, context) {
+        handled.push({ error, context });
+      }
+    };
+    integration = new ProcessIntegration(errorSystem);
+  });
+
+  afterEach(() => {
+    integration.uninstall();
+  });
+
+  const initialize = (options = {}) => integration.initialize(target, {
+    exit: (code) => { exitCodes.push(code); exited(); },
+    ...options
+  });
+
+  describe('Mapping', () => {
+    test('should wrap uncaught exceptions as fatal errors caused by the original', () => {
+      const original = new TypeError('x is not a function');
+
+      const error = integration.mapError(original, 'uncaughtException');
+
+      expect(error).toBeInstanceOf(CoreError);
+      expect(error).toMatchObject({
+        code: 'UNCAUGHT_EXCEPTION',
+        message: 'x is not a function',
+        severity: ErrorSeverity.FATAL
+      });
+      expect(error.cause).toBe(original);
+    });
+
+    test('should keep non-error rejection reasons in the details', () => {
+      const error = integration.mapError('timeout', 'unhandledRejection');
+
+      expect(error).toMatchObject({
+        code: 'UNHANDLED_REJECTION',
+        message: 'Non-error value: timeout',
+        details: { reason: 'timeout' },
+        severity: ErrorSeverity.FATAL
+      });
+    });
+
+    test('should wrap warnings with warning severity', () => {
+      const warning = new Error('Possible EventEmitter memory leak detected');
+      warning.name = 'MaxListenersExceededWarning';
+
+      const error = integration.mapError(warning, 'warning');
+
+      expect(error).toMatchObject({
+        code: 'PROCESS_WARNING',
+        severity: ErrorSeverity.WARNING,
+        details: { name: 'MaxListenersExceededWarning' }
+      });
+    });
+  });
+
+  describe('Capture', () => {
+    test('should handle fatal errors with process context, then shut down and exit', async () => {
+      const fatal = [];
+      initialize({ onFatal: async (error, context) => fatal.push(context.event) });
+      const exit = waitForExit();
+
+      target.emit('uncaughtException', new Error('boom'), 'uncaughtException');
+      await exit;
+
+      expect(handled).toHaveLength(1);
+      expect(handled[0].error.code).toBe('UNCAUGHT_EXCEPTION');
+      expect(handled[0].context).toMatchObject({
+        source: 'process',
+        event: 'uncaughtException',
+        origin: 'uncaughtException',
+        pid: process.pid
+      });
+      expect(typeof handled[0].context.uptime).toBe('number');
+      expect(fatal).toEqual(['uncaughtException']);
+      expect(exitCodes).toEqual([1]);
+    });
+
+    test('should shut down and exit once for several fatal errors', async () => {
+      let calls = 0;
+      initialize({ onFatal: async () => { calls++; } });
+      const exit = waitForExit();
+
+      target.emit('unhandledRejection', new Error('first'));
+      target.emit('uncaughtException', new Error('second'));
+      await exit;
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(handled.map(({ error }) => error.message)).toEqual(['first', 'second']);
+      expect(calls).toBe(1);
+      expect(exitCodes).toEqual([1]);
+    });
+
+    test('should only report warnings and non-fatal rejections', async () => {
+      initialize({ rejectionSeverity: ErrorSeverity.ERROR });
+
+      target.emit('warning', new Error('deprecated'));
+      target.emit('unhandledRejection', new Error('ignored promise'));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(handled.map(({ error }) => error.severity)).toEqual(['warning', 'error']);
+      expect(exitCodes).toEqual([]);
+    });
+
+    test('should still exit when handling fails', async () => {
+      errorSystem.handleError = async () => {
+        throw new Error('handler down');
+      };
+      initialize({
+        onFatal: async () => {
+          throw new Error('shutdown failed');
+        }
+      });
+      const exit = waitForExit();
+
+      target.emit('uncaughtException', new Error('boom'));
+      await exit;
+
+      expect(logged.map(({ msg }) => msg)).toEqual([
+        'Failed to handle process error',
+        'Fatal error handling failed'
+      ]);
+      expect(logged[0].error.code).toBe('UNCAUGHT_EXCEPTION');
+      expect(exitCodes).toEqual([1]);
+    });
+  });
+
+  describe('Lifecycle', () => {
+    test('should listen to the chosen events and stop on uninstall', () => {
+      initialize({ events: ['uncaughtException'] });
+      initialize();
+
+      expect(target.listenerCount('uncaughtException')).toBe(1);
+      expect(target.listenerCount('warning')).toBe(0);
+
+      integration.uninstall();
+      expect(target.listenerCount('uncaughtException')).toBe(0);
+    });
+
+    test('should reject unknown events', () => {
+      expect(() => initialize({ events: ['exit'] })).toThrow(
+        expect.objectContaining({ code: 'INVALID_PROCESS_EVENT' })
+      );
+    });
+  });
+});
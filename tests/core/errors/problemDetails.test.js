@@ -0,0 +1,94 @@
+// tests/core/errors/problemDetails.test.js
+
+import {
+  PROBLEM_JSON,
+  acceptsProblemJson,
+  appendVary,
+  toProblemDetails,
+  useProblemDetails,
+  validateProblemDetailsOptions,
+} from "../../../src/core/errors/problemDetails.js";
+import { CoreError, ValidationError } from "../../../src/core/errors/index.js";
+import { registerSecret, clearSecrets } from "../../../src/core/config/redaction.js";
+
+describe("Problem Details", () => {
+  describe("Negotiation", () => {
+    test("should append a field to the Vary header", () => {
+      expect(appendVary(undefined, "Accept")).toBe("Accept");
+      expect(appendVary("Origin", "Accept")).toBe("Origin, Accept");
+      expect(appendVary(["Origin", "Accept-Encoding"], "Accept")).toBe("Origin, Accept-Encoding, Accept");
+      expect(appendVary("origin, accept", "Accept")).toBe("origin, accept");
+      expect(appendVary("*", "Accept")).toBe("*");
+    });
+
+    test("should accept problem+json when asked for at no lower quality than JSON", () => {
+      expect(acceptsProblemJson(PROBLEM_JSON)).toBe(true);
+      expect(acceptsProblemJson("application/problem+json, application/json")).toBe(true);
+      expect(acceptsProblemJson("application/json;q=0.5, application/problem+json;q=0.9")).toBe(true);
+    });
+
+    test("should keep plain JSON otherwise", () => {
+      expect(acceptsProblemJson(undefined)).toBe(false);
+      expect(acceptsProblemJson("*/*")).toBe(false);
+      expect(acceptsProblemJson("application/json")).toBe(false);
+      expect(acceptsProblemJson("application/problem+json;q=0")).toBe(false);
+      expect(acceptsProblemJson("application/problem+json;q=0.2, application/json")).toBe(false);
+    });
+
+    test("should follow the mode", () => {
+      expect(useProblemDetails(false, PROBLEM_JSON)).toBe(false);
+      expect(useProblemDetails("negotiate", PROBLEM_JSON)).toBe(true);
+      expect(useProblemDetails(true, "application/json")).toBe(false);
+      expect(useProblemDetails("always", undefined)).toBe(true);
+    });
+
+    test("should validate options", () => {
+      expect(validateProblemDetailsOptions({ problemDetails: "always", problemTypeBase: "https://e.io" })).toBeNull();
+      expect(validateProblemDetailsOptions({ problemDetails: "sometimes" })).toContain("Unknown problemDetails mode");
+      expect(validateProblemDetailsOptions({ problemTypeBase: 1 })).toBe("problemTypeBase must be a URI string");
+    });
+  });
+
+  describe("Building", () => {
+    afterEach(() => {
+      clearSecrets();
+    });
+
+    test("should describe an error with its status and extension members", () => {
+      const error = new CoreError("QUOTA_EXCEEDED", "Monthly quota used up");
+
+      expect(toProblemDetails(error, {
+        status: 429,
+        context: { url: "/api/reports", requestId: "req-1" },
+      })).toEqual({
+        type: "about:blank",
+        title: "Too Many Requests",
+        status: 429,
+        detail: "Monthly quota used up",
+        instance: "/api/reports",
+        code: "QUOTA_EXCEEDED",
+        requestId: "req-1",
+      });
+    });
+
+    test("should derive types from the base URI and include validation errors", () => {
+      const error = new ValidationError("FAILED", "Invalid body", {
+        validationErrors: [{ field: "email", message: "required" }],
+      });
+
+      const problem = toProblemDetails(error, { status: 400, typeBase: "https://errors.example.com/" });
+
+      expect(problem.type).toBe("https://errors.example.com/validation-failed");
+      expect(problem.validationErrors).toEqual([{ field: "email", message: "required" }]);
+      expect(problem).not.toHaveProperty("instance");
+    });
+
+    test("should redact registered secrets", () => {
+      registerSecret("hunter22");
+
+      const problem = toProblemDetails(new CoreError("LOGIN", "Password hunter22 rejected"), { status: 401 });
+
+      expect(problem.detail).not.toContain("hunter22");
+    });
+  });
+});
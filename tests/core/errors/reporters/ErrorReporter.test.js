@@ -0,0 +1,159 @@
+// tests/core/errors/reporters/ErrorReporter.test.js
+
+import { ErrorReporter } from "../../../../src/core/errors/reporters/ErrorReporter.js";
+import {
+  CoreError,
+  AuthError,
+  ErrorSeverity,
+  ValidationError,
+} from "../../../../src/core/errors/index.js";
+import { registerSecret, clearSecrets } from "../../../../src/core/config/redaction.js";
+
+describe("ErrorReporter", () => {
+  // Reporter keeping sent batches; failures lists the errors of the next sends
+  class MemoryReporter extends ErrorReporter {
+    constructor(options) {
+      super({ backoff: { initial: 1 }, ...options });
+      this.batches = [];
+      this.failures = [];
+    }
+
+    async send(reports) {
+      const failure = this.failures.shift();
+      if (failure) throw failure;
+      this.batches.push(reports);
+    }
+  }
+
+  let reporter;
+
+  afterEach(async () => {
+    await reporter?.close();
+    clearSecrets();
+  });
+
+  describe("Batching", () => {
+    test("should send a full batch at once", async () => {
+      reporter = new MemoryReporter({ batchSize: 2 });
+
+      reporter.report(new CoreError("A", "a"));
+      expect(reporter.queue.length).toBe(1);
+      reporter.report(new CoreError("B", "b"), { module: "users" });
+      await reporter.flushing;
+
+      expect(reporter.batches.length).toBe(1);
+      expect(reporter.batches[0].map(report => report.code)).toEqual(["A", "B"]);
+      expect(reporter.batches[0][1]).toMatchObject({
+        id: expect.any(String),
+        type: "CoreError",
+        message: "b",
+        severity: "error",
+        context: { module: "users" },
+      });
+    });
+
+    test("should send a partial batch after the flush interval", async () => {
+      reporter = new MemoryReporter({ flushInterval: 5 });
+      const sent = new Promise(resolve => reporter.once("report:sent", resolve));
+
+      reporter.report(new CoreError("A", "a"));
+
+      expect((await sent).reports.length).toBe(1);
+    });
+
+    test("should send the queue on close and then refuse reports", async () => {
+      reporter = new MemoryReporter({ batchSize: 5, maxQueue: 2 });
+
+      for (const code of ["A", "B", "C"]) reporter.report(new CoreError(code, code));
+      await reporter.close();
+
+      expect(reporter.batches[0].map(report => report.code)).toEqual(["B", "C"]);
+      expect(reporter.dropped).toBe(1);
+      expect(reporter.report(new CoreError("D", "d"))).toBe(false);
+    });
+
+    test("should redact registered secrets", async () => {
+      registerSecret("hunter22");
+      reporter = new MemoryReporter();
+
+      reporter.report(new CoreError("LOGIN", "Password hunter22 rejected"), { password: "hunter22" });
+      await reporter.flush();
+
+      expect(JSON.stringify(reporter.batches)).not.toContain("hunter22");
+    });
+  });
+
+  describe("Retry", () => {
+    test("should retry failed batches with backoff", async () => {
+      reporter = new MemoryReporter();
+      reporter.failures.push(new Error("down"), new Error("down"));
+      const sent = new Promise(resolve => reporter.once("report:sent", resolve));
+
+      reporter.report(new CoreError("A", "a"));
+      await reporter.flush();
+
+      expect((await sent).attempts).toBe(3);
+      expect(reporter.batches.length).toBe(1);
+    });
+
+    test("should give up after the retries or on errors that are not retryable", async () => {
+      reporter = new MemoryReporter({ retries: 1 });
+      const failed = [];
+      reporter.on("report:failed", event => failed.push(event));
+
+      reporter.failures.push(new Error("down"), new Error("still down"));
+      reporter.report(new CoreError("A", "a"));
+      await reporter.flush();
+
+      reporter.failures.push(Object.assign(new Error("rejected"), { retryable: false }));
+      reporter.report(new CoreError("B", "b"));
+      await reporter.flush();
+
+      expect(failed.map(({ error, attempts }) => [error.message, attempts])).toEqual([
+        ["still down", 2],
+        ["rejected", 1],
+      ]);
+      expect(reporter.batches.length).toBe(0);
+    });
+
+    test("should grow delays up to the maximum and honor retryAfter", () => {
+      reporter = new MemoryReporter({ backoff: { initial: 100, factor: 3, max: 1000 } });
+
+      expect([1, 2, 3, 4].map(attempt => reporter.getRetryDelay(attempt))).toEqual([100, 300, 900, 1000]);
+      expect(reporter.getRetryDelay(1, { retryAfter: 500 })).toBe(500);
+    });
+  });
+
+  describe("Filtering", () => {
+    test("should match types with subclasses, codes and severities", () => {
+      class TokenError extends AuthError {}
+      reporter = new MemoryReporter({
+        filter: { types: ["AuthError"], severities: ["error", "fatal"] },
+      });
+
+      expect(reporter.accepts(new TokenError("EXPIRED", "test"))).toBe(true);
+      expect(reporter.accepts(new ValidationError("FAILED", "test"))).toBe(false);
+      expect(reporter.accepts(new AuthError("FAILED", "test", {}, { severity: ErrorSeverity.WARNING }))).toBe(false);
+
+      const byCode = new MemoryReporter({ filter: { codes: ["AUTH_EXPIRED"] } });
+      expect(byCode.accepts(new AuthError("EXPIRED", "test"))).toBe(true);
+      expect(byCode.report(new AuthError("OTHER", "test"))).toBe(false);
+    });
+
+    test("should take a filter function", () => {
+      reporter = new MemoryReporter({ filter: (error, context) => context.module === "users" });
+
+      expect(reporter.report(new CoreError("A", "a"), { module: "users" })).toBe(true);
+      expect(reporter.report(new CoreError("A", "a"), { module: "orders" })).toBe(false);
+    });
+
+    test("should reject invalid options", async () => {
+      expect(() => new MemoryReporter({ filter: { names: [] } })).toThrow("Unknown filter names");
+      expect(() => new MemoryReporter({ filter: { codes: "A" } })).toThrow("Filter codes must be an array");
+      expect(() => new MemoryReporter({ batchSize: 0 })).toThrow(
+        expect.objectContaining({ code: "INVALID_REPORTER_OPTIONS" })
+      );
+      await expect(new ErrorReporter().send([])).rejects.toThrow("send() must be implemented");
+    });
+  });
+});
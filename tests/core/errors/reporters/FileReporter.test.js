@@ -0,0 +1,37 @@
+// tests/core/errors/reporters/FileReporter.test.js
+
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { FileReporter } from "../../../../src/core/errors/reporters/FileReporter.js";
+import { CoreError, ModuleError } from "../../../../src/core/errors/index.js";
+
+describe("FileReporter", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), "file-reporter-"));
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should append one JSON report per line", async () => {
+    const path = join(directory, "errors", "errors.ndjson");
+    const reporter = new FileReporter({ path, batchSize: 2 });
+
+    reporter.report(new ModuleError("UNHEALTHY_MODULE", "Module users is unhealthy"), { module: "users" });
+    reporter.report(new CoreError("FAILED", "Failed"));
+    reporter.report(new CoreError("LATER", "Later"));
+    await reporter.close();
+
+    const lines = readFileSync(path, "utf8").trim().split("\n").map(line => JSON.parse(line));
+    expect(lines.map(report => report.code)).toEqual(["MODULE_UNHEALTHY_MODULE", "FAILED", "LATER"]);
+    expect(lines[0]).toMatchObject({ type: "ModuleError", context: { module: "users" } });
+  });
+
+  test("should require a path", () => {
+    expect(() => new FileReporter({})).toThrow("FileReporter needs a path");
+  });
+});
@@ -0,0 +1,61 @@
+// tests/core/errors/reporters/SentryReporter.test.js
+
+import { SentryReporter } from "../../../../src/core/errors/reporters/SentryReporter.js";
+import { startReporterStandIn } from "./standIn.js";
+import { CoreError, ErrorSeverity, ValidationError } from "../../../../src/core/errors/index.js";
+
+describe("SentryReporter", () => {
+  let standIn;
+  let reporter;
+
+  beforeEach(async () => {
+    standIn = await startReporterStandIn();
+  });
+
+  afterEach(async () => {
+    await reporter?.close();
+    await standIn.close();
+  });
+
+  const dsn = () => `${standIn.url.replace("//", "//public-key@")}/sentry/42`;
+
+  test("should send one event envelope per report", async () => {
+    reporter = new SentryReporter({ dsn: dsn(), environment: "test", release: "1.2.3", batchSize: 2 });
+
+    reporter.report(new ValidationError("FAILED", "Invalid body", { field: "email" }), { url: "/users" });
+    reporter.report(new CoreError("CRASH", "Crash", {}, { severity: ErrorSeverity.FATAL }));
+    const requests = await standIn.waitForRequests(2);
+
+    expect(requests[0]).toMatchObject({
+      method: "POST",
+      url: "/sentry/api/42/envelope/",
+      headers: { "content-type": "application/x-sentry-envelope" },
+    });
+    expect(requests[0].headers["x-sentry-auth"]).toContain("sentry_key=public-key");
+
+    const [header, item, event] = requests[0].body.split("\n").map(line => JSON.parse(line));
+    expect(header).toMatchObject({ event_id: event.event_id, dsn: dsn() });
+    expect(item).toEqual({ type: "event", content_type: "application/json" });
+    expect(event).toMatchObject({
+      event_id: expect.stringMatching(/^[0-9a-f]{32}$/),
+      platform: "node",
+      level: "error",
+      environment: "test",
+      release: "1.2.3",
+      tags: { code: "VALIDATION_FAILED" },
+      extra: { details: { field: "email" }, context: { url: "/users" } },
+    });
+    expect(event.exception.values[0]).toMatchObject({ type: "ValidationError", value: "Invalid body" });
+
+    const frames = event.exception.values[0].stacktrace.frames;
+    expect(frames[frames.length - 1]).toMatchObject({ filename: expect.stringContaining("SentryReporter.test.js") });
+    expect(frames[frames.length - 1].in_app).toBe(true);
+
+    expect(JSON.parse(requests[1].body.split("\n")[2]).level).toBe("fatal");
+  });
+
+  test("should reject invalid DSNs", () => {
+    expect(() => new SentryReporter({ dsn: "https://sentry.example.com/42" })).toThrow("SentryReporter needs a DSN");
+    expect(() => new SentryReporter({})).toThrow(expect.objectContaining({ code: "INVALID_REPORTER_OPTIONS" }));
+  });
+});
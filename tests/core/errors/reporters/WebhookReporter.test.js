@@ -0,0 +1,88 @@
+// tests/core/errors/reporters/WebhookReporter.test.js
+
+import { WebhookReporter } from "../../../../src/core/errors/reporters/WebhookReporter.js";
+import { startReporterStandIn } from "./standIn.js";
+import { AuthError, CoreError } from "../../../../src/core/errors/index.js";
+
+describe("WebhookReporter", () => {
+  let standIn;
+  let reporter;
+
+  beforeEach(async () => {
+    standIn = await startReporterStandIn();
+  });
+
+  afterEach(async () => {
+    await reporter?.close();
+    await standIn.close();
+  });
+
+  test("should post batches as JSON with the configured headers", async () => {
+    reporter = new WebhookReporter({
+      url: `${standIn.url}/hooks/errors`,
+      headers: { authorization: "Bearer token" },
+      batchSize: 2,
+    });
+
+    reporter.report(new AuthError("UNAUTHORIZED", "Login required"), { requestId: "req-1" });
+    reporter.report(new CoreError("FAILED", "Failed"));
+    const [request] = await standIn.waitForRequests(1);
+
+    expect(request).toMatchObject({
+      method: "POST",
+      url: "/hooks/errors",
+      headers: { "content-type": "application/json", authorization: "Bearer token" },
+    });
+    const { reports } = JSON.parse(request.body);
+    expect(reports.map(report => [report.type, report.code])).toEqual([
+      ["AuthError", "AUTH_UNAUTHORIZED"],
+      ["CoreError", "FAILED"],
+    ]);
+    expect(reports[0].context).toEqual({ requestId: "req-1" });
+  });
+
+  test("should retry server errors and rate limits", async () => {
+    reporter = new WebhookReporter({ url: standIn.url, backoff: { initial: 1 } });
+    standIn.respondWith(503);
+    standIn.respondWith(429);
+    const sent = new Promise(resolve => reporter.once("report:sent", resolve));
+
+    reporter.report(new CoreError("FAILED", "Failed"));
+    await reporter.flush();
+
+    expect((await sent).attempts).toBe(3);
+    expect(standIn.requests.map(request => JSON.parse(request.body).reports[0].id))
+      .toEqual(Array(3).fill(JSON.parse(standIn.requests[0].body).reports[0].id));
+  });
+
+  test("should not retry rejected requests", async () => {
+    reporter = new WebhookReporter({ url: standIn.url, backoff: { initial: 1 } });
+    standIn.respondWith(400);
+    const failed = new Promise(resolve => reporter.once("report:failed", resolve));
+
+    reporter.report(new CoreError("FAILED", "Failed"));
+    await reporter.flush();
+
+    const { error, attempts } = await failed;
+    expect(attempts).toBe(1);
+    expect(error).toMatchObject({ code: "NETWORK_REQUEST_FAILED", retryable: false, details: { status: 400 } });
+    expect(standIn.requests.length).toBe(1);
+  });
+
+  test("should honor Retry-After", async () => {
+    reporter = new WebhookReporter({ url: standIn.url, retries: 0 });
+    standIn.respondWith(429, { "retry-after": "2" });
+    const failed = new Promise(resolve => reporter.once("report:failed", resolve));
+
+    reporter.report(new CoreError("FAILED", "Failed"));
+    await reporter.flush();
+
+    expect((await failed).error.retryAfter).toBe(2000);
+  });
+
+  test("should reject invalid URLs", () => {
+    expect(() => new WebhookReporter({ url: "not a url" })).toThrow(
+      expect.objectContaining({ code: "INVALID_REPORTER_OPTIONS" })
+    );
+  });
+});
@@ -0,0 +1,72 @@
+// tests/core/errors/reporters/standIn.js
+
+import http from 'http';
+
+/**
+ * Local HTTP server standing in for a reporter sink in the HTTP reporter
+ * tests. It records every request and answers 200 unless statuses
+ * are queued with respondWith().
+ * @param {Object} [options={}]
+ * @param {number} [options.port=0] - Port, a free one by default
+ * @returns {Promise<Object>} Stand-in with `url`, `requests`, `respondWith(status, headers)`,
+ *   `waitForRequests(count)` and `close()`
+ */
+export async function startReporterStandIn({ port = 0 } = {}) {
+  const requests = [];
+  const responses = [];
+  const waiters = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      });
+
+      const { status, headers } = responses.shift() || { status: 200, headers: {} };
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end('{}');
+
+      for (const waiter of [...waiters]) {
+        if (requests.length >= waiter.count) {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          waiter.resolve(requests);
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+
+    /**
+     * Answer the next request with a status, e.g. 503 to test retries
+     */
+    respondWith(status, headers = {}) {
+      responses.push({ status, headers });
+    },
+
+    /**
+     * Resolve once count requests have arrived
+     */
+    waitForRequests(count) {
+      if (requests.length >= count) return Promise.resolve(requests);
+      return new Promise(resolve => waiters.push({ count, resolve }));
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+export default startReporterStandIn;
@@ -0,0 +1,96 @@
+// tests/core/errors/statusCodes.test.js
+
+import {
+  DefaultStatusCodes,
+  resolveStatusCode,
+  validateStatusCodes,
+} from "../../../src/core/errors/statusCodes.js";
+import {
+  CoreError,
+  AccessError,
+  AuthError,
+  ConfigError,
+  EventError,
+  ModuleError,
+  NetworkError,
+  RouterError,
+  ServiceError,
+  ValidationError,
+} from "../../../src/core/errors/index.js";
+
+describe("Status Codes", () => {
+  describe("Defaults", () => {
+    test("should map every error type", () => {
+      const cases = [
+        [new CoreError("TEST", "test"), 500],
+        [new ValidationError("FAILED", "test"), 400],
+        [new AuthError("UNAUTHORIZED", "test"), 401],
+        [new AccessError("FORBIDDEN", "test"), 403],
+        [new NetworkError("REQUEST_FAILED", "test"), 503],
+        [new ServiceError("UNAVAILABLE", "test"), 503],
+        [new ConfigError("INVALID", "test"), 500],
+        [new ModuleError("FAILED", "test"), 500],
+        [new EventError("FAILED", "test"), 500],
+        [new RouterError("FAILED", "test"), 500],
+      ];
+
+      for (const [error, status] of cases) {
+        expect([error.name, resolveStatusCode(error)]).toEqual([error.name, status]);
+        expect(error.statusCode).toBe(status);
+      }
+    });
+
+    test("should map codes before types", () => {
+      expect(new RouterError("ROUTE_CONFLICT", "test").statusCode).toBe(409);
+      expect(new NetworkError("ROUTE_NOT_FOUND", "test").statusCode).toBe(404);
+      expect(new NetworkError("REQUEST_TIMEOUT", "test").statusCode).toBe(504);
+      expect(DefaultStatusCodes.codes.AUTH_TOKEN_EXPIRED).toBe(401);
+    });
+
+    test("should match subclasses by their nearest mapped type", () => {
+      class PaymentError extends ServiceError {}
+
+      expect(new PaymentError("DECLINED", "test").statusCode).toBe(503);
+      expect(resolveStatusCode(new PaymentError("DECLINED", "test"), { types: { PaymentError: 402 } })).toBe(402);
+    });
+  });
+
+  describe("Overrides", () => {
+    test("should let a status code set on the error win", () => {
+      const assigned = new AuthError("TOKEN_EXPIRED", "test");
+      assigned.statusCode = 419;
+      const option = new ValidationError("FAILED", "test", {}, { statusCode: 422 });
+
+      expect(resolveStatusCode(assigned, { codes: { AUTH_TOKEN_EXPIRED: 400 } })).toBe(419);
+      expect(option.statusCode).toBe(422);
+    });
+
+    test("should search mappings in order, then the defaults", () => {
+      const error = new AccessError("FORBIDDEN", "test");
+
+      expect(resolveStatusCode(error, { codes: { ACCESS_FORBIDDEN: 404 } }, { codes: { ACCESS_FORBIDDEN: 451 } })).toBe(404);
+      expect(resolveStatusCode(error, undefined, { codes: { ACCESS_FORBIDDEN: 451 } })).toBe(451);
+      expect(resolveStatusCode(error, { types: { AccessError: 404 } })).toBe(403);
+    });
+
+    test("should use the status of other errors", () => {
+      expect(resolveStatusCode(Object.assign(new Error("test"), { statusCode: 429 }))).toBe(429);
+      expect(resolveStatusCode({ status: 413 })).toBe(413);
+      expect(resolveStatusCode(new Error("test"))).toBe(500);
+      expect(resolveStatusCode(undefined)).toBe(500);
+    });
+  });
+
+  describe("Validation", () => {
+    test("should accept codes and types with error status codes", () => {
+      expect(validateStatusCodes({ codes: { A: 400 }, types: { B: 599 } })).toBeNull();
+    });
+
+    test("should describe invalid mappings", () => {
+      expect(validateStatusCodes(null)).toBe("Status code mapping must be an object");
+      expect(validateStatusCodes({ AuthError: 401 })).toContain("Unknown status code mapping AuthError");
+      expect(validateStatusCodes({ codes: { A: 200 } })).toContain("Status code for A");
+      expect(validateStatusCodes({ types: { B: "401" } })).toContain("Status code for B");
+    });
+  });
+});
@@ -27,6 +27,8 @@ import { createEventBusSystem } from '../../../src/core/event/EventBusSystem.js'
 import { EventError, ErrorCodes } from "../../../src/core/errors/index.js";
 import { EventEmitter } from "events";
 import assert from "assert";
+import { Logger } from "../../../src/core/logger/Logger.js";
+import { createMemoryTransport } from "../../../src/core/logger/transports.js";
 
 describe("CoreEventBus", () => {
   let eventBus;
@@ -108,7 +110,26 @@ describe("CoreEventBus", () => {
 
     test("should have correct version information", () => {
       expect(CoreEventBus.version).toBe("1.0.0");
-      expect(CoreEventBus.dependencies).toEqual(["errorSystem", "config"]);
+      expect(CoreEventBus.dependencies).toEqual(["errorSystem", "config", { name: "logger", optional: true }]);
+    });
+
+    test("should log emitted events through an injected logger", async () => {
+      const memory = createMemoryTransport();
+      const bus = createEventBus({
+        errorSystem,
+        config: {},
+        logger: new Logger({ level: "debug", transports: [memory] }),
+      });
+      await bus.initialize();
+
+      await bus.emit("user.created", { id: 1 });
+      await bus.shutdown();
+
+      expect(memory.find((record) => record.event === "user.created")[0]).toMatchObject({
+        level: "debug",
+        msg: "Event emitted",
+        component: "EventBus",
+      });
     });
 
     test("should prevent double initialization", async () => {
@@ -148,7 +148,7 @@ describe("EventBusSystem", () => {
 
     test("should have correct version information", () => {
       expect(EventBusSystem.version).toBe("1.0.0");
-      expect(EventBusSystem.dependencies).toEqual(["errorSystem", "config"]);
+      expect(EventBusSystem.dependencies).toEqual(["errorSystem", "config", { name: "logger", optional: true }]);
     });
 
     test("should have proper initial state", () => {
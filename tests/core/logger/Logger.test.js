@@ -0,0 +1,184 @@
+// tests/core/logger/Logger.test.js
+
+import {
+  Logger,
+  LogLevels,
+  childLogger,
+  createLogger,
+  createNoopLogger,
+  serializeError
+} from "../../../src/core/logger/Logger.js";
+import { createMemoryTransport } from "../../../src/core/logger/transports.js";
+import { registerSecret, clearSecrets, REDACTED } from "../../../src/core/config/redaction.js";
+import { ConfigError, ModuleError } from "../../../src/core/errors/index.js";
+
+describe("Logger", () => {
+  let memory;
+  let logger;
+
+  beforeEach(() => {
+    memory = createMemoryTransport();
+    logger = new Logger({ level: "debug", transports: [memory] });
+  });
+
+  afterEach(() => {
+    clearSecrets();
+  });
+
+  describe("Levels", () => {
+    test("should write records at or above the level", () => {
+      logger.trace("hidden");
+      logger.debug("shown");
+      logger.fatal("also shown");
+
+      expect(memory.records.map(record => record.msg)).toEqual(["shown", "also shown"]);
+      expect(memory.records[0]).toEqual({
+        level: "debug",
+        time: expect.any(String),
+        msg: "shown"
+      });
+    });
+
+    test("should change the level of parent and children", () => {
+      const child = logger.child({ module: "users" });
+
+      child.setLevel("error");
+      logger.warn("hidden");
+      child.error("shown");
+
+      expect(logger.level).toBe("error");
+      expect(logger.isLevelEnabled("warn")).toBe(false);
+      expect(memory.records).toHaveLength(1);
+    });
+
+    test("should reject unknown levels", () => {
+      expect(() => new Logger({ level: "verbose" })).toThrow(ConfigError);
+      expect(() => logger.setLevel("verbose")).toThrow(
+        expect.objectContaining({ code: "CONFIG_INVALID_LOG_LEVEL" })
+      );
+      expect(Object.keys(LogLevels)).toEqual(["trace", "debug", "info", "warn", "error", "fatal", "silent"]);
+    });
+
+    test("should write nothing when silent", () => {
+      logger.setLevel("silent");
+      logger.fatal("hidden");
+      logger.log("silent", "hidden");
+
+      expect(memory.records).toHaveLength(0);
+    });
+  });
+
+  describe("Records", () => {
+    test("should add child bindings to every record", () => {
+      const child = logger.child({ module: "users" }).child({ requestId: "req-1" });
+
+      child.info("Loaded", { count: 2 });
+
+      expect(memory.records[0]).toMatchObject({
+        level: "info",
+        msg: "Loaded",
+        module: "users",
+        requestId: "req-1",
+        count: 2
+      });
+      expect(logger.bindings).toEqual({});
+    });
+
+    test("should not let fields overwrite level, time or msg", () => {
+      logger.child({ level: "fatal" }).info("Message", { msg: "other", time: 0, extra: true });
+
+      expect(memory.records[0]).toMatchObject({ level: "info", msg: "Message", extra: true });
+      expect(memory.records[0].time).not.toBe(0);
+    });
+
+    test("should serialize errors", () => {
+      const cause = new Error("connection refused");
+      const error = new ModuleError("INIT_FAILED", "Failed to start", { attempt: 1 }, { cause });
+
+      logger.error(error);
+      logger.warn("Retrying", { error: new TypeError("bad input") });
+      logger.info("Values", [1, 2]);
+
+      const [first, second, third] = memory.records;
+      expect(first.msg).toBe("Failed to start");
+      expect(first.error).toMatchObject({
+        name: "ModuleError",
+        code: "MODULE_INIT_FAILED",
+        details: { attempt: 1 },
+        cause: { name: "Error", message: "connection refused" }
+      });
+      expect(first.error.stack).toContain("Failed to start");
+      expect(second.error).toMatchObject({ name: "TypeError", message: "bad input" });
+      expect(third.data).toEqual([1, 2]);
+    });
+
+    test("should redact registered secrets", () => {
+      registerSecret("hunter22");
+
+      logger.info("Connecting with hunter22", { url: "postgres://app:hunter22@db" });
+
+      expect(memory.records[0].msg).toBe(`Connecting with ${REDACTED}`);
+      expect(memory.records[0].url).toBe(`postgres://app:${REDACTED}@db`);
+    });
+
+    test("should survive a failing transport", () => {
+      const originalWrite = process.stderr.write;
+      const written = [];
+      process.stderr.write = (line) => written.push(line);
+      logger.addTransport({ name: "broken", write: () => { throw new Error("disk full"); } });
+
+      try {
+        logger.info("Still written");
+      } finally {
+        process.stderr.write = originalWrite;
+      }
+
+      expect(memory.records).toHaveLength(1);
+      expect(written).toEqual(["Log transport broken failed: disk full\n"]);
+      expect(() => logger.addTransport({})).toThrow(
+        expect.objectContaining({ code: "CONFIG_INVALID_TRANSPORT" })
+      );
+    });
+  });
+
+  describe("Helpers", () => {
+    test("should bind fields when the logger supports children", () => {
+      childLogger(logger, { component: "EventBus" }).info("Bound");
+
+      expect(memory.records[0].component).toBe("EventBus");
+      expect(childLogger(console, { component: "EventBus" })).toBe(console);
+      expect(childLogger(undefined, {}, null)).toBeNull();
+    });
+
+    test("should fall back to a separate no-op logger per caller", () => {
+      const first = childLogger(undefined, {});
+      const second = createNoopLogger();
+
+      first.error = () => { throw new Error("replaced"); };
+
+      expect(first).not.toBe(second);
+      expect(() => second.error("ignored")).not.toThrow();
+      expect(second.isLevelEnabled("fatal")).toBe(false);
+    });
+
+    test("should serialize plain errors with their code", () => {
+      const error = Object.assign(new Error("missing"), { code: "ENOENT" });
+
+      expect(serializeError(error)).toMatchObject({ name: "Error", message: "missing", code: "ENOENT" });
+    });
+
+    test("should create loggers from the factory and close transports", async () => {
+      let closed = false;
+      const created = createLogger({}, {
+        level: "warn",
+        transports: [{ write() {}, close: async () => { closed = true; } }]
+      });
+
+      await created.shutdown();
+
+      expect(created).toBeInstanceOf(Logger);
+      expect(created.level).toBe("warn");
+      expect(closed).toBe(true);
+    });
+  });
+});
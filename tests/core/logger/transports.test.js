@@ -0,0 +1,143 @@
+// tests/core/logger/transports.test.js
+
+import { mkdtemp, readFile, readdir, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  formatJson,
+  formatPretty,
+  createStdoutTransport,
+  createFileTransport,
+  createMemoryTransport
+} from "../../../src/core/logger/transports.js";
+
+describe("Log Transports", () => {
+  const record = { level: "info", time: "2024-01-01T00:00:00.000Z", msg: "Started", module: "users" };
+
+  describe("Formats", () => {
+    test("should format JSON lines with circular references and bigints", () => {
+      const fields = { ...record, count: 10n };
+      fields.self = fields;
+
+      expect(JSON.parse(formatJson(fields))).toEqual({ ...record, count: "10", self: "[Circular]" });
+    });
+
+    test("should format pretty lines", () => {
+      expect(formatPretty(record)).toBe('2024-01-01T00:00:00.000Z INFO  Started {"module":"users"}');
+      expect(formatPretty({ ...record, module: undefined, level: "error" }))
+        .toBe("2024-01-01T00:00:00.000Z ERROR Started {}");
+    });
+  });
+
+  describe("Stdout", () => {
+    test("should write one line per record to the stream", () => {
+      const lines = [];
+      const stream = { write: line => lines.push(line) };
+
+      createStdoutTransport({ stream }).write(record);
+      createStdoutTransport({ stream, format: "pretty" }).write(record);
+
+      expect(JSON.parse(lines[0])).toEqual(record);
+      expect(lines[1]).toBe(`${formatPretty(record)}\n`);
+    });
+  });
+
+  describe("File", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), "logger-"));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test("should append records, creating the directory", async () => {
+      const path = join(dir, "logs", "app.log");
+      const transport = createFileTransport({ path });
+
+      transport.write(record);
+      transport.write({ ...record, msg: "Stopped" });
+      await transport.flush();
+
+      const lines = (await readFile(path, "utf8")).trim().split("\n");
+      expect(lines.map(line => JSON.parse(line).msg)).toEqual(["Started", "Stopped"]);
+    });
+
+    test("should rotate by size and keep maxFiles files", async () => {
+      const path = join(dir, "app.log");
+      const lineSize = Buffer.byteLength(`${formatJson({ ...record, msg: "0" })}\n`);
+      const transport = createFileTransport({ path, maxSize: lineSize * 2, maxFiles: 2 });
+
+      for (let index = 0; index < 7; index++) {
+        transport.write({ ...record, msg: String(index) });
+      }
+      await transport.close();
+
+      const messages = async file =>
+        (await readFile(file, "utf8")).trim().split("\n").map(line => JSON.parse(line).msg);
+
+      expect((await readdir(dir)).sort()).toEqual(["app.log", "app.log.1", "app.log.2"]);
+      expect(await messages(path)).toEqual(["6"]);
+      expect(await messages(`${path}.1`)).toEqual(["4", "5"]);
+      expect(await messages(`${path}.2`)).toEqual(["2", "3"]);
+    });
+
+    test("should continue the size of an existing file", async () => {
+      const path = join(dir, "app.log");
+      const lineSize = Buffer.byteLength(`${formatJson(record)}\n`);
+
+      const first = createFileTransport({ path });
+      first.write(record);
+      await first.close();
+      const second = createFileTransport({ path, maxSize: lineSize * 1.5 });
+      second.write(record);
+      await second.close();
+
+      expect((await readdir(dir)).sort()).toEqual(["app.log", "app.log.1"]);
+    });
+
+    test("should not write on the caller's turn unless sync", async () => {
+      const path = join(dir, "app.log");
+      const transport = createFileTransport({ path });
+      const syncTransport = createFileTransport({ path: join(dir, "sync.log"), maxSize: 1, maxFiles: 1, sync: true });
+
+      transport.write(record);
+      syncTransport.write(record);
+      syncTransport.write(record);
+
+      expect((await readdir(dir)).sort()).toEqual(["sync.log", "sync.log.1"]);
+      await transport.flush();
+      expect((await readdir(dir)).sort()).toEqual(["app.log", "sync.log", "sync.log.1"]);
+    });
+
+    test("should write buffered records on close and later ones synchronously", async () => {
+      const path = join(dir, "app.log");
+      const transport = createFileTransport({ path });
+
+      transport.write(record);
+      await transport.close();
+      transport.write({ ...record, msg: "Stopped" });
+
+      const lines = (await readFile(path, "utf8")).trim().split("\n");
+      expect(lines.map(line => JSON.parse(line).msg)).toEqual(["Started", "Stopped"]);
+    });
+  });
+
+  describe("Memory", () => {
+    test("should keep, find and clear records up to the limit", () => {
+      const transport = createMemoryTransport({ limit: 2 });
+
+      transport.write({ ...record, msg: "a" });
+      transport.write({ ...record, msg: "b", level: "error" });
+      transport.write({ ...record, msg: "c" });
+
+      expect(transport.records.map(item => item.msg)).toEqual(["b", "c"]);
+      expect(transport.find(item => item.level === "error")).toHaveLength(1);
+
+      transport.clear();
+      expect(transport.records).toEqual([]);
+    });
+  });
+});
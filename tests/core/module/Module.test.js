@@ -6,6 +6,7 @@
  * - Basic Functionality: Tests for constructor, initialization, and basic methods.
  * - Dependency Validation: Tests for dependency validation logic.
  * - Configuration Validation: Tests for validateConfig and related methods.
+ * - Configuration Changes: Tests for updateConfig and the onConfigChange hook.
  * - Lifecycle Methods: Tests for lifecycle hooks (onConfigure, onInitialize, etc.).
  * - Health Monitoring: Tests for health check registration and execution.
  * - Error Handling: Tests for error handling functionality.
@@ -21,6 +22,11 @@ import {
   ValidationError,
 } from "../../../src/core/errors/index.js";
 import { EventEmitter } from "events";
+import {
+  registerSecret,
+  clearSecrets,
+  REDACTED,
+} from "../../../src/core/config/redaction.js";
 
 describe("CoreModule Basic Functionality", () => {
   let module;
@@ -272,6 +278,96 @@ describe("CoreModule Dependency Validation", () => {
   });
 });
 
+describe("CoreModule Dependency Declarations", () => {
+  const errorSystem = { handleError: async () => {} };
+  const eventBus = new EventEmitter();
+  const eventBusSystem = { getEventBus: () => eventBus };
+
+  test("should accept aliased system dependencies", () => {
+    class AliasedModule extends CoreModule {
+      static dependencies = [
+        { name: "errorSystem", as: "errors" },
+        { name: "eventBusSystem", as: "events" },
+        "config",
+      ];
+    }
+
+    const module = new AliasedModule({
+      errors: errorSystem,
+      events: eventBusSystem,
+      config: { level: 1 },
+    });
+
+    expect(module.eventBus).toBe(eventBus);
+    expect(module.getDependency("errorSystem")).toBe(errorSystem);
+    expect(module.config).toEqual({ level: 1 });
+  });
+
+  test("should not require optional dependencies", () => {
+    class OptionalModule extends CoreModule {
+      static dependencies = [
+        ...CoreModule.dependencies,
+        { name: "cache", optional: true },
+      ];
+    }
+
+    expect(() => new OptionalModule({ errorSystem, eventBusSystem, config: {} })).not.toThrow();
+  });
+
+  test("should report missing dependencies by injection key", () => {
+    class AliasedModule extends CoreModule {
+      static dependencies = [{ name: "eventBusSystem", as: "events" }];
+    }
+
+    expect(() => new AliasedModule({})).toThrow("Missing required dependencies: events");
+  });
+
+  test("should resolve a lazy eventBusSystem during initialize", async () => {
+    class LazyModule extends CoreModule {
+      static dependencies = [
+        "errorSystem",
+        { name: "eventBusSystem", lazy: true },
+        "config",
+      ];
+    }
+
+    let resolved = 0;
+    const module = new LazyModule({
+      errorSystem,
+      eventBusSystem: async () => {
+        resolved++;
+        return eventBusSystem;
+      },
+      config: {},
+    });
+
+    expect(module.eventBus).toBeUndefined();
+    expect(resolved).toBe(0);
+
+    module.startHealthChecks = () => {};
+    await module.initialize();
+
+    expect(resolved).toBe(1);
+    expect(module.eventBus).toBe(eventBus);
+  });
+
+  test("should forward errors through a lazy errorSystem", async () => {
+    const handled = [];
+    class LazyErrorModule extends CoreModule {
+      static dependencies = [{ name: "errorSystem", lazy: true }, "eventBusSystem", "config"];
+    }
+
+    const module = new LazyErrorModule({
+      errorSystem: async () => ({ handleError: async (error) => handled.push(error.message) }),
+      eventBusSystem,
+      config: {},
+    });
+
+    await module.handleError(new Error("lazy failure"));
+    expect(handled).toEqual(["lazy failure"]);
+  });
+});
+
 describe("CoreModule Configuration Validation", () => {
   let module;
   let errorSystem;
@@ -376,6 +472,87 @@ describe("CoreModule Configuration Validation", () => {
   });
 });
 
+describe("CoreModule Configuration Changes", () => {
+  let module;
+  let handledErrors;
+
+  beforeEach(() => {
+    handledErrors = [];
+    module = new CoreModule({
+      errorSystem: {
+        handleError: async (error) => {
+          handledErrors.push(error);
+        },
+      },
+      eventBusSystem: {
+        getEventBus: () => new EventEmitter(),
+      },
+      config: { pageSize: 10 },
+    });
+  });
+
+  test("should apply a valid configuration and call onConfigChange", async () => {
+    const calls = [];
+    module.onConfigChange = async function (changes, previousConfig) {
+      calls.push({ changes, previousConfig, config: this.config });
+    };
+    const events = [];
+    module.on("module:config:changed", (event) => events.push(event));
+
+    await module.updateConfig({ pageSize: 25 }, ["users.pageSize"]);
+
+    expect(module.config).toEqual({ pageSize: 25 });
+    expect(calls).toEqual([
+      {
+        changes: ["users.pageSize"],
+        previousConfig: { pageSize: 10 },
+        config: { pageSize: 25 },
+      },
+    ]);
+    expect(events[0].changes).toEqual(["users.pageSize"]);
+    expect(module.state.metrics.get("module.config.changed").value).toBe(1);
+  });
+
+  test("should roll back when onValidateConfig rejects the change", async () => {
+    let hookCalled = false;
+    module.onValidateConfig = async function () {
+      if (this.config.pageSize > 100) {
+        throw new ValidationError("INVALID_PAGE_SIZE", "pageSize too large");
+      }
+    };
+    module.onConfigChange = async () => {
+      hookCalled = true;
+    };
+
+    const error = await module
+      .updateConfig({ pageSize: 500 }, ["users.pageSize"])
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ModuleError);
+    expect(error.code).toBe("MODULE_CONFIG_CHANGE_FAILED");
+    expect(error.details.changes).toEqual(["users.pageSize"]);
+    expect(error.details.originalError.code).toBe(
+      "MODULE_CONFIG_VALIDATION_FAILED"
+    );
+    expect(module.config).toEqual({ pageSize: 10 });
+    expect(hookCalled).toBe(false);
+    expect(handledErrors).toEqual([error]);
+  });
+
+  test("should roll back when onConfigChange fails", async () => {
+    module.onConfigChange = async () => {
+      throw new Error("cannot resize pool");
+    };
+
+    await expect(
+      module.updateConfig({ pageSize: 25 }, ["users.pageSize"])
+    ).rejects.toThrow("Failed to apply configuration change");
+
+    expect(module.config).toEqual({ pageSize: 10 });
+    expect(module.state.metrics.get("module.config.rollback").value).toBe(1);
+  });
+});
+
 describe("CoreModule Lifecycle Methods", () => {
   let module;
   let errorSystem;
@@ -870,6 +1047,44 @@ describe("CoreModule Health Monitoring", () => {
   });
 });
 
+describe("CoreModule Secret Redaction", () => {
+  let module;
+
+  beforeEach(() => {
+    registerSecret("hunter22");
+    module = new CoreModule({
+      errorSystem: { handleError: async () => {} },
+      eventBusSystem: { getEventBus: () => new EventEmitter() },
+      config: { password: "hunter22" },
+    });
+  });
+
+  afterEach(() => {
+    clearSecrets();
+  });
+
+  test("should redact secrets from health check results", async () => {
+    module.registerHealthCheck("database", async () => ({
+      status: "healthy",
+      password: module.config.password,
+    }));
+
+    const health = await module.checkHealth();
+
+    expect(health.checks.database.password).toBe(REDACTED);
+    expect(module.config.password).toBe("hunter22");
+  });
+
+  test("should redact secrets from recorded errors", async () => {
+    await module.handleError(new Error("auth failed for hunter22"), {
+      password: "hunter22",
+    });
+
+    expect(module.state.errors[0].error).toBe(`auth failed for ${REDACTED}`);
+    expect(module.state.errors[0].context).toEqual({ password: REDACTED });
+  });
+});
+
 describe("CoreModule Error Handling", () => {
   let module;
   let errorSystem;
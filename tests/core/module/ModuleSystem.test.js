@@ -11,6 +11,7 @@
  * - Error Handling: Tests for error handling, including console.error fallback.
  * - Initialization: Tests for system initialization process.
  * - Health Monitoring: Tests for health monitoring functionality.
+ * - Configuration Changes: Tests for applying config:changed to modules.
  * - Shutdown: Tests for system shutdown process.
  * - Factory Function: Tests for factory function.
  */
@@ -20,11 +21,14 @@ import {
   createModuleSystem,
 } from "../../../src/core/module/ModuleSystem.js";
 import { CoreModule } from "../../../src/core/module/Module.js";
+import { CoreEventBus } from "../../../src/core/event/EventBus.js";
 import {
   ModuleError,
   ValidationError,
 } from "../../../src/core/errors/index.js";
 import { EventEmitter } from "events";
+import { Logger } from "../../../src/core/logger/Logger.js";
+import { createMemoryTransport } from "../../../src/core/logger/transports.js";
 
 describe("ModuleSystem Basic Functionality", () => {
   let moduleSystem;
@@ -642,6 +646,116 @@ describe("ModuleSystem Dependency Resolution", () => {
   });
 });
 
+describe("ModuleSystem Dependency Declarations", () => {
+  let moduleSystem;
+  let errorSystem;
+  let eventBusSystem;
+
+  beforeEach(() => {
+    errorSystem = { handleError: async () => {} };
+    eventBusSystem = { getEventBus: () => new EventEmitter() };
+  });
+
+  test("should accept aliased system dependencies", () => {
+    class AliasedModuleSystem extends ModuleSystem {
+      static dependencies = [
+        "errorSystem",
+        { name: "eventBusSystem", as: "events" },
+        "config",
+      ];
+    }
+
+    moduleSystem = new AliasedModuleSystem({
+      errorSystem,
+      events: eventBusSystem,
+      config: {},
+    });
+
+    expect(moduleSystem.eventBus).toBeInstanceOf(EventEmitter);
+  });
+
+  test("should pass canonical system dependencies and config slice to modules", async () => {
+    class AliasedModuleSystem extends ModuleSystem {
+      static dependencies = [
+        "errorSystem",
+        { name: "eventBusSystem", as: "events" },
+        { name: "config", as: "settings" },
+      ];
+    }
+    class ReportsModule extends CoreModule {}
+
+    moduleSystem = new AliasedModuleSystem({
+      errorSystem,
+      events: eventBusSystem,
+      settings: { reports: { pageSize: 20 } },
+    });
+
+    const module = await moduleSystem.register("reports", ReportsModule);
+    expect(module.deps.eventBusSystem).toBe(eventBusSystem);
+    expect(module.config).toEqual({ pageSize: 20 });
+  });
+
+  test("should inject a logger bound to the module name", async () => {
+    const memory = createMemoryTransport();
+    const logger = new Logger({ transports: [memory] });
+    moduleSystem = new ModuleSystem({ errorSystem, eventBusSystem, config: {}, logger });
+
+    class UsersModule extends CoreModule {}
+    const users = await moduleSystem.register("users", UsersModule);
+    users.logger.info("Ready");
+
+    expect(memory.records[0]).toMatchObject({ msg: "Ready", module: "users" });
+    expect(logger.bindings).toEqual({});
+  });
+
+  test("should leave modules on console without a logger", async () => {
+    moduleSystem = new ModuleSystem({ errorSystem, eventBusSystem, config: {} });
+
+    class UsersModule extends CoreModule {}
+    const users = await moduleSystem.register("users", UsersModule);
+
+    expect(users.logger).toBe(console);
+  });
+
+  test("should inject other modules eagerly and lazily", async () => {
+    moduleSystem = new ModuleSystem({ errorSystem, eventBusSystem, config: {} });
+
+    class UsersModule extends CoreModule {}
+    class OrdersModule extends CoreModule {
+      static dependencies = [...CoreModule.dependencies, "users", { name: "billing", lazy: true, as: "getBilling" }];
+    }
+    class BillingModule extends CoreModule {}
+
+    const users = await moduleSystem.register("users", UsersModule);
+    const orders = await moduleSystem.register("orders", OrdersModule);
+    const billing = await moduleSystem.register("billing", BillingModule);
+
+    expect(orders.deps.users).toBe(users);
+    expect(await orders.deps.getBilling()).toBe(billing);
+  });
+
+  test("should order modules ignoring system, lazy and missing optional dependencies", async () => {
+    moduleSystem = new ModuleSystem({ errorSystem, eventBusSystem, config: {} });
+
+    class UsersModule extends CoreModule {
+      static dependencies = [...CoreModule.dependencies, { name: "orders", lazy: true }];
+    }
+    class OrdersModule extends CoreModule {
+      static dependencies = [...CoreModule.dependencies, "users", { name: "audit", optional: true }];
+    }
+
+    class ReportsModule extends CoreModule {
+      static dependencies = [...CoreModule.dependencies, "orders"];
+    }
+
+    await moduleSystem.register("users", UsersModule);
+    await moduleSystem.register("orders", OrdersModule);
+    await moduleSystem.register("reports", ReportsModule);
+
+    expect(moduleSystem.resolveDependencyOrder()).toEqual(["users", "orders", "reports"]);
+  });
+});
+
 describe("ModuleSystem Initialization", () => {
   let moduleSystem;
   let originalSetInterval;
@@ -1101,6 +1215,112 @@ describe("ModuleSystem Health Monitoring", () => {
   });
 });
 
+describe("ModuleSystem Configuration Changes", () => {
+  let moduleSystem;
+  let systemConfig;
+  let eventBus;
+  let originalSetInterval;
+  let originalClearInterval;
+
+  class UsersModule extends CoreModule {
+    async onValidateConfig() {
+      if (this.config.pageSize > 100) {
+        throw new ValidationError("INVALID_PAGE_SIZE", "pageSize too large");
+      }
+    }
+  }
+
+  class OrdersModule extends CoreModule {}
+
+  beforeEach(async () => {
+    originalSetInterval = global.setInterval;
+    originalClearInterval = global.clearInterval;
+    global.setInterval = () => 1;
+    global.clearInterval = () => {};
+
+    systemConfig = {
+      users: { pageSize: 10, sort: "name" },
+      orders: { currency: "EUR" },
+    };
+    eventBus = new CoreEventBus({ errorSystem: { handleError: async () => {} } });
+    moduleSystem = new ModuleSystem({
+      errorSystem: { handleError: async () => {} },
+      eventBusSystem: { getEventBus: () => eventBus },
+      config: systemConfig,
+    });
+
+    await moduleSystem.register("users", UsersModule, { sort: "email" });
+    await moduleSystem.register("orders", OrdersModule);
+  });
+
+  afterEach(() => {
+    global.setInterval = originalSetInterval;
+    global.clearInterval = originalClearInterval;
+  });
+
+  test("should update only the modules whose slice changed", async () => {
+    await moduleSystem.initialize();
+    systemConfig.users = { pageSize: 25, sort: "id" };
+
+    const result = await moduleSystem.applyConfigChange([
+      "users.pageSize",
+      "users.sort",
+    ]);
+
+    expect(result).toEqual({ updated: ["users"], failed: [] });
+    // Config passed to register() still wins
+    expect(moduleSystem.modules.get("users").config).toEqual({
+      pageSize: 25,
+      sort: "email",
+    });
+    expect(moduleSystem.modules.get("orders").config).toEqual({
+      currency: "EUR",
+    });
+  });
+
+  test("should keep a module's config when it rejects the change", async () => {
+    await moduleSystem.initialize();
+    systemConfig.users = { pageSize: 500 };
+
+    const result = await moduleSystem.applyConfigChange(["users.pageSize"]);
+
+    expect(result).toEqual({ updated: [], failed: ["users"] });
+    expect(moduleSystem.modules.get("users").config).toEqual({
+      pageSize: 10,
+      sort: "email",
+    });
+    expect(moduleSystem.state.errors[0].module).toBe("users");
+  });
+
+  test("should set the config of modules that are not initialized", async () => {
+    systemConfig.orders = { currency: "USD" };
+
+    await moduleSystem.applyConfigChange(["orders.currency"]);
+
+    expect(moduleSystem.modules.get("orders").config).toEqual({
+      currency: "USD",
+    });
+  });
+
+  test("should react to config:changed events until shutdown", async () => {
+    await moduleSystem.initialize();
+    const changed = new Promise((resolve) =>
+      moduleSystem.modules.get("orders").once("module:config:changed", resolve)
+    );
+
+    systemConfig.orders = { currency: "USD" };
+    await eventBus.emit("config:changed", { changes: ["orders.currency"] });
+    const event = await changed;
+
+    expect(event.changes).toEqual(["orders.currency"]);
+    expect(moduleSystem.configSubscription).not.toBeNull();
+
+    await moduleSystem.shutdown();
+    expect(moduleSystem.configSubscription).toBeNull();
+    expect(eventBus.listenerCount("config:changed")).toBe(0);
+  });
+});
+
 describe("ModuleSystem Shutdown", () => {
   let moduleSystem;
   let originalClearInterval;
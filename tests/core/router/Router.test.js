@@ -16,6 +16,8 @@ import { EventEmitter } from "events";
 import { createErrorSystem } from "../../../src/core/errors/ErrorSystem.js";
 import CoreRouter from "../../../src/core/router/Router.js";
 import { RouterError } from "../../../src/core/errors/types/RouterError.js";
+import { Logger } from "../../../src/core/logger/Logger.js";
+import { createMemoryTransport } from "../../../src/core/logger/transports.js";
 
 // Dummy EventBus implementation to simulate event subscriptions
 class DummyEventBus extends EventEmitter {
@@ -122,6 +124,26 @@ describe("CoreRouter Component", () => {
       expect(router.state.status).toEqual("running");
     });
 
+    test("should log route registration through an injected logger", async () => {
+      const memory = createMemoryTransport();
+      const logged = new CoreRouter({
+        ...deps,
+        logger: new Logger({ level: "debug", transports: [memory] }),
+      });
+      await logged.initialize();
+
+      logged.registerRoute("mod1", "get", "/users", () => {});
+      await logged.shutdown();
+
+      expect(memory.find((record) => record.msg === "Route registered")[0]).toMatchObject({
+        level: "debug",
+        msg: "Route registered",
+        component: "CoreRouter",
+        method: "GET",
+        path: "/users",
+      });
+    });
+
     test("should clear all routes and update state on shutdown", async () => {
       await router.initialize();
       router.registerRoute("mod1", "GET", "/shutdown", () => {});
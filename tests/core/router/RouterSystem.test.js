@@ -606,6 +606,26 @@ describe("RouterSystem Component", () => {
       expect(metrics["routersystem.adapters.registered"]).toBeDefined();
     });
 
+    test("should register tagged adapters injected by the container on initialize", async () => {
+      const fastifyAdapter = { name: "fastify", applyRoutes: async () => ({}) };
+      const system = new RouterSystem({ ...deps, routerAdapters: [fastifyAdapter] });
+
+      await system.initialize();
+      expect(system.router.adapters.get("fastify")).toBe(fastifyAdapter);
+      await system.shutdown();
+    });
+
+    test("should fail initialization for a tagged adapter without a name", async () => {
+      const system = new RouterSystem({
+        ...deps,
+        routerAdapters: [{ applyRoutes: async () => ({}) }],
+      });
+
+      await expect(system.initialize()).rejects.toThrow(
+        "Failed to initialize RouterSystem"
+      );
+    });
+
     test("should throw NOT_INITIALIZED error when applyRoutes is called on an uninitialized system", async () => {
       await expect(
         uninitSystem.applyRoutes({}, "dummyAdapter")